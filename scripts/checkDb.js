@@ -46,11 +46,6 @@ const checkDatabase = async () => {
         console.log('\nDestination Types:', destinations.rows.length);
         console.log(destinations.rows);
 
-        // Check Transformation Types
-        const transformations = await pool.query('SELECT * FROM transformation_types');
-        console.log('\nTransformation Types:', transformations.rows.length);
-        console.log(transformations.rows);
-
     } catch (error) {
         console.error('Error checking database:', error);
     } finally {
@@ -26,25 +26,38 @@ const insertSampleData = async () => {
             END $$;
         `);
 
+        // Add extraction settings if they don't exist
+        await pool.query(`
+            ALTER TABLE shopify_apis
+            ADD COLUMN IF NOT EXISTS supports_incremental BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS graphql_resource VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS extraction_mode VARCHAR(20) DEFAULT 'REST',
+            ADD COLUMN IF NOT EXISTS parent_api_id INTEGER REFERENCES shopify_apis(id),
+            ADD COLUMN IF NOT EXISTS child_path VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS parent_key VARCHAR(100);
+        `);
+
         // Insert Shopify APIs one by one to handle conflicts
         console.log('Inserting Shopify APIs...');
         const apisToInsert = [
-            ['Products', '/admin/api/2024-01/products.json', 'Retrieve product information'],
-            ['Orders', '/admin/api/2024-01/orders.json', 'Retrieve order information'],
-            ['Customers', '/admin/api/2024-01/customers.json', 'Retrieve customer information'],
-            ['Inventory', '/admin/api/2024-01/inventory_items.json', 'Retrieve inventory information']
+            ['Products', '/admin/api/{api_version}/products.json', 'Retrieve product information', true, 'products'],
+            ['Orders', '/admin/api/{api_version}/orders.json', 'Retrieve order information', true, 'orders'],
+            ['Customers', '/admin/api/{api_version}/customers.json', 'Retrieve customer information', true, 'customers'],
+            ['Inventory', '/admin/api/{api_version}/inventory_items.json', 'Retrieve inventory information', false, 'inventoryItems']
         ];
 
-        for (const [name, endpoint, description] of apisToInsert) {
+        for (const [name, endpoint, description, supportsIncremental, graphqlResource] of apisToInsert) {
             await pool.query(`
-                INSERT INTO shopify_apis (name, endpoint, description)
-                VALUES ($1, $2, $3)
+                INSERT INTO shopify_apis (name, endpoint, description, supports_incremental, graphql_resource)
+                VALUES ($1, $2, $3, $4, $5)
                 ON CONFLICT (name) 
                 DO UPDATE SET 
                     endpoint = EXCLUDED.endpoint,
-                    description = EXCLUDED.description
+                    description = EXCLUDED.description,
+                    supports_incremental = EXCLUDED.supports_incremental,
+                    graphql_resource = EXCLUDED.graphql_resource
                 RETURNING id, name;
-            `, [name, endpoint, description]);
+            `, [name, endpoint, description, supportsIncremental, graphqlResource]);
         }
 
         // Get API IDs
@@ -54,6 +67,32 @@ const insertSampleData = async () => {
         const productsApiId = productsApi.rows[0].id;
         const ordersApiId = ordersApi.rows[0].id;
 
+        // Insert child datasets of orders, read from each order's collections
+        console.log('Inserting Order child datasets...');
+        const orderChildren = [
+            ['order_line_items', 'Line items of each order', 'line_items'],
+            ['order_refunds', 'Refunds of each order', 'refunds'],
+            ['order_fulfillments', 'Fulfillments of each order', 'fulfillments'],
+            ['order_shipping_lines', 'Shipping lines of each order', 'shipping_lines'],
+            ['order_discount_applications', 'Discount applications of each order', 'discount_applications']
+        ];
+
+        for (const [name, description, childPath] of orderChildren) {
+            await pool.query(`
+                INSERT INTO shopify_apis (name, endpoint, description, parent_api_id, child_path, parent_key)
+                SELECT $1, endpoint, $2, id, $3, 'order_id'
+                FROM shopify_apis
+                WHERE id = $4
+                ON CONFLICT (name) 
+                DO UPDATE SET 
+                    endpoint = EXCLUDED.endpoint,
+                    description = EXCLUDED.description,
+                    parent_api_id = EXCLUDED.parent_api_id,
+                    child_path = EXCLUDED.child_path,
+                    parent_key = EXCLUDED.parent_key;
+            `, [name, description, childPath, ordersApiId]);
+        }
+
         // Add unique constraint for api_fields if it doesn't exist
         console.log('Adding composite unique constraint to shopify_api_fields table...');
         await pool.query(`
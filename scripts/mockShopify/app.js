@@ -0,0 +1,447 @@
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const { seedShop, timestamp } = require('./seed');
+
+const DEFAULTS = {
+    seed: 1,
+    accessToken: 'shpat_mock_access_token', // Accepted for every shop besides tokens issued through OAuth
+    scopes: 'read_products,read_orders,read_customers,read_inventory',
+    apiKey: null, // When set, the OAuth client_id must match
+    apiSecret: 'mock_shopify_secret', // Signs OAuth callbacks and webhooks
+    bucketSize: 40,
+    leakRate: 2, // Requests restored per second
+    throttleRate: 0, // Share of requests answered with 429 regardless of the bucket
+    counts: {}
+};
+
+const RESOURCES = ['products', 'orders', 'customers', 'inventory_items'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+const VERSION_PATTERN = /^(\d{4}-\d{2}|unstable)$/;
+
+// Webhook topic prefix -> resource it reports on
+const TOPIC_RESOURCES = {
+    orders: 'orders',
+    products: 'products',
+    customers: 'customers',
+    inventory_levels: 'inventory_items'
+};
+
+const ORDER_STATUSES = {
+    open: order => !order.closed_at && !order.cancelled_at,
+    closed: order => Boolean(order.closed_at),
+    cancelled: order => Boolean(order.cancelled_at),
+    any: () => true
+};
+
+// Shopify answers errors as { errors: ... } with the status code
+const sendError = (res, status, errors) => res.status(status).json({ errors });
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (pageInfo) => {
+    try {
+        return JSON.parse(Buffer.from(String(pageInfo), 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+};
+
+const pickFields = (record, fields) => {
+    if (!fields) return record;
+
+    const picked = {};
+    for (const field of fields) {
+        if (record[field] !== undefined) picked[field] = record[field];
+    }
+    return picked;
+};
+
+const signQuery = (params, secret) => {
+    const message = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+};
+
+// A stand-in for the Shopify Admin API. Every *.myshopify.com domain is a shop
+// of its own, seeded on first use and addressed as /{shop domain}/admin/...
+const createApp = (options = {}) => {
+    const config = { ...DEFAULTS, ...options };
+    const shops = new Map();
+    const authorizationCodes = new Map();
+    const issuedTokens = new Map();
+    let nextWebhookId = 1;
+
+    const getShop = (domain) => {
+        if (!shops.has(domain)) {
+            shops.set(domain, {
+                ...seedShop(domain, { seed: config.seed, counts: config.counts }),
+                bucket: { used: 0, updatedAt: Date.now() },
+                webhooks: []
+            });
+        }
+        return shops.get(domain);
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    const shopRouter = express.Router({ mergeParams: true });
+    const apiRouter = express.Router({ mergeParams: true });
+
+    // OAuth install flow: approve straight away and send the merchant back
+    shopRouter.get('/admin/oauth/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, scope } = req.query;
+
+        if (!client_id || !redirect_uri) {
+            return sendError(res, 400, 'client_id and redirect_uri are required');
+        }
+        if (config.apiKey && client_id !== config.apiKey) {
+            return sendError(res, 400, 'Invalid client_id');
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        authorizationCodes.set(code, { shop: req.params.shop, scope: scope || config.scopes });
+
+        const params = {
+            code,
+            host: Buffer.from(`${req.params.shop}/admin`).toString('base64url'),
+            shop: req.params.shop,
+            state: state || '',
+            timestamp: String(Math.floor(Date.now() / 1000))
+        };
+        const query = new URLSearchParams({ ...params, hmac: signQuery(params, config.apiSecret) });
+
+        res.redirect(`${redirect_uri}${redirect_uri.includes('?') ? '&' : '?'}${query.toString()}`);
+    });
+
+    shopRouter.post('/admin/oauth/access_token', (req, res) => {
+        const { client_id, client_secret, code } = req.body || {};
+        const grant = authorizationCodes.get(code);
+
+        if (!grant || grant.shop !== req.params.shop) {
+            return sendError(res, 400, 'invalid_request: The authorization code was not found or was already used');
+        }
+        if ((config.apiKey && client_id !== config.apiKey) || client_secret !== config.apiSecret) {
+            return sendError(res, 400, 'invalid_client: Client credentials are invalid');
+        }
+
+        authorizationCodes.delete(code);
+        const accessToken = `shpat_${crypto.randomBytes(16).toString('hex')}`;
+        issuedTokens.set(accessToken, grant);
+
+        res.json({ access_token: accessToken, scope: grant.scope });
+    });
+
+    // Everything below needs a valid token and counts against the shop's bucket
+    const authenticate = (req, res, next) => {
+        const token = req.get('X-Shopify-Access-Token');
+        const grant = token === config.accessToken
+            ? { shop: req.params.shop, scope: config.scopes }
+            : issuedTokens.get(token);
+
+        if (!grant || grant.shop !== req.params.shop) {
+            return sendError(res, 401, '[API] Invalid API key or access token (unrecognized login or wrong password)');
+        }
+
+        req.scopes = grant.scope.split(',').map(scope => scope.trim()).filter(Boolean);
+        next();
+    };
+
+    const throttle = (req, res, next) => {
+        const bucket = req.shop.bucket;
+        const now = Date.now();
+        bucket.used = Math.max(0, bucket.used - ((now - bucket.updatedAt) / 1000) * config.leakRate);
+        bucket.updatedAt = now;
+
+        if (bucket.used + 1 > config.bucketSize || Math.random() < config.throttleRate) {
+            res.set('X-Shopify-Shop-Api-Call-Limit', `${config.bucketSize}/${config.bucketSize}`);
+            res.set('Retry-After', (1 / config.leakRate).toFixed(1));
+            return sendError(res, 429, `Exceeded ${config.leakRate} calls per second for api client. Reduce request rates to resume uninterrupted service.`);
+        }
+
+        bucket.used += 1;
+        res.set('X-Shopify-Shop-Api-Call-Limit', `${Math.ceil(bucket.used)}/${config.bucketSize}`);
+        next();
+    };
+
+    const requireScope = (resource) => (req, res, next) => {
+        const scope = resource === 'inventory_items' ? 'inventory' : resource;
+        if (!req.scopes.includes(`read_${scope}`) && !req.scopes.includes(`write_${scope}`)) {
+            return sendError(res, 403, `This action requires merchant approval for read_${scope} scope.`);
+        }
+        next();
+    };
+
+    shopRouter.get('/admin/oauth/access_scopes.json', authenticate, throttle, (req, res) => {
+        res.json({ access_scopes: req.scopes.map(handle => ({ handle })) });
+    });
+
+    shopRouter.use('/admin/api/:version', (req, res, next) => {
+        if (!VERSION_PATTERN.test(req.params.version)) {
+            return sendError(res, 404, 'Not Found');
+        }
+        res.set('X-Shopify-API-Version', req.params.version);
+        next();
+    }, authenticate, throttle, apiRouter);
+
+    apiRouter.get('/shop.json', (req, res) => {
+        res.json({ shop: req.shop.shop });
+    });
+
+    apiRouter.get('/webhooks.json', (req, res) => {
+        res.json({ webhooks: req.shop.webhooks });
+    });
+
+    apiRouter.post('/webhooks.json', (req, res) => {
+        const { topic, address, format = 'json' } = req.body?.webhook || {};
+
+        if (!topic || !TOPIC_RESOURCES[topic.split('/')[0]]) {
+            return sendError(res, 422, { topic: ['Invalid topic specified'] });
+        }
+        if (!address || !/^https?:\/\//.test(address)) {
+            return sendError(res, 422, { address: ['is invalid'] });
+        }
+        if (req.shop.webhooks.some(webhook => webhook.topic === topic && webhook.address === address)) {
+            return sendError(res, 422, { address: ['for this topic has already been taken'] });
+        }
+
+        const now = timestamp(Date.now());
+        const webhook = {
+            id: nextWebhookId++,
+            topic,
+            address,
+            format,
+            api_version: req.params.version,
+            created_at: now,
+            updated_at: now
+        };
+        req.shop.webhooks.push(webhook);
+
+        res.status(201).json({ webhook });
+    });
+
+    apiRouter.delete('/webhooks/:id.json', (req, res) => {
+        const index = req.shop.webhooks.findIndex(webhook => String(webhook.id) === req.params.id);
+        if (index === -1) {
+            return sendError(res, 404, 'Not Found');
+        }
+
+        req.shop.webhooks.splice(index, 1);
+        res.json({});
+    });
+
+    const filterRecords = (records, resource, filters) => {
+        const ids = filters.ids ? new Set(String(filters.ids).split(',').map(Number)) : null;
+        const bounds = ['created_at', 'updated_at'].map(field => ({
+            field,
+            min: filters[`${field}_min`] ? new Date(filters[`${field}_min`]).getTime() : null,
+            max: filters[`${field}_max`] ? new Date(filters[`${field}_max`]).getTime() : null
+        }));
+        const orderStatus = resource === 'orders' ? ORDER_STATUSES[filters.status || 'open'] : null;
+
+        return records.filter(record => {
+            if (ids && !ids.has(record.id)) return false;
+            if (filters.since_id && record.id <= Number(filters.since_id)) return false;
+            if (orderStatus && !orderStatus(record)) return false;
+            if (resource === 'products' && filters.status && record.status !== filters.status) return false;
+
+            return bounds.every(({ field, min, max }) => {
+                const time = new Date(record[field]).getTime();
+                return (min === null || time >= min) && (max === null || time <= max);
+            });
+        });
+    };
+
+    const FILTER_PARAMS = ['ids', 'since_id', 'status', 'created_at_min', 'created_at_max', 'updated_at_min', 'updated_at_max'];
+
+    apiRouter.get('/:resource/count.json', (req, res, next) => {
+        if (!RESOURCES.includes(req.params.resource)) return next();
+
+        requireScope(req.params.resource)(req, res, () => {
+            const records = filterRecords(req.shop.resources[req.params.resource], req.params.resource, req.query);
+            res.json({ count: records.length });
+        });
+    });
+
+    // Cursor pagination as the Admin API does it: filters go on the first
+    // request only, later pages carry page_info (and limit/fields) alone
+    apiRouter.get('/:resource.json', (req, res, next) => {
+        const { resource } = req.params;
+        if (!RESOURCES.includes(resource)) return next();
+
+        requireScope(resource)(req, res, () => {
+            const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+                return sendError(res, 400, { limit: [`must be between 1 and ${MAX_LIMIT}`] });
+            }
+
+            let cursor = { filters: {} };
+            if (req.query.page_info !== undefined) {
+                cursor = decodeCursor(req.query.page_info);
+                if (!cursor || FILTER_PARAMS.some(param => req.query[param] !== undefined)) {
+                    return sendError(res, 400, { page_info: ['Invalid value.'] });
+                }
+            } else {
+                for (const param of FILTER_PARAMS) {
+                    if (req.query[param] !== undefined) cursor.filters[param] = req.query[param];
+                }
+            }
+
+            const matching = filterRecords(req.shop.resources[resource], resource, cursor.filters)
+                .sort((a, b) => a.id - b.id);
+
+            let page;
+            if (cursor.before !== undefined) {
+                const earlier = matching.filter(record => record.id < cursor.before);
+                page = earlier.slice(Math.max(0, earlier.length - limit));
+            } else {
+                page = matching.filter(record => cursor.after === undefined || record.id > cursor.after).slice(0, limit);
+            }
+
+            const links = [];
+            const pageUrl = (pageCursor) => {
+                const params = new URLSearchParams({ limit: String(limit), page_info: encodeCursor(pageCursor) });
+                if (req.query.fields) params.set('fields', String(req.query.fields));
+                return `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}?${params.toString()}`;
+            };
+
+            if (page.length && matching[0].id < page[0].id) {
+                links.push(`<${pageUrl({ filters: cursor.filters, before: page[0].id })}>; rel="previous"`);
+            }
+            if (page.length && matching[matching.length - 1].id > page[page.length - 1].id) {
+                links.push(`<${pageUrl({ filters: cursor.filters, after: page[page.length - 1].id })}>; rel="next"`);
+            }
+            if (links.length) {
+                res.set('Link', links.join(', '));
+            }
+
+            const fields = req.query.fields ? String(req.query.fields).split(',').map(field => field.trim()) : null;
+            res.json({ [resource]: page.map(record => pickFields(record, fields)) });
+        });
+    });
+
+    // Webhook payloads are the full record, except deletes and inventory levels
+    const applyEvent = (shop, topic, id) => {
+        const [prefix, action] = topic.split('/');
+        const records = shop.resources[TOPIC_RESOURCES[prefix]];
+        const now = Date.now();
+
+        if (action === 'create') {
+            const record = prefix === 'orders'
+                ? shop.buildOrder(now)
+                : { ...shop.random.pick(records), id: shop.nextId(), created_at: timestamp(now), updated_at: timestamp(now) };
+            records.push(record);
+            return record;
+        }
+
+        const record = id ? records.find(candidate => candidate.id === Number(id)) : shop.random.pick(records);
+        if (!record) return null;
+
+        if (action === 'delete') {
+            records.splice(records.indexOf(record), 1);
+            return { id: record.id };
+        }
+
+        record.updated_at = timestamp(now);
+        if (topic === 'orders/paid') record.financial_status = 'paid';
+        if (topic === 'orders/fulfilled') record.fulfillment_status = 'fulfilled';
+        if (topic === 'orders/cancelled') record.cancelled_at = record.updated_at;
+
+        if (prefix === 'inventory_levels') {
+            return {
+                inventory_item_id: record.id,
+                location_id: shop.shop.id,
+                available: shop.random.int(0, 200),
+                updated_at: record.updated_at
+            };
+        }
+        return record;
+    };
+
+    const deliver = async (shop, webhook, payload) => {
+        const body = JSON.stringify(payload);
+
+        try {
+            const response = await axios.post(webhook.address, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Shopify-Topic': webhook.topic,
+                    'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', config.apiSecret).update(body).digest('base64'),
+                    'X-Shopify-Shop-Domain': shop.shop.myshopify_domain,
+                    'X-Shopify-Webhook-Id': crypto.randomUUID(),
+                    'X-Shopify-API-Version': webhook.api_version,
+                    'X-Shopify-Triggered-At': new Date().toISOString()
+                },
+                timeout: 5000
+            });
+            return { webhook_id: webhook.id, address: webhook.address, status: response.status };
+        } catch (error) {
+            return {
+                webhook_id: webhook.id,
+                address: webhook.address,
+                status: error.response?.status || null,
+                error: error.message
+            };
+        }
+    };
+
+    // Test hook: change a record the way the topic describes and deliver the
+    // webhook to every subscription of the shop
+    app.post('/_mock/:shop/events', async (req, res, next) => {
+        try {
+            const { topic, id } = req.body || {};
+
+            if (!SHOP_DOMAIN_PATTERN.test(req.params.shop)) {
+                return sendError(res, 404, 'Not Found');
+            }
+            if (!topic || !TOPIC_RESOURCES[topic.split('/')[0]]) {
+                return sendError(res, 422, { topic: ['Invalid topic specified'] });
+            }
+
+            const shop = getShop(req.params.shop);
+            const payload = applyEvent(shop, topic, id);
+            if (!payload) {
+                return sendError(res, 404, 'Record not found');
+            }
+
+            const deliveries = [];
+            for (const webhook of shop.webhooks.filter(candidate => candidate.topic === topic)) {
+                deliveries.push(await deliver(shop, webhook, payload));
+            }
+
+            res.json({ topic, payload, deliveries });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Drop every shop so the next request reseeds it; issued tokens stay valid
+    app.post('/_mock/reset', (req, res) => {
+        shops.clear();
+        res.json({ reset: true });
+    });
+
+    app.use('/:shop', (req, res, next) => {
+        if (!SHOP_DOMAIN_PATTERN.test(req.params.shop)) {
+            return sendError(res, 404, 'Not Found');
+        }
+        req.shop = getShop(req.params.shop);
+        next();
+    }, shopRouter);
+
+    app.use((req, res) => sendError(res, 404, 'Not Found'));
+
+    app.use((error, req, res, next) => {
+        console.error('Mock Shopify error:', error);
+        sendError(res, 500, 'Internal Server Error');
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
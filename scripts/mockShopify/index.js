@@ -0,0 +1,20 @@
+require('dotenv').config();
+const { createApp } = require('./app');
+
+const port = Number(process.env.MOCK_SHOPIFY_PORT) || 4010;
+const options = {
+    seed: process.env.MOCK_SHOPIFY_SEED || 1,
+    throttleRate: Number(process.env.MOCK_SHOPIFY_THROTTLE_RATE) || 0
+};
+
+if (process.env.MOCK_SHOPIFY_ACCESS_TOKEN) options.accessToken = process.env.MOCK_SHOPIFY_ACCESS_TOKEN;
+if (process.env.SHOPIFY_API_KEY) options.apiKey = process.env.SHOPIFY_API_KEY;
+if (process.env.SHOPIFY_API_SECRET) options.apiSecret = process.env.SHOPIFY_API_SECRET;
+
+const app = createApp(options);
+
+app.listen(port, () => {
+    console.log(`Mock Shopify Admin API listening on http://localhost:${port}`);
+    console.log(`Point the app at it with SHOPIFY_BASE_URL=http://localhost:${port}`);
+    console.log(`Shops are served as http://localhost:${port}/{shop}.myshopify.com/admin/...`);
+});
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Noah', 'Emma', 'Mia', 'Lucas', 'Zoe', 'Omar', 'Sofia', 'Hugo', 'Lena', 'Ravi'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Chen', 'Müller', 'Rossi', 'Dubois', 'Khan', 'Novak', 'Silva', 'Okafor'];
+const CITIES = [
+    { city: 'Toronto', province: 'Ontario', country: 'Canada', country_code: 'CA', zip: 'M5V 2T6' },
+    { city: 'Austin', province: 'Texas', country: 'United States', country_code: 'US', zip: '73301' },
+    { city: 'London', province: null, country: 'United Kingdom', country_code: 'GB', zip: 'EC1A 1BB' },
+    { city: 'Berlin', province: null, country: 'Germany', country_code: 'DE', zip: '10115' },
+    { city: 'Lyon', province: null, country: 'France', country_code: 'FR', zip: '69001' }
+];
+const PRODUCT_TYPES = ['Shirts', 'Shoes', 'Bags', 'Hats', 'Accessories'];
+const ADJECTIVES = ['Classic', 'Organic', 'Vintage', 'Everyday', 'Premium', 'Recycled', 'Summer'];
+const VENDORS = ['Northwind', 'Acme Apparel', 'Blue Harbor', 'Trailhead'];
+const SIZES = ['S', 'M', 'L'];
+const CARRIERS = ['UPS', 'DHL Express', 'Canada Post', 'USPS'];
+const FINANCIAL_STATUSES = ['paid', 'paid', 'paid', 'pending', 'partially_refunded', 'refunded'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Small deterministic PRNG (mulberry32) so a seed always yields the same store
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability
+    };
+};
+
+// Each shop gets its own data, derived from the seed and its domain
+const shopSeed = (seed, shopDomain) => crypto
+    .createHash('sha256')
+    .update(`${seed}:${shopDomain}`)
+    .digest()
+    .readUInt32BE(0);
+
+// Shopify renders timestamps in the shop's time zone without milliseconds
+const timestamp = (time) => new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+const money = (amount) => amount.toFixed(2);
+
+const postalAddress = (address) => ({
+    first_name: address.first_name,
+    last_name: address.last_name,
+    address1: address.address1,
+    city: address.city,
+    province: address.province,
+    country: address.country,
+    country_code: address.country_code,
+    zip: address.zip
+});
+
+const createIdSequence = (start) => {
+    let current = start;
+    return () => current++;
+};
+
+const buildCustomers = (random, nextId, count, now) => {
+    const customers = [];
+
+    for (let i = 0; i < count; i++) {
+        const firstName = random.pick(FIRST_NAMES);
+        const lastName = random.pick(LAST_NAMES);
+        const location = random.pick(CITIES);
+        const createdAt = now - random.int(30, 720) * DAY;
+        const id = nextId();
+
+        customers.push({
+            id,
+            email: `${firstName}.${lastName}.${id}@example.com`.toLowerCase(),
+            first_name: firstName,
+            last_name: lastName,
+            phone: random.chance(0.6) ? `+1555${String(random.int(0, 9999999)).padStart(7, '0')}` : null,
+            state: random.chance(0.9) ? 'enabled' : 'disabled',
+            verified_email: random.chance(0.95),
+            accepts_marketing: random.chance(0.4),
+            orders_count: 0,
+            total_spent: '0.00',
+            currency: 'USD',
+            tags: random.chance(0.2) ? 'VIP' : '',
+            created_at: timestamp(createdAt),
+            updated_at: timestamp(createdAt + random.int(0, 20) * DAY),
+            default_address: {
+                id: nextId(),
+                first_name: firstName,
+                last_name: lastName,
+                address1: `${random.int(1, 999)} Market Street`,
+                ...location,
+                default: true
+            }
+        });
+    }
+
+    return customers;
+};
+
+const buildProducts = (random, nextId, count, now) => {
+    const products = [];
+    const inventoryItems = [];
+
+    for (let i = 0; i < count; i++) {
+        const productType = random.pick(PRODUCT_TYPES);
+        const title = `${random.pick(ADJECTIVES)} ${productType.replace(/s$/, '')} ${i + 1}`;
+        const createdAt = now - random.int(60, 900) * DAY;
+        const updatedAt = createdAt + random.int(0, 50) * DAY;
+        const id = nextId();
+        const basePrice = random.int(15, 180);
+
+        const variants = SIZES.slice(0, random.int(1, SIZES.length)).map((size, position) => {
+            const sku = `${productType.slice(0, 3).toUpperCase()}-${id}-${size}`;
+            const inventoryItemId = nextId();
+
+            inventoryItems.push({
+                id: inventoryItemId,
+                sku,
+                cost: money(basePrice * 0.45),
+                tracked: true,
+                requires_shipping: true,
+                country_code_of_origin: random.pick(CITIES).country_code,
+                created_at: timestamp(createdAt),
+                updated_at: timestamp(updatedAt)
+            });
+
+            return {
+                id: nextId(),
+                product_id: id,
+                title: size,
+                sku,
+                price: money(basePrice),
+                compare_at_price: random.chance(0.25) ? money(basePrice * 1.2) : null,
+                position: position + 1,
+                inventory_item_id: inventoryItemId,
+                inventory_quantity: random.int(0, 200),
+                option1: size,
+                created_at: timestamp(createdAt),
+                updated_at: timestamp(updatedAt)
+            };
+        });
+
+        products.push({
+            id,
+            title,
+            handle: title.toLowerCase().replace(/\s+/g, '-'),
+            body_html: `<p>${title} by the seed data generator.</p>`,
+            vendor: random.pick(VENDORS),
+            product_type: productType,
+            status: random.chance(0.85) ? 'active' : random.pick(['draft', 'archived']),
+            tags: random.chance(0.3) ? 'new-arrival' : '',
+            created_at: timestamp(createdAt),
+            updated_at: timestamp(updatedAt),
+            published_at: random.chance(0.9) ? timestamp(createdAt + DAY) : null,
+            options: [{ name: 'Size', values: variants.map(variant => variant.option1) }],
+            variants
+        });
+    }
+
+    return { products, inventoryItems };
+};
+
+const buildOrder = (random, nextId, orderNumber, createdAt, products, customer) => {
+    const id = nextId();
+    const lineItems = [];
+
+    for (let i = random.int(1, 4); i > 0; i--) {
+        const product = random.pick(products);
+        const variant = random.pick(product.variants);
+        const quantity = random.int(1, 3);
+
+        lineItems.push({
+            id: nextId(),
+            product_id: product.id,
+            variant_id: variant.id,
+            title: product.title,
+            variant_title: variant.title,
+            sku: variant.sku,
+            vendor: product.vendor,
+            quantity,
+            price: variant.price,
+            total_discount: '0.00',
+            requires_shipping: true,
+            taxable: true
+        });
+    }
+
+    const subtotal = lineItems.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+    const discount = random.chance(0.2) ? Math.round(subtotal * 0.1 * 100) / 100 : 0;
+    const shipping = random.pick([0, 4.99, 9.99]);
+    const tax = Math.round((subtotal - discount) * 0.08 * 100) / 100;
+    const total = subtotal - discount + shipping + tax;
+    const financialStatus = random.pick(FINANCIAL_STATUSES);
+    const fulfilled = financialStatus !== 'pending' && random.chance(0.7);
+    const cancelled = financialStatus === 'refunded' && random.chance(0.5);
+    const updatedAt = createdAt + random.int(0, 10) * DAY;
+
+    return {
+        id,
+        name: `#${orderNumber}`,
+        order_number: orderNumber,
+        email: customer.email,
+        currency: 'USD',
+        financial_status: financialStatus,
+        fulfillment_status: fulfilled ? 'fulfilled' : null,
+        subtotal_price: money(subtotal - discount),
+        total_discounts: money(discount),
+        total_tax: money(tax),
+        total_price: money(total),
+        source_name: random.pick(['web', 'pos', 'shopify_draft_order']),
+        tags: '',
+        cancelled_at: cancelled ? timestamp(updatedAt) : null,
+        cancel_reason: cancelled ? 'customer' : null,
+        closed_at: fulfilled ? timestamp(updatedAt) : null,
+        created_at: timestamp(createdAt),
+        updated_at: timestamp(updatedAt),
+        processed_at: timestamp(createdAt),
+        customer: {
+            id: customer.id,
+            email: customer.email,
+            first_name: customer.first_name,
+            last_name: customer.last_name
+        },
+        shipping_address: postalAddress(customer.default_address),
+        line_items: lineItems,
+        shipping_lines: shipping ? [{
+            id: nextId(),
+            title: shipping > 5 ? 'Express' : 'Standard',
+            code: shipping > 5 ? 'EXPRESS' : 'STANDARD',
+            price: money(shipping),
+            source: 'shopify'
+        }] : [],
+        discount_applications: discount ? [{
+            type: 'discount_code',
+            code: 'WELCOME10',
+            value: '10.0',
+            value_type: 'percentage',
+            allocation_method: 'across',
+            target_type: 'line_item'
+        }] : [],
+        fulfillments: fulfilled ? [{
+            id: nextId(),
+            order_id: id,
+            status: 'success',
+            tracking_company: random.pick(CARRIERS),
+            tracking_number: String(random.int(100000000, 999999999)),
+            line_items: lineItems.map(item => ({ id: item.id, quantity: item.quantity })),
+            created_at: timestamp(updatedAt),
+            updated_at: timestamp(updatedAt)
+        }] : [],
+        refunds: ['partially_refunded', 'refunded'].includes(financialStatus) ? [{
+            id: nextId(),
+            order_id: id,
+            note: financialStatus === 'refunded' ? 'Full refund' : 'Damaged item',
+            refund_line_items: [{ id: nextId(), line_item_id: lineItems[0].id, quantity: 1 }],
+            created_at: timestamp(updatedAt),
+            processed_at: timestamp(updatedAt)
+        }] : []
+    };
+};
+
+const buildOrders = (random, nextId, count, now, products, customers) => {
+    const orders = [];
+    // Oldest first, so order numbers grow with created_at like a real shop
+    const times = Array.from({ length: count }, () => now - random.int(0, 365 * DAY))
+        .sort((a, b) => a - b);
+
+    times.forEach((createdAt, index) => {
+        const customer = random.pick(customers);
+        const order = buildOrder(random, nextId, 1001 + index, createdAt, products, customer);
+
+        customer.orders_count += 1;
+        customer.total_spent = money(Number(customer.total_spent) + Number(order.total_price));
+        orders.push(order);
+    });
+
+    return orders;
+};
+
+// Build the full data set of one shop
+const seedShop = (shopDomain, options = {}) => {
+    const counts = { products: 60, customers: 120, orders: 600, ...options.counts };
+    const random = createRandom(shopSeed(options.seed || 1, shopDomain));
+    const nextId = createIdSequence(random.int(1, 9) * 1000000000);
+    const now = options.now || Date.now();
+    const name = shopDomain.replace(/\.myshopify\.com$/, '');
+
+    const customers = buildCustomers(random, nextId, counts.customers, now);
+    const { products, inventoryItems } = buildProducts(random, nextId, counts.products, now);
+    const orders = buildOrders(random, nextId, counts.orders, now, products, customers);
+
+    return {
+        shop: {
+            id: nextId(),
+            name: name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' '),
+            email: `owner@${name}.example.com`,
+            domain: shopDomain,
+            myshopify_domain: shopDomain,
+            plan_name: 'basic',
+            currency: 'USD',
+            iana_timezone: 'UTC',
+            created_at: timestamp(now - 1000 * DAY)
+        },
+        resources: {
+            products,
+            orders,
+            customers,
+            inventory_items: inventoryItems
+        },
+        random,
+        nextId,
+        buildOrder: (createdAt) => buildOrder(
+            random,
+            nextId,
+            1001 + orders.length,
+            createdAt,
+            products,
+            random.pick(customers)
+        )
+    };
+};
+
+module.exports = {
+    seedShop,
+    timestamp
+};
@@ -4,17 +4,31 @@
 DO $$ 
 BEGIN
     -- Drop tables in correct order (respecting foreign key constraints)
+    DROP TABLE IF EXISTS notifications;
+    DROP TABLE IF EXISTS oauth_states;
+    DROP TABLE IF EXISTS shopify_field_proposals;
+    DROP TABLE IF EXISTS shopify_webhook_events;
+    DROP TABLE IF EXISTS job_executions;
     DROP TABLE IF EXISTS schedules;
+    DROP TABLE IF EXISTS source_files;
+    DROP TABLE IF EXISTS source_cursors;
+    DROP TABLE IF EXISTS source_group_selections;
+    DROP TABLE IF EXISTS source_group_members;
+    DROP TABLE IF EXISTS source_groups;
     DROP TABLE IF EXISTS source_selected_apis;
     DROP TABLE IF EXISTS transformations;
+    DROP TABLE IF EXISTS lookup_table_entries;
+    DROP TABLE IF EXISTS lookup_tables;
+    DROP TABLE IF EXISTS currency_rates;
+    DROP TABLE IF EXISTS currency_rate_tables;
     DROP TABLE IF EXISTS destinations;
     DROP TABLE IF EXISTS sources;
     DROP TABLE IF EXISTS users;
     DROP TABLE IF EXISTS schedule_frequencies;
     DROP TABLE IF EXISTS file_formats;
     DROP TABLE IF EXISTS destination_types;
-    DROP TABLE IF EXISTS transformation_types;
     DROP TABLE IF EXISTS shopify_api_fields;
+    DROP TABLE IF EXISTS shopify_api_versions;
     DROP TABLE IF EXISTS shopify_apis;
     DROP TABLE IF EXISTS api_types;
 END $$;
@@ -36,6 +50,12 @@ CREATE TABLE shopify_apis (
     name VARCHAR(100) NOT NULL,
     endpoint VARCHAR(255) NOT NULL,
     description TEXT,
+    supports_incremental BOOLEAN DEFAULT false, -- Accepts updated_at_min filtering
+    graphql_resource VARCHAR(100), -- GraphQL Admin connection used by bulk operations
+    extraction_mode VARCHAR(20) DEFAULT 'REST', -- REST or BULK
+    parent_api_id INTEGER REFERENCES shopify_apis(id), -- Set for child datasets such as order line items
+    child_path VARCHAR(100), -- Collection in each parent record the child records are read from
+    parent_key VARCHAR(100), -- Column holding the parent's id in child records, e.g. order_id
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -45,20 +65,22 @@ CREATE TABLE shopify_apis (
 CREATE TABLE shopify_api_fields (
     id SERIAL PRIMARY KEY,
     api_id INTEGER REFERENCES shopify_apis(id),
-    field_name VARCHAR(100) NOT NULL,
+    field_name VARCHAR(255) NOT NULL, -- Flat name or nested path, e.g. line_items[].sku
     field_type VARCHAR(50) NOT NULL,
     is_required BOOLEAN DEFAULT false,
+    is_pii BOOLEAN DEFAULT false, -- Personal data; see destinations.privacy_policy
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(api_id, field_name)
 );
 
--- Transformation Types
-CREATE TABLE transformation_types (
+-- Shopify Admin API Versions (release and sunset dates per quarterly version)
+CREATE TABLE shopify_api_versions (
     id SERIAL PRIMARY KEY,
-    name VARCHAR(50) NOT NULL,
-    description TEXT,
-    example TEXT,
+    version VARCHAR(20) UNIQUE NOT NULL,
+    release_date DATE NOT NULL,
+    sunset_date DATE NOT NULL, -- Shopify stops serving the version after this date
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -101,6 +123,8 @@ CREATE TABLE users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    is_admin BOOLEAN DEFAULT false,
+    notification_preferences JSONB DEFAULT '{}', -- {"email": [<notification types>]}
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -111,6 +135,8 @@ CREATE TABLE sources (
     user_id INTEGER REFERENCES users(id),
     api_type_id INTEGER REFERENCES api_types(id),
     credentials JSONB NOT NULL,
+    config JSONB, -- Connection settings of non-Shopify sources (base URL, resources, pagination)
+    extraction_mode VARCHAR(20), -- Overrides shopify_apis.extraction_mode when set
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -122,28 +148,103 @@ CREATE TABLE source_selected_apis (
     source_id INTEGER REFERENCES sources(id),
     api_id INTEGER REFERENCES shopify_apis(id),
     selected_fields JSONB, -- Stores selected field IDs
+    watermark_updated_at TIMESTAMPTZ, -- Last updated_at delivered by an incremental run
+    watermark_id BIGINT, -- Highest record id delivered at watermark_updated_at
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Source Groups (several Shopify stores extracted together into one export)
+CREATE TABLE source_groups (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    name VARCHAR(100) NOT NULL,
+    selected_apis JSONB NOT NULL, -- [{ "api_id": 1, "fields": [...] }], extracted from every member
+    failure_policy VARCHAR(20) DEFAULT 'CONTINUE', -- CONTINUE delivers the stores that succeeded, FAIL fails the run
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE source_group_members (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER REFERENCES source_groups(id),
+    source_id INTEGER REFERENCES sources(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(group_id, source_id)
+);
+
+-- Watermarks of the group's selection per member, kept apart from the member's own selections
+CREATE TABLE source_group_selections (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER REFERENCES source_groups(id),
+    source_id INTEGER REFERENCES sources(id),
+    api_id INTEGER REFERENCES shopify_apis(id),
+    watermark_updated_at TIMESTAMPTZ,
+    watermark_id BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(group_id, source_id, api_id)
+);
+
 CREATE TABLE transformations (
     id SERIAL PRIMARY KEY,
     source_id INTEGER REFERENCES sources(id),
-    transformation_type_id INTEGER REFERENCES transformation_types(id),
     name VARCHAR(255) NOT NULL,
-    configuration JSONB NOT NULL, -- Stores transformation specific settings
+    configuration JSONB NOT NULL, -- Steps; their types are the ones registered in services/transformations
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Value mappings used by LOOKUP transformations (e.g. financial_status to ERP codes)
+CREATE TABLE lookup_tables (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE lookup_table_entries (
+    id SERIAL PRIMARY KEY,
+    lookup_table_id INTEGER REFERENCES lookup_tables(id) ON DELETE CASCADE,
+    lookup_key VARCHAR(255) NOT NULL,
+    lookup_value TEXT,
+    UNIQUE(lookup_table_id, lookup_key)
+);
+
+-- Exchange rates used by CONVERT_CURRENCY transformations, imported via CSV or the API
+CREATE TABLE currency_rate_tables (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE currency_rates (
+    id SERIAL PRIMARY KEY,
+    rate_table_id INTEGER REFERENCES currency_rate_tables(id) ON DELETE CASCADE,
+    from_currency CHAR(3) NOT NULL,
+    to_currency CHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC(24, 12) NOT NULL, -- 1 from_currency = rate to_currency
+    UNIQUE(rate_table_id, from_currency, to_currency, rate_date)
+);
+
 CREATE TABLE destinations (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id),
     destination_type_id INTEGER REFERENCES destination_types(id),
     file_format_id INTEGER REFERENCES file_formats(id),
     credentials JSONB NOT NULL,
+    privacy_policy VARCHAR(20) DEFAULT 'ALLOW', -- ALLOW, or PROTECT to refuse PII fields no privacy transformation covered
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -153,12 +254,15 @@ CREATE TABLE schedules (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id),
     source_id INTEGER REFERENCES sources(id),
+    source_group_id INTEGER REFERENCES source_groups(id), -- Set instead of source_id to extract a group
     transformation_id INTEGER REFERENCES transformations(id),
     destination_id INTEGER REFERENCES destinations(id),
     frequency_id INTEGER REFERENCES schedule_frequencies(id),
     day_of_week INTEGER,
     day_of_month INTEGER,
-    time_of_day TIME NOT NULL,
+    time_of_day TIME, -- Not used by EVENT-only schedules
+    trigger_type VARCHAR(20) DEFAULT 'TIME', -- TIME, EVENT or BOTH
+    event_topics JSONB, -- Webhook topics that trigger a run; NULL means any topic
     is_active BOOLEAN DEFAULT true,
     last_run TIMESTAMP,
     next_run TIMESTAMP,
@@ -166,10 +270,126 @@ CREATE TABLE schedules (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Job Executions (one row per run of a schedule)
+CREATE TABLE job_executions (
+    id SERIAL PRIMARY KEY,
+    schedule_id INTEGER REFERENCES schedules(id),
+    source_id INTEGER REFERENCES sources(id),
+    source_group_id INTEGER REFERENCES source_groups(id),
+    transformation_id INTEGER REFERENCES transformations(id),
+    destination_id INTEGER REFERENCES destinations(id),
+    status VARCHAR(20) NOT NULL,
+    message TEXT,
+    throttle_wait_ms INTEGER DEFAULT 0, -- Time spent waiting on Shopify rate limits
+    throttled_requests INTEGER DEFAULT 0, -- Requests answered with 429
+    details JSONB, -- Run report, e.g. the group members that failed
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shopify Webhook Events (deliveries received per source)
+CREATE TABLE shopify_webhook_events (
+    id SERIAL PRIMARY KEY,
+    source_id INTEGER REFERENCES sources(id),
+    webhook_id VARCHAR(255) UNIQUE, -- X-Shopify-Webhook-Id, used to drop redeliveries
+    topic VARCHAR(100) NOT NULL,
+    shop_domain VARCHAR(255),
+    payload JSONB,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+-- Field catalog changes found by sampling live responses, pending admin review
+CREATE TABLE shopify_field_proposals (
+    id SERIAL PRIMARY KEY,
+    api_id INTEGER REFERENCES shopify_apis(id),
+    source_id INTEGER REFERENCES sources(id), -- Source whose responses were sampled
+    field_name VARCHAR(255) NOT NULL,
+    field_type VARCHAR(50) NOT NULL,
+    current_type VARCHAR(50), -- Catalog type when the proposal changes an existing field
+    sample_value JSONB,
+    occurrences INTEGER DEFAULT 0,
+    sample_size INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'PENDING', -- PENDING, ACCEPTED or REJECTED
+    reviewed_by INTEGER REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Incremental cursors of non-Shopify datasets (last delivered value of the cursor column)
+CREATE TABLE source_cursors (
+    id SERIAL PRIMARY KEY,
+    source_id INTEGER REFERENCES sources(id),
+    dataset VARCHAR(100) NOT NULL,
+    cursor_value JSONB, -- {"value": ...} or {"date": "<ISO 8601>"}, with "seen": hashes of the rows delivered at that value
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, dataset)
+);
+
+-- Files read by file sources; each file is ingested once per modification time
+CREATE TABLE source_files (
+    id SERIAL PRIMARY KEY,
+    source_id INTEGER REFERENCES sources(id),
+    location VARCHAR(20) NOT NULL, -- upload, sftp or local
+    file_name VARCHAR(255) NOT NULL,
+    file_path TEXT NOT NULL,
+    file_size BIGINT,
+    modified_at TIMESTAMPTZ NOT NULL,
+    checksum VARCHAR(64), -- SHA-256 of the ingested content
+    record_count INTEGER,
+    status VARCHAR(20) DEFAULT 'PENDING', -- PENDING, PROCESSED or FAILED
+    error TEXT,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, location, file_path, modified_at)
+);
+
+-- Pending OAuth authorizations, consumed by the callback
+CREATE TABLE oauth_states (
+    id SERIAL PRIMARY KEY,
+    state VARCHAR(64) UNIQUE NOT NULL,
+    user_id INTEGER REFERENCES users(id),
+    destination_id INTEGER REFERENCES destinations(id),
+    source_id INTEGER REFERENCES sources(id), -- Source being reconnected by the Shopify install flow
+    shop VARCHAR(255), -- myshopify.com domain the install was started for
+    provider VARCHAR(50) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications for users (see NotificationService.NOTIFICATION_TYPES)
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    type VARCHAR(50) NOT NULL, -- One of notificationService.NOTIFICATION_TYPES
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+    priority VARCHAR(20) DEFAULT 'medium', -- low, medium, high or urgent
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Insert initial parametric data
 
 -- API Types
-INSERT INTO api_types (name) VALUES ('Shopify');
+INSERT INTO api_types (name) VALUES ('Shopify'), ('REST'), ('Database'), ('File');
+
+-- Shopify API Versions (each stable version is supported for 12 months)
+INSERT INTO shopify_api_versions (version, release_date, sunset_date) VALUES
+    ('2024-01', '2024-01-01', '2025-01-01'),
+    ('2024-04', '2024-04-01', '2025-04-01'),
+    ('2024-07', '2024-07-01', '2025-07-01'),
+    ('2024-10', '2024-10-01', '2025-10-01'),
+    ('2025-01', '2025-01-01', '2026-01-01'),
+    ('2025-04', '2025-04-01', '2026-04-01'),
+    ('2025-07', '2025-07-01', '2026-07-01'),
+    ('2025-10', '2025-10-01', '2026-10-01'),
+    ('2026-01', '2026-01-01', '2027-01-01'),
+    ('2026-04', '2026-04-01', '2027-04-01'),
+    ('2026-07', '2026-07-01', '2027-07-01');
 
 -- Schedule Frequencies
 INSERT INTO schedule_frequencies (name, description) VALUES
@@ -189,13 +409,13 @@ INSERT INTO destination_types (name, description, required_fields) VALUES
     ('OneDrive', 'Microsoft OneDrive Storage', '{"client_id": "string", "client_secret": "string", "refresh_token": "string", "folder_path": "string"}'),
     ('GoogleDrive', 'Google Drive Storage', '{"client_id": "string", "client_secret": "string", "refresh_token": "string", "folder_id": "string"}');
 
--- Transformation Types
-INSERT INTO transformation_types (name, description, example) VALUES
-    ('CAST', 'Convert data type', 'CAST(field AS INTEGER)'),
-    ('TOSTRING', 'Convert to string', 'TOSTRING(field)'),
-    ('CONCATENATE', 'Join multiple fields', 'CONCATENATE(field1, " ", field2)');
-
 -- Indexes for better performance
 CREATE INDEX idx_sources_user_id ON sources(user_id) WHERE is_active = true;
 CREATE INDEX idx_schedules_next_run ON schedules(next_run) WHERE is_active = true;
-CREATE INDEX idx_source_selected_apis_source_id ON source_selected_apis(source_id) WHERE is_active = true;
\ No newline at end of file
+CREATE INDEX idx_source_selected_apis_source_id ON source_selected_apis(source_id) WHERE is_active = true;
+CREATE INDEX idx_job_executions_schedule_id ON job_executions(schedule_id);
+CREATE INDEX idx_notifications_user_type ON notifications(user_id, type, created_at);
+CREATE INDEX idx_shopify_webhook_events_source_id ON shopify_webhook_events(source_id, received_at);
+CREATE UNIQUE INDEX idx_shopify_field_proposals_pending ON shopify_field_proposals(api_id, field_name) WHERE status = 'PENDING';
+CREATE UNIQUE INDEX idx_lookup_tables_user_name ON lookup_tables(user_id, name) WHERE is_active = true;
+CREATE UNIQUE INDEX idx_currency_rate_tables_user_name ON currency_rate_tables(user_id, name) WHERE is_active = true;
\ No newline at end of file
@@ -1,9 +1,22 @@
 -- Insert sample Shopify APIs
-INSERT INTO shopify_apis (name, endpoint, description) VALUES
-    ('Products', '/admin/api/2024-01/products.json', 'Retrieve product information'),
-    ('Orders', '/admin/api/2024-01/orders.json', 'Retrieve order information'),
-    ('Customers', '/admin/api/2024-01/customers.json', 'Retrieve customer information'),
-    ('Inventory', '/admin/api/2024-01/inventory_items.json', 'Retrieve inventory information');
+INSERT INTO shopify_apis (name, endpoint, description, supports_incremental, graphql_resource) VALUES
+    ('Products', '/admin/api/{api_version}/products.json', 'Retrieve product information', true, 'products'),
+    ('Orders', '/admin/api/{api_version}/orders.json', 'Retrieve order information', true, 'orders'),
+    ('Customers', '/admin/api/{api_version}/customers.json', 'Retrieve customer information', true, 'customers'),
+    ('Inventory', '/admin/api/{api_version}/inventory_items.json', 'Retrieve inventory information', false, 'inventoryItems');
+
+-- Insert child datasets of orders, read from each order's collections
+INSERT INTO shopify_apis (name, endpoint, description, parent_api_id, child_path, parent_key)
+SELECT child.name, o.endpoint, child.description, o.id, child.child_path, 'order_id'
+FROM shopify_apis o
+CROSS JOIN (VALUES
+    ('order_line_items', 'Line items of each order', 'line_items'),
+    ('order_refunds', 'Refunds of each order', 'refunds'),
+    ('order_fulfillments', 'Fulfillments of each order', 'fulfillments'),
+    ('order_shipping_lines', 'Shipping lines of each order', 'shipping_lines'),
+    ('order_discount_applications', 'Discount applications of each order', 'discount_applications')
+) AS child(name, description, child_path)
+WHERE o.name = 'Orders' AND o.parent_api_id IS NULL;
 
 -- Insert sample fields for Products API
 INSERT INTO shopify_api_fields (api_id, field_name, field_type, is_required) VALUES
@@ -24,4 +37,20 @@ INSERT INTO shopify_api_fields (api_id, field_name, field_type, is_required) VAL
     ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'created_at', 'datetime', true),
     ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'updated_at', 'datetime', true),
     ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'financial_status', 'string', true),
-    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'fulfillment_status', 'string', false);
\ No newline at end of file
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'fulfillment_status', 'string', false);
+
+-- Insert personal data fields; destinations with the PROTECT privacy policy refuse them unprotected
+INSERT INTO shopify_api_fields (api_id, field_name, field_type, is_required, is_pii) VALUES
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'email', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'phone', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'customer.first_name', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'customer.last_name', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'shipping_address.address1', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'shipping_address.phone', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Orders'), 'billing_address.address1', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'id', 'number', true, false),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'email', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'first_name', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'last_name', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'phone', 'string', false, true),
+    ((SELECT id FROM shopify_apis WHERE name = 'Customers'), 'created_at', 'datetime', true, false);
\ No newline at end of file
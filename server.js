@@ -4,9 +4,14 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const authRoutes = require('./src/routes/auth');
 const sourceRoutes = require('./src/routes/source');
+const sourceGroupRoutes = require('./src/routes/sourceGroup');
 const transformationRoutes = require('./src/routes/transformation');
+const lookupTableRoutes = require('./src/routes/lookupTable');
+const currencyRateTableRoutes = require('./src/routes/currencyRateTable');
 const destinationRoutes = require('./src/routes/destination');
 const scheduleRoutes = require('./src/routes/schedule');
+const shopifyRoutes = require('./src/routes/shopify');
+const oauthRoutes = require('./src/routes/oauth');
 const errorHandler = require('./src/middleware/errorHandler');
 const jobProcessor = require('./src/services/jobProcessor');
 
@@ -14,15 +19,25 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+    // Keep the raw payload for webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/sources', sourceRoutes);
+app.use('/api/source-groups', sourceGroupRoutes);
 app.use('/api/transformations', transformationRoutes);
+app.use('/api/lookup-tables', lookupTableRoutes);
+app.use('/api/currency-rate-tables', currencyRateTableRoutes);
 app.use('/api/destinations', destinationRoutes);
 app.use('/api/schedules', scheduleRoutes);
+app.use('/api/shopify', shopifyRoutes);
+app.use('/api/oauth', oauthRoutes);
 
 // Error handler
 app.use(errorHandler);
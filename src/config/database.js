@@ -10,7 +10,8 @@ const pool = new Pool({
 const query = async (text, params) => {
     const start = Date.now();
     try {
-        const res = await pool.query(text, params);
+        // Typed as text so rows come back as objects keyed by column name
+        const res = await pool.query(/** @type {string} */ (text), params);
         const duration = Date.now() - start;
         console.log('Executed query', { text, duration, rows: res.rowCount });
         return res;
@@ -0,0 +1,16 @@
+module.exports = {
+    DIALECTS: ['postgres', 'mysql'],
+    DEFAULT_PORTS: {
+        postgres: 5432,
+        mysql: 3306
+    },
+    CONNECT_TIMEOUT: 10000, // 10 seconds
+    QUERY_TIMEOUT: 300000, // 5 minutes
+
+    // Table names and columns are interpolated into SQL, so only plain
+    // (optionally schema-qualified) identifiers are accepted
+    IDENTIFIER_PATTERN: /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/,
+
+    // Credential fields stored encrypted
+    SECRET_FIELDS: ['password']
+};
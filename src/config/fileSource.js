@@ -0,0 +1,20 @@
+const path = require('path');
+
+module.exports = {
+    LOCATIONS: ['upload', 'sftp', 'local'],
+    FORMATS: ['csv', 'json', 'xml'],
+    DEFAULT_DATASET: 'records',
+
+    // Uploaded files are kept here until a job has ingested them
+    UPLOAD_DIR: process.env.FILE_UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+    MAX_FILE_SIZE: 50 * 1024 * 1024, // 50 MB
+    MAX_FILES_PER_RUN: 100,
+
+    // Local directories must live under this root; without it local sources are disabled
+    LOCAL_ROOT: process.env.FILE_SOURCE_ROOT || null,
+
+    CONNECT_TIMEOUT: 10000, // 10 seconds
+
+    // Credential fields stored encrypted
+    SECRET_FIELDS: ['password', 'private_key', 'passphrase']
+};
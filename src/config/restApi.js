@@ -0,0 +1,15 @@
+module.exports = {
+    REQUEST_TIMEOUT: 30000, // 30 seconds
+    MAX_RETRY_ATTEMPTS: 3,
+    RETRY_DELAY: 1000, // 1 second
+    DEFAULT_RETRY_AFTER: 2, // Seconds, when a 429 carries no Retry-After
+    DEFAULT_PAGE_SIZE: 100,
+    MAX_PAGES: 1000, // Guards against APIs that never signal the last page
+    TOKEN_EXPIRY_MARGIN: 60000, // Refresh client-credentials tokens 1 minute early
+
+    AUTH_TYPES: ['none', 'header', 'basic', 'oauth2_client_credentials'],
+    PAGINATION_TYPES: ['none', 'page', 'offset', 'cursor', 'link'],
+
+    // Credential fields stored encrypted
+    SECRET_FIELDS: ['token', 'password', 'client_secret']
+};
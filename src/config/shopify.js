@@ -0,0 +1,79 @@
+module.exports = {
+    DEFAULT_API_VERSION: process.env.SHOPIFY_API_VERSION || '2026-07', // Used when no supported version is on record
+    // Sends every shop's requests to one host instead of {shop}.myshopify.com,
+    // e.g. the local mock server. Shops are addressed as {BASE_URL}/{shop domain}.
+    BASE_URL: process.env.SHOPIFY_BASE_URL || null,
+    VERSION_SUNSET_WARNING_DAYS: 90, // Warn this long before a source's version is retired
+    VERSION_WARNING_INTERVAL: '7 days', // Minimum gap between repeated warnings per source
+    PAGE_LIMIT: 250, // Maximum page size allowed by the REST Admin API
+    REQUEST_TIMEOUT: 30000, // 30 seconds
+    MAX_RETRY_ATTEMPTS: 3,
+    RETRY_DELAY: 1000, // 1 second
+    DISCOVERY_SAMPLE_SIZE: 50, // Records sampled per API when discovering fields
+    PREVIEW_MAX_LIMIT: 50, // Largest sample returned by the source preview endpoint
+
+    // Leaky bucket defaults until Shopify reports the shop's real limits
+    RATE_LIMIT: {
+        BUCKET_SIZE: 40,
+        LEAK_RATE: 2, // Requests restored per second
+        GRAPHQL_BUCKET_SIZE: 1000, // GraphQL buckets count query cost points instead of requests
+        GRAPHQL_RESTORE_RATE: 50, // Points restored per second
+        GRAPHQL_QUERY_COST: 10, // Points charged for a query until Shopify reports what queries cost
+        HEADROOM_RATIO: 0.05, // Share of the bucket kept free for other clients
+        DEFAULT_RETRY_AFTER: 2, // Seconds, when a 429 carries no Retry-After
+        MAX_THROTTLE_RETRIES: 10
+    },
+
+    // Query parameters sent on the first page of specific resources
+    DEFAULT_PARAMS: {
+        orders: { status: 'any' }
+    },
+
+    // Access scope needed to read each REST resource (write scopes imply read)
+    REQUIRED_SCOPES: {
+        products: 'read_products',
+        orders: 'read_orders',
+        customers: 'read_customers',
+        inventory_items: 'read_inventory'
+    },
+
+    // Scopes requested when a store installs the app
+    OAUTH_SCOPES: process.env.SHOPIFY_SCOPES || 'read_products,read_orders,read_customers,read_inventory',
+    SHOP_DOMAIN_PATTERN: /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/,
+
+    // Webhook topics a schedule can subscribe to
+    WEBHOOK_TOPICS: [
+        'orders/create',
+        'orders/updated',
+        'orders/paid',
+        'orders/cancelled',
+        'orders/fulfilled',
+        'products/create',
+        'products/update',
+        'products/delete',
+        'customers/create',
+        'customers/update',
+        'inventory_levels/update'
+    ],
+
+    EXTRACTION_MODES: {
+        REST: 'REST',
+        BULK: 'BULK'
+    },
+    BULK_POLL_INTERVAL: 5000, // 5 seconds
+    BULK_TIMEOUT: 7200000, // 2 hours
+
+    // REST fields whose GraphQL counterpart is not the plain camelCase name.
+    // `selection` is queried, `path` is read back and `format` normalizes the value.
+    BULK_FIELD_MAP: {
+        orders: {
+            order_number: { selection: 'name', path: 'name', format: 'digits' },
+            total_price: { selection: 'totalPriceSet { shopMoney { amount } }', path: 'totalPriceSet.shopMoney.amount' },
+            financial_status: { selection: 'displayFinancialStatus', path: 'displayFinancialStatus', format: 'lowercase' },
+            fulfillment_status: { selection: 'displayFulfillmentStatus', path: 'displayFulfillmentStatus', format: 'lowercase' }
+        },
+        products: {
+            status: { selection: 'status', path: 'status', format: 'lowercase' }
+        }
+    }
+};
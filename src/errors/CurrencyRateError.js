@@ -0,0 +1,21 @@
+class CurrencyRateError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CurrencyRateError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class CurrencyRateImportError extends CurrencyRateError {
+    constructor(message, details = {}) {
+        super(message, 'IMPORT_ERROR', details);
+        this.name = 'CurrencyRateImportError';
+    }
+}
+
+module.exports = {
+    CurrencyRateError,
+    CurrencyRateImportError
+};
@@ -0,0 +1,37 @@
+class DatabaseSourceError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'DatabaseSourceError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class DatabaseSourceConnectionError extends DatabaseSourceError {
+    constructor(message, details = {}) {
+        super(message, 'CONNECTION_ERROR', details);
+        this.name = 'DatabaseSourceConnectionError';
+    }
+}
+
+class DatabaseSourceQueryError extends DatabaseSourceError {
+    constructor(message, details = {}) {
+        super(message, 'QUERY_ERROR', details);
+        this.name = 'DatabaseSourceQueryError';
+    }
+}
+
+class DatabaseSourceConfigError extends DatabaseSourceError {
+    constructor(message, details = {}) {
+        super(message, 'CONFIG_ERROR', details);
+        this.name = 'DatabaseSourceConfigError';
+    }
+}
+
+module.exports = {
+    DatabaseSourceError,
+    DatabaseSourceConnectionError,
+    DatabaseSourceQueryError,
+    DatabaseSourceConfigError
+};
@@ -0,0 +1,37 @@
+class FileSourceError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'FileSourceError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class FileSourceConnectionError extends FileSourceError {
+    constructor(message, details = {}) {
+        super(message, 'CONNECTION_ERROR', details);
+        this.name = 'FileSourceConnectionError';
+    }
+}
+
+class FileSourceParseError extends FileSourceError {
+    constructor(message, details = {}) {
+        super(message, 'PARSE_ERROR', details);
+        this.name = 'FileSourceParseError';
+    }
+}
+
+class FileSourceConfigError extends FileSourceError {
+    constructor(message, details = {}) {
+        super(message, 'CONFIG_ERROR', details);
+        this.name = 'FileSourceConfigError';
+    }
+}
+
+module.exports = {
+    FileSourceError,
+    FileSourceConnectionError,
+    FileSourceParseError,
+    FileSourceConfigError
+};
@@ -0,0 +1,21 @@
+class LookupTableError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'LookupTableError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class LookupTableImportError extends LookupTableError {
+    constructor(message, details = {}) {
+        super(message, 'IMPORT_ERROR', details);
+        this.name = 'LookupTableImportError';
+    }
+}
+
+module.exports = {
+    LookupTableError,
+    LookupTableImportError
+};
@@ -46,11 +46,19 @@ class OAuthProviderError extends OAuthError {
     }
 }
 
+class OAuthSignatureError extends OAuthError {
+    constructor(message, details = {}) {
+        super(message, 'SIGNATURE_ERROR', details);
+        this.name = 'OAuthSignatureError';
+    }
+}
+
 module.exports = {
     OAuthError,
     OAuthTokenError,
     OAuthConfigError,
     OAuthStateError,
     OAuthDestinationError,
-    OAuthProviderError
+    OAuthProviderError,
+    OAuthSignatureError
 };
\ No newline at end of file
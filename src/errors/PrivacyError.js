@@ -0,0 +1,21 @@
+class PrivacyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'PrivacyError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class PrivacyPolicyError extends PrivacyError {
+    constructor(message, details = {}) {
+        super(message, 'POLICY_VIOLATION', details);
+        this.name = 'PrivacyPolicyError';
+    }
+}
+
+module.exports = {
+    PrivacyError,
+    PrivacyPolicyError
+};
@@ -0,0 +1,37 @@
+class RestSourceError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'RestSourceError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class RestSourceRequestError extends RestSourceError {
+    constructor(message, details = {}) {
+        super(message, 'REQUEST_ERROR', details);
+        this.name = 'RestSourceRequestError';
+    }
+}
+
+class RestSourceAuthError extends RestSourceError {
+    constructor(message, details = {}) {
+        super(message, 'AUTH_ERROR', details);
+        this.name = 'RestSourceAuthError';
+    }
+}
+
+class RestSourceConfigError extends RestSourceError {
+    constructor(message, details = {}) {
+        super(message, 'CONFIG_ERROR', details);
+        this.name = 'RestSourceConfigError';
+    }
+}
+
+module.exports = {
+    RestSourceError,
+    RestSourceRequestError,
+    RestSourceAuthError,
+    RestSourceConfigError
+};
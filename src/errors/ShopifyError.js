@@ -0,0 +1,53 @@
+class ShopifyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'ShopifyError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class ShopifyRequestError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, 'REQUEST_ERROR', details);
+        this.name = 'ShopifyRequestError';
+    }
+}
+
+class ShopifyAuthError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, 'AUTH_ERROR', details);
+        this.name = 'ShopifyAuthError';
+    }
+}
+
+class ShopifyBulkOperationError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, 'BULK_OPERATION_ERROR', details);
+        this.name = 'ShopifyBulkOperationError';
+    }
+}
+
+class ShopifyWebhookError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, 'WEBHOOK_ERROR', details);
+        this.name = 'ShopifyWebhookError';
+    }
+}
+
+class ShopifyVersionError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, 'VERSION_ERROR', details);
+        this.name = 'ShopifyVersionError';
+    }
+}
+
+module.exports = {
+    ShopifyError,
+    ShopifyRequestError,
+    ShopifyAuthError,
+    ShopifyBulkOperationError,
+    ShopifyWebhookError,
+    ShopifyVersionError
+};
@@ -0,0 +1,37 @@
+class TransformationError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'TransformationError';
+        this.code = code;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+    }
+}
+
+class TransformationConfigError extends TransformationError {
+    constructor(message, details = {}) {
+        super(message, 'CONFIG_ERROR', details);
+        this.name = 'TransformationConfigError';
+    }
+}
+
+class ExpressionSyntaxError extends TransformationError {
+    constructor(message, details = {}) {
+        super(message, 'SYNTAX_ERROR', details);
+        this.name = 'ExpressionSyntaxError';
+    }
+}
+
+class TransformationValueError extends TransformationError {
+    constructor(message, details = {}) {
+        super(message, 'VALUE_ERROR', details);
+        this.name = 'TransformationValueError';
+    }
+}
+
+module.exports = {
+    TransformationError,
+    TransformationConfigError,
+    ExpressionSyntaxError,
+    TransformationValueError
+};
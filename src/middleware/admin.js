@@ -0,0 +1,22 @@
+const db = require('../config/database');
+
+// Must run after the auth middleware; the flag is read from the database so
+// revoking admin rights takes effect without waiting for tokens to expire
+const adminMiddleware = async (req, res, next) => {
+    try {
+        const result = await db.query(
+            'SELECT is_admin FROM users WHERE id = $1 AND is_active = true',
+            [req.user.id]
+        );
+
+        if (!result.rows[0]?.is_admin) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = adminMiddleware;
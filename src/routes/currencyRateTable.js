@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../config/database');
+const auth = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const responseHandler = require('../utils/responseHandler');
+const currencyRateService = require('../services/currencyRateService');
+const { CurrencyRateError } = require('../errors/CurrencyRateError');
+
+// Imported files are only parsed, so they never touch the disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: currencyRateService.MAX_IMPORT_SIZE }
+});
+
+const uploadFile = (req, res, next) => upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json(responseHandler.badRequest(error.message));
+    }
+    next(error);
+});
+
+// Validation middleware for rate table creation/update
+const validateRateTable = [
+    body('name').isString().trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be a string')
+];
+
+// Filters shared by listing and deleting rates
+const validateRateFilters = [
+    query('from').optional().matches(/^[A-Za-z]{3}$/).withMessage('From must be a currency code').toUpperCase(),
+    query('to').optional().matches(/^[A-Za-z]{3}$/).withMessage('To must be a currency code').toUpperCase(),
+    query('start').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start must be YYYY-MM-DD'),
+    query('end').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('End must be YYYY-MM-DD')
+];
+
+const validateRateList = [
+    ...validateRateFilters,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt()
+];
+
+const validateRates = [
+    body('rates').isArray({ min: 1 }).withMessage('Rates must be a non-empty array')
+];
+
+const validateImport = [
+    body('delimiter').optional().isLength({ min: 1, max: 1 }).withMessage('Delimiter must be a single character')
+];
+
+const findTable = async (id, userId) => {
+    const result = await db.query(
+        'SELECT id FROM currency_rate_tables WHERE id = $1 AND user_id = $2 AND is_active = true',
+        [id, userId]
+    );
+    return result.rows[0] || null;
+};
+
+// Get all rate tables for a user, with the currency pairs and dates they cover
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const tables = await currencyRateService.getTables(req.user.id);
+
+        res.json(responseHandler.success(tables));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const table = await currencyRateService.getTable(req.params.id, req.user.id);
+
+        if (!table) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        res.json(responseHandler.success(table));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create an empty rate table; rates are added through /:id/rates or /:id/import
+router.post('/', [auth, ...validateRateTable], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { name, description = null } = req.body;
+
+        if (await currencyRateService.isNameTaken(name, req.user.id)) {
+            return res.status(400).json(responseHandler.badRequest(`A currency rate table named "${name}" already exists`));
+        }
+
+        const result = await db.query(
+            `INSERT INTO currency_rate_tables (user_id, name, description)
+            VALUES ($1, $2, $3)
+            RETURNING id`,
+            [req.user.id, name, description]
+        );
+
+        const table = await currencyRateService.getTable(result.rows[0].id, req.user.id);
+        res.status(201).json(responseHandler.success(table));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.put('/:id', [auth, ...validateRateTable], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { name, description = null } = req.body;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        if (await currencyRateService.isNameTaken(name, req.user.id, id)) {
+            return res.status(400).json(responseHandler.badRequest(`A currency rate table named "${name}" already exists`));
+        }
+
+        await db.query(
+            `UPDATE currency_rate_tables
+            SET name = $1,
+                description = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3`,
+            [name, description, id]
+        );
+
+        const table = await currencyRateService.getTable(id, req.user.id);
+        res.json(responseHandler.success(table));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a rate table; CONVERT_CURRENCY steps still naming it report an error on their next run
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        await db.query(
+            'UPDATE currency_rate_tables SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+
+        res.json(responseHandler.success({ message: 'Currency rate table deleted successfully' }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get the rates of a table, newest first
+router.get('/:id/rates', [auth, ...validateRateList], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { from, to, start, end } = req.query;
+        const page = Number(req.query.page) || 1;
+        const limit = Number(req.query.limit) || 100;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        const { rates, total } = await currencyRateService.getRates(id, { from, to, start, end, page, limit });
+
+        res.json(responseHandler.paginated(rates, total, page, limit));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Add or overwrite rates: { rates: [{ date: 'YYYY-MM-DD', from: 'USD', to: 'EUR', rate: 0.92 }] }
+router.post('/:id/rates', [auth, ...validateRates], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        const rates = req.body.rates.map((rate, index) => currencyRateService.normalizeRate(rate, `Rate ${index}`));
+        const imported = await currencyRateService.upsertRates(id, rates);
+
+        res.json(responseHandler.success({ imported }));
+    } catch (error) {
+        if (error instanceof CurrencyRateError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Import rates from a CSV file with date, from, to and rate columns
+router.post('/:id/import', [auth, uploadFile], validateImport, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+        if (!req.file) {
+            return res.status(400).json(responseHandler.badRequest('A file is required'));
+        }
+
+        const { id } = req.params;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        const rates = currencyRateService.parseCsv(req.file.buffer, { delimiter: req.body.delimiter });
+        const imported = await currencyRateService.upsertRates(id, rates);
+
+        res.json(responseHandler.success({ imported }));
+    } catch (error) {
+        if (error instanceof CurrencyRateError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Delete the rates matching the filters; without filters the table is emptied
+router.delete('/:id/rates', [auth, ...validateRateFilters], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { from, to, start, end } = req.query;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Currency rate table not found'));
+        }
+
+        const deleted = await currencyRateService.deleteRates(id, { from, to, start, end });
+
+        res.json(responseHandler.success({ deleted }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
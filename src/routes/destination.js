@@ -3,12 +3,17 @@ const router = express.Router();
 const db = require('../config/database');
 const auth = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const privacyService = require('../services/privacyService');
 
 // Validation middleware
 const validateDestination = [
     body('destination_type_id').isInt().withMessage('Destination type ID must be an integer'),
     body('file_format_id').isInt().withMessage('File format ID must be an integer'),
     body('credentials').isObject().withMessage('Credentials must be an object'),
+    body('privacy_policy')
+        .optional()
+        .isIn(Object.values(privacyService.POLICIES))
+        .withMessage(`Privacy policy must be one of: ${Object.values(privacyService.POLICIES).join(', ')}`),
     // Conditional validation based on destination type
     body('credentials.host').if(body('destination_type_id').equals(1)).notEmpty().withMessage('SFTP host is required'),
     body('credentials.port').if(body('destination_type_id').equals(1)).isInt().withMessage('SFTP port must be a number'),
@@ -53,8 +58,13 @@ router.post('/', auth, validateDestination, async (req, res, next) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { destination_type_id, file_format_id, credentials } = req.body;
-        console.log('Creating destination:', { destination_type_id, file_format_id });
+        const {
+            destination_type_id,
+            file_format_id,
+            credentials,
+            privacy_policy = privacyService.POLICIES.ALLOW
+        } = req.body;
+        console.log('Creating destination:', { destination_type_id, file_format_id, privacy_policy });
 
         // Verify destination type exists and get required fields
         const typeCheck = await db.query(
@@ -76,10 +86,10 @@ router.post('/', auth, validateDestination, async (req, res, next) => {
 
         const result = await db.query(
             `INSERT INTO destinations 
-            (user_id, destination_type_id, file_format_id, credentials) 
-            VALUES ($1, $2, $3, $4) 
+            (user_id, destination_type_id, file_format_id, credentials, privacy_policy) 
+            VALUES ($1, $2, $3, $4, $5) 
             RETURNING *`,
-            [req.user.id, destination_type_id, file_format_id, credentials]
+            [req.user.id, destination_type_id, file_format_id, credentials, privacy_policy]
         );
 
         console.log('Destination created:', result.rows[0]);
@@ -122,7 +132,8 @@ router.put('/:id', auth, validateDestination, async (req, res, next) => {
         }
 
         const { id } = req.params;
-        const { destination_type_id, file_format_id, credentials } = req.body;
+        // Without a privacy_policy the destination keeps its current one
+        const { destination_type_id, file_format_id, credentials, privacy_policy = null } = req.body;
 
         // Verify destination belongs to user
         const destinationCheck = await db.query(
@@ -139,10 +150,11 @@ router.put('/:id', auth, validateDestination, async (req, res, next) => {
             SET destination_type_id = $1,
                 file_format_id = $2,
                 credentials = $3,
+                privacy_policy = COALESCE($4, privacy_policy),
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = $4 AND user_id = $5
+            WHERE id = $5 AND user_id = $6
             RETURNING *`,
-            [destination_type_id, file_format_id, credentials, id, req.user.id]
+            [destination_type_id, file_format_id, credentials, privacy_policy, id, req.user.id]
         );
 
         console.log('Destination updated:', result.rows[0]);
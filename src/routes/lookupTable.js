@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../config/database');
+const auth = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const responseHandler = require('../utils/responseHandler');
+const lookupTableService = require('../services/lookupTableService');
+const { LookupTableError } = require('../errors/LookupTableError');
+
+// Imported files are only parsed, so they never touch the disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: lookupTableService.MAX_IMPORT_SIZE }
+});
+
+const uploadFile = (req, res, next) => upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json(responseHandler.badRequest(error.message));
+    }
+    next(error);
+});
+
+// Validation middleware for lookup table creation/update
+const validateLookupTable = [
+    body('name').isString().trim().notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be a string'),
+    body('entries').optional().isArray().withMessage('Entries must be an array of { key, value }'),
+    body('entries.*').isObject().withMessage('Entries must be objects with a key and a value')
+];
+
+const validateImport = [
+    body('mode')
+        .optional()
+        .isIn(lookupTableService.IMPORT_MODES)
+        .withMessage(`Mode must be one of: ${lookupTableService.IMPORT_MODES.join(', ')}`),
+    body('delimiter').optional().isLength({ min: 1, max: 1 }).withMessage('Delimiter must be a single character')
+];
+
+const findTable = async (id, userId) => {
+    const result = await db.query(
+        'SELECT id FROM lookup_tables WHERE id = $1 AND user_id = $2 AND is_active = true',
+        [id, userId]
+    );
+    return result.rows[0] || null;
+};
+
+// Get all lookup tables for a user, without their entries
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const tables = await lookupTableService.getTables(req.user.id);
+
+        res.json(responseHandler.success(tables));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get a lookup table with its entries
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const table = await lookupTableService.getTable(req.params.id, req.user.id);
+
+        if (!table) {
+            return res.status(404).json(responseHandler.notFound('Lookup table not found'));
+        }
+
+        res.json(responseHandler.success(table));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create a lookup table, optionally with its entries
+router.post('/', [auth, ...validateLookupTable], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { name, description = null, entries = [] } = req.body;
+
+        if (await lookupTableService.isNameTaken(name, req.user.id)) {
+            return res.status(400).json(responseHandler.badRequest(`A lookup table named "${name}" already exists`));
+        }
+
+        // Begin transaction
+        await db.query('BEGIN');
+
+        try {
+            const tableResult = await db.query(
+                `INSERT INTO lookup_tables (user_id, name, description)
+                VALUES ($1, $2, $3)
+                RETURNING id`,
+                [req.user.id, name, description]
+            );
+
+            await lookupTableService.mergeEntries(tableResult.rows[0].id, entries);
+
+            await db.query('COMMIT');
+
+            const table = await lookupTableService.getTable(tableResult.rows[0].id, req.user.id);
+            res.status(201).json(responseHandler.success(table));
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    } catch (error) {
+        if (error instanceof LookupTableError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Update a lookup table; entries, when given, replace the current ones
+router.put('/:id', [auth, ...validateLookupTable], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { name, description = null, entries } = req.body;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Lookup table not found'));
+        }
+
+        if (await lookupTableService.isNameTaken(name, req.user.id, id)) {
+            return res.status(400).json(responseHandler.badRequest(`A lookup table named "${name}" already exists`));
+        }
+
+        // Begin transaction
+        await db.query('BEGIN');
+
+        try {
+            await db.query(
+                `UPDATE lookup_tables
+                SET name = $1,
+                    description = $2,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3`,
+                [name, description, id]
+            );
+
+            if (entries) {
+                await lookupTableService.replaceEntries(id, entries);
+            }
+
+            await db.query('COMMIT');
+
+            const table = await lookupTableService.getTable(id, req.user.id);
+            res.json(responseHandler.success(table));
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    } catch (error) {
+        if (error instanceof LookupTableError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Import entries from a CSV file with a header row. The key and value columns
+// default to the first two; mode "replace" drops the entries not in the file.
+router.post('/:id/import', [auth, uploadFile], validateImport, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+        if (!req.file) {
+            return res.status(400).json(responseHandler.badRequest('A file is required'));
+        }
+
+        const { id } = req.params;
+        const { key_column, value_column, delimiter, mode = 'merge' } = req.body;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Lookup table not found'));
+        }
+
+        const { entries, skipped } = lookupTableService.parseCsv(req.file.buffer, {
+            keyColumn: key_column,
+            valueColumn: value_column,
+            delimiter
+        });
+
+        // Begin transaction
+        await db.query('BEGIN');
+
+        try {
+            const imported = mode === 'replace'
+                ? await lookupTableService.replaceEntries(id, entries)
+                : await lookupTableService.mergeEntries(id, entries);
+
+            await db.query('UPDATE lookup_tables SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+            await db.query('COMMIT');
+
+            const [table] = await lookupTableService.getTables(req.user.id, id);
+            res.json(responseHandler.success({ ...table, imported, skipped, mode }));
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    } catch (error) {
+        if (error instanceof LookupTableError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Delete a lookup table; LOOKUP steps still naming it report an error on their next run
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!await findTable(id, req.user.id)) {
+            return res.status(404).json(responseHandler.notFound('Lookup table not found'));
+        }
+
+        await db.query(
+            'UPDATE lookup_tables SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+
+        res.json(responseHandler.success({ message: 'Lookup table deleted successfully' }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require('../config/database');
 const auth = require('../middleware/auth');
 const oauthService = require('../services/oauthService');
+const { OAuthConfigError } = require('../errors/OAuthError');
 
 // Get OAuth URL for a destination
 router.get('/authorize/:destinationId', auth, async (req, res) => {
@@ -76,6 +77,65 @@ router.get('/callback', async (req, res) => {
     }
 });
 
+// Get the Shopify install URL for a store; pass source_id to reconnect an existing source
+router.post('/shopify/authorize', auth, async (req, res) => {
+    try {
+        const { shop, source_id: sourceId = null } = req.body;
+
+        if (sourceId) {
+            const sourceCheck = await db.query(
+                'SELECT id FROM sources WHERE id = $1 AND user_id = $2',
+                [sourceId, req.user.id]
+            );
+
+            if (sourceCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'Source not found' });
+            }
+        }
+
+        const authUrl = await oauthService.getShopifyAuthorizationUrl(req.user.id, shop, sourceId);
+
+        res.json({ authUrl });
+    } catch (error) {
+        if (error instanceof OAuthConfigError) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        console.error('Shopify authorization URL generation error:', error);
+        res.status(500).json({ error: 'Failed to generate authorization URL' });
+    }
+});
+
+// Shopify redirects here after the merchant approves the install
+router.get('/shopify/callback', async (req, res) => {
+    try {
+        const result = await oauthService.handleShopifyCallback(req.query);
+
+        // Return success page that closes the popup
+        res.send(`
+            <html>
+                <body>
+                    <script>
+                        window.opener.postMessage(${JSON.stringify(result)}, "${process.env.APP_URL}");
+                        window.close();
+                    </script>
+                </body>
+            </html>
+        `);
+    } catch (error) {
+        console.error('Shopify OAuth callback error:', error);
+        res.status(500).send(`
+            <html>
+                <body>
+                    <script>
+                        window.opener.postMessage({ error: "Authentication failed" }, "${process.env.APP_URL}");
+                        window.close();
+                    </script>
+                </body>
+            </html>
+        `);
+    }
+});
+
 // Force token refresh endpoint
 router.post('/refresh/:destinationId', auth, async (req, res) => {
     try {
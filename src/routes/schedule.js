@@ -3,18 +3,65 @@ const router = express.Router();
 const db = require('../config/database');
 const auth = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const shopifyConfig = require('../config/shopify');
+
+// Time-based settings are only required when the schedule runs on a clock
+const isTimeTriggered = body('trigger_type').not().equals('EVENT');
 
 // Validation middleware
 const validateSchedule = [
-    body('source_id').isInt().withMessage('Source ID must be an integer'),
+    body('source_id').optional({ values: 'null' }).isInt().withMessage('Source ID must be an integer'),
+    body('source_group_id').optional({ values: 'null' }).isInt().withMessage('Source group ID must be an integer'),
+    body()
+        .custom(schedule => Boolean(schedule.source_id) !== Boolean(schedule.source_group_id))
+        .withMessage('Either a source ID or a source group ID is required'),
     body('transformation_id').isInt().withMessage('Transformation ID must be an integer'),
     body('destination_id').isInt().withMessage('Destination ID must be an integer'),
-    body('frequency_id').isInt().withMessage('Frequency ID must be an integer'),
-    body('time_of_day').matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:mm format'),
+    body('trigger_type').optional().isIn(['TIME', 'EVENT', 'BOTH']).withMessage('Trigger type must be TIME, EVENT or BOTH'),
+    body('event_topics').optional({ values: 'null' }).isArray().withMessage('Event topics must be an array'),
+    body('event_topics.*').isIn(shopifyConfig.WEBHOOK_TOPICS).withMessage('Unsupported webhook topic'),
+    body('frequency_id').if(isTimeTriggered).isInt().withMessage('Frequency ID must be an integer'),
+    body('time_of_day').if(isTimeTriggered).matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:mm format'),
     body('day_of_week').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 and 6'),
     body('day_of_month').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31')
 ];
 
+// A schedule's transformation must belong to its source, or to one of the
+// group's sources; its destination must belong to the user
+const verifyComponents = async (userId, { source_id, source_group_id, transformation_id, destination_id }) => {
+    if (source_group_id) {
+        const result = await db.query(`
+            SELECT g.id
+            FROM source_groups g
+            LEFT JOIN transformations t ON t.id = $2
+            LEFT JOIN destinations d ON d.id = $3
+            WHERE g.id = $1
+            AND g.user_id = $4
+            AND g.is_active = true
+            AND (t.source_id IN (SELECT source_id FROM source_group_members WHERE group_id = g.id) OR t.id IS NULL)
+            AND (d.user_id = $4 OR d.id IS NULL)
+        `, [source_group_id, transformation_id, destination_id, userId]);
+
+        return result.rows.length > 0;
+    }
+
+    const result = await db.query(`
+        SELECT 
+            s.id as source_exists,
+            t.id as transform_exists,
+            d.id as destination_exists
+        FROM sources s
+        LEFT JOIN transformations t ON t.id = $2
+        LEFT JOIN destinations d ON d.id = $3
+        WHERE s.id = $1 
+        AND s.user_id = $4 
+        AND (t.source_id = s.id OR t.id IS NULL)
+        AND (d.user_id = $4 OR d.id IS NULL)
+    `, [source_id, transformation_id, destination_id, userId]);
+
+    return result.rows.length > 0;
+};
+
 // Get available schedule frequencies
 router.get('/frequencies', auth, async (req, res, next) => {
     try {
@@ -36,31 +83,20 @@ router.post('/', auth, validateSchedule, async (req, res, next) => {
         }
 
         const {
-            source_id,
+            source_id = null,
+            source_group_id = null,
             transformation_id,
             destination_id,
             frequency_id,
             time_of_day,
             day_of_week,
-            day_of_month
+            day_of_month,
+            trigger_type = 'TIME',
+            event_topics = null
         } = req.body;
 
         // Verify all components belong to user
-        const verifyComponents = await db.query(`
-            SELECT 
-                s.id as source_exists,
-                t.id as transform_exists,
-                d.id as destination_exists
-            FROM sources s
-            LEFT JOIN transformations t ON t.id = $2
-            LEFT JOIN destinations d ON d.id = $3
-            WHERE s.id = $1 
-            AND s.user_id = $4 
-            AND (t.source_id = s.id OR t.id IS NULL)
-            AND (d.user_id = $4 OR d.id IS NULL)
-        `, [source_id, transformation_id, destination_id, req.user.id]);
-
-        if (verifyComponents.rows.length === 0) {
+        if (!await verifyComponents(req.user.id, req.body)) {
             return res.status(404).json({ error: 'One or more components not found' });
         }
 
@@ -86,31 +122,38 @@ router.post('/', auth, validateSchedule, async (req, res, next) => {
             WHERE sf.id = $4
         `, [time_of_day, day_of_week, day_of_month, frequency_id]);
 
-        const next_run = calculateNextRun.rows[0].next_run;
+        // Event-only schedules have no next run
+        const next_run = trigger_type === 'EVENT' ? null : calculateNextRun.rows[0]?.next_run;
 
         // Create schedule
         const result = await db.query(`
             INSERT INTO schedules (
                 user_id,
                 source_id,
+                source_group_id,
                 transformation_id,
                 destination_id,
                 frequency_id,
                 time_of_day,
                 day_of_week,
                 day_of_month,
+                trigger_type,
+                event_topics,
                 next_run
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING *
         `, [
             req.user.id,
             source_id,
+            source_group_id,
             transformation_id,
             destination_id,
             frequency_id,
             time_of_day,
             day_of_week,
             day_of_month,
+            trigger_type,
+            event_topics ? JSON.stringify(event_topics) : null,
             next_run
         ]);
 
@@ -128,12 +171,14 @@ router.get('/', auth, async (req, res, next) => {
                 s.*,
                 sf.name as frequency_name,
                 src.credentials->>'shop_name' as shop_name,
+                sg.name as source_group_name,
                 t.name as transformation_name,
                 dt.name as destination_type,
                 ff.name as file_format
             FROM schedules s
-            JOIN schedule_frequencies sf ON s.frequency_id = sf.id
-            JOIN sources src ON s.source_id = src.id
+            LEFT JOIN schedule_frequencies sf ON s.frequency_id = sf.id
+            LEFT JOIN sources src ON s.source_id = src.id
+            LEFT JOIN source_groups sg ON s.source_group_id = sg.id
             LEFT JOIN transformations t ON s.transformation_id = t.id
             JOIN destinations d ON s.destination_id = d.id
             JOIN destination_types dt ON d.destination_type_id = dt.id
@@ -158,13 +203,16 @@ router.put('/:id', auth, validateSchedule, async (req, res, next) => {
 
         const { id } = req.params;
         const {
-            source_id,
+            source_id = null,
+            source_group_id = null,
             transformation_id,
             destination_id,
             frequency_id,
             time_of_day,
             day_of_week,
-            day_of_month
+            day_of_month,
+            trigger_type = 'TIME',
+            event_topics = null
         } = req.body;
 
         // Verify schedule belongs to user
@@ -177,6 +225,11 @@ router.put('/:id', auth, validateSchedule, async (req, res, next) => {
             return res.status(404).json({ error: 'Schedule not found' });
         }
 
+        // Verify all components belong to user
+        if (!await verifyComponents(req.user.id, req.body)) {
+            return res.status(404).json({ error: 'One or more components not found' });
+        }
+
         // Calculate next run time
         const calculateNextRun = await db.query(`
             SELECT 
@@ -199,29 +252,36 @@ router.put('/:id', auth, validateSchedule, async (req, res, next) => {
             WHERE sf.id = $4
         `, [time_of_day, day_of_week, day_of_month, frequency_id]);
 
-        const next_run = calculateNextRun.rows[0].next_run;
+        // Event-only schedules have no next run
+        const next_run = trigger_type === 'EVENT' ? null : calculateNextRun.rows[0]?.next_run;
 
         const result = await db.query(`
             UPDATE schedules
             SET source_id = $1,
-                transformation_id = $2,
-                destination_id = $3,
-                frequency_id = $4,
-                time_of_day = $5,
-                day_of_week = $6,
-                day_of_month = $7,
-                next_run = $8,
+                source_group_id = $2,
+                transformation_id = $3,
+                destination_id = $4,
+                frequency_id = $5,
+                time_of_day = $6,
+                day_of_week = $7,
+                day_of_month = $8,
+                trigger_type = $9,
+                event_topics = $10,
+                next_run = $11,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = $9 AND user_id = $10
+            WHERE id = $12 AND user_id = $13
             RETURNING *
         `, [
             source_id,
+            source_group_id,
             transformation_id,
             destination_id,
             frequency_id,
             time_of_day,
             day_of_week,
             day_of_month,
+            trigger_type,
+            event_topics ? JSON.stringify(event_topics) : null,
             next_run,
             id,
             req.user.id
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { body, validationResult } = require('express-validator');
+const responseHandler = require('../utils/responseHandler');
+const shopifyWebhookService = require('../services/shopifyWebhookService');
+const shopifyFieldDiscoveryService = require('../services/shopifyFieldDiscoveryService');
+const errorLogger = require('../services/errorLogger');
+const shopifyConfig = require('../config/shopify');
+const { ShopifyWebhookError } = require('../errors/ShopifyError');
+
+// Validation middleware for webhook registration
+const validateWebhookTopics = [
+    body('topics').isArray({ min: 1 }).withMessage('Topics must be a non-empty array'),
+    body('topics.*')
+        .isIn(shopifyConfig.WEBHOOK_TOPICS)
+        .withMessage(`Topic must be one of: ${shopifyConfig.WEBHOOK_TOPICS.join(', ')}`)
+];
+
+// Validation middleware for field discovery
+const validateDiscovery = [
+    body('api_ids').optional().isArray().withMessage('API IDs must be an array'),
+    body('api_ids.*').isInt().withMessage('API IDs must be integers'),
+    body('sample_size')
+        .optional()
+        .isInt({ min: 1, max: shopifyConfig.PAGE_LIMIT })
+        .withMessage(`Sample size must be between 1 and ${shopifyConfig.PAGE_LIMIT}`)
+];
+
+// Validation middleware for reviewing field proposals
+const validateProposalIds = [
+    body('ids').isArray({ min: 1 }).withMessage('IDs must be a non-empty array'),
+    body('ids.*').isInt().withMessage('IDs must be integers')
+];
+
+const validatePiiTag = [
+    body('is_pii').isBoolean().withMessage('PII flag must be a boolean').toBoolean()
+];
+
+// Receive a webhook delivery from Shopify (authenticated by HMAC, not JWT)
+router.post('/webhooks/:sourceId', async (req, res, next) => {
+    try {
+        const { sourceId } = req.params;
+        const topic = req.get('X-Shopify-Topic');
+
+        const source = await shopifyWebhookService.findSource(sourceId);
+        if (!source) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const { duplicate } = await shopifyWebhookService.receive(source, req.headers, req.rawBody, req.body);
+
+        // Acknowledge right away; Shopify expects a response within 5 seconds
+        res.json(responseHandler.success({ received: true, duplicate }));
+
+        if (!duplicate) {
+            shopifyWebhookService.triggerSchedules(source.id, topic).catch(error => errorLogger.logError(error, {
+                component: 'ShopifyWebhooks',
+                sourceId,
+                topic
+            }));
+        }
+    } catch (error) {
+        if (error instanceof ShopifyWebhookError) {
+            return res.status(401).json(responseHandler.unauthorized(error.message));
+        }
+        next(error);
+    }
+});
+
+// Get stored webhook events for a source
+router.get('/sources/:sourceId/events', auth, async (req, res, next) => {
+    try {
+        const { sourceId } = req.params;
+        const page = Number(req.query.page) || 1;
+        const limit = Number(req.query.limit) || 20;
+        const topic = req.query.topic ? String(req.query.topic) : null;
+        const offset = (page - 1) * limit;
+
+        // Verify source belongs to user
+        const sourceCheck = await db.query(
+            'SELECT id FROM sources WHERE id = $1 AND user_id = $2',
+            [sourceId, req.user.id]
+        );
+
+        if (sourceCheck.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const values = [sourceId];
+        let conditions = 'WHERE source_id = $1';
+
+        if (topic) {
+            values.push(topic);
+            conditions += ` AND topic = $${values.length}`;
+        }
+
+        const [events, countResult] = await Promise.all([
+            db.query(`
+                SELECT id, webhook_id, topic, shop_domain, payload, received_at, processed_at
+                FROM shopify_webhook_events
+                ${conditions}
+                ORDER BY received_at DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `, [...values, limit, offset]),
+            db.query(`SELECT COUNT(*) FROM shopify_webhook_events ${conditions}`, values)
+        ]);
+
+        res.json(responseHandler.paginated(
+            events.rows,
+            parseInt(countResult.rows[0].count),
+            page,
+            limit
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Subscribe a source's shop to webhook topics
+router.post('/sources/:sourceId/webhooks', [auth, ...validateWebhookTopics], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { sourceId } = req.params;
+
+        const sourceResult = await db.query(
+            'SELECT * FROM sources WHERE id = $1 AND user_id = $2 AND is_active = true',
+            [sourceId, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const address = `${process.env.APP_URL}/api/shopify/webhooks/${sourceId}`;
+        const webhooks = await shopifyWebhookService.registerWebhooks(
+            sourceResult.rows[0],
+            req.body.topics,
+            address
+        );
+
+        res.status(201).json(responseHandler.success(webhooks));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Sample a source's live responses and propose field catalog updates
+router.post('/sources/:sourceId/discover-fields', [auth, ...validateDiscovery], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { sourceId } = req.params;
+
+        const sourceResult = await db.query(
+            'SELECT * FROM sources WHERE id = $1 AND user_id = $2 AND is_active = true',
+            [sourceId, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const results = await shopifyFieldDiscoveryService.discover(sourceResult.rows[0], {
+            apiIds: req.body.api_ids,
+            sampleSize: req.body.sample_size
+        });
+
+        res.json(responseHandler.success(results));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get field catalog proposals for review
+router.get('/field-proposals', [auth, admin], async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, status = 'PENDING', api_id } = req.query;
+        const offset = (page - 1) * limit;
+
+        const values = [status];
+        let conditions = 'WHERE sfp.status = $1';
+
+        if (api_id) {
+            values.push(api_id);
+            conditions += ` AND sfp.api_id = $${values.length}`;
+        }
+
+        const [proposals, countResult] = await Promise.all([
+            db.query(`
+                SELECT sfp.*, sa.name as api_name
+                FROM shopify_field_proposals sfp
+                JOIN shopify_apis sa ON sfp.api_id = sa.id
+                ${conditions}
+                ORDER BY sa.name, sfp.field_name
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `, [...values, limit, offset]),
+            db.query(`SELECT COUNT(*) FROM shopify_field_proposals sfp ${conditions}`, values)
+        ]);
+
+        res.json(responseHandler.paginated(
+            proposals.rows,
+            parseInt(countResult.rows[0].count),
+            parseInt(page),
+            parseInt(limit)
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Accept proposals into shopify_api_fields
+router.post('/field-proposals/accept', [auth, admin, ...validateProposalIds], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const accepted = await shopifyFieldDiscoveryService.acceptProposals(req.body.ids, req.user.id);
+        res.json(responseHandler.success(accepted));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reject proposals; they are not proposed again unless the inferred type changes
+router.post('/field-proposals/reject', [auth, admin, ...validateProposalIds], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const rejected = await shopifyFieldDiscoveryService.rejectProposals(req.body.ids, req.user.id);
+        res.json(responseHandler.success(rejected));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Tag or untag a catalog field as personal data, which destinations with the
+// PROTECT privacy policy refuse unless a privacy transformation covers it
+router.put('/fields/:fieldId/pii', [auth, admin, ...validatePiiTag], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const result = await db.query(`
+            UPDATE shopify_api_fields
+            SET is_pii = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *`,
+            [req.body.is_pii, req.params.fieldId]
+        );
+
+        if (!result.rows.length) {
+            return res.status(404).json(responseHandler.notFound('Field not found'));
+        }
+
+        res.json(responseHandler.success(result.rows[0]));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,214 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs').promises;
+const multer = require('multer');
 const db = require('../config/database');
 const auth = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const responseHandler = require('../utils/responseHandler');
+const shopifyService = require('../services/shopifyService');
+const shopifyVersionService = require('../services/shopifyVersionService');
+const restApiService = require('../services/restApiService');
+const databaseSourceService = require('../services/databaseSourceService');
+const fileSourceService = require('../services/fileSourceService');
+const shopifyConfig = require('../config/shopify');
+const restApiConfig = require('../config/restApi');
+const databaseSourceConfig = require('../config/databaseSource');
+const fileSourceConfig = require('../config/fileSource');
+const { ShopifyError, ShopifyVersionError } = require('../errors/ShopifyError');
+const { RestSourceError } = require('../errors/RestSourceError');
+const { DatabaseSourceError } = require('../errors/DatabaseSourceError');
+const { FileSourceError } = require('../errors/FileSourceError');
+
+// Uploaded files wait on disk until a job run of their source ingests them
+const upload = multer({
+    dest: fileSourceConfig.UPLOAD_DIR,
+    limits: { fileSize: fileSourceConfig.MAX_FILE_SIZE }
+});
+
+// Single file upload; oversized or malformed uploads are a bad request
+const uploadFile = (req, res, next) => upload.single('file')(req, res, error => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json(responseHandler.badRequest(error.message));
+    }
+    next(error);
+});
+
+// Validation chains for each source type
+const sourceTypeValidation = {
+    Shopify: [
+        body('credentials').isObject().withMessage('Credentials must be an object'),
+        body('credentials.shop_name').notEmpty().withMessage('Shop name is required'),
+        body('credentials.shop_url').isURL().withMessage('Valid shop URL is required'),
+        body('credentials.access_token').notEmpty().withMessage('Access token is required'),
+        body('credentials.api_version').notEmpty().withMessage('API version is required'),
+        body('extraction_mode')
+            .optional({ values: 'null' })
+            .isIn(['REST', 'BULK'])
+            .withMessage('Extraction mode must be REST or BULK')
+    ],
+    REST: [
+        body('config').isObject().withMessage('Config must be an object'),
+        body('config.base_url').isURL({ require_tld: false }).withMessage('Valid base URL is required'),
+        body('config.resources').isArray({ min: 1 }).withMessage('At least one resource is required'),
+        body('config.resources')
+            .custom(resources => new Set(resources.map(resource => resource.name)).size === resources.length)
+            .withMessage('Resource names must be unique'),
+        body('config.resources.*.name').isString().notEmpty().withMessage('Resource name is required'),
+        body('config.resources.*.path').isString().withMessage('Resource path must be a string'),
+        body('config.resources.*.record_path').optional().isString().withMessage('Record path must be a string'),
+        body('config.resources.*.field_mapping').optional().isObject().withMessage('Field mapping must be an object'),
+        body('config.pagination.type')
+            .optional()
+            .isIn(restApiConfig.PAGINATION_TYPES)
+            .withMessage(`Pagination type must be one of: ${restApiConfig.PAGINATION_TYPES.join(', ')}`),
+        body('config.pagination.page_size').optional().isInt({ min: 1 }).withMessage('Page size must be a positive integer'),
+        body('credentials').isObject().withMessage('Credentials must be an object'),
+        body('credentials.auth_type')
+            .isIn(restApiConfig.AUTH_TYPES)
+            .withMessage(`Auth type must be one of: ${restApiConfig.AUTH_TYPES.join(', ')}`),
+        body('credentials.token')
+            .if(body('credentials.auth_type').equals('header'))
+            .notEmpty()
+            .withMessage('Token is required for header auth'),
+        body(['credentials.username', 'credentials.password'])
+            .if(body('credentials.auth_type').equals('basic'))
+            .notEmpty()
+            .withMessage('Username and password are required for basic auth'),
+        body('credentials.token_url')
+            .if(body('credentials.auth_type').equals('oauth2_client_credentials'))
+            .isURL({ require_tld: false })
+            .withMessage('Valid token URL is required for client credentials auth'),
+        body(['credentials.client_id', 'credentials.client_secret'])
+            .if(body('credentials.auth_type').equals('oauth2_client_credentials'))
+            .notEmpty()
+            .withMessage('Client ID and secret are required for client credentials auth')
+    ],
+    Database: [
+        body('config').isObject().withMessage('Config must be an object'),
+        body('config.dialect')
+            .isIn(databaseSourceConfig.DIALECTS)
+            .withMessage(`Dialect must be one of: ${databaseSourceConfig.DIALECTS.join(', ')}`),
+        body('config.datasets').isArray({ min: 1 }).withMessage('At least one dataset is required'),
+        body('config.datasets')
+            .custom(datasets => new Set(datasets.map(dataset => dataset.name)).size === datasets.length)
+            .withMessage('Dataset names must be unique'),
+        body('config.datasets.*.name').isString().notEmpty().withMessage('Dataset name is required'),
+        body('config.datasets.*')
+            .custom(dataset => Boolean(dataset.table) !== Boolean(dataset.query))
+            .withMessage('Each dataset needs either a table or a query'),
+        body(['config.datasets.*.table', 'config.datasets.*.columns.*', 'config.datasets.*.cursor_column'])
+            .optional()
+            .matches(databaseSourceConfig.IDENTIFIER_PATTERN)
+            .withMessage('Table and column names must be plain identifiers'),
+        body('config.datasets.*.query')
+            .optional()
+            .matches(/^\s*(select|with)\b/i)
+            .withMessage('Dataset query must be a SELECT statement'),
+        body('config.datasets.*.params').optional().isArray().withMessage('Query params must be an array'),
+        body('credentials').isObject().withMessage('Credentials must be an object'),
+        body('credentials.host').notEmpty().withMessage('Host is required'),
+        body('credentials.port').optional().isInt({ min: 1, max: 65535 }).withMessage('Port must be a valid port number'),
+        body('credentials.database').notEmpty().withMessage('Database name is required'),
+        body('credentials.user').notEmpty().withMessage('User is required'),
+        body('credentials.ssl').optional().isBoolean().withMessage('SSL must be a boolean')
+    ],
+    File: [
+        body('config').isObject().withMessage('Config must be an object'),
+        body('config.location')
+            .isIn(fileSourceConfig.LOCATIONS)
+            .withMessage(`Location must be one of: ${fileSourceConfig.LOCATIONS.join(', ')}`),
+        body('config.directory')
+            .if(body('config.location').isIn(['sftp', 'local']))
+            .isString()
+            .notEmpty()
+            .withMessage('Directory is required for SFTP and local sources'),
+        body('config.pattern').optional().isString().notEmpty().withMessage('Pattern must be a glob such as *.csv'),
+        body('config.format')
+            .optional()
+            .isIn(fileSourceConfig.FORMATS)
+            .withMessage(`Format must be one of: ${fileSourceConfig.FORMATS.join(', ')}`),
+        body('config.delimiter').optional().isString().isLength({ min: 1, max: 1 }).withMessage('Delimiter must be one character'),
+        body('config.record_path').optional().isString().withMessage('Record path must be a string'),
+        body('config.dataset').optional().isString().notEmpty().withMessage('Dataset name must be a string'),
+        body('credentials').isObject().withMessage('Credentials must be an object'),
+        body(['credentials.host', 'credentials.username'])
+            .if(body('config.location').equals('sftp'))
+            .notEmpty()
+            .withMessage('Host and username are required for SFTP sources'),
+        body('credentials')
+            .if(body('config.location').equals('sftp'))
+            .custom(credentials => Boolean(credentials.password || credentials.private_key))
+            .withMessage('A password or private key is required for SFTP sources'),
+        body('credentials.port').optional().isInt({ min: 1, max: 65535 }).withMessage('Port must be a valid port number')
+    ]
+};
+
+// Validation middleware for source creation/update; the rules depend on the
+// source type, so the chains are picked at request time
+const validateSource = async (req, res, next) => {
+    try {
+        const typeCheck = body('api_type_id').isInt().withMessage('API type ID must be an integer');
+        const result = await typeCheck.run(req);
+        if (!result.isEmpty()) return next();
 
-// Validation middleware for source creation/update
-const validateSource = [
-    body('api_type_id').isInt().withMessage('API type ID must be an integer'),
-    body('credentials').isObject().withMessage('Credentials must be an object'),
-    body('credentials.shop_name').notEmpty().withMessage('Shop name is required'),
-    body('credentials.shop_url').isURL().withMessage('Valid shop URL is required'),
-    body('credentials.access_token').notEmpty().withMessage('Access token is required'),
-    body('credentials.api_version').notEmpty().withMessage('API version is required')
+        const apiType = await db.query(
+            'SELECT name FROM api_types WHERE id = $1 AND is_active = true',
+            [req.body.api_type_id]
+        );
+        req.apiTypeName = apiType.rows[0]?.name;
+
+        const chains = sourceTypeValidation[req.apiTypeName];
+        if (!chains) {
+            await body('api_type_id').custom(() => false).withMessage('Unsupported API type').run(req);
+            return next();
+        }
+
+        await Promise.all(chains.map(chain => chain.run(req)));
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Validation middleware for watermark updates (null resets to a full extraction)
+const validateWatermark = [
+    body('updated_at')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('updated_at must be an ISO 8601 date or null')
+];
+
+// Validation middleware for API version upgrades
+const validateApiVersion = [
+    body('api_version')
+        .matches(/^\d{4}-\d{2}$/)
+        .withMessage('API version must look like YYYY-MM'),
+    body('force').optional().isBoolean().withMessage('Force must be a boolean')
 ];
 
+// Validation middleware for data previews
+const validatePreview = [
+    query('api').notEmpty().withMessage('API name is required'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: shopifyConfig.PREVIEW_MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${shopifyConfig.PREVIEW_MAX_LIMIT}`)
+];
+
+// Services of the non-Shopify source types, keyed by api_types.name. Each one
+// encrypts its credentials, tests a connection and previews a dataset.
+const sourceConnectors = {
+    REST: restApiService,
+    Database: databaseSourceService,
+    File: fileSourceService
+};
+
+// Connector secrets are stored encrypted
+const encryptSourceCredentials = (apiTypeName, credentials) => (
+    sourceConnectors[apiTypeName] ? sourceConnectors[apiTypeName].encryptCredentials(credentials) : credentials
+);
+
 // Get available APIs and their fields
 router.get('/available-apis', auth, async (req, res, next) => {
     try {
@@ -25,12 +219,13 @@ router.get('/available-apis', auth, async (req, res, next) => {
                            'id', saf.id,
                            'field_name', saf.field_name,
                            'field_type', saf.field_type,
-                           'is_required', saf.is_required
+                           'is_required', saf.is_required,
+                           'is_pii', saf.is_pii
                        ) 
                        ORDER BY saf.field_name
                    ) FILTER (WHERE saf.id IS NOT NULL), '[]') as fields
             FROM shopify_apis sa
-            LEFT JOIN shopify_api_fields saf ON sa.id = saf.api_id
+            LEFT JOIN shopify_api_fields saf ON sa.id = saf.api_id AND saf.is_active = true
             WHERE sa.is_active = true
             GROUP BY sa.id
             ORDER BY sa.name;
@@ -42,6 +237,16 @@ router.get('/available-apis', auth, async (req, res, next) => {
     }
 });
 
+// Get the catalog of Shopify API versions with their support status
+router.get('/api-versions', auth, async (req, res, next) => {
+    try {
+        const versions = await shopifyVersionService.getVersions();
+        res.json(responseHandler.success(versions));
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Get all sources for a user
 router.get('/', auth, async (req, res, next) => {
     try {
@@ -122,7 +327,7 @@ router.post('/', [auth, validateSource], async (req, res, next) => {
             return res.status(400).json(responseHandler.validation(errors.array()));
         }
 
-        const { api_type_id, credentials } = req.body;
+        const { api_type_id, credentials, config = null, extraction_mode = null } = req.body;
 
         // Begin transaction
         await db.query('BEGIN');
@@ -130,10 +335,10 @@ router.post('/', [auth, validateSource], async (req, res, next) => {
         try {
             // Create source
             const sourceResult = await db.query(
-                `INSERT INTO sources (user_id, api_type_id, credentials)
-                VALUES ($1, $2, $3)
+                `INSERT INTO sources (user_id, api_type_id, credentials, config, extraction_mode)
+                VALUES ($1, $2, $3, $4, $5)
                 RETURNING *`,
-                [req.user.id, api_type_id, credentials]
+                [req.user.id, api_type_id, encryptSourceCredentials(req.apiTypeName, credentials), config, extraction_mode]
             );
 
             const source = sourceResult.rows[0];
@@ -201,6 +406,17 @@ router.post('/:sourceId/apis', auth, async (req, res, next) => {
         await db.query('BEGIN');
 
         try {
+            // Keep incremental watermarks of APIs that stay selected
+            const existingSelections = await db.query(
+                `SELECT api_id, watermark_updated_at, watermark_id
+                FROM source_selected_apis
+                WHERE source_id = $1`,
+                [sourceId]
+            );
+            const watermarks = new Map(
+                existingSelections.rows.map(row => [row.api_id, row])
+            );
+
             // Delete existing selections
             await db.query(
                 'DELETE FROM source_selected_apis WHERE source_id = $1',
@@ -209,11 +425,18 @@ router.post('/:sourceId/apis', auth, async (req, res, next) => {
 
             // Insert new selections
             for (const selection of selectedApis) {
+                const watermark = watermarks.get(selection.api_id);
                 await db.query(
                     `INSERT INTO source_selected_apis 
-                    (source_id, api_id, selected_fields)
-                    VALUES ($1, $2, $3)`,
-                    [sourceId, selection.api_id, JSON.stringify(selection.fields)]
+                    (source_id, api_id, selected_fields, watermark_updated_at, watermark_id)
+                    VALUES ($1, $2, $3, $4, $5)`,
+                    [
+                        sourceId,
+                        selection.api_id,
+                        JSON.stringify(selection.fields),
+                        watermark?.watermark_updated_at || null,
+                        watermark?.watermark_id || null
+                    ]
                 );
             }
 
@@ -259,11 +482,14 @@ router.get('/:sourceId/apis', auth, async (req, res, next) => {
                 sa.name as api_name,
                 sa.endpoint,
                 ssa.selected_fields,
+                ssa.watermark_updated_at,
+                ssa.watermark_id,
                 json_agg(
                     json_build_object(
                         'id', saf.id,
                         'field_name', saf.field_name,
-                        'field_type', saf.field_type
+                        'field_type', saf.field_type,
+                        'is_pii', saf.is_pii
                     )
                 ) as available_fields
             FROM source_selected_apis ssa
@@ -279,6 +505,272 @@ router.get('/:sourceId/apis', auth, async (req, res, next) => {
     }
 });
 
+// Reset or move the incremental watermark of a selected API
+router.put('/:sourceId/apis/:apiId/watermark', [auth, ...validateWatermark], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { sourceId, apiId } = req.params;
+        const updatedAt = req.body.updated_at || null;
+
+        // Verify source belongs to user
+        const sourceCheck = await db.query(
+            'SELECT id FROM sources WHERE id = $1 AND user_id = $2',
+            [sourceId, req.user.id]
+        );
+
+        if (sourceCheck.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        // A date set by hand restarts from that moment, so the id tie-breaker is cleared
+        const result = await db.query(`
+            UPDATE source_selected_apis
+            SET watermark_updated_at = $1,
+                watermark_id = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE source_id = $2 AND api_id = $3
+            RETURNING id, source_id, api_id, watermark_updated_at, watermark_id
+        `, [updatedAt, sourceId, apiId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('API is not selected for this source'));
+        }
+
+        res.json(responseHandler.success(result.rows[0]));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Check the source's credentials, scopes and selected APIs against the shop
+router.post('/:id/test', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const sourceResult = await db.query(`
+            SELECT s.*, at.name as api_type_name
+            FROM sources s
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE s.id = $1 AND s.user_id = $2`,
+            [id, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const connector = sourceConnectors[sourceResult.rows[0].api_type_name];
+        if (connector) {
+            return res.json(responseHandler.success(await connector.testConnection(sourceResult.rows[0])));
+        }
+
+        const apis = await db.query(`
+            SELECT sa.name, sa.endpoint
+            FROM source_selected_apis ssa
+            JOIN shopify_apis sa ON ssa.api_id = sa.id
+            WHERE ssa.source_id = $1
+            ORDER BY sa.name
+        `, [id]);
+
+        const result = await shopifyService.testConnection(sourceResult.rows[0].credentials, apis.rows);
+
+        res.json(responseHandler.success(result));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get sample records of a selected API, limited to its selected fields
+router.get('/:id/preview', [auth, ...validatePreview], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const api = String(req.query.api);
+        const limit = Number(req.query.limit) || 20;
+
+        const sourceResult = await db.query(`
+            SELECT s.*, at.name as api_type_name
+            FROM sources s
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE s.id = $1 AND s.user_id = $2`,
+            [id, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        // For other source types the api parameter names one of the configured datasets
+        const connector = sourceConnectors[sourceResult.rows[0].api_type_name];
+        if (connector) {
+            const records = await connector.preview(sourceResult.rows[0], api, limit);
+            if (!records) {
+                return res.status(404).json(responseHandler.notFound('Dataset is not configured for this source'));
+            }
+            return res.json(responseHandler.success({ api, records }));
+        }
+
+        const apiResult = await db.query(`
+            SELECT sa.id, sa.name, sa.endpoint, sa.child_path, sa.parent_key, ssa.selected_fields
+            FROM source_selected_apis ssa
+            JOIN shopify_apis sa ON ssa.api_id = sa.id
+            WHERE ssa.source_id = $1 AND sa.name = $2
+        `, [id, api]);
+
+        if (apiResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('API is not selected for this source'));
+        }
+
+        const selectedApi = apiResult.rows[0];
+        const fields = await shopifyService.resolveFieldNames(selectedApi.id, selectedApi.selected_fields);
+
+        // Child datasets are sampled from their parent's records and come back keyed to the parent
+        if (selectedApi.child_path) {
+            const records = await shopifyService.fetchChildSample(
+                sourceResult.rows[0].credentials,
+                selectedApi,
+                fields,
+                limit
+            );
+            return res.json(responseHandler.success({ api: selectedApi.name, fields, records }));
+        }
+
+        const records = await shopifyService.fetchSample(
+            sourceResult.rows[0].credentials,
+            selectedApi.endpoint,
+            fields,
+            limit
+        );
+
+        res.json(responseHandler.success({
+            api: selectedApi.name,
+            fields,
+            records: records.map(record => shopifyService.normalizeRecord(record, fields))
+        }));
+    } catch (error) {
+        if (
+            error instanceof ShopifyError ||
+            error instanceof RestSourceError ||
+            error instanceof DatabaseSourceError ||
+            error instanceof FileSourceError
+        ) {
+            return res.status(502).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Upload a file to a file source; the next job run of the source ingests it
+router.post('/:id/files', [auth, uploadFile], async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json(responseHandler.badRequest('A file is required'));
+        }
+
+        const { id } = req.params;
+
+        const sourceResult = await db.query(`
+            SELECT s.*, at.name as api_type_name
+            FROM sources s
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE s.id = $1 AND s.user_id = $2 AND s.is_active = true`,
+            [id, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            await fs.unlink(req.file.path);
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const source = sourceResult.rows[0];
+        if (source.api_type_name !== 'File' || source.config?.location !== 'upload') {
+            await fs.unlink(req.file.path);
+            return res.status(400).json(responseHandler.badRequest('Source does not accept uploaded files'));
+        }
+
+        const file = await fileSourceService.registerUpload(source, req.file);
+
+        res.status(201).json(responseHandler.success(file));
+    } catch (error) {
+        if (req.file) await fs.unlink(req.file.path).catch(() => {});
+        if (error instanceof FileSourceError) {
+            return res.status(400).json(responseHandler.error(error, error.code));
+        }
+        next(error);
+    }
+});
+
+// Get the files a file source has received or ingested
+router.get('/:id/files', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // Verify source belongs to user
+        const sourceCheck = await db.query(
+            'SELECT id FROM sources WHERE id = $1 AND user_id = $2',
+            [id, req.user.id]
+        );
+
+        if (sourceCheck.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const files = await fileSourceService.getFiles(id);
+
+        res.json(responseHandler.success(files));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Move a source to another API version once its selected fields are confirmed
+router.put('/:id/api-version', [auth, ...validateApiVersion], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { api_version, force = false } = req.body;
+
+        const sourceResult = await db.query(
+            'SELECT * FROM sources WHERE id = $1 AND user_id = $2',
+            [id, req.user.id]
+        );
+
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source not found'));
+        }
+
+        const version = await shopifyVersionService.getVersion(api_version);
+        if (!version || version.status === shopifyVersionService.STATUSES.UNSUPPORTED) {
+            return res.status(400).json(responseHandler.badRequest(`API version ${api_version} is not supported`));
+        }
+
+        const result = await shopifyVersionService.upgradeSourceVersion(
+            sourceResult.rows[0],
+            api_version,
+            { force }
+        );
+
+        res.json(responseHandler.success(result));
+    } catch (error) {
+        if (error instanceof ShopifyVersionError) {
+            return res.status(409).json(responseHandler.error(error, 'CONFLICT'));
+        }
+        next(error);
+    }
+});
+
 // Update source
 router.put('/:id', [auth, validateSource], async (req, res, next) => {
     try {
@@ -288,7 +780,7 @@ router.put('/:id', [auth, validateSource], async (req, res, next) => {
         }
 
         const { id } = req.params;
-        const { api_type_id, credentials } = req.body;
+        const { api_type_id, credentials, config = null, extraction_mode = null } = req.body;
 
         // Verify source belongs to user
         const sourceCheck = await db.query(
@@ -304,10 +796,12 @@ router.put('/:id', [auth, validateSource], async (req, res, next) => {
             `UPDATE sources 
             SET api_type_id = $1,
                 credentials = $2,
+                config = $3,
+                extraction_mode = $4,
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = $3 AND user_id = $4
+            WHERE id = $5 AND user_id = $6
             RETURNING *`,
-            [api_type_id, credentials, id, req.user.id]
+            [api_type_id, encryptSourceCredentials(req.apiTypeName, credentials), config, extraction_mode, id, req.user.id]
         );
 
         res.json(responseHandler.success(result.rows[0]));
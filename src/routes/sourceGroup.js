@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const auth = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const responseHandler = require('../utils/responseHandler');
+const sourceGroupService = require('../services/sourceGroupService');
+
+// Validation middleware for source group creation/update
+const validateSourceGroup = [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('source_ids').isArray({ min: 1 }).withMessage('At least one source is required'),
+    body('source_ids.*').isInt().withMessage('Source IDs must be integers').toInt(),
+    body('selected_apis').isArray({ min: 1 }).withMessage('At least one API must be selected'),
+    body('selected_apis.*.api_id').isInt().withMessage('API ID must be an integer').toInt(),
+    body('selected_apis.*.fields').isArray().withMessage('Fields must be an array'),
+    body('failure_policy')
+        .optional()
+        .isIn(Object.values(sourceGroupService.FAILURE_POLICIES))
+        .withMessage(`Failure policy must be one of: ${Object.values(sourceGroupService.FAILURE_POLICIES).join(', ')}`)
+];
+
+// Get all source groups for a user
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const groups = await sourceGroupService.getGroups(req.user.id);
+
+        res.json(responseHandler.success(groups));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Get a source group with its member stores
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const group = await sourceGroupService.getGroup(req.params.id, req.user.id);
+
+        if (!group) {
+            return res.status(404).json(responseHandler.notFound('Source group not found'));
+        }
+
+        res.json(responseHandler.success(group));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Create a source group; its API selection is applied to every member source
+router.post('/', [auth, ...validateSourceGroup], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { name, selected_apis, failure_policy = sourceGroupService.FAILURE_POLICIES.CONTINUE } = req.body;
+        const sourceIds = [...new Set(req.body.source_ids)];
+
+        const invalidSources = await sourceGroupService.findInvalidSources(sourceIds, req.user.id);
+        if (invalidSources.length) {
+            return res.status(400).json(responseHandler.badRequest(
+                `Sources must be active Shopify sources of yours: ${invalidSources.join(', ')}`
+            ));
+        }
+
+        // Begin transaction
+        await db.query('BEGIN');
+
+        try {
+            const groupResult = await db.query(
+                `INSERT INTO source_groups (user_id, name, selected_apis, failure_policy)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id`,
+                [req.user.id, name, JSON.stringify(selected_apis), failure_policy]
+            );
+
+            await sourceGroupService.applyGroup(groupResult.rows[0].id, sourceIds, selected_apis);
+
+            await db.query('COMMIT');
+
+            const group = await sourceGroupService.getGroup(groupResult.rows[0].id, req.user.id);
+            res.status(201).json(responseHandler.success(group));
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update a source group's stores, selection or failure policy
+router.put('/:id', [auth, ...validateSourceGroup], async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json(responseHandler.validation(errors.array()));
+        }
+
+        const { id } = req.params;
+        const { name, selected_apis, failure_policy = sourceGroupService.FAILURE_POLICIES.CONTINUE } = req.body;
+        const sourceIds = [...new Set(req.body.source_ids)];
+
+        // Verify group belongs to user
+        const groupCheck = await db.query(
+            'SELECT id FROM source_groups WHERE id = $1 AND user_id = $2 AND is_active = true',
+            [id, req.user.id]
+        );
+
+        if (groupCheck.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source group not found'));
+        }
+
+        const invalidSources = await sourceGroupService.findInvalidSources(sourceIds, req.user.id);
+        if (invalidSources.length) {
+            return res.status(400).json(responseHandler.badRequest(
+                `Sources must be active Shopify sources of yours: ${invalidSources.join(', ')}`
+            ));
+        }
+
+        // Begin transaction
+        await db.query('BEGIN');
+
+        try {
+            await db.query(
+                `UPDATE source_groups
+                SET name = $1,
+                    selected_apis = $2,
+                    failure_policy = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4`,
+                [name, JSON.stringify(selected_apis), failure_policy, id]
+            );
+
+            await sourceGroupService.applyGroup(id, sourceIds, selected_apis);
+
+            await db.query('COMMIT');
+
+            const group = await sourceGroupService.getGroup(id, req.user.id);
+            res.json(responseHandler.success(group));
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete source group; its member sources are kept
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // Verify group belongs to user
+        const groupCheck = await db.query(
+            'SELECT id FROM source_groups WHERE id = $1 AND user_id = $2 AND is_active = true',
+            [id, req.user.id]
+        );
+
+        if (groupCheck.rows.length === 0) {
+            return res.status(404).json(responseHandler.notFound('Source group not found'));
+        }
+
+        await db.query(
+            'UPDATE source_groups SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+
+        res.json(responseHandler.success({ message: 'Source group deleted successfully' }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const db = require('../config/database');
 const auth = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const transformationService = require('../services/transformationService');
+const lookupTableService = require('../services/lookupTableService');
+const currencyRateService = require('../services/currencyRateService');
 
 // Validation middleware for transformation creation/update
 const validateTransformation = [
@@ -10,19 +13,28 @@ const validateTransformation = [
     body('name').isString().trim().notEmpty().withMessage('Name is required'),
     body('transformations').isArray().withMessage('Transformations must be an array'),
     body('transformations.*.api').isString().notEmpty().withMessage('API name is required'),
-    body('transformations.*.field').isString().notEmpty().withMessage('Field name is required'),
+    body('transformations.*.field').optional().isString().withMessage('Field name must be a string'),
     body('transformations.*.type').isString().notEmpty().withMessage('Transformation type is required'),
     body('transformations.*.configuration').isObject().withMessage('Configuration must be an object')
 ];
 
-// Get available transformation types
+const validateDetokenize = [
+    body('tokens').isArray({ min: 1, max: 1000 }).withMessage('Tokens must be an array of 1 to 1000 tokens'),
+    body('tokens.*').isString().withMessage('Tokens must be strings')
+];
+
+// Steps naming lookup or rate tables must name active tables of the user,
+// and steps on typed fields must match the Shopify field catalog
+const validateReferences = async (transformations, userId) => [
+    ...await lookupTableService.validateReferences(transformations, userId),
+    ...await currencyRateService.validateReferences(transformations, userId),
+    ...await transformationService.validateFieldTypes(transformations)
+];
+
+// Get available transformation types, as registered with the engine
 router.get('/types', auth, async (req, res, next) => {
     try {
-        const types = await db.query(
-            'SELECT * FROM transformation_types WHERE is_active = true ORDER BY name'
-        );
-        console.log('Retrieved transformation types:', types.rows);
-        res.json(types.rows);
+        res.json(transformationService.getTypes());
     } catch (error) {
         console.error('Error fetching transformation types:', error);
         next(error);
@@ -76,19 +88,13 @@ router.post('/', auth, validateTransformation, async (req, res, next) => {
             return res.status(404).json({ error: 'Source not found' });
         }
 
-        // Verify transformation types exist
-        const transformationTypes = await db.query(
-            'SELECT name FROM transformation_types WHERE is_active = true'
-        );
-        const validTypes = transformationTypes.rows.map(t => t.name);
-
-        // Validate each transformation type
-        for (const transform of transformations) {
-            if (!validTypes.includes(transform.type)) {
-                return res.status(400).json({
-                    error: `Invalid transformation type: ${transform.type}. Valid types are: ${validTypes.join(', ')}`
-                });
-            }
+        // Validate each transformation's type and configuration
+        const configErrors = transformationService.validateConfiguration(transformations);
+        if (!configErrors.length) {
+            configErrors.push(...await validateReferences(transformations, req.user.id));
+        }
+        if (configErrors.length) {
+            return res.status(400).json({ error: 'Invalid transformation configuration', details: configErrors });
         }
 
         // Begin transaction
@@ -210,6 +216,14 @@ router.put('/:id', auth, validateTransformation, async (req, res, next) => {
             return res.status(404).json({ error: 'Transformation not found' });
         }
 
+        const configErrors = transformationService.validateConfiguration(transformations);
+        if (!configErrors.length) {
+            configErrors.push(...await validateReferences(transformations, req.user.id));
+        }
+        if (configErrors.length) {
+            return res.status(400).json({ error: 'Invalid transformation configuration', details: configErrors });
+        }
+
         const result = await db.query(`
             UPDATE transformations 
             SET name = $1, 
@@ -258,4 +272,34 @@ router.delete('/:id', auth, async (req, res, next) => {
     }
 });
 
+// Turn TOKENIZE tokens delivered by a transformation back into the original
+// values. Deleted transformations still count, so old exports stay reversible.
+router.post('/:id/detokenize', auth, validateDetokenize, async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        // Verify transformation belongs to user's source
+        const transformationCheck = await db.query(`
+            SELECT t.id 
+            FROM transformations t
+            JOIN sources s ON t.source_id = s.id
+            WHERE t.id = $1 AND s.user_id = $2
+        `, [id, req.user.id]);
+
+        if (transformationCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Transformation not found' });
+        }
+
+        res.json(transformationService.detokenize(req.body.tokens, transformationCheck.rows[0].id));
+    } catch (error) {
+        console.error('Error detokenizing values:', error);
+        next(error);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,268 @@
+const { parse: parseCsv } = require('csv-parse/sync');
+const db = require('../config/database');
+const { CurrencyRateError, CurrencyRateImportError } = require('../errors/CurrencyRateError');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// WHERE clause selecting a table's rates by { from, to, start, end }
+const rateConditions = (tableId, { from, to, start, end }) => {
+    const values = [tableId];
+    let conditions = 'WHERE rate_table_id = $1';
+
+    for (const [column, operator, value] of [
+        ['from_currency', '=', from],
+        ['to_currency', '=', to],
+        ['rate_date', '>=', start],
+        ['rate_date', '<=', end]
+    ]) {
+        if (!value) continue;
+        values.push(value);
+        conditions += ` AND ${column} ${operator} $${values.length}`;
+    }
+
+    return { conditions, values };
+};
+
+// Per-user tables of daily exchange rates that CONVERT_CURRENCY transformations
+// convert money fields with. A rate row reads "1 from_currency = rate to_currency".
+class CurrencyRateService {
+    constructor() {
+        this.MAX_IMPORT_RATES = 200000;
+        this.MAX_IMPORT_SIZE = 10 * 1024 * 1024; // 10MB
+        this.CSV_COLUMNS = ['date', 'from', 'to', 'rate'];
+    }
+
+    async getTables(userId, tableId = null) {
+        const values = [userId];
+        let conditions = 'WHERE t.user_id = $1 AND t.is_active = true';
+
+        if (tableId) {
+            values.push(tableId);
+            conditions += ' AND t.id = $2';
+        }
+
+        // One entry per currency pair with the dates it covers
+        const result = await db.query(`
+            SELECT t.*,
+                   COALESCE(json_agg(
+                       json_build_object(
+                           'from', p.from_currency,
+                           'to', p.to_currency,
+                           'first_date', p.first_date,
+                           'last_date', p.last_date,
+                           'rates', p.rates
+                       )
+                       ORDER BY p.from_currency, p.to_currency
+                   ) FILTER (WHERE p.from_currency IS NOT NULL), '[]') as pairs
+            FROM currency_rate_tables t
+            LEFT JOIN (
+                SELECT rate_table_id, from_currency, to_currency,
+                       to_char(MIN(rate_date), 'YYYY-MM-DD') as first_date,
+                       to_char(MAX(rate_date), 'YYYY-MM-DD') as last_date,
+                       COUNT(*)::int as rates
+                FROM currency_rates
+                GROUP BY rate_table_id, from_currency, to_currency
+            ) p ON t.id = p.rate_table_id
+            ${conditions}
+            GROUP BY t.id
+            ORDER BY t.name
+        `, values);
+
+        return result.rows;
+    }
+
+    async getTable(tableId, userId) {
+        return (await this.getTables(userId, tableId))[0] || null;
+    }
+
+    async isNameTaken(name, userId, exceptId = null) {
+        const result = await db.query(
+            'SELECT id FROM currency_rate_tables WHERE user_id = $1 AND name = $2 AND is_active = true AND id IS DISTINCT FROM $3',
+            [userId, name, exceptId]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Rates of a table, newest first, filtered by { from, to, start, end }
+    async getRates(tableId, { from = null, to = null, start = null, end = null, page = 1, limit = 100 } = {}) {
+        const { conditions, values } = rateConditions(tableId, { from, to, start, end });
+
+        const [rates, countResult] = await Promise.all([
+            db.query(`
+                SELECT id, from_currency as "from", to_currency as "to",
+                       to_char(rate_date, 'YYYY-MM-DD') as date, rate::float8 as rate
+                FROM currency_rates
+                ${conditions}
+                ORDER BY rate_date DESC, from_currency, to_currency
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `, [...values, limit, (page - 1) * limit]),
+            db.query(`SELECT COUNT(*) FROM currency_rates ${conditions}`, values)
+        ]);
+
+        return { rates: rates.rows, total: parseInt(countResult.rows[0].count) };
+    }
+
+    // A { from, to, date, rate } rate checked and with its currencies uppercased.
+    // `where` names the rate in error messages.
+    normalizeRate(rate, where) {
+        const from = String(rate?.from ?? '').trim().toUpperCase();
+        const to = String(rate?.to ?? '').trim().toUpperCase();
+        const date = String(rate?.date ?? '').trim();
+        const value = typeof rate?.rate === 'number' ? rate.rate : Number(String(rate?.rate ?? '').trim() || NaN);
+
+        let problem = null;
+        if (!CURRENCY_PATTERN.test(from) || !CURRENCY_PATTERN.test(to)) {
+            problem = 'currencies must be 3-letter ISO codes';
+        } else if (from === to) {
+            problem = 'from and to must be different currencies';
+        } else if (!isDate(date)) {
+            problem = 'date must be YYYY-MM-DD';
+        } else if (!Number.isFinite(value) || value <= 0) {
+            problem = 'rate must be a positive number';
+        }
+
+        if (problem) {
+            throw new CurrencyRateError(`${where}: ${problem}`, 'INVALID_RATE', { rate });
+        }
+        return { from, to, date, rate: value };
+    }
+
+    // Insert or overwrite normalized rates; a rate given twice for the same
+    // pair and day keeps its last value
+    async upsertRates(tableId, rates) {
+        if (rates.length > this.MAX_IMPORT_RATES) {
+            throw new CurrencyRateError(`At most ${this.MAX_IMPORT_RATES} rates can be imported at once`, 'TOO_MANY_RATES');
+        }
+
+        const unique = new Map();
+        for (const rate of rates) {
+            unique.set(`${rate.from}|${rate.to}|${rate.date}`, rate);
+        }
+        if (!unique.size) return 0;
+
+        const normalized = [...unique.values()];
+        await db.query(`
+            INSERT INTO currency_rates (rate_table_id, from_currency, to_currency, rate_date, rate)
+            SELECT $1, rate.from_currency, rate.to_currency, rate.rate_date, rate.rate
+            FROM unnest($2::text[], $3::text[], $4::date[], $5::numeric[]) AS rate(from_currency, to_currency, rate_date, rate)
+            ON CONFLICT (rate_table_id, from_currency, to_currency, rate_date) DO UPDATE SET rate = EXCLUDED.rate
+        `, [
+            tableId,
+            normalized.map(rate => rate.from),
+            normalized.map(rate => rate.to),
+            normalized.map(rate => rate.date),
+            normalized.map(rate => rate.rate)
+        ]);
+
+        await db.query('UPDATE currency_rate_tables SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [tableId]);
+        return normalized.length;
+    }
+
+    async deleteRates(tableId, { from = null, to = null, start = null, end = null } = {}) {
+        const { conditions, values } = rateConditions(tableId, { from, to, start, end });
+
+        const result = await db.query(`DELETE FROM currency_rates ${conditions}`, values);
+        return result.rowCount;
+    }
+
+    // Rates from a CSV file with a date, from, to and rate column (in any order,
+    // other columns are ignored)
+    parseCsv(content, { delimiter = ',' } = {}) {
+        let rows;
+        try {
+            rows = parseCsv(content, {
+                columns: header => header.map(column => column.trim().toLowerCase()),
+                skip_empty_lines: true,
+                relax_column_count: true,
+                bom: true,
+                delimiter
+            });
+        } catch (error) {
+            throw new CurrencyRateImportError(`Could not parse CSV: ${error.message}`);
+        }
+
+        const missing = rows.length ? this.CSV_COLUMNS.filter(column => !(column in rows[0])) : [];
+        if (missing.length) {
+            throw new CurrencyRateImportError(`Missing column(s): ${missing.join(', ')}`, { columns: this.CSV_COLUMNS });
+        }
+
+        // Line numbers count the header as line 1
+        return rows.map((row, index) => {
+            try {
+                return this.normalizeRate(row, `Line ${index + 2}`);
+            } catch (error) {
+                throw new CurrencyRateImportError(error.message, { line: index + 2 });
+            }
+        });
+    }
+
+    // Rates into `currency` by source currency, as date-ordered [{ date, rate }].
+    // Rates stored the other way round are inverted; a direct rate wins when
+    // both exist for a day. Null when the table no longer exists.
+    async getRatesInto(tableId, currency) {
+        const table = await db.query(
+            'SELECT id FROM currency_rate_tables WHERE id = $1 AND is_active = true',
+            [tableId]
+        );
+        if (!table.rows.length) return null;
+
+        const result = await db.query(`
+            SELECT from_currency, to_currency, to_char(rate_date, 'YYYY-MM-DD') as rate_date, rate::float8 as rate
+            FROM currency_rates
+            WHERE rate_table_id = $1 AND (from_currency = $2 OR to_currency = $2)
+        `, [tableId, currency]);
+
+        const byCurrency = new Map();
+        for (const row of result.rows) {
+            const direct = row.to_currency === currency;
+            const source = direct ? row.from_currency : row.to_currency;
+            if (!byCurrency.has(source)) byCurrency.set(source, new Map());
+
+            const days = byCurrency.get(source);
+            if (direct || !days.has(row.rate_date)) {
+                days.set(row.rate_date, direct ? row.rate : 1 / row.rate);
+            }
+        }
+
+        return new Map([...byCurrency].map(([source, days]) => [
+            source,
+            [...days]
+                .map(([date, rate]) => ({ date, rate }))
+                .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+        ]));
+    }
+
+    // Validation errors, shaped like TransformationService.validateConfiguration's,
+    // for CONVERT_CURRENCY steps naming a table that isn't an active table of the user
+    async validateReferences(steps, userId) {
+        const references = steps
+            .map((step, index) => ({ step, index }))
+            .filter(({ step }) => String(step.type || '').toUpperCase() === 'CONVERT_CURRENCY');
+        if (!references.length) return [];
+
+        const tableIds = [...new Set(references.map(({ step }) => Number(step.configuration.rate_table_id)))];
+        const result = await db.query(
+            'SELECT id FROM currency_rate_tables WHERE id = ANY($1) AND user_id = $2 AND is_active = true',
+            [tableIds, userId]
+        );
+        const valid = new Set(result.rows.map(row => row.id));
+
+        return references
+            .filter(({ step }) => !valid.has(Number(step.configuration.rate_table_id)))
+            .map(({ step, index }) => ({
+                index,
+                field: step.field,
+                type: step.type,
+                message: `Currency rate table ${step.configuration.rate_table_id} not found`
+            }));
+    }
+}
+
+module.exports = new CurrencyRateService();
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { Client } = require('pg');
+const mysql = require('mysql2/promise');
+const db = require('../config/database');
+const databaseSourceConfig = require('../config/databaseSource');
+const encryptionService = require('./encryptionService');
+const {
+    DatabaseSourceConnectionError,
+    DatabaseSourceQueryError,
+    DatabaseSourceConfigError
+} = require('../errors/DatabaseSourceError');
+
+// Extracts rows from an external Postgres or MySQL database. A source's config is
+// { dialect, datasets: [{ name, table, columns } | { name, query, params }, cursor_column] }
+class DatabaseSourceService {
+    constructor() {
+        this.CONNECT_TIMEOUT = databaseSourceConfig.CONNECT_TIMEOUT;
+        this.QUERY_TIMEOUT = databaseSourceConfig.QUERY_TIMEOUT;
+    }
+
+    // Same shape as the Shopify extraction: one record array per dataset name.
+    // Cursors only move once the job commits them after a successful upload.
+    async extractData(source, jobContext = {}) {
+        const datasets = this.getDatasets(source.config);
+        const cursors = await this.getCursors(source.id);
+        const connection = await this.connect(source.config.dialect, this.decryptCredentials(source.credentials));
+        const data = {};
+
+        try {
+            for (const dataset of datasets) {
+                const cursor = dataset.cursor_column ? cursors.get(dataset.name) : undefined;
+                const fetched = await this.fetchDataset(connection, source.config.dialect, dataset, { cursor });
+                const rows = cursor ? this.skipDelivered(fetched, dataset.cursor_column, cursor) : fetched;
+                data[dataset.name] = rows;
+
+                if (dataset.cursor_column && rows.length && jobContext.pendingCursors) {
+                    jobContext.pendingCursors.push({
+                        sourceId: source.id,
+                        dataset: dataset.name,
+                        value: this.nextCursor(fetched, dataset.cursor_column)
+                    });
+                }
+            }
+        } finally {
+            await connection.close();
+        }
+
+        return data;
+    }
+
+    getDatasets(config) {
+        if (!config || !databaseSourceConfig.DIALECTS.includes(config.dialect)) {
+            throw new DatabaseSourceConfigError('Database source needs a supported dialect', {
+                dialects: databaseSourceConfig.DIALECTS
+            });
+        }
+        if (!Array.isArray(config.datasets) || config.datasets.length === 0) {
+            throw new DatabaseSourceConfigError('Database source needs at least one dataset');
+        }
+        return config.datasets;
+    }
+
+    async fetchDataset(connection, dialect, dataset, options = {}) {
+        const { sql, params } = this.buildQuery(dialect, dataset, options);
+
+        try {
+            return await connection.query(sql, params);
+        } catch (error) {
+            throw new DatabaseSourceQueryError(`Query for dataset ${dataset.name} failed: ${error.message}`, {
+                dataset: dataset.name
+            });
+        }
+    }
+
+    // Table datasets select the listed columns; query datasets run the user's
+    // query with its params. Cursors and limits wrap either form.
+    buildQuery(dialect, dataset, options = {}) {
+        const params = [...(dataset.params || [])];
+        let sql;
+
+        if (dataset.table) {
+            // The cursor column is always read so the next cursor can be taken from the last row
+            const columns = dataset.columns?.length
+                ? [...new Set([...dataset.columns, ...(dataset.cursor_column ? [dataset.cursor_column] : [])])]
+                    .map(column => this.quoteIdentifier(dialect, column))
+                    .join(', ')
+                : '*';
+            sql = `SELECT ${columns} FROM ${this.quoteIdentifier(dialect, dataset.table)}`;
+        } else if (dataset.query) {
+            this.assertReadQuery(dataset.query);
+            sql = `SELECT * FROM (${dataset.query.trim().replace(/;\s*$/, '')}) AS flowtechs_source`;
+        } else {
+            throw new DatabaseSourceConfigError('Dataset needs a table or a query', { dataset: dataset.name });
+        }
+
+        if (dataset.cursor_column) {
+            const cursorColumn = this.quoteIdentifier(dialect, dataset.cursor_column);
+
+            if (options.cursor !== undefined && options.cursor !== null) {
+                params.push(this.parseCursor(options.cursor));
+                // Rows at the cursor's own value are read again; see skipDelivered
+                sql += ` WHERE ${cursorColumn} >= ${this.placeholder(dialect, params.length)}`;
+            }
+            sql += ` ORDER BY ${cursorColumn}`;
+        }
+
+        if (options.limit) {
+            sql += ` LIMIT ${parseInt(options.limit)}`;
+        }
+
+        return { sql, params };
+    }
+
+    assertReadQuery(query) {
+        const statement = query.trim().replace(/;\s*$/, '');
+
+        if (!/^(select|with)\b/i.test(statement) || statement.includes(';')) {
+            throw new DatabaseSourceConfigError('Dataset query must be a single SELECT statement');
+        }
+    }
+
+    quoteIdentifier(dialect, identifier) {
+        if (!databaseSourceConfig.IDENTIFIER_PATTERN.test(identifier)) {
+            throw new DatabaseSourceConfigError('Invalid table or column name', { identifier });
+        }
+
+        const quote = dialect === 'mysql' ? '`' : '"';
+        return identifier.split('.').map(part => `${quote}${part}${quote}`).join('.');
+    }
+
+    placeholder(dialect, index) {
+        return dialect === 'mysql' ? '?' : `$${index}`;
+    }
+
+    // Every connection runs in a read-only transaction so a dataset query can
+    // never modify the source database
+    async connect(dialect, credentials) {
+        const port = credentials.port || databaseSourceConfig.DEFAULT_PORTS[dialect];
+
+        try {
+            if (dialect === 'mysql') {
+                const connection = await mysql.createConnection({
+                    host: credentials.host,
+                    port,
+                    user: credentials.user,
+                    password: credentials.password,
+                    database: credentials.database,
+                    ssl: credentials.ssl ? { rejectUnauthorized: false } : undefined,
+                    connectTimeout: this.CONNECT_TIMEOUT
+                });
+                await connection.query('START TRANSACTION READ ONLY');
+
+                return {
+                    query: async (sql, params) => {
+                        const [rows] = await connection.query({ sql, timeout: this.QUERY_TIMEOUT }, params);
+                        return rows;
+                    },
+                    close: async () => {
+                        await connection.query('ROLLBACK').catch(() => {});
+                        await connection.end();
+                    }
+                };
+            }
+
+            const client = new Client({
+                host: credentials.host,
+                port,
+                user: credentials.user,
+                password: credentials.password,
+                database: credentials.database,
+                ssl: credentials.ssl ? { rejectUnauthorized: false } : undefined,
+                connectionTimeoutMillis: this.CONNECT_TIMEOUT,
+                statement_timeout: this.QUERY_TIMEOUT
+            });
+            await client.connect();
+            await client.query('BEGIN READ ONLY');
+
+            return {
+                query: async (sql, params) => (await client.query(sql, params)).rows,
+                close: async () => {
+                    await client.query('ROLLBACK').catch(() => {});
+                    await client.end();
+                }
+            };
+        } catch (error) {
+            throw new DatabaseSourceConnectionError(`Could not connect to ${dialect} database: ${error.message}`, {
+                host: credentials.host,
+                database: credentials.database
+            });
+        }
+    }
+
+    async getCursors(sourceId) {
+        const result = await db.query(
+            'SELECT dataset, cursor_value FROM source_cursors WHERE source_id = $1',
+            [sourceId]
+        );
+
+        return new Map(result.rows.map(row => [row.dataset, row.cursor_value]));
+    }
+
+    // Dates survive the JSONB round trip tagged so they can be bound as dates again
+    serializeCursor(value) {
+        return value instanceof Date ? { date: value.toISOString() } : { value };
+    }
+
+    parseCursor(cursor) {
+        return cursor.date ? new Date(cursor.date) : cursor.value;
+    }
+
+    rowHash(row) {
+        return crypto.createHash('sha256').update(JSON.stringify(row)).digest('hex');
+    }
+
+    isAtCursor(row, cursorColumn, cursor) {
+        const value = this.serializeCursor(row[cursorColumn]);
+        return cursor.date ? value.date === cursor.date : value.value === cursor.value;
+    }
+
+    // Rows committed after a run can share the last delivered cursor value
+    // (typical for updated_at), so the query reads that value again (>=) and
+    // the cursor keeps a hash of every row it delivered at that value in
+    // `seen`. Those rows are skipped; new or changed rows at the value are not.
+    skipDelivered(rows, cursorColumn, cursor) {
+        const seen = new Set(cursor.seen || []);
+        return rows.filter(row => !(this.isAtCursor(row, cursorColumn, cursor) && seen.has(this.rowHash(row))));
+    }
+
+    // Cursor at the last row's value, with the hashes of all rows read at that value
+    nextCursor(rows, cursorColumn) {
+        const cursor = this.serializeCursor(rows[rows.length - 1][cursorColumn]);
+        cursor.seen = rows.filter(row => this.isAtCursor(row, cursorColumn, cursor)).map(row => this.rowHash(row));
+        return cursor;
+    }
+
+    async testConnection(source) {
+        const result = { connected: false, datasets: [], error: null };
+        let connection;
+
+        try {
+            const datasets = this.getDatasets(source.config);
+            connection = await this.connect(source.config.dialect, this.decryptCredentials(source.credentials));
+            result.connected = true;
+
+            for (const dataset of datasets) {
+                const check = { dataset: dataset.name, reachable: false, error: null };
+
+                try {
+                    await this.fetchDataset(connection, source.config.dialect, dataset, { limit: 1 });
+                    check.reachable = true;
+                } catch (error) {
+                    check.error = error.message;
+                }
+
+                result.datasets.push(check);
+            }
+        } catch (error) {
+            result.error = error.message;
+        } finally {
+            if (connection) await connection.close();
+        }
+
+        return result;
+    }
+
+    async preview(source, datasetName, limit) {
+        const dataset = this.getDatasets(source.config).find(item => item.name === datasetName);
+        if (!dataset) return null;
+
+        const connection = await this.connect(source.config.dialect, this.decryptCredentials(source.credentials));
+
+        try {
+            return await this.fetchDataset(connection, source.config.dialect, dataset, { limit });
+        } finally {
+            await connection.close();
+        }
+    }
+
+    // Values sent back unchanged from a previous read are already encrypted
+    encryptCredentials(credentials) {
+        const plain = databaseSourceConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'string');
+        return encryptionService.encryptFields(credentials, plain);
+    }
+
+    decryptCredentials(credentials = {}) {
+        const encrypted = databaseSourceConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'object');
+        return encryptionService.decryptFields(credentials, encrypted);
+    }
+}
+
+module.exports = new DatabaseSourceService();
@@ -10,6 +10,8 @@ class EncryptionService {
         this.ivLength = 16; // 128 bits
         this.saltLength = 64;
         this.tagLength = 16;
+        this.tokenIvLength = 12; // 96 bits, GCM's native IV size
+        this.tokenPrefix = 'tok_';
     }
 
     // Generate encryption key from environment variable
@@ -23,6 +25,57 @@ class EncryptionService {
         );
     }
 
+    // Key for one purpose derived from the environment variable. A purpose
+    // always gets the same key, so hashes and tokens are stable across runs.
+    #deriveKey(purpose) {
+        return crypto.createHmac('sha256', process.env.ENCRYPTION_KEY).update(purpose).digest();
+    }
+
+    // Salted SHA-256 (HMAC) of a value; equal values only hash equally within a scope
+    hash(value, scope) {
+        return crypto.createHmac('sha256', this.#deriveKey(`hash:${scope}`)).update(String(value), 'utf8').digest('hex');
+    }
+
+    // Encrypt a value into a short reversible token. The IV is derived from the
+    // value, so equal values give equal tokens within a scope and stay joinable.
+    tokenize(data, scope) {
+        const plaintext = Buffer.from(JSON.stringify(data), 'utf8');
+        const iv = crypto.createHmac('sha256', this.#deriveKey(`token-iv:${scope}`))
+            .update(plaintext)
+            .digest()
+            .subarray(0, this.tokenIvLength);
+
+        const cipher = crypto.createCipheriv(this.algorithm, this.#deriveKey(`token:${scope}`), iv);
+        const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return this.tokenPrefix + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+    }
+
+    // Reverse tokenize(); fails for tokens of another scope or altered tokens
+    detokenize(token, scope) {
+        try {
+            if (typeof token !== 'string' || !token.startsWith(this.tokenPrefix)) {
+                throw new Error('Not a token');
+            }
+
+            const raw = Buffer.from(token.slice(this.tokenPrefix.length), 'base64url');
+            const iv = raw.subarray(0, this.tokenIvLength);
+            const tag = raw.subarray(this.tokenIvLength, this.tokenIvLength + this.tagLength);
+
+            const decipher = crypto.createDecipheriv(this.algorithm, this.#deriveKey(`token:${scope}`), iv);
+            decipher.setAuthTag(tag);
+
+            const decrypted = Buffer.concat([
+                decipher.update(raw.subarray(this.tokenIvLength + this.tagLength)),
+                decipher.final()
+            ]);
+
+            return JSON.parse(decrypted.toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid token');
+        }
+    }
+
     // Encrypt sensitive data
     encrypt(data) {
         try {
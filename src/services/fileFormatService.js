@@ -20,8 +20,8 @@ class FileFormatService {
                 includeEmptyRows: false
             });
 
-            // Convert to CSV
-            const csv = parser.parse(flattenedData);
+            // Convert to CSV; an empty dataset still gets its (empty) file
+            const csv = flattenedData.length ? parser.parse(flattenedData) : '';
             
             // Save to temp file
             const fileName = `${crypto.randomBytes(16).toString('hex')}.csv`;
@@ -39,6 +39,19 @@ class FileFormatService {
         }
     }
 
+    // A CSV file holds a single table, so each dataset (orders, order_line_items, ...)
+    // becomes a file of its own, named after the dataset
+    async convertDatasetsToCsv(data) {
+        const files = [];
+
+        for (const [dataset, records] of Object.entries(data)) {
+            const file = await this.convertToCsv(records);
+            files.push({ ...file, dataset, name: `${dataset}.csv` });
+        }
+
+        return files;
+    }
+
     async convertToJson(data) {
         try {
             const json = JSON.stringify(data, null, 2);
@@ -107,7 +120,10 @@ class FileFormatService {
             if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
                 Object.assign(flattened, this.flattenObject(value, newKey));
             } else if (Array.isArray(value)) {
-                flattened[newKey] = value.join(', ');
+                // Collections of objects keep their structure; select them as child datasets to get rows
+                flattened[newKey] = value.some(item => typeof item === 'object' && item !== null)
+                    ? JSON.stringify(value)
+                    : value.join(', ');
             } else {
                 flattened[newKey] = value;
             }
@@ -0,0 +1,417 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parse: parseCsv } = require('csv-parse/sync');
+const xml2js = require('xml2js');
+const SftpClient = require('ssh2-sftp-client');
+const db = require('../config/database');
+const fileSourceConfig = require('../config/fileSource');
+const encryptionService = require('./encryptionService');
+const errorLogger = require('./errorLogger');
+const fieldPath = require('../utils/fieldPath');
+const glob = require('../utils/glob');
+const {
+    FileSourceError,
+    FileSourceConnectionError,
+    FileSourceParseError,
+    FileSourceConfigError
+} = require('../errors/FileSourceError');
+
+// Reads CSV, JSON and XML files into records. A source's config is
+// { location, directory, pattern, format, delimiter, record_path, dataset }
+class FileSourceService {
+    constructor() {
+        this.MAX_FILE_SIZE = fileSourceConfig.MAX_FILE_SIZE;
+        this.MAX_FILES_PER_RUN = fileSourceConfig.MAX_FILES_PER_RUN;
+    }
+
+    // Every new file adds its records to the source's single dataset. Files are
+    // only marked processed once the job commits them after a successful upload;
+    // a file that cannot be parsed is marked failed without stopping the others.
+    async extractData(source, jobContext = {}) {
+        const config = this.getConfig(source.config);
+        const location = await this.openLocation(source.id, config, this.decryptCredentials(source.credentials));
+        const records = [];
+
+        try {
+            for (const file of await this.getNewFiles(source.id, config, location)) {
+                try {
+                    const content = await this.readFile(location, file);
+                    const fileRecords = await this.parseFile(content, this.getFormat(config, file.name), config);
+                    records.push(...fileRecords);
+
+                    if (jobContext.pendingFiles) {
+                        jobContext.pendingFiles.push({
+                            sourceId: source.id,
+                            location: config.location,
+                            ...file,
+                            checksum: this.checksum(content),
+                            recordCount: fileRecords.length
+                        });
+                    }
+                } catch (error) {
+                    if (!(error instanceof FileSourceParseError)) throw error;
+
+                    await this.markFailed(source.id, config.location, file, error);
+                    await errorLogger.logError(error, {
+                        component: 'FileSourceService',
+                        sourceId: source.id,
+                        file: file.path
+                    });
+                }
+            }
+        } finally {
+            await location.close();
+        }
+
+        return { [config.dataset || fileSourceConfig.DEFAULT_DATASET]: records };
+    }
+
+    getConfig(config) {
+        if (!config || !fileSourceConfig.LOCATIONS.includes(config.location)) {
+            throw new FileSourceConfigError('File source needs a supported location', {
+                locations: fileSourceConfig.LOCATIONS
+            });
+        }
+        if (config.location !== 'upload' && !config.directory) {
+            throw new FileSourceConfigError(`A ${config.location} file source needs a directory`);
+        }
+        return config;
+    }
+
+    // Matching files that were never processed and never failed, oldest first
+    async getNewFiles(sourceId, config, location) {
+        const tracked = await db.query(`
+            SELECT file_path, modified_at
+            FROM source_files
+            WHERE source_id = $1 AND location = $2 AND status <> 'PENDING'
+        `, [sourceId, config.location]);
+        const done = new Set(tracked.rows.map(row => this.getFileKey(row.file_path, row.modified_at)));
+
+        return (await location.list())
+            .filter(file => !done.has(this.getFileKey(file.path, file.modifiedAt)))
+            .slice(0, this.MAX_FILES_PER_RUN);
+    }
+
+    getFileKey(filePath, modifiedAt) {
+        return `${filePath}@${new Date(modifiedAt).getTime()}`;
+    }
+
+    // Each location lists its matching files as { name, path, size, modifiedAt }
+    // and reads one of them into a buffer
+    async openLocation(sourceId, config, credentials) {
+        switch (config.location) {
+            case 'upload':
+                return this.openUploads(sourceId);
+            case 'local':
+                return this.openLocalDirectory(config);
+            case 'sftp':
+                return await this.openSftp(config, credentials);
+            default:
+                throw new FileSourceConfigError('Unsupported file location', { location: config.location });
+        }
+    }
+
+    openUploads(sourceId) {
+        return {
+            list: async () => {
+                const result = await db.query(`
+                    SELECT file_name, file_path, file_size, modified_at
+                    FROM source_files
+                    WHERE source_id = $1 AND location = 'upload' AND status = 'PENDING'
+                    ORDER BY modified_at
+                `, [sourceId]);
+
+                return result.rows.map(row => ({
+                    name: row.file_name,
+                    path: row.file_path,
+                    size: parseInt(row.file_size),
+                    modifiedAt: row.modified_at
+                }));
+            },
+            read: async (file) => await fs.readFile(file.path),
+            close: async () => {}
+        };
+    }
+
+    openLocalDirectory(config) {
+        const directory = this.resolveLocalDirectory(config.directory);
+
+        return {
+            list: async () => {
+                let entries;
+                try {
+                    entries = await fs.readdir(directory, { withFileTypes: true });
+                } catch (error) {
+                    throw new FileSourceConnectionError(`Could not read directory: ${error.message}`, {
+                        directory: config.directory
+                    });
+                }
+
+                const files = [];
+                for (const entry of entries) {
+                    if (!entry.isFile() || !glob.match(entry.name, config.pattern || '*')) continue;
+
+                    const filePath = path.join(directory, entry.name);
+                    const stats = await fs.stat(filePath);
+                    files.push({ name: entry.name, path: filePath, size: stats.size, modifiedAt: stats.mtime });
+                }
+
+                return files.sort((a, b) => a.modifiedAt.getTime() - b.modifiedAt.getTime());
+            },
+            read: async (file) => await fs.readFile(file.path),
+            close: async () => {}
+        };
+    }
+
+    // Local sources can only read below FILE_SOURCE_ROOT, never anywhere on the server
+    resolveLocalDirectory(directory) {
+        if (!fileSourceConfig.LOCAL_ROOT) {
+            throw new FileSourceConfigError('Local file sources are disabled; set FILE_SOURCE_ROOT to enable them');
+        }
+
+        const root = path.resolve(fileSourceConfig.LOCAL_ROOT);
+        const resolved = path.resolve(root, directory);
+
+        if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+            throw new FileSourceConfigError('Directory must be inside the local file root', { directory });
+        }
+        return resolved;
+    }
+
+    async openSftp(config, credentials) {
+        const sftp = new SftpClient();
+
+        try {
+            await sftp.connect({
+                host: credentials.host,
+                port: credentials.port || 22,
+                username: credentials.username,
+                password: credentials.password,
+                privateKey: credentials.private_key,
+                passphrase: credentials.passphrase,
+                readyTimeout: fileSourceConfig.CONNECT_TIMEOUT
+            });
+        } catch (error) {
+            throw new FileSourceConnectionError(`Could not connect to SFTP server: ${error.message}`, {
+                host: credentials.host
+            });
+        }
+
+        return {
+            list: async () => {
+                let entries;
+                try {
+                    entries = await sftp.list(config.directory);
+                } catch (error) {
+                    throw new FileSourceConnectionError(`Could not list SFTP directory: ${error.message}`, {
+                        directory: config.directory
+                    });
+                }
+
+                return entries
+                    .filter(entry => entry.type === '-' && glob.match(entry.name, config.pattern || '*'))
+                    .map(entry => ({
+                        name: entry.name,
+                        path: path.posix.join(config.directory, entry.name),
+                        size: entry.size,
+                        modifiedAt: new Date(entry.modifyTime)
+                    }))
+                    .sort((a, b) => a.modifiedAt.getTime() - b.modifiedAt.getTime());
+            },
+            read: async (file) => {
+                try {
+                    return await sftp.get(file.path);
+                } catch (error) {
+                    throw new FileSourceConnectionError(`Could not download ${file.name}: ${error.message}`, {
+                        file: file.path
+                    });
+                }
+            },
+            close: async () => {
+                await sftp.end().catch(() => {});
+            }
+        };
+    }
+
+    async readFile(location, file) {
+        if (file.size > this.MAX_FILE_SIZE) {
+            throw new FileSourceParseError(`${file.name} is larger than the ${this.MAX_FILE_SIZE} byte limit`, {
+                file: file.path,
+                size: file.size
+            });
+        }
+        return await location.read(file);
+    }
+
+    // An explicit format wins; otherwise it follows the file extension
+    getFormat(config, fileName) {
+        const format = config.format || path.extname(fileName).slice(1).toLowerCase();
+
+        if (!fileSourceConfig.FORMATS.includes(format)) {
+            throw new FileSourceParseError(`Cannot read ${fileName}: unsupported file format`, {
+                formats: fileSourceConfig.FORMATS
+            });
+        }
+        return format;
+    }
+
+    async parseFile(content, format, config = {}) {
+        try {
+            switch (format) {
+                case 'csv':
+                    return parseCsv(content, {
+                        columns: true,
+                        skip_empty_lines: true,
+                        bom: true,
+                        delimiter: config.delimiter || ','
+                    });
+                case 'json':
+                    return this.getRecords(JSON.parse(content.toString('utf8')), config.record_path);
+                case 'xml': {
+                    // Attributes become fields next to the child elements
+                    const document = await xml2js.parseStringPromise(content.toString('utf8'), {
+                        explicitArray: false,
+                        explicitRoot: false,
+                        mergeAttrs: true
+                    });
+                    return this.getRecords(document, config.record_path);
+                }
+                default:
+                    throw new FileSourceParseError('Unsupported file format', { format });
+            }
+        } catch (error) {
+            if (error instanceof FileSourceError) throw error;
+            throw new FileSourceParseError(`Could not parse ${format} file: ${error.message}`, { format });
+        }
+    }
+
+    // A single object (or a lone XML element) is one record
+    getRecords(document, recordPath) {
+        const records = recordPath ? fieldPath.get(document, recordPath) : document;
+
+        if (records === null || records === '') return [];
+        return Array.isArray(records) ? records : [records];
+    }
+
+    checksum(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // Keep an uploaded file until the next job run of its source ingests it. The
+    // upload time is bound from JS so it matches the millisecond dates read back later.
+    async registerUpload(source, uploadedFile) {
+        this.getFormat(source.config, uploadedFile.originalname);
+
+        const result = await db.query(`
+            INSERT INTO source_files (
+                source_id, location, file_name, file_path, file_size, modified_at, status
+            ) VALUES ($1, 'upload', $2, $3, $4, $5, 'PENDING')
+            RETURNING id, file_name, file_size, status, created_at
+        `, [source.id, uploadedFile.originalname, uploadedFile.path, uploadedFile.size, new Date()]);
+
+        return result.rows[0];
+    }
+
+    // Uploaded files are deleted once ingested; SFTP and local directory files
+    // belong to whoever put them there and are left alone
+    async removeUpload(file) {
+        if (file.location !== 'upload') return;
+
+        const uploadDir = path.resolve(fileSourceConfig.UPLOAD_DIR);
+        const filePath = path.resolve(file.path);
+        if (!filePath.startsWith(uploadDir + path.sep)) return;
+
+        await fs.unlink(filePath).catch((error) => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    // A file that could not be read never will be, so its upload is not kept either
+    async markFailed(sourceId, location, file, error) {
+        await db.query(`
+            INSERT INTO source_files (
+                source_id, location, file_name, file_path, file_size, modified_at, status, error, processed_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, 'FAILED', $7, CURRENT_TIMESTAMP)
+            ON CONFLICT (source_id, location, file_path, modified_at)
+            DO UPDATE SET
+                status = 'FAILED',
+                error = EXCLUDED.error,
+                processed_at = CURRENT_TIMESTAMP
+        `, [sourceId, location, file.name, file.path, file.size, file.modifiedAt, error.message]);
+
+        await this.removeUpload({ location, path: file.path }).catch(removeError => errorLogger.logError(removeError, {
+            component: 'FileSourceService',
+            sourceId,
+            file: file.path
+        }));
+    }
+
+    async getFiles(sourceId) {
+        const result = await db.query(`
+            SELECT id, location, file_name, file_path, file_size, modified_at,
+                   checksum, record_count, status, error, processed_at, created_at
+            FROM source_files
+            WHERE source_id = $1
+            ORDER BY created_at DESC
+        `, [sourceId]);
+
+        return result.rows;
+    }
+
+    // List the files the next run would consider
+    async testConnection(source) {
+        const result = { connected: false, files: [], error: null };
+        let location;
+
+        try {
+            const config = this.getConfig(source.config);
+            location = await this.openLocation(source.id, config, this.decryptCredentials(source.credentials));
+            result.connected = true;
+
+            result.files = (await location.list()).map(file => ({
+                name: file.name,
+                size: file.size,
+                modified_at: file.modifiedAt
+            }));
+        } catch (error) {
+            result.error = error.message;
+        } finally {
+            if (location) await location.close();
+        }
+
+        return result;
+    }
+
+    // Sample records of the most recent matching file, processed or not
+    async preview(source, datasetName, limit) {
+        const config = this.getConfig(source.config);
+        if (datasetName !== (config.dataset || fileSourceConfig.DEFAULT_DATASET)) return null;
+
+        const location = await this.openLocation(source.id, config, this.decryptCredentials(source.credentials));
+
+        try {
+            const file = (await location.list()).pop();
+            if (!file) return [];
+
+            const content = await this.readFile(location, file);
+            const records = await this.parseFile(content, this.getFormat(config, file.name), config);
+            return records.slice(0, limit);
+        } finally {
+            await location.close();
+        }
+    }
+
+    // Values sent back unchanged from a previous read are already encrypted
+    encryptCredentials(credentials) {
+        const plain = fileSourceConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'string');
+        return encryptionService.encryptFields(credentials, plain);
+    }
+
+    decryptCredentials(credentials = {}) {
+        const encrypted = fileSourceConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'object');
+        return encryptionService.decryptFields(credentials, encrypted);
+    }
+}
+
+module.exports = new FileSourceService();
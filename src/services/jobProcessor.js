@@ -1,10 +1,20 @@
 const db = require('../config/database');
+const shopifyConfig = require('../config/shopify');
 const schedule = require('node-schedule');
 const shopifyService = require('./shopifyService');
+const shopifyBulkService = require('./shopifyBulkService');
+const shopifyVersionService = require('./shopifyVersionService');
+const restApiService = require('./restApiService');
+const databaseSourceService = require('./databaseSourceService');
+const fileSourceService = require('./fileSourceService');
+const sourceGroupService = require('./sourceGroupService');
+const notificationService = require('./notificationService');
 const transformationService = require('./transformationService');
 const destinationService = require('./destinationService');
+const privacyService = require('./privacyService');
 const fileFormatService = require('./fileFormatService');
 const { validateData } = require('../utils/validation');
+const fieldPath = require('../utils/fieldPath');
 const errorLogger = require('./errorLogger');
 
 class JobProcessor {
@@ -15,8 +25,18 @@ class JobProcessor {
     }
 
     async executeJob(jobConfig) {
-        const { scheduleId, sourceId, transformationId, destinationId } = jobConfig;
-        const jobContext = { scheduleId, startTime: new Date() };
+        const { scheduleId, sourceId, sourceGroupId, transformationId, destinationId } = jobConfig;
+        const jobContext = {
+            scheduleId,
+            startTime: new Date(),
+            pendingWatermarks: [],
+            pendingCursors: [],
+            pendingFiles: [],
+            sourceFailures: [],
+            childDatasets: [],
+            throttleStats: { throttleWaitMs: 0, throttledRequests: 0 }
+        };
+        this.activeJobs.set(scheduleId, jobContext);
 
         try {
             // Start job execution record
@@ -24,28 +44,45 @@ class JobProcessor {
             jobContext.jobExecutionId = jobExecution.id;
 
             // 1. Extract Data
-            const sourceData = await this.extractData(sourceId);
+            const sourceData = sourceGroupId
+                ? await this.extractGroupData(sourceGroupId, jobContext)
+                : await this.extractData(sourceId, jobContext);
+            await this.recordThrottleStats(jobContext);
+            await this.recordJobDetails(jobContext);
             await this.updateJobStatus(jobContext, 'EXTRACTING', 'Data extracted successfully');
 
             // 2. Validate Data
-            const validationResult = await this.validateData(sourceData);
+            const validationResult = await this.validateData(sourceData, jobContext.apiType, jobContext.childDatasets);
             if (!validationResult.isValid) {
                 throw new Error(`Data validation failed: ${validationResult.errors.join(', ')}`);
             }
             await this.updateJobStatus(jobContext, 'VALIDATING', 'Data validated successfully');
 
             // 3. Apply Transformations
-            const transformedData = await this.applyTransformations(transformationId, sourceData);
-            await this.updateJobStatus(jobContext, 'TRANSFORMING', 'Transformations applied successfully');
+            const transformedData = await this.applyTransformations(transformationId, sourceData, jobContext);
+            await this.recordJobDetails(jobContext);
+            await this.updateJobStatus(jobContext, 'TRANSFORMING', this.describeTransformations(jobContext.transformationReport));
 
-            // 4. Convert Format
+            // 4. Convert Format, once the destination's privacy policy allows the data
             const destination = await this.getDestinationConfig(destinationId);
+            await privacyService.enforcePolicy(destination, transformedData, jobContext.transformationReport);
             const formattedData = await this.convertFormat(transformedData, destination.file_format);
             await this.updateJobStatus(jobContext, 'FORMATTING', 'Format conversion completed');
 
             // 5. Upload to Destination
             await this.uploadToDestination(formattedData, destination);
-            await this.updateJobStatus(jobContext, 'COMPLETED', 'Job completed successfully');
+
+            // Only move incremental watermarks once the data has been delivered
+            await this.commitWatermarks(jobContext);
+            await this.commitCursors(jobContext);
+            await this.commitFiles(jobContext);
+            await this.updateJobStatus(
+                jobContext,
+                'COMPLETED',
+                jobContext.sourceFailures.length
+                    ? `Job completed; ${jobContext.sourceFailures.length} failed source(s) were skipped`
+                    : 'Job completed successfully'
+            );
 
             // 6. Update schedule next run time
             await this.updateScheduleNextRun(scheduleId);
@@ -54,69 +91,272 @@ class JobProcessor {
         } catch (error) {
             await this.handleJobError(jobContext, error);
             throw error;
+        } finally {
+            this.activeJobs.delete(scheduleId);
         }
     }
 
     async createJobExecution(jobConfig) {
-        return await db.query(`
+        const result = await db.query(`
             INSERT INTO job_executions (
                 schedule_id,
                 source_id,
+                source_group_id,
                 transformation_id,
                 destination_id,
                 status,
                 started_at
-            ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+            ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
             RETURNING *
         `, [
             jobConfig.scheduleId,
-            jobConfig.sourceId,
+            jobConfig.sourceId || null,
+            jobConfig.sourceGroupId || null,
             jobConfig.transformationId,
             jobConfig.destinationId,
             'STARTED'
         ]);
+
+        return result.rows[0];
     }
 
-    async extractData(sourceId) {
-        const source = await db.query('SELECT * FROM sources WHERE id = $1', [sourceId]);
+    async extractData(sourceId, jobContext = {}) {
+        const source = await db.query(`
+            SELECT s.*, at.name as api_type_name
+            FROM sources s
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE s.id = $1
+        `, [sourceId]);
         const sourceConfig = source.rows[0];
+        jobContext.apiType = sourceConfig.api_type_name;
+
+        switch (sourceConfig.api_type_name) {
+            case 'Shopify':
+                return await this.extractShopifyData(sourceConfig, jobContext);
+            case 'REST':
+                return await restApiService.extractData(sourceConfig);
+            case 'Database':
+                return await databaseSourceService.extractData(sourceConfig, jobContext);
+            case 'File':
+                return await fileSourceService.extractData(sourceConfig, jobContext);
+            default:
+                throw new Error(`Unsupported source type: ${sourceConfig.api_type_name}`);
+        }
+    }
+
+    // Extract every store of the group with the group's selection and union the
+    // datasets. Failed stores end up in the job details; the group's failure
+    // policy decides whether the other stores are still delivered.
+    async extractGroupData(sourceGroupId, jobContext = {}) {
+        const groupResult = await db.query('SELECT * FROM source_groups WHERE id = $1', [sourceGroupId]);
+        const group = groupResult.rows[0];
+        const members = await sourceGroupService.getMembers(sourceGroupId);
+
+        if (!group || members.length === 0) {
+            throw new Error(`Source group ${sourceGroupId} has no active sources`);
+        }
+
+        jobContext.apiType = 'Shopify';
+        const failures = jobContext.sourceFailures || [];
+        const data = {};
+
+        for (const member of members) {
+            const shopName = member.credentials.shop_name;
+            const watermarkCount = jobContext.pendingWatermarks?.length || 0;
+
+            try {
+                const selections = await sourceGroupService.getMemberSelections(group, member.id);
+                const memberData = await this.extractShopifyData(member, jobContext, selections);
+
+                for (const [name, records] of Object.entries(memberData)) {
+                    data[name] = (data[name] || []).concat(sourceGroupService.tagRecords(records, shopName));
+                }
+            } catch (error) {
+                // None of this store's records are delivered, so none of its watermarks may move
+                if (jobContext.pendingWatermarks) jobContext.pendingWatermarks.length = watermarkCount;
+
+                failures.push({ sourceId: member.id, shopName, error: error.message });
+                await errorLogger.logError(error, {
+                    component: 'JobProcessor',
+                    sourceGroupId,
+                    sourceId: member.id
+                });
+            }
+        }
+
+        if (failures.length === 0) return data;
+
+        const failedShops = failures.map(failure => failure.shopName).join(', ');
+        if (group.failure_policy === sourceGroupService.FAILURE_POLICIES.FAIL || failures.length === members.length) {
+            throw new Error(`${failures.length} of ${members.length} sources in group ${group.name} failed: ${failedShops}`);
+        }
+
+        await notificationService.createNotification(
+            group.user_id,
+            notificationService.NOTIFICATION_TYPES.SOURCE_GROUP_PARTIAL,
+            `${failures.length} of ${members.length} stores in ${group.name} could not be extracted: ${failedShops}`,
+            { sourceGroupId: String(sourceGroupId), groupName: group.name, failures },
+            notificationService.PRIORITIES.HIGH
+        ).catch(error => errorLogger.logError(error, { component: 'JobProcessor', sourceGroupId }));
+
+        return data;
+    }
+
+    // Group runs pass the group's selection for the store instead of the source's own
+    async extractShopifyData(sourceConfig, jobContext = {}, selections = null) {
+        const sourceId = sourceConfig.id;
+
+        // A sunset warning must never fail the extraction itself
+        await shopifyVersionService.checkSourceVersion(sourceConfig).catch(error => errorLogger.logError(error, {
+            component: 'JobProcessor',
+            sourceId
+        }));
 
         // Get selected APIs and fields
-        const selectedApis = await db.query(`
-            SELECT sa.*, ssa.selected_fields
+        const selectedApis = selections || (await db.query(`
+            SELECT sa.*,
+                   ssa.id as selection_id,
+                   ssa.selected_fields,
+                   ssa.watermark_updated_at,
+                   ssa.watermark_id
             FROM source_selected_apis ssa
             JOIN shopify_apis sa ON ssa.api_id = sa.id
             WHERE ssa.source_id = $1
-        `, [sourceId]);
+        `, [sourceId])).rows;
+
+        const selectedParents = selectedApis.filter(api => !api.parent_api_id);
+        const children = selectedApis.filter(api => api.parent_api_id);
+
+        // Children of an unselected parent still need the parent's records. The
+        // first child's selection carries the watermark of that shared fetch.
+        const missingParentIds = [...new Set(children.map(child => child.parent_api_id))]
+            .filter(parentId => !selectedParents.some(api => api.id === parentId));
+        const missingParents = missingParentIds.length
+            ? (await db.query('SELECT * FROM shopify_apis WHERE id = ANY($1)', [missingParentIds])).rows
+            : [];
+
+        const apis = [
+            ...selectedParents,
+            ...missingParents.map(parent => {
+                const carrier = children.find(child => child.parent_api_id === parent.id);
+                return {
+                    ...parent,
+                    selection_id: carrier.selection_id,
+                    group_id: carrier.group_id,
+                    selected_fields: ['id'],
+                    watermark_updated_at: carrier.watermark_updated_at,
+                    watermark_id: carrier.watermark_id,
+                    childrenOnly: true
+                };
+            })
+        ];
 
         // Extract data for each selected API
         const data = {};
-        for (const api of selectedApis.rows) {
-            const apiData = await shopifyService.fetchData(
-                sourceConfig.credentials,
-                api.endpoint,
-                api.selected_fields
-            );
-            data[api.name] = apiData;
+        for (const api of apis) {
+            Object.assign(data, await this.fetchApiWithChildren(
+                sourceConfig,
+                api,
+                children.filter(child => child.parent_api_id === api.id),
+                jobContext
+            ));
+        }
+
+        if (jobContext.childDatasets) {
+            jobContext.childDatasets.push(...children.map(child => child.name));
+        }
+
+        return data;
+    }
+
+    // Child datasets (order line items, refunds, ...) come from a collection in
+    // each parent record, so the parent is fetched once for itself and them all
+    async fetchApiWithChildren(sourceConfig, api, children, jobContext = {}) {
+        const selectedFields = await shopifyService.resolveFieldNames(api.id, api.selected_fields);
+        const fields = children.length && selectedFields.length
+            ? [...new Set([...selectedFields, 'id', ...children.map(child => child.child_path)])]
+            : selectedFields;
+
+        const records = await this.fetchApiData(sourceConfig, api, jobContext, fields, children.length > 0);
+        const data = {};
+
+        if (!api.childrenOnly) {
+            data[api.name] = fields === selectedFields
+                ? records
+                : records.map(record => shopifyService.normalizeRecord(record, selectedFields));
+        }
+
+        for (const child of children) {
+            const childFields = await shopifyService.resolveFieldNames(child.id, child.selected_fields);
+            data[child.name] = shopifyService.extractChildRecords(records, child, childFields);
         }
 
         return data;
     }
 
-    async validateData(data) {
-        const validationRules = {
+    async fetchApiData(sourceConfig, api, jobContext = {}, fields = null, hasChildren = false) {
+        const selectedFields = fields || await shopifyService.resolveFieldNames(api.id, api.selected_fields);
+        const fetcher = this.getExtractionMode(sourceConfig, api, selectedFields, hasChildren) === shopifyConfig.EXTRACTION_MODES.BULK
+            ? (credentials, endpoint, fields, options) => shopifyBulkService.fetchData(credentials, api, fields, options)
+            : shopifyService.fetchData.bind(shopifyService);
+
+        if (!api.supports_incremental) {
+            return await fetcher(sourceConfig.credentials, api.endpoint, selectedFields, {
+                stats: jobContext.throttleStats
+            });
+        }
+
+        const { records, watermark } = await shopifyService.fetchIncremental(
+            sourceConfig.credentials,
+            api.endpoint,
+            selectedFields,
+            {
+                updatedAt: api.watermark_updated_at,
+                id: api.watermark_id ? Number(api.watermark_id) : null
+            },
+            { fetcher, stats: jobContext.throttleStats }
+        );
+
+        if (jobContext.pendingWatermarks && records.length) {
+            jobContext.pendingWatermarks.push({ selectionId: api.selection_id, groupId: api.group_id, ...watermark });
+        }
+
+        return records;
+    }
+
+    // A source-level mode overrides the API default; bulk needs a GraphQL resource
+    // and an explicit list of flat fields, so it cannot feed child collections either
+    getExtractionMode(sourceConfig, api, selectedFields = [], hasChildren = false) {
+        const mode = sourceConfig.extraction_mode || api.extraction_mode || shopifyConfig.EXTRACTION_MODES.REST;
+
+        if (mode === shopifyConfig.EXTRACTION_MODES.BULK
+            && (!api.graphql_resource || hasChildren || !selectedFields.length || selectedFields.some(fieldPath.isNested))) {
+            return shopifyConfig.EXTRACTION_MODES.REST;
+        }
+
+        return mode;
+    }
+
+    // Generic REST records have no fixed shape, so only Shopify data has rules.
+    // Child datasets carry their parent key instead of Shopify's own columns.
+    async validateData(data, apiType = 'Shopify', childDatasets = []) {
+        if (childDatasets.length) {
+            data = Object.fromEntries(Object.entries(data).filter(([name]) => !childDatasets.includes(name)));
+        }
+
+        const validationRules = apiType === 'Shopify' ? {
             required: ['id', 'created_at'],
             types: {
                 id: 'number',
                 created_at: 'string',
                 updated_at: 'string'
             }
-        };
+        } : { required: [], types: {} };
 
         return validateData(data, validationRules);
     }
 
-    async applyTransformations(transformationId, data) {
+    async applyTransformations(transformationId, data, jobContext = {}) {
         if (!transformationId) return data;
 
         const transformation = await db.query(
@@ -128,29 +368,128 @@ class JobProcessor {
             return data;
         }
 
-        return await transformationService.applyTransformations(
+        const { data: transformed, report } = await transformationService.applyTransformations(
             data,
-            transformation.rows[0].configuration
+            transformation.rows[0].configuration,
+            { pipelineId: transformationId }
         );
+
+        if (report.errorCount || report.steps.length || report.protectedFields.length) {
+            jobContext.transformationReport = report;
+        }
+        return transformed;
     }
 
+    describeTransformations(report) {
+        const notes = [];
+        const steps = report?.steps || [];
+        const filteredOut = steps.reduce((sum, step) => sum + (step.filteredOut || 0), 0);
+        const unmatched = steps.filter(step => step.type === 'LOOKUP').reduce((sum, step) => sum + (step.unmatched || 0), 0);
+
+        if (filteredOut) notes.push(`${filteredOut} record(s) filtered out`);
+        if (unmatched) notes.push(`${unmatched} value(s) not found in lookup tables`);
+        if (report?.errorCount) notes.push(`${report.errorCount} value(s) could not be transformed`);
+
+        return notes.length ? `Transformations applied; ${notes.join(', ')}` : 'Transformations applied successfully';
+    }
+
+    // Returns the files to deliver. CSV gets one file per dataset so child datasets
+    // can be loaded as tables of their own; JSON and XML keep every dataset in one document.
     async convertFormat(data, format) {
         switch (format.toLowerCase()) {
             case 'csv':
-                return await fileFormatService.convertToCsv(data);
+                return await fileFormatService.convertDatasetsToCsv(data);
             case 'json':
-                return await fileFormatService.convertToJson(data);
+                return [await fileFormatService.convertToJson(data)];
             case 'xml':
-                return await fileFormatService.convertToXml(data);
+                return [await fileFormatService.convertToXml(data)];
             default:
                 throw new Error(`Unsupported format: ${format}`);
         }
     }
 
+    // Destination with its type and file format names
+    async getDestinationConfig(destinationId) {
+        const result = await db.query(`
+            SELECT d.*, dt.name as destination_type, ff.name as file_format
+            FROM destinations d
+            JOIN destination_types dt ON d.destination_type_id = dt.id
+            JOIN file_formats ff ON d.file_format_id = ff.id
+            WHERE d.id = $1 AND d.is_active = true
+        `, [destinationId]);
+
+        if (!result.rows.length) {
+            throw new Error(`Destination ${destinationId} not found`);
+        }
+        return result.rows[0];
+    }
+
     async uploadToDestination(data, destination) {
         return await destinationService.uploadData(data, destination);
     }
 
+    async commitWatermarks(jobContext) {
+        for (const watermark of jobContext.pendingWatermarks || []) {
+            // A group's watermarks live on the group, so a member's own schedules keep theirs
+            const table = watermark.groupId ? 'source_group_selections' : 'source_selected_apis';
+            await db.query(`
+                UPDATE ${table}
+                SET 
+                    watermark_updated_at = $1,
+                    watermark_id = $2,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [watermark.updatedAt, watermark.id, watermark.selectionId]);
+        }
+    }
+
+    async commitCursors(jobContext) {
+        for (const cursor of jobContext.pendingCursors || []) {
+            await db.query(`
+                INSERT INTO source_cursors (source_id, dataset, cursor_value)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (source_id, dataset)
+                DO UPDATE SET
+                    cursor_value = EXCLUDED.cursor_value,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [cursor.sourceId, cursor.dataset, cursor.value]);
+        }
+    }
+
+    async commitFiles(jobContext) {
+        for (const file of jobContext.pendingFiles || []) {
+            await db.query(`
+                INSERT INTO source_files (
+                    source_id, location, file_name, file_path, file_size,
+                    modified_at, checksum, record_count, status, processed_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'PROCESSED', CURRENT_TIMESTAMP)
+                ON CONFLICT (source_id, location, file_path, modified_at)
+                DO UPDATE SET
+                    checksum = EXCLUDED.checksum,
+                    record_count = EXCLUDED.record_count,
+                    status = 'PROCESSED',
+                    error = NULL,
+                    processed_at = CURRENT_TIMESTAMP
+            `, [
+                file.sourceId,
+                file.location,
+                file.name,
+                file.path,
+                file.size,
+                file.modifiedAt,
+                file.checksum,
+                file.recordCount
+            ]);
+
+            // The data is delivered by now, so a file left behind only costs disk space
+            await fileSourceService.removeUpload(file).catch(error => errorLogger.logError(error, {
+                component: 'JobProcessor',
+                sourceId: file.sourceId,
+                file: file.path
+            }));
+        }
+    }
+
     async updateJobStatus(jobContext, status, message) {
         await db.query(`
             UPDATE job_executions
@@ -162,12 +501,50 @@ class JobProcessor {
         `, [status, message, jobContext.jobExecutionId]);
     }
 
+    // Surface rate-limit waits so slow runs can be explained
+    async recordThrottleStats(jobContext) {
+        if (!jobContext.jobExecutionId || !jobContext.throttleStats) return;
+
+        await db.query(`
+            UPDATE job_executions
+            SET 
+                throttle_wait_ms = $1,
+                throttled_requests = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `, [
+            Math.round(jobContext.throttleStats.throttleWaitMs),
+            jobContext.throttleStats.throttledRequests,
+            jobContext.jobExecutionId
+        ]);
+    }
+
+    // Merged into the execution's details, so each stage can add its part
+    async recordJobDetails(jobContext) {
+        const details = {};
+        if (jobContext.sourceFailures?.length) details.failedSources = jobContext.sourceFailures;
+        if (jobContext.transformationReport) details.transformations = jobContext.transformationReport;
+
+        if (!Object.keys(details).length) return;
+
+        await db.query(`
+            UPDATE job_executions
+            SET 
+                details = COALESCE(details, '{}'::jsonb) || $1::jsonb,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [details, jobContext.jobExecutionId]);
+    }
+
     async handleJobError(jobContext, error) {
         await errorLogger.logError(error, {
             component: 'JobProcessor',
             jobExecutionId: jobContext.jobExecutionId
         });
 
+        await this.recordThrottleStats(jobContext);
+        await this.recordJobDetails(jobContext);
+
         await this.updateJobStatus(
             jobContext,
             'FAILED',
@@ -0,0 +1,201 @@
+const { parse: parseCsv } = require('csv-parse/sync');
+const db = require('../config/database');
+const { LookupTableError, LookupTableImportError } = require('../errors/LookupTableError');
+
+// Per-user key -> value tables that LOOKUP transformations map fields through
+class LookupTableService {
+    constructor() {
+        this.MAX_ENTRIES = 100000;
+        this.MAX_KEY_LENGTH = 255;
+        this.MAX_IMPORT_SIZE = 10 * 1024 * 1024; // 10MB
+        this.IMPORT_MODES = ['merge', 'replace'];
+    }
+
+    async getTables(userId, tableId = null) {
+        const values = [userId];
+        let conditions = 'WHERE lt.user_id = $1 AND lt.is_active = true';
+
+        if (tableId) {
+            values.push(tableId);
+            conditions += ' AND lt.id = $2';
+        }
+
+        const result = await db.query(`
+            SELECT lt.*, COUNT(lte.id)::int as entry_count
+            FROM lookup_tables lt
+            LEFT JOIN lookup_table_entries lte ON lt.id = lte.lookup_table_id
+            ${conditions}
+            GROUP BY lt.id
+            ORDER BY lt.name
+        `, values);
+
+        return result.rows;
+    }
+
+    // A table with its entries, or null when the user has no such table
+    async getTable(tableId, userId) {
+        const table = (await this.getTables(userId, tableId))[0];
+        if (!table) return null;
+
+        const entries = await db.query(
+            'SELECT lookup_key as key, lookup_value as value FROM lookup_table_entries WHERE lookup_table_id = $1 ORDER BY lookup_key',
+            [table.id]
+        );
+
+        return { ...table, entries: entries.rows };
+    }
+
+    async isNameTaken(name, userId, exceptId = null) {
+        const result = await db.query(
+            'SELECT id FROM lookup_tables WHERE user_id = $1 AND name = $2 AND is_active = true AND id IS DISTINCT FROM $3',
+            [userId, name, exceptId]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Entries as { key, value } with keys trimmed to text. A key given twice
+    // keeps its last value.
+    normalizeEntries(entries) {
+        const mapped = new Map();
+
+        entries.forEach((entry, index) => {
+            const key = entry.key === null || entry.key === undefined ? '' : String(entry.key).trim();
+            if (!key) {
+                throw new LookupTableError(`Entry ${index} has no key`, 'INVALID_ENTRY', { index });
+            }
+            if (key.length > this.MAX_KEY_LENGTH) {
+                throw new LookupTableError(
+                    `Entry ${index} has a key longer than ${this.MAX_KEY_LENGTH} characters`,
+                    'INVALID_ENTRY',
+                    { index }
+                );
+            }
+            mapped.set(key, entry.value === null || entry.value === undefined ? null : String(entry.value));
+        });
+
+        if (mapped.size > this.MAX_ENTRIES) {
+            throw new LookupTableError(`A lookup table holds at most ${this.MAX_ENTRIES} entries`, 'TOO_MANY_ENTRIES');
+        }
+
+        return [...mapped].map(([key, value]) => ({ key, value }));
+    }
+
+    // Insert or overwrite entries; runs inside the caller's transaction
+    async mergeEntries(tableId, entries) {
+        const normalized = this.normalizeEntries(entries);
+        if (!normalized.length) return 0;
+
+        await db.query(`
+            INSERT INTO lookup_table_entries (lookup_table_id, lookup_key, lookup_value)
+            SELECT $1, entry.key, entry.value
+            FROM unnest($2::text[], $3::text[]) AS entry(key, value)
+            ON CONFLICT (lookup_table_id, lookup_key) DO UPDATE SET lookup_value = EXCLUDED.lookup_value
+        `, [tableId, normalized.map(entry => entry.key), normalized.map(entry => entry.value)]);
+
+        const count = await db.query(
+            'SELECT COUNT(*)::int as count FROM lookup_table_entries WHERE lookup_table_id = $1',
+            [tableId]
+        );
+        if (count.rows[0].count > this.MAX_ENTRIES) {
+            throw new LookupTableError(`A lookup table holds at most ${this.MAX_ENTRIES} entries`, 'TOO_MANY_ENTRIES');
+        }
+
+        return normalized.length;
+    }
+
+    async replaceEntries(tableId, entries) {
+        await db.query('DELETE FROM lookup_table_entries WHERE lookup_table_id = $1', [tableId]);
+        return this.mergeEntries(tableId, entries);
+    }
+
+    // Entries from a CSV file with a header row. The key and value columns
+    // default to the first two; rows without a key are skipped.
+    parseCsv(content, { keyColumn = null, valueColumn = null, delimiter = ',' } = {}) {
+        let rows;
+        try {
+            rows = parseCsv(content, {
+                skip_empty_lines: true,
+                relax_column_count: true,
+                bom: true,
+                delimiter
+            });
+        } catch (error) {
+            throw new LookupTableImportError(`Could not parse CSV: ${error.message}`);
+        }
+
+        if (!rows.length) {
+            throw new LookupTableImportError('The file has no header row');
+        }
+
+        const header = rows[0].map(column => column.trim());
+        const columnIndex = (name, fallback, label) => {
+            if (name === undefined || name === null || name === '') {
+                if (fallback < header.length) return fallback;
+                throw new LookupTableImportError(`The file has no ${label} column`, { header });
+            }
+            const index = header.indexOf(String(name).trim());
+            if (index === -1) {
+                throw new LookupTableImportError(`Column "${name}" not found`, { header });
+            }
+            return index;
+        };
+
+        const keyIndex = columnIndex(keyColumn, 0, 'key');
+        const valueIndex = columnIndex(valueColumn, keyIndex === 0 ? 1 : 0, 'value');
+
+        const entries = [];
+        let skipped = 0;
+        for (const row of rows.slice(1)) {
+            const key = (row[keyIndex] || '').trim();
+            if (!key) {
+                skipped++;
+                continue;
+            }
+            entries.push({ key, value: row[valueIndex] === undefined ? null : row[valueIndex] });
+        }
+
+        return { entries, skipped };
+    }
+
+    // Key -> value map of an active table, or null when it no longer exists
+    async getMapping(tableId) {
+        const table = await db.query(
+            'SELECT id FROM lookup_tables WHERE id = $1 AND is_active = true',
+            [tableId]
+        );
+        if (!table.rows.length) return null;
+
+        const entries = await db.query(
+            'SELECT lookup_key, lookup_value FROM lookup_table_entries WHERE lookup_table_id = $1',
+            [tableId]
+        );
+        return new Map(entries.rows.map(row => [row.lookup_key, row.lookup_value]));
+    }
+
+    // Validation errors, shaped like TransformationService.validateConfiguration's,
+    // for LOOKUP steps naming a table that isn't an active table of the user
+    async validateReferences(steps, userId) {
+        const references = steps
+            .map((step, index) => ({ step, index }))
+            .filter(({ step }) => String(step.type || '').toUpperCase() === 'LOOKUP');
+        if (!references.length) return [];
+
+        const tableIds = [...new Set(references.map(({ step }) => Number(step.configuration.table_id)))];
+        const result = await db.query(
+            'SELECT id FROM lookup_tables WHERE id = ANY($1) AND user_id = $2 AND is_active = true',
+            [tableIds, userId]
+        );
+        const valid = new Set(result.rows.map(row => row.id));
+
+        return references
+            .filter(({ step }) => !valid.has(Number(step.configuration.table_id)))
+            .map(({ step, index }) => ({
+                index,
+                field: step.field,
+                type: step.type,
+                message: `Lookup table ${step.configuration.table_id} not found`
+            }));
+    }
+}
+
+module.exports = new LookupTableService();
@@ -14,7 +14,7 @@ class NotificationService {
             }
         });
 
-        // Notification types
+        // Notification types; the notifications table accepts only these
         this.NOTIFICATION_TYPES = {
             JOB_SUCCESS: 'job_success',
             JOB_FAILURE: 'job_failure',
@@ -22,7 +22,9 @@ class NotificationService {
             TOKEN_EXPIRED: 'token_expired',
             AUTH_REQUIRED: 'auth_required',
             TRANSFORMATION_ERROR: 'transformation_error',
-            DESTINATION_ERROR: 'destination_error'
+            DESTINATION_ERROR: 'destination_error',
+            API_VERSION_SUNSET: 'api_version_sunset',
+            SOURCE_GROUP_PARTIAL: 'source_group_partial'
         };
 
         // Notification priorities
@@ -36,6 +38,10 @@ class NotificationService {
 
     async createNotification(userId, type, message, data = {}, priority = 'medium') {
         try {
+            if (!Object.values(this.NOTIFICATION_TYPES).includes(type)) {
+                throw new Error(`Unknown notification type: ${type}`);
+            }
+
             const result = await db.query(`
                 INSERT INTO notifications (
                     user_id,
@@ -140,6 +146,34 @@ class NotificationService {
                     <p>Please reauthorize your connection to continue uninterrupted service.</p>
                 `
             },
+            [this.NOTIFICATION_TYPES.API_VERSION_SUNSET]: {
+                subject: 'Shopify API Version Retiring Soon',
+                html: `
+                    <h2>Shopify API Version Retiring Soon</h2>
+                    <p>${message}</p>
+                    <div>
+                        <ul>
+                            <li>Shop: ${data.shopName}</li>
+                            <li>Current Version: ${data.apiVersion}</li>
+                            <li>Sunset Date: ${data.sunsetDate}</li>
+                            <li>Latest Version: ${data.latestVersion}</li>
+                        </ul>
+                    </div>
+                `
+            },
+            [this.NOTIFICATION_TYPES.SOURCE_GROUP_PARTIAL]: {
+                subject: 'Some Stores Were Left Out of a Group Export',
+                html: `
+                    <h2>Some Stores Were Left Out of a Group Export</h2>
+                    <p>${message}</p>
+                    <div>
+                        <p>Failed Stores:</p>
+                        <ul>
+                            ${(data.failures || []).map(failure => `<li>${failure.shopName}: ${failure.error}</li>`).join('')}
+                        </ul>
+                    </div>
+                `
+            },
             // Add more templates as needed
         };
 
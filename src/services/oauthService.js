@@ -3,13 +3,17 @@ const crypto = require('crypto');
 const db = require('../config/database');
 const encryptionService = require('./encryptionService');
 const errorLogger = require('./errorLogger');
+const shopifyConfig = require('../config/shopify');
+const shopifyService = require('./shopifyService');
+const shopifyVersionService = require('./shopifyVersionService');
 const {
     OAuthError,
     OAuthTokenError,
     OAuthConfigError,
     OAuthStateError,
     OAuthDestinationError,
-    OAuthProviderError
+    OAuthProviderError,
+    OAuthSignatureError
 } = require('../errors/OAuthError');
 
 class OAuthService {
@@ -147,15 +151,15 @@ class OAuthService {
         return sanitized;
     }
 
-    async generateState(userId, destinationId, provider) {
+    async generateState(userId, destinationId, provider, options = {}) {
         try {
             const state = crypto.randomBytes(32).toString('hex');
             
             await db.query(`
                 INSERT INTO oauth_states 
-                (state, user_id, destination_id, provider, expires_at)
-                VALUES ($1, $2, $3, $4, NOW() + INTERVAL '${this.STATE_EXPIRY}')`,
-                [state, userId, destinationId, provider]
+                (state, user_id, destination_id, source_id, shop, provider, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '${this.STATE_EXPIRY}')`,
+                [state, userId, destinationId, options.sourceId || null, options.shop || null, provider]
             );
             
             return state;
@@ -172,7 +176,7 @@ class OAuthService {
             const result = await db.query(`
                 DELETE FROM oauth_states
                 WHERE state = $1 AND expires_at > NOW()
-                RETURNING user_id, destination_id, provider`,
+                RETURNING user_id, destination_id, source_id, shop, provider`,
                 [state]
             );
             
@@ -478,6 +482,197 @@ class OAuthService {
         }
     }
 
+    // "my-store" or "https://my-store.myshopify.com/" -> "my-store.myshopify.com"
+    normalizeShopDomain(shop) {
+        const domain = String(shop || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/\/.*$/, '');
+        const fullDomain = domain.includes('.') ? domain : `${domain}.myshopify.com`;
+
+        if (!shopifyConfig.SHOP_DOMAIN_PATTERN.test(fullDomain)) {
+            throw new OAuthConfigError('Invalid Shopify shop domain', { shop });
+        }
+
+        return fullDomain;
+    }
+
+    getShopifyAppConfig() {
+        const config = {
+            apiKey: process.env.SHOPIFY_API_KEY,
+            apiSecret: process.env.SHOPIFY_API_SECRET,
+            redirectUri: `${process.env.APP_URL}/api/oauth/shopify/callback`
+        };
+
+        if (!config.apiKey || !config.apiSecret || !process.env.APP_URL) {
+            throw new OAuthConfigError(
+                'Shopify app is not configured',
+                { missingFields: ['SHOPIFY_API_KEY', 'SHOPIFY_API_SECRET', 'APP_URL'].filter(name => !process.env[name]) }
+            );
+        }
+
+        return config;
+    }
+
+    // Omitting grant_options[]=per-user requests an offline (long-lived) token
+    async getShopifyAuthorizationUrl(userId, shop, sourceId = null) {
+        const context = { userId, shop, sourceId };
+
+        try {
+            const shopDomain = this.normalizeShopDomain(shop);
+            const app = this.getShopifyAppConfig();
+            const state = await this.generateState(userId, null, 'Shopify', { sourceId, shop: shopDomain });
+
+            const params = new URLSearchParams({
+                client_id: app.apiKey,
+                scope: shopifyConfig.OAUTH_SCOPES,
+                redirect_uri: app.redirectUri,
+                state
+            });
+
+            return `${shopifyService.getBaseShopUrl(shopDomain)}/admin/oauth/authorize?${params.toString()}`;
+        } catch (error) {
+            await errorLogger.logError(error, context);
+            if (error instanceof OAuthError) throw error;
+            throw new OAuthError(
+                'Failed to generate authorization URL',
+                'AUTH_URL_ERROR',
+                { cause: error.message }
+            );
+        }
+    }
+
+    // Shopify signs the callback query: every parameter except hmac, sorted
+    // and joined as key=value pairs, HMAC-SHA256 with the app secret in hex
+    verifyShopifyHmac(query, secret) {
+        const { hmac, signature, ...params } = query;
+        if (typeof hmac !== 'string' || !secret) return false;
+
+        const message = Object.keys(params)
+            .sort()
+            .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+            .join('&');
+        const digest = crypto.createHmac('sha256', secret).update(message).digest();
+        const received = Buffer.from(hmac, 'hex');
+
+        return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+    }
+
+    async exchangeShopifyCode(shopDomain, code, app) {
+        return await this.retryOperation(async () => {
+            try {
+                const response = await axios.post(
+                    `${shopifyService.getBaseShopUrl(shopDomain)}/admin/oauth/access_token`,
+                    {
+                        client_id: app.apiKey,
+                        client_secret: app.apiSecret,
+                        code
+                    },
+                    {
+                        headers: { 'Content-Type': 'application/json' },
+                        timeout: 5000
+                    }
+                );
+
+                return response.data;
+            } catch (error) {
+                if (axios.isAxiosError(error) && error.response) {
+                    throw new OAuthProviderError(
+                        'Shopify rejected token exchange',
+                        error.response.data,
+                        {
+                            status: error.response.status,
+                            statusText: error.response.statusText
+                        }
+                    );
+                }
+                throw error;
+            }
+        });
+    }
+
+    async handleShopifyCallback(query) {
+        const context = { shop: query.shop, state: query.state };
+
+        try {
+            const app = this.getShopifyAppConfig();
+
+            if (!this.verifyShopifyHmac(query, app.apiSecret)) {
+                throw new OAuthSignatureError('Shopify callback HMAC verification failed', { shop: query.shop });
+            }
+
+            const stateData = await this.verifyState(query.state);
+            const shopDomain = this.normalizeShopDomain(query.shop);
+
+            if (stateData.shop !== shopDomain) {
+                throw new OAuthStateError('Callback shop does not match the authorization request', {
+                    expected: stateData.shop,
+                    received: shopDomain
+                });
+            }
+
+            const tokens = await this.exchangeShopifyCode(shopDomain, query.code, app);
+            const source = await this.saveShopifySource(stateData, shopDomain, tokens);
+
+            return {
+                success: true,
+                source_id: source.id,
+                shop: shopDomain,
+                scopes: tokens.scope
+            };
+        } catch (error) {
+            await errorLogger.logError(error, context);
+            if (error instanceof OAuthError) throw error;
+            throw new OAuthError(
+                'OAuth callback failed',
+                'CALLBACK_ERROR',
+                { cause: error.message }
+            );
+        }
+    }
+
+    // Reconnects the source named in the state, or creates a new one
+    async saveShopifySource(stateData, shopDomain, tokens) {
+        const connection = {
+            shop_name: shopDomain.replace(/\.myshopify\.com$/, ''),
+            shop_url: `https://${shopDomain}`,
+            access_token: encryptionService.encrypt(tokens.access_token),
+            scopes: tokens.scope,
+            connected_via: 'oauth'
+        };
+
+        if (stateData.source_id) {
+            const result = await db.query(`
+                UPDATE sources
+                SET credentials = credentials || $1::jsonb,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2 AND user_id = $3
+                RETURNING id`,
+                [connection, stateData.source_id, stateData.user_id]
+            );
+
+            if (result.rows.length === 0) {
+                throw new OAuthError('Source not found', 'SOURCE_ERROR', { sourceId: stateData.source_id });
+            }
+
+            return result.rows[0];
+        }
+
+        // New stores start on the newest version Shopify still supports
+        const latest = shopifyVersionService.getLatestSupported(await shopifyVersionService.getVersions());
+        const result = await db.query(`
+            INSERT INTO sources (user_id, api_type_id, credentials)
+            SELECT $1, id, $2
+            FROM api_types
+            WHERE name = 'Shopify'
+            RETURNING id`,
+            [stateData.user_id, { ...connection, api_version: latest?.version || shopifyConfig.DEFAULT_API_VERSION }]
+        );
+
+        return result.rows[0];
+    }
+
     validateOAuthConfig(config) {
         const requiredFields = ['clientId', 'clientSecret', 'redirectUri'];
         const missingFields = requiredFields.filter(field => !config.credentials[field]);
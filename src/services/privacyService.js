@@ -0,0 +1,159 @@
+const db = require('../config/database');
+const fieldPath = require('../utils/fieldPath');
+const { PrivacyPolicyError } = require('../errors/PrivacyError');
+
+const hasValue = (value) => {
+    if (Array.isArray(value)) return value.some(hasValue);
+    return value !== null && value !== undefined && value !== '';
+};
+
+// Enforces destinations' privacy policies on the data about to be delivered.
+// Personal data is what the Shopify field catalog tags with is_pii, followed
+// into the columns and datasets EXPLODE, JOIN and AGGREGATE copy it to; it
+// counts as protected when a HASH, MASK, TOKENIZE or DROP step ran on the
+// field or on an object or array holding it, wherever it was at the time.
+class PrivacyService {
+    constructor() {
+        this.POLICIES = {
+            ALLOW: 'ALLOW', // Deliver everything
+            PROTECT: 'PROTECT' // Refuse the delivery while a PII field is unprotected
+        };
+    }
+
+    // PII fields of the datasets, as Map api -> [field_name]
+    async getPiiFields(apis) {
+        const result = await db.query(`
+            SELECT sa.name as api, saf.field_name
+            FROM shopify_api_fields saf
+            JOIN shopify_apis sa ON saf.api_id = sa.id
+            WHERE saf.is_pii = true AND saf.is_active = true AND sa.name = ANY($1)
+            ORDER BY sa.name, saf.field_name
+        `, [apis]);
+
+        const fields = new Map();
+        for (const row of result.rows) {
+            if (!fields.has(row.api)) fields.set(row.api, []);
+            fields.get(row.api).push(row.field_name);
+        }
+        return fields;
+    }
+
+    isCovered(piiField, protectedField) {
+        return piiField === protectedField
+            || piiField.startsWith(`${protectedField}.`)
+            || piiField.startsWith(`${protectedField}[].`);
+    }
+
+    // Where PII field values are after the run, as [{ api, path, origin, protected }].
+    // Report entries are replayed in step order: privacy steps protect the
+    // locations they cover, EXPLODE moves element fields to prefixed columns
+    // ("line_items[].sku" -> "line_items_sku"), JOIN, AGGREGATE and LOOKUP
+    // copy them into other columns or datasets along with their protection,
+    // and a field computed or converted from PII (EXPRESSION, CONCATENATE,
+    // CAST, TOSTRING) is PII itself.
+    trackPiiFields(piiFields, report) {
+        const locations = [];
+        for (const [api, fields] of piiFields) {
+            for (const field of fields) {
+                locations.push({ api, path: field, origin: `${api}.${field}`, protected: false });
+            }
+        }
+
+        const events = [
+            ...(report?.protectedFields || []).map(entry => ({ step: entry.step, protects: entry })),
+            ...(report?.derivedFields || []).map(entry => ({ step: entry.step, derives: entry })),
+            ...(report?.steps || []).map(entry => ({ step: entry.step, moves: entry }))
+        ].sort((a, b) => a.step - b.step);
+
+        const copy = (from, into, columns) => {
+            for (const location of locations.filter(candidate => candidate.api === from)) {
+                for (const { field, name } of columns) {
+                    if (!this.isCovered(location.path, field)) continue;
+                    locations.push({ ...location, api: into, path: name + location.path.slice(field.length) });
+                }
+            }
+        };
+
+        // The written field replaces what was there; it holds PII when any
+        // field it was computed from, or any part of one, did
+        const derive = ({ api, field, from }) => {
+            const sources = locations.filter(location => location.api === api
+                && from.some(path => this.isCovered(location.path, path) || this.isCovered(path, location.path)));
+            const derived = sources.map(location => ({ ...location, path: field }));
+
+            for (let index = locations.length - 1; index >= 0; index--) {
+                if (locations[index].api === api && this.isCovered(locations[index].path, field)) locations.splice(index, 1);
+            }
+            locations.push(...derived);
+        };
+
+        for (const { protects, derives, moves } of events) {
+            if (protects) {
+                locations
+                    .filter(location => location.api === protects.api && this.isCovered(location.path, protects.field))
+                    .forEach((location) => { location.protected = true; });
+            } else if (derives) {
+                derive(derives);
+            } else if (moves.type === 'EXPLODE' && moves.prefix !== undefined) {
+                for (const location of locations.filter(candidate => candidate.api === moves.api)) {
+                    if (location.path.startsWith(`${moves.field}[].`)) {
+                        locations.push({ ...location, path: moves.prefix + location.path.slice(moves.field.length + 3) });
+                    }
+                }
+            } else if (moves.type === 'JOIN' && moves.columns) {
+                copy(moves.with, moves.api, moves.columns);
+            } else if (moves.type === 'AGGREGATE' && moves.columns) {
+                copy(moves.api, moves.dataset, moves.columns);
+            } else if (moves.columns) {
+                copy(moves.api, moves.api, moves.columns);
+            }
+        }
+
+        return locations;
+    }
+
+    // "api.field" of every PII field that still carries a value in data at a
+    // path no privacy step covered, with the field it came from when a step
+    // moved, copied or computed it ("orders.customers_email (customers.email)").
+    // `report` is the transformation report.
+    async findUnprotectedFields(data, report = null) {
+        const apis = Object.keys(data).filter(api => Array.isArray(data[api]) && data[api].length);
+        if (!apis.length) return [];
+
+        // Joined and aggregated datasets can be gone from data by now
+        const steps = report?.steps || [];
+        const sources = new Set([...apis, ...steps.map(entry => entry.api), ...steps.filter(entry => entry.with).map(entry => entry.with)]);
+        const piiFields = await this.getPiiFields([...sources]);
+        const unprotected = new Set();
+
+        for (const location of this.trackPiiFields(piiFields, report)) {
+            if (location.protected || !apis.includes(location.api)) continue;
+            // JOIN projections of nested fields are flat keys ("customers_default_address.zip")
+            const valueAt = record => (Object.prototype.hasOwnProperty.call(record, location.path)
+                ? record[location.path]
+                : fieldPath.get(record, location.path));
+            if (!data[location.api].some(record => hasValue(valueAt(record)))) continue;
+
+            const at = `${location.api}.${location.path}`;
+            unprotected.add(at === location.origin ? at : `${at} (${location.origin})`);
+        }
+
+        return [...unprotected];
+    }
+
+    // Throws a PrivacyPolicyError when the destination refuses unprotected
+    // personal data and the data carries some
+    async enforcePolicy(destination, data, report) {
+        if ((destination.privacy_policy || this.POLICIES.ALLOW) !== this.POLICIES.PROTECT) return;
+
+        const fields = await this.findUnprotectedFields(data, report);
+        if (fields.length) {
+            throw new PrivacyPolicyError(
+                `Destination ${destination.id} refuses personal data without a HASH, MASK, TOKENIZE or DROP step: ${fields.join(', ')}`,
+                { destinationId: destination.id, fields }
+            );
+        }
+    }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,343 @@
+const axios = require('axios');
+const restApiConfig = require('../config/restApi');
+const encryptionService = require('./encryptionService');
+const fieldPath = require('../utils/fieldPath');
+const {
+    RestSourceRequestError,
+    RestSourceAuthError,
+    RestSourceConfigError
+} = require('../errors/RestSourceError');
+
+// Extracts records from any JSON API described by a source's config:
+// { base_url, headers, pagination, resources: [{ name, path, params, record_path, field_mapping }] }
+class RestApiService {
+    constructor() {
+        this.REQUEST_TIMEOUT = restApiConfig.REQUEST_TIMEOUT;
+        this.MAX_RETRY_ATTEMPTS = restApiConfig.MAX_RETRY_ATTEMPTS;
+        this.RETRY_DELAY = restApiConfig.RETRY_DELAY;
+        this.MAX_PAGES = restApiConfig.MAX_PAGES;
+        // Client-credentials tokens, keyed by token url and client id
+        this.tokenCache = new Map();
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Same shape as the Shopify extraction: one record array per resource name
+    async extractData(source, options = {}) {
+        const credentials = this.decryptCredentials(source.credentials);
+        const data = {};
+
+        for (const resource of this.getResources(source.config)) {
+            data[resource.name] = await this.fetchResource(source.config, credentials, resource, options);
+        }
+
+        return data;
+    }
+
+    getResources(config) {
+        if (!config?.base_url || !Array.isArray(config.resources) || config.resources.length === 0) {
+            throw new RestSourceConfigError('REST source needs a base_url and at least one resource');
+        }
+        return config.resources;
+    }
+
+    // options.maxPages and options.limit cap the extraction, e.g. for previews
+    async fetchResource(config, credentials, resource, options = {}) {
+        const pagination = { type: 'none', ...config.pagination, ...resource.pagination };
+        const pageSize = pagination.page_size || restApiConfig.DEFAULT_PAGE_SIZE;
+        const maxPages = options.maxPages || pagination.max_pages || this.MAX_PAGES;
+        const records = [];
+
+        let request = {
+            url: this.buildUrl(config.base_url, resource.path),
+            params: { ...resource.params, ...this.getInitialPageParams(pagination, pageSize) }
+        };
+
+        for (let page = 0; request && page < maxPages; page++) {
+            const response = await this.request(config, credentials, {
+                method: resource.method || 'get',
+                ...request
+            });
+            const pageRecords = this.getRecords(response.data, resource.record_path ?? config.record_path);
+
+            for (const record of pageRecords) {
+                records.push(this.mapRecord(record, resource.field_mapping || config.field_mapping));
+            }
+
+            if (options.limit && records.length >= options.limit) {
+                return records.slice(0, options.limit);
+            }
+
+            request = this.getNextRequest(pagination, pageSize, request, response, pageRecords);
+        }
+
+        return records;
+    }
+
+    getInitialPageParams(pagination, pageSize) {
+        switch (pagination.type) {
+            case 'page':
+                return {
+                    [pagination.page_param || 'page']: pagination.start_page ?? 1,
+                    [pagination.size_param || 'per_page']: pageSize
+                };
+            case 'offset':
+                return {
+                    [pagination.offset_param || 'offset']: 0,
+                    [pagination.size_param || 'limit']: pageSize
+                };
+            case 'cursor':
+                return { [pagination.size_param || 'limit']: pageSize };
+            default:
+                return {};
+        }
+    }
+
+    // Work out the request for the next page, or null after the last one
+    getNextRequest(pagination, pageSize, previous, response, pageRecords) {
+        switch (pagination.type) {
+            case 'page': {
+                if (pageRecords.length < pageSize) return null;
+                const param = pagination.page_param || 'page';
+                return { ...previous, params: { ...previous.params, [param]: previous.params[param] + 1 } };
+            }
+            case 'offset': {
+                if (pageRecords.length < pageSize) return null;
+                const param = pagination.offset_param || 'offset';
+                return {
+                    ...previous,
+                    params: { ...previous.params, [param]: previous.params[param] + pageRecords.length }
+                };
+            }
+            case 'cursor': {
+                const cursor = fieldPath.get(response.data, pagination.cursor_path || 'next_cursor');
+                if (cursor === null || cursor === '' || !pageRecords.length) return null;
+                return {
+                    ...previous,
+                    params: { ...previous.params, [pagination.cursor_param || 'cursor']: cursor }
+                };
+            }
+            case 'link': {
+                const next = this.getNextLink(response.headers?.link);
+                // The next link already carries every query parameter
+                return next ? { url: new URL(next, previous.url).toString(), params: {} } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    getNextLink(linkHeader) {
+        if (!linkHeader) return null;
+
+        for (const link of linkHeader.split(',')) {
+            const match = link.match(/<([^>]+)>;\s*rel="?next"?/);
+            if (match) return match[1];
+        }
+
+        return null;
+    }
+
+    getRecords(body, recordPath) {
+        const records = recordPath ? fieldPath.get(body, recordPath) : body;
+
+        if (records === null) return [];
+        if (!Array.isArray(records)) {
+            throw new RestSourceConfigError('Record path does not point to an array', { recordPath });
+        }
+        return records;
+    }
+
+    // field_mapping is { output_field: "source.path" }; without it records pass through
+    mapRecord(record, fieldMapping) {
+        if (!fieldMapping || Object.keys(fieldMapping).length === 0) return record;
+
+        const mapped = {};
+        for (const [target, path] of Object.entries(fieldMapping)) {
+            mapped[target] = fieldPath.get(record, path);
+        }
+        return mapped;
+    }
+
+    async request(config, credentials, requestConfig, tokenRefreshed = false) {
+        let attempt = 0;
+
+        for (;;) {
+            const authOptions = await this.getAuthOptions(credentials, requestConfig.headers, config.headers);
+
+            try {
+                return await axios.request({
+                    ...requestConfig,
+                    ...authOptions,
+                    timeout: this.REQUEST_TIMEOUT
+                });
+            } catch (error) {
+                const status = error.response?.status;
+
+                // A cached client-credentials token may have been revoked early
+                if (status === 401 && credentials.auth_type === 'oauth2_client_credentials' && !tokenRefreshed) {
+                    this.tokenCache.delete(this.getTokenCacheKey(credentials));
+                    return await this.request(config, credentials, requestConfig, true);
+                }
+
+                attempt++;
+                if (!this.isRetryable(error) || attempt >= this.MAX_RETRY_ATTEMPTS) {
+                    throw this.toRestSourceError(error, requestConfig);
+                }
+
+                const retryAfter = status === 429
+                    ? (parseFloat(error.response.headers?.['retry-after']) || restApiConfig.DEFAULT_RETRY_AFTER) * 1000
+                    : this.RETRY_DELAY * attempt;
+                await this.delay(retryAfter);
+            }
+        }
+    }
+
+    async getAuthOptions(credentials = {}, requestHeaders = {}, configHeaders = {}) {
+        const headers = { Accept: 'application/json', ...configHeaders, ...requestHeaders };
+
+        switch (credentials.auth_type || 'none') {
+            case 'none':
+                return { headers };
+            case 'header': {
+                const prefix = credentials.header_prefix ?? 'Bearer';
+                const value = prefix ? `${prefix} ${credentials.token}` : credentials.token;
+                return { headers: { ...headers, [credentials.header_name || 'Authorization']: value } };
+            }
+            case 'basic':
+                return { headers, auth: { username: credentials.username, password: credentials.password } };
+            case 'oauth2_client_credentials':
+                return {
+                    headers: { ...headers, Authorization: `Bearer ${await this.getClientCredentialsToken(credentials)}` }
+                };
+            default:
+                throw new RestSourceConfigError('Unsupported auth type', { authType: credentials.auth_type });
+        }
+    }
+
+    async getClientCredentialsToken(credentials) {
+        const key = this.getTokenCacheKey(credentials);
+        const cached = this.tokenCache.get(key);
+
+        if (cached && cached.expiresAt - restApiConfig.TOKEN_EXPIRY_MARGIN > Date.now()) {
+            return cached.token;
+        }
+
+        const params = new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: credentials.client_id,
+            client_secret: credentials.client_secret
+        });
+        if (credentials.scope) {
+            params.append('scope', credentials.scope);
+        }
+
+        try {
+            const response = await axios.post(credentials.token_url, params, {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: this.REQUEST_TIMEOUT
+            });
+            const { access_token: token, expires_in: expiresIn = 3600 } = response.data;
+
+            this.tokenCache.set(key, { token, expiresAt: Date.now() + expiresIn * 1000 });
+            return token;
+        } catch (error) {
+            throw new RestSourceAuthError('Client credentials token request failed', {
+                tokenUrl: credentials.token_url,
+                status: error.response?.status,
+                response: error.response?.data
+            });
+        }
+    }
+
+    getTokenCacheKey(credentials) {
+        return `${credentials.token_url}:${credentials.client_id}`;
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (!status) return true; // Network errors and timeouts
+        return status === 429 || status >= 500;
+    }
+
+    toRestSourceError(error, requestConfig) {
+        const status = error.response?.status;
+        const details = {
+            url: requestConfig.url,
+            status,
+            response: error.response?.data
+        };
+
+        if (status === 401 || status === 403) {
+            return new RestSourceAuthError('REST API rejected the credentials', details);
+        }
+
+        return new RestSourceRequestError(
+            status ? `REST request failed with status ${status}` : `REST request failed: ${error.message}`,
+            details
+        );
+    }
+
+    buildUrl(baseUrl, path = '') {
+        if (/^https?:\/\//i.test(path)) return path;
+        return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    }
+
+    // Check the credentials against the first page of every resource
+    async testConnection(source) {
+        const credentials = this.decryptCredentials(source.credentials);
+        const result = { authenticated: true, resources: [], error: null };
+
+        try {
+            if (credentials.auth_type === 'oauth2_client_credentials') {
+                await this.getClientCredentialsToken(credentials);
+            }
+
+            for (const resource of this.getResources(source.config)) {
+                const check = { resource: resource.name, reachable: false, error: null };
+
+                try {
+                    await this.fetchResource(source.config, credentials, resource, { maxPages: 1, limit: 1 });
+                    check.reachable = true;
+                } catch (error) {
+                    if (error instanceof RestSourceAuthError) result.authenticated = false;
+                    check.error = error.message;
+                }
+
+                result.resources.push(check);
+            }
+        } catch (error) {
+            result.authenticated = false;
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    async preview(source, resourceName, limit) {
+        const resource = this.getResources(source.config).find(item => item.name === resourceName);
+        if (!resource) return null;
+
+        return await this.fetchResource(
+            source.config,
+            this.decryptCredentials(source.credentials),
+            resource,
+            { maxPages: 1, limit }
+        );
+    }
+
+    // Values sent back unchanged from a previous read are already encrypted
+    encryptCredentials(credentials) {
+        const plain = restApiConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'string');
+        return encryptionService.encryptFields(credentials, plain);
+    }
+
+    decryptCredentials(credentials = {}) {
+        const encrypted = restApiConfig.SECRET_FIELDS.filter(field => typeof credentials[field] === 'object');
+        return encryptionService.decryptFields(credentials, encrypted);
+    }
+}
+
+module.exports = new RestApiService();
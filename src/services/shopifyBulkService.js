@@ -0,0 +1,185 @@
+const axios = require('axios');
+const readline = require('readline');
+const shopifyService = require('./shopifyService');
+const shopifyConfig = require('../config/shopify');
+const { ShopifyBulkOperationError } = require('../errors/ShopifyError');
+
+const RUN_QUERY_MUTATION = `
+    mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+            bulkOperation { id status }
+            userErrors { field message }
+        }
+    }
+`;
+
+const OPERATION_STATUS_QUERY = `
+    query bulkOperationStatus($id: ID!) {
+        node(id: $id) {
+            ... on BulkOperation { id status errorCode objectCount url }
+        }
+    }
+`;
+
+class ShopifyBulkService {
+    constructor() {
+        this.POLL_INTERVAL = shopifyConfig.BULK_POLL_INTERVAL;
+        this.TIMEOUT = shopifyConfig.BULK_TIMEOUT;
+        this.FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Same contract as shopifyService.fetchData, backed by a GraphQL bulk operation
+    async fetchData(credentials, api, selectedFields = [], options = {}) {
+        const fields = shopifyService.normalizeFields(selectedFields);
+        const query = this.buildQuery(api.graphql_resource, fields, options.params);
+
+        const operation = await this.runQuery(credentials, query, options.stats);
+        const result = await this.waitForCompletion(credentials, operation.id, options.stats);
+
+        // A completed operation without a url matched no records
+        if (!result.url) return [];
+
+        return await this.streamResults(result.url, api.graphql_resource, fields);
+    }
+
+    buildQuery(resource, fields, params = {}) {
+        const fieldMap = shopifyConfig.BULK_FIELD_MAP[resource] || {};
+        // id and updated_at are always read, incremental runs move their watermark on them
+        const selections = [...new Set(['id', 'updated_at', ...fields]
+            .map(field => fieldMap[field]?.selection || this.toCamelCase(field)))];
+
+        const filters = [];
+        if (params.updated_at_min) {
+            filters.push(`updated_at:>='${params.updated_at_min}'`);
+        }
+        const args = filters.length ? `(query: ${JSON.stringify(filters.join(' AND '))})` : '';
+
+        return `{ ${resource}${args} { edges { node { ${selections.join(' ')} } } } }`;
+    }
+
+    async graphql(credentials, query, variables = {}, stats = null) {
+        const response = await shopifyService.request(credentials, {
+            method: 'post',
+            url: this.getGraphqlUrl(credentials),
+            data: { query, variables }
+        }, stats);
+
+        if (response.data?.errors?.length) {
+            throw new ShopifyBulkOperationError('Shopify GraphQL request failed', {
+                errors: response.data.errors
+            });
+        }
+
+        return response.data.data;
+    }
+
+    async runQuery(credentials, query, stats = null) {
+        const data = await this.graphql(credentials, RUN_QUERY_MUTATION, { query }, stats);
+        const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+        if (userErrors?.length) {
+            throw new ShopifyBulkOperationError('Shopify rejected the bulk operation', {
+                userErrors,
+                query
+            });
+        }
+
+        return bulkOperation;
+    }
+
+    async waitForCompletion(credentials, operationId, stats = null) {
+        const deadline = Date.now() + this.TIMEOUT;
+
+        while (Date.now() < deadline) {
+            const data = await this.graphql(credentials, OPERATION_STATUS_QUERY, { id: operationId }, stats);
+            const operation = data.node;
+
+            if (operation && this.FINAL_STATUSES.includes(operation.status)) {
+                if (operation.status !== 'COMPLETED') {
+                    throw new ShopifyBulkOperationError(
+                        `Bulk operation ended with status ${operation.status}`,
+                        { operationId, errorCode: operation.errorCode }
+                    );
+                }
+                return operation;
+            }
+
+            await this.delay(this.POLL_INTERVAL);
+        }
+
+        throw new ShopifyBulkOperationError('Bulk operation timed out', { operationId });
+    }
+
+    // Read the JSONL result line by line instead of buffering the whole file
+    async streamResults(url, resource, fields) {
+        const response = await axios.get(url, { responseType: 'stream' });
+        const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+        const records = [];
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            const node = JSON.parse(line);
+
+            // Nested connection rows reference their parent; only top-level nodes are records
+            if (node.__parentId) continue;
+
+            records.push(this.toRestRecord(node, resource, fields));
+        }
+
+        return records;
+    }
+
+    // Map a GraphQL node back onto the REST field names selected for the source
+    toRestRecord(node, resource, fields) {
+        const fieldMap = shopifyConfig.BULK_FIELD_MAP[resource] || {};
+        const record = {};
+        const names = fields.length ? fields : ['id', 'updated_at'];
+
+        for (const field of names) {
+            const mapping = fieldMap[field];
+            const path = mapping?.path || this.toCamelCase(field);
+            const value = path.split('.').reduce((current, key) => (current == null ? current : current[key]), node);
+
+            record[field] = field === 'id'
+                ? this.parseGid(value)
+                : this.formatValue(value === undefined ? null : value, mapping?.format);
+        }
+
+        return record;
+    }
+
+    formatValue(value, format) {
+        if (value === null) return value;
+
+        switch (format) {
+            case 'lowercase':
+                return String(value).toLowerCase();
+            case 'digits':
+                return Number(String(value).replace(/\D/g, ''));
+            default:
+                return value;
+        }
+    }
+
+    // "gid://shopify/Product/123" -> 123
+    parseGid(gid) {
+        if (typeof gid !== 'string') return gid;
+        const id = Number(gid.split('/').pop());
+        return Number.isNaN(id) ? gid : id;
+    }
+
+    toCamelCase(field) {
+        return field.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+    }
+
+    getGraphqlUrl(credentials) {
+        return shopifyService.buildUrl(credentials, '/admin/api/{api_version}/graphql.json');
+    }
+}
+
+module.exports = new ShopifyBulkService();
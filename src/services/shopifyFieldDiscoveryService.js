@@ -0,0 +1,229 @@
+const db = require('../config/database');
+const shopifyConfig = require('../config/shopify');
+const shopifyService = require('./shopifyService');
+const errorLogger = require('./errorLogger');
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DECIMAL_PATTERN = /^-?\d+\.\d+$/;
+// Fields tagged as personal data when they enter the catalog; admins can retag them
+const PII_PATTERN = /(^|\.)(email|contact_email|phone|first_name|last_name|address1|address2|zip|latitude|longitude|browser_ip)$|address(es)?(\[\])?\.name$/;
+
+// Infers the field catalog of each Shopify API from live responses and
+// records the differences as proposals for an admin to review.
+class ShopifyFieldDiscoveryService {
+    constructor() {
+        this.SAMPLE_SIZE = shopifyConfig.DISCOVERY_SAMPLE_SIZE;
+        this.STATUSES = {
+            PENDING: 'PENDING',
+            ACCEPTED: 'ACCEPTED',
+            REJECTED: 'REJECTED'
+        };
+    }
+
+    async discover(source, options = {}) {
+        const sampleSize = options.sampleSize || this.SAMPLE_SIZE;
+        const apis = await db.query(`
+            SELECT id, name, endpoint, child_path, parent_key
+            FROM shopify_apis
+            WHERE is_active = true
+            ${options.apiIds?.length ? 'AND id = ANY($1)' : ''}
+            ORDER BY name
+        `, options.apiIds?.length ? [options.apiIds] : []);
+
+        const results = [];
+        for (const api of apis.rows) {
+            try {
+                const records = api.child_path
+                    ? await shopifyService.fetchChildSample(source.credentials, api, [], sampleSize)
+                    : await shopifyService.fetchSample(source.credentials, api.endpoint, [], sampleSize);
+                const fields = this.inferFields(records);
+                const proposals = await this.proposeChanges(api, source, fields, records.length);
+
+                results.push({ api: api.name, sampled: records.length, discovered: fields.length, proposed: proposals.length });
+            } catch (error) {
+                await errorLogger.logError(error, {
+                    component: 'ShopifyFieldDiscovery',
+                    sourceId: source.id,
+                    apiId: api.id
+                });
+                results.push({ api: api.name, sampled: 0, discovered: 0, proposed: 0, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // Walk every record and collect one entry per path with its observed types
+    inferFields(records) {
+        const fields = new Map();
+
+        const visit = (value, path) => {
+            let field = fields.get(path);
+            if (!field) {
+                field = { fieldName: path, types: new Set(), occurrences: 0, sampleValue: null };
+                fields.set(path, field);
+            }
+
+            const type = this.inferType(value);
+            if (type === null) return;
+
+            field.types.add(type);
+            field.occurrences++;
+            if (field.sampleValue === null && type !== 'object' && type !== 'array') {
+                field.sampleValue = value;
+            }
+
+            if (type === 'object') {
+                for (const [key, child] of Object.entries(value)) {
+                    visit(child, `${path}.${key}`);
+                }
+            } else if (type === 'array') {
+                for (const item of value) {
+                    if (this.inferType(item) !== 'object') continue;
+                    for (const [key, child] of Object.entries(item)) {
+                        visit(child, `${path}[].${key}`);
+                    }
+                }
+            }
+        };
+
+        for (const record of records) {
+            for (const [key, value] of Object.entries(record)) {
+                visit(value, key);
+            }
+        }
+
+        return [...fields.values()].map(field => ({
+            fieldName: field.fieldName,
+            fieldType: this.resolveType(field.types),
+            occurrences: field.occurrences,
+            sampleValue: field.sampleValue
+        }));
+    }
+
+    inferType(value) {
+        if (value === null || value === undefined) return null;
+        if (Array.isArray(value)) return 'array';
+
+        switch (typeof value) {
+            case 'object':
+                return 'object';
+            case 'boolean':
+                return 'boolean';
+            case 'number':
+                return Number.isInteger(value) ? 'number' : 'decimal';
+            default:
+                // Shopify sends money amounts as strings such as "19.99"
+                if (DATETIME_PATTERN.test(value)) return 'datetime';
+                if (DECIMAL_PATTERN.test(value)) return 'decimal';
+                return 'string';
+        }
+    }
+
+    // A path seen with several types takes the widest one
+    resolveType(types) {
+        if (types.size === 0) return 'string';
+        if (types.size === 1) return [...types][0];
+        if ([...types].every(type => type === 'number' || type === 'decimal')) return 'decimal';
+        return 'string';
+    }
+
+    // New paths and type changes become pending proposals. Paths an admin
+    // already rejected with the same type are not proposed again.
+    async proposeChanges(api, source, fields, sampleSize) {
+        const [catalog, rejected] = await Promise.all([
+            db.query('SELECT field_name, field_type FROM shopify_api_fields WHERE api_id = $1', [api.id]),
+            db.query(
+                'SELECT field_name, field_type FROM shopify_field_proposals WHERE api_id = $1 AND status = $2',
+                [api.id, this.STATUSES.REJECTED]
+            )
+        ]);
+        const currentTypes = new Map(catalog.rows.map(row => [row.field_name, row.field_type]));
+        const rejectedKeys = new Set(rejected.rows.map(row => `${row.field_name}:${row.field_type}`));
+
+        const proposals = [];
+        for (const field of fields) {
+            const currentType = currentTypes.get(field.fieldName) || null;
+
+            if (currentType === field.fieldType) continue;
+            if (rejectedKeys.has(`${field.fieldName}:${field.fieldType}`)) continue;
+
+            const result = await db.query(`
+                INSERT INTO shopify_field_proposals
+                (api_id, source_id, field_name, field_type, current_type, sample_value, occurrences, sample_size)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (api_id, field_name) WHERE status = 'PENDING'
+                DO UPDATE SET
+                    source_id = EXCLUDED.source_id,
+                    field_type = EXCLUDED.field_type,
+                    current_type = EXCLUDED.current_type,
+                    sample_value = EXCLUDED.sample_value,
+                    occurrences = EXCLUDED.occurrences,
+                    sample_size = EXCLUDED.sample_size,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *`,
+                [
+                    api.id,
+                    source.id,
+                    field.fieldName,
+                    field.fieldType,
+                    currentType,
+                    JSON.stringify(field.sampleValue),
+                    field.occurrences,
+                    sampleSize
+                ]
+            );
+            proposals.push(result.rows[0]);
+        }
+
+        return proposals;
+    }
+
+    // Apply pending proposals to the catalog
+    async acceptProposals(proposalIds, reviewerId) {
+        try {
+            await db.query('BEGIN');
+
+            const proposals = await db.query(`
+                UPDATE shopify_field_proposals
+                SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ANY($3) AND status = $4
+                RETURNING *`,
+                [this.STATUSES.ACCEPTED, reviewerId, proposalIds, this.STATUSES.PENDING]
+            );
+
+            for (const proposal of proposals.rows) {
+                await db.query(`
+                    INSERT INTO shopify_api_fields (api_id, field_name, field_type, is_pii)
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT (api_id, field_name)
+                    DO UPDATE SET
+                        field_type = EXCLUDED.field_type,
+                        is_active = true,
+                        updated_at = CURRENT_TIMESTAMP`,
+                    [proposal.api_id, proposal.field_name, proposal.field_type, PII_PATTERN.test(proposal.field_name)]
+                );
+            }
+
+            await db.query('COMMIT');
+            return proposals.rows;
+        } catch (error) {
+            await db.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async rejectProposals(proposalIds, reviewerId) {
+        const result = await db.query(`
+            UPDATE shopify_field_proposals
+            SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($3) AND status = $4
+            RETURNING *`,
+            [this.STATUSES.REJECTED, reviewerId, proposalIds, this.STATUSES.PENDING]
+        );
+
+        return result.rows;
+    }
+}
+
+module.exports = new ShopifyFieldDiscoveryService();
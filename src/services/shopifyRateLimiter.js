@@ -0,0 +1,117 @@
+const shopifyConfig = require('../config/shopify');
+
+// Process-wide governor so concurrent jobs against the same shop share one
+// view of its leaky bucket instead of each tripping the limit on its own.
+class ShopifyRateLimiter {
+    constructor() {
+        this.buckets = new Map();
+        this.config = shopifyConfig.RATE_LIMIT;
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getBucket(key) {
+        if (!this.buckets.has(key)) {
+            const graphql = key.endsWith(':graphql');
+            this.buckets.set(key, {
+                size: graphql ? this.config.GRAPHQL_BUCKET_SIZE : this.config.BUCKET_SIZE,
+                leakRate: graphql ? this.config.GRAPHQL_RESTORE_RATE : this.config.LEAK_RATE,
+                queryCost: graphql ? this.config.GRAPHQL_QUERY_COST : 1, // Charged per call
+                used: 0,
+                updatedAt: Date.now(),
+                pausedUntil: 0,
+                queue: Promise.resolve()
+            });
+        }
+        return this.buckets.get(key);
+    }
+
+    // Wait until the bucket has room for the call's cost, by default one request
+    // or the cost Shopify last asked for a GraphQL query. Resolves with the time
+    // spent waiting in ms and the cost charged. Callers are served in arrival order.
+    acquire(key, cost = null) {
+        const bucket = this.getBucket(key);
+        const start = Date.now();
+        const turn = bucket.queue.then(() => this.waitForCapacity(bucket, cost ?? bucket.queryCost));
+
+        bucket.queue = turn.catch(() => {});
+        return turn.then(charged => ({ waited: Date.now() - start, cost: charged }));
+    }
+
+    async waitForCapacity(bucket, cost) {
+        for (;;) {
+            this.leak(bucket);
+
+            const now = Date.now();
+            if (bucket.pausedUntil > now) {
+                await this.delay(bucket.pausedUntil - now);
+                continue;
+            }
+
+            // A cost above the limit could never be met, so it waits for an empty bucket
+            const limit = bucket.size - Math.max(1, bucket.size * this.config.HEADROOM_RATIO);
+            const charge = Math.min(cost, limit);
+            if (bucket.used + charge <= limit) {
+                bucket.used += charge;
+                return charge;
+            }
+
+            await this.delay(Math.ceil(((bucket.used + charge - limit) / bucket.leakRate) * 1000));
+        }
+    }
+
+    leak(bucket) {
+        const now = Date.now();
+        bucket.used = Math.max(0, bucket.used - ((now - bucket.updatedAt) / 1000) * bucket.leakRate);
+        bucket.updatedAt = now;
+    }
+
+    // Sync the bucket with what Shopify reports after each response. charged is
+    // the cost acquire took up front for the call.
+    update(key, headers = {}, body = null, charged = 1) {
+        const bucket = this.getBucket(key);
+        const callLimit = headers['x-shopify-shop-api-call-limit'];
+
+        if (callLimit) {
+            // "32/40" -> 32 used out of 40
+            const [used, size] = String(callLimit).split('/').map(Number);
+            if (!Number.isNaN(used) && !Number.isNaN(size)) {
+                bucket.used = used;
+                bucket.size = size;
+                bucket.updatedAt = Date.now();
+            }
+        }
+
+        // GraphQL reports the query's cost and a cost-based bucket in the response body
+        const cost = body?.extensions?.cost;
+        if (typeof cost?.requestedQueryCost === 'number') {
+            bucket.queryCost = cost.requestedQueryCost;
+        }
+
+        const throttleStatus = cost?.throttleStatus;
+        if (throttleStatus) {
+            bucket.size = throttleStatus.maximumAvailable;
+            bucket.leakRate = throttleStatus.restoreRate;
+            bucket.used = throttleStatus.maximumAvailable - throttleStatus.currentlyAvailable;
+            bucket.updatedAt = Date.now();
+        } else if (typeof cost?.actualQueryCost === 'number') {
+            // Without a bucket status, settle the estimate against what the query cost
+            this.leak(bucket);
+            bucket.used = Math.max(0, bucket.used + cost.actualQueryCost - charged);
+        }
+    }
+
+    // Shopify answered 429: hold every caller for Retry-After seconds
+    penalize(key, retryAfter) {
+        const bucket = this.getBucket(key);
+        const seconds = parseFloat(retryAfter) || this.config.DEFAULT_RETRY_AFTER;
+
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + seconds * 1000);
+        bucket.used = bucket.size;
+        bucket.updatedAt = Date.now();
+    }
+}
+
+module.exports = new ShopifyRateLimiter();
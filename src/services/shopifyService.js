@@ -0,0 +1,392 @@
+const axios = require('axios');
+const db = require('../config/database');
+const shopifyConfig = require('../config/shopify');
+const shopifyRateLimiter = require('./shopifyRateLimiter');
+const encryptionService = require('./encryptionService');
+const fieldPath = require('../utils/fieldPath');
+const {
+    ShopifyRequestError,
+    ShopifyAuthError
+} = require('../errors/ShopifyError');
+
+class ShopifyService {
+    constructor() {
+        this.PAGE_LIMIT = shopifyConfig.PAGE_LIMIT;
+        this.REQUEST_TIMEOUT = shopifyConfig.REQUEST_TIMEOUT;
+        this.MAX_RETRY_ATTEMPTS = shopifyConfig.MAX_RETRY_ATTEMPTS;
+        this.RETRY_DELAY = shopifyConfig.RETRY_DELAY;
+        this.MAX_THROTTLE_RETRIES = shopifyConfig.RATE_LIMIT.MAX_THROTTLE_RETRIES;
+        // Decrypting derives a key with PBKDF2, so decrypted tokens are kept per ciphertext
+        this.tokenCache = new Map();
+    }
+
+    async delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Extract every record of a REST resource, following cursor pagination
+    async fetchData(credentials, endpoint, selectedFields = [], options = {}) {
+        const resourceKey = this.getResourceKey(endpoint);
+        const fields = this.normalizeFields(selectedFields);
+        const url = this.buildUrl(credentials, endpoint);
+
+        let params = {
+            ...shopifyConfig.DEFAULT_PARAMS[resourceKey],
+            ...options.params,
+            limit: this.PAGE_LIMIT
+        };
+        if (fields.length) {
+            params.fields = this.getFieldsParam(fields);
+        }
+
+        const records = [];
+
+        while (params) {
+            const response = await this.request(credentials, { method: 'get', url, params }, options.stats);
+            const page = response.data?.[resourceKey] || [];
+
+            for (const record of page) {
+                records.push(this.normalizeRecord(record, fields));
+            }
+
+            // Shopify only accepts limit and fields alongside page_info
+            const pageInfo = this.getNextPageInfo(response.headers?.link);
+            if (pageInfo) {
+                params = { limit: this.PAGE_LIMIT, page_info: pageInfo, fields: params.fields };
+            } else {
+                params = null;
+            }
+        }
+
+        return records;
+    }
+
+    // Fetch a single page of raw records, e.g. to check which fields a version returns
+    async fetchSample(credentials, endpoint, selectedFields = [], limit = 1, options = {}) {
+        const resourceKey = this.getResourceKey(endpoint);
+        const fields = this.normalizeFields(selectedFields);
+        const params = {
+            ...shopifyConfig.DEFAULT_PARAMS[resourceKey],
+            limit,
+            fields: fields.length ? this.getFieldsParam(fields) : undefined
+        };
+
+        const response = await this.request(credentials, {
+            method: 'get',
+            url: this.buildUrl(credentials, endpoint),
+            params
+        }, options.stats);
+
+        return response.data?.[resourceKey] || [];
+    }
+
+    // Records of a child dataset, taken from a page of its parent's records
+    async fetchChildSample(credentials, childApi, selectedFields = [], limit = 1, options = {}) {
+        const parents = await this.fetchSample(credentials, childApi.endpoint, ['id', childApi.child_path], limit, options);
+        return this.extractChildRecords(parents, childApi, this.normalizeFields(selectedFields)).slice(0, limit);
+    }
+
+    // One record per element of the parent's child collection, keyed back to
+    // the parent, e.g. { order_id, ...line_item }
+    extractChildRecords(parentRecords, childApi, fields = []) {
+        const records = [];
+
+        for (const parent of parentRecords) {
+            for (const child of parent[childApi.child_path] || []) {
+                const record = { [childApi.parent_key]: parent.id, ...this.normalizeRecord(child, fields) };
+                // A selected field of the same name must not hide the parent's id
+                record[childApi.parent_key] = parent.id;
+                records.push(record);
+            }
+        }
+
+        return records;
+    }
+
+    // Check the token against the shop, its granted scopes and each API's
+    // endpoint. Failures are reported per check instead of thrown.
+    async testConnection(credentials, apis = []) {
+        const result = { authenticated: false, shop: null, scopes: [], apis: [], error: null };
+
+        try {
+            const [shopResponse, scopesResponse] = await Promise.all([
+                this.request(credentials, {
+                    method: 'get',
+                    url: this.buildUrl(credentials, '/admin/api/{api_version}/shop.json')
+                }),
+                this.request(credentials, {
+                    method: 'get',
+                    url: this.buildUrl(credentials, '/admin/oauth/access_scopes.json')
+                })
+            ]);
+
+            const shop = shopResponse.data.shop;
+            result.authenticated = true;
+            result.shop = { name: shop.name, domain: shop.myshopify_domain, plan: shop.plan_name };
+            result.scopes = scopesResponse.data.access_scopes.map(scope => scope.handle);
+        } catch (error) {
+            result.error = error.message;
+            return result;
+        }
+
+        for (const api of apis) {
+            const requiredScope = shopifyConfig.REQUIRED_SCOPES[this.getResourceKey(api.endpoint)] || null;
+            const check = {
+                api: api.name,
+                reachable: false,
+                requiredScope,
+                hasScope: !requiredScope || this.hasScope(result.scopes, requiredScope),
+                error: null
+            };
+
+            try {
+                await this.fetchSample(credentials, api.endpoint, ['id']);
+                check.reachable = true;
+            } catch (error) {
+                check.error = error.message;
+            }
+
+            result.apis.push(check);
+        }
+
+        return result;
+    }
+
+    // "write_orders" also grants "read_orders"
+    hasScope(scopes, requiredScope) {
+        return scopes.includes(requiredScope) || scopes.includes(requiredScope.replace(/^read_/, 'write_'));
+    }
+
+    // Extract only records changed since the watermark and compute the next one.
+    // updated_at_min is inclusive, so records already delivered at the watermark
+    // timestamp are skipped by id. options.fetcher swaps in another extractor
+    // with the fetchData signature (e.g. bulk operations).
+    async fetchIncremental(credentials, endpoint, selectedFields = [], watermark = {}, options = {}) {
+        const fields = this.normalizeFields(selectedFields);
+        const trackingFields = fields.length ? [...new Set([...fields, 'id', 'updated_at'])] : [];
+        const params = { ...options.params };
+
+        if (watermark.updatedAt) {
+            params.updated_at_min = new Date(watermark.updatedAt).toISOString();
+        }
+
+        const fetcher = options.fetcher || this.fetchData.bind(this);
+        const rawRecords = await fetcher(credentials, endpoint, trackingFields, { ...options, params });
+        const markTime = watermark.updatedAt ? new Date(watermark.updatedAt).getTime() : null;
+
+        let nextWatermark = {
+            updatedAt: watermark.updatedAt || null,
+            id: watermark.id || null
+        };
+        const records = [];
+
+        for (const record of rawRecords) {
+            const updatedTime = new Date(record.updated_at).getTime();
+
+            if (markTime !== null && updatedTime === markTime && watermark.id && record.id <= watermark.id) {
+                continue;
+            }
+
+            records.push(this.normalizeRecord(record, fields));
+            nextWatermark = this.advanceWatermark(nextWatermark, record);
+        }
+
+        return { records, watermark: nextWatermark };
+    }
+
+    advanceWatermark(watermark, record) {
+        if (!record.updated_at) return watermark;
+
+        const updatedTime = new Date(record.updated_at).getTime();
+        const markTime = watermark.updatedAt ? new Date(watermark.updatedAt).getTime() : -Infinity;
+
+        if (updatedTime > markTime) {
+            return { updatedAt: record.updated_at, id: record.id };
+        }
+        if (updatedTime === markTime && record.id > (watermark.id || 0)) {
+            return { updatedAt: watermark.updatedAt, id: record.id };
+        }
+        return watermark;
+    }
+
+    // All Shopify calls go through the per-shop governor. Time spent waiting on
+    // it is added to stats.throttleWaitMs when a stats object is passed.
+    async request(credentials, requestConfig, stats = null) {
+        const bucketKey = this.getBucketKey(credentials, requestConfig.url);
+        let attempt = 0;
+        let throttleRetries = 0;
+
+        for (;;) {
+            const { waited, cost } = await shopifyRateLimiter.acquire(bucketKey);
+            if (stats) {
+                stats.throttleWaitMs = (stats.throttleWaitMs || 0) + waited;
+            }
+
+            try {
+                const response = await axios.request({
+                    ...requestConfig,
+                    headers: {
+                        'X-Shopify-Access-Token': this.getAccessToken(credentials),
+                        'Content-Type': 'application/json',
+                        ...requestConfig.headers
+                    },
+                    timeout: this.REQUEST_TIMEOUT
+                });
+
+                shopifyRateLimiter.update(bucketKey, response.headers, response.data, cost);
+                return response;
+            } catch (error) {
+                const status = error.response?.status;
+
+                if (status === 429 && throttleRetries < this.MAX_THROTTLE_RETRIES) {
+                    throttleRetries++;
+                    shopifyRateLimiter.penalize(bucketKey, error.response.headers?.['retry-after']);
+                    if (stats) {
+                        stats.throttledRequests = (stats.throttledRequests || 0) + 1;
+                    }
+                    continue;
+                }
+
+                attempt++;
+                if (!this.isRetryable(error) || attempt >= this.MAX_RETRY_ATTEMPTS) {
+                    throw this.toShopifyError(error, requestConfig);
+                }
+
+                await this.delay(this.RETRY_DELAY * attempt);
+            }
+        }
+    }
+
+    // REST and GraphQL are throttled by separate buckets. Shops routed through
+    // BASE_URL share its host, so their path keeps the buckets apart.
+    getBucketKey(credentials, url) {
+        const shopUrl = new URL(this.getShopUrl(credentials));
+        const shop = `${shopUrl.host}${shopUrl.pathname.replace(/\/+$/, '')}`;
+        return /\/graphql\.json$/.test(url) ? `${shop}:graphql` : shop;
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (!status) return true; // Network errors and timeouts
+        return status >= 500;
+    }
+
+    toShopifyError(error, requestConfig) {
+        const status = error.response?.status;
+        const details = {
+            url: requestConfig.url,
+            status,
+            response: error.response?.data?.errors || error.response?.data
+        };
+
+        if (status === 401 || status === 403) {
+            return new ShopifyAuthError('Shopify rejected the access token', details);
+        }
+
+        return new ShopifyRequestError(
+            status ? `Shopify request failed with status ${status}` : `Shopify request failed: ${error.message}`,
+            details
+        );
+    }
+
+    getShopUrl(credentials) {
+        const shopUrl = credentials.shop_url || `${credentials.shop_name}.myshopify.com`;
+        const withProtocol = /^https?:\/\//i.test(shopUrl) ? shopUrl : `https://${shopUrl}`;
+        const url = withProtocol.replace(/\/+$/, '');
+
+        return shopifyConfig.BASE_URL ? this.getBaseShopUrl(new URL(url).host) : url;
+    }
+
+    // "my-store.myshopify.com" -> the URL its Admin API is served from
+    getBaseShopUrl(shopDomain) {
+        if (!shopifyConfig.BASE_URL) return `https://${shopDomain}`;
+        return `${shopifyConfig.BASE_URL.replace(/\/+$/, '')}/${shopDomain}`;
+    }
+
+    // Tokens stored by the OAuth install flow are encrypted; pasted tokens are plain strings
+    getAccessToken(credentials) {
+        const token = credentials.access_token;
+        if (!token || typeof token === 'string') return token;
+
+        if (!this.tokenCache.has(token.encrypted)) {
+            this.tokenCache.set(token.encrypted, encryptionService.decrypt(token));
+        }
+        return this.tokenCache.get(token.encrypted);
+    }
+
+    getApiVersion(credentials) {
+        return credentials.api_version || shopifyConfig.DEFAULT_API_VERSION;
+    }
+
+    // Endpoints are stored as "/admin/api/{api_version}/orders.json" and
+    // resolved against the source's own API version
+    buildUrl(credentials, endpoint) {
+        const path = endpoint.replace('{api_version}', this.getApiVersion(credentials));
+        return `${this.getShopUrl(credentials)}${path.startsWith('/') ? '' : '/'}${path}`;
+    }
+
+    // "/admin/api/{api_version}/inventory_items.json" -> "inventory_items"
+    getResourceKey(endpoint) {
+        return endpoint.split('?')[0].split('/').pop().replace(/\.json$/, '');
+    }
+
+    getNextPageInfo(linkHeader) {
+        if (!linkHeader) return null;
+
+        for (const link of linkHeader.split(',')) {
+            const match = link.match(/<([^>]+)>;\s*rel="?next"?/);
+            if (match) {
+                return new URL(match[1]).searchParams.get('page_info');
+            }
+        }
+
+        return null;
+    }
+
+    // Selected fields may be stored as names or as catalog entries
+    normalizeFields(selectedFields) {
+        if (!Array.isArray(selectedFields)) return [];
+
+        return [...new Set(selectedFields
+            .map(field => (typeof field === 'object' && field !== null ? field.field_name : field))
+            .filter(field => typeof field === 'string' && field.length > 0))];
+    }
+
+    // Shopify filters on top-level keys only, so nested paths request their root
+    getFieldsParam(fields) {
+        return [...new Set(fields.map(fieldPath.root))].join(',');
+    }
+
+    // Resolve selections stored as shopify_api_fields ids into field names
+    async resolveFieldNames(apiId, selectedFields) {
+        if (!Array.isArray(selectedFields)) return [];
+
+        const ids = selectedFields.filter(field => Number.isInteger(field));
+        if (!ids.length) return this.normalizeFields(selectedFields);
+
+        const result = await db.query(
+            'SELECT id, field_name FROM shopify_api_fields WHERE api_id = $1 AND id = ANY($2)',
+            [apiId, ids]
+        );
+        const namesById = new Map(result.rows.map(row => [row.id, row.field_name]));
+
+        return this.normalizeFields(
+            selectedFields.map(field => (Number.isInteger(field) ? namesById.get(field) : field))
+        );
+    }
+
+    // Every record carries exactly the selected fields, with null for absent values.
+    // Nested paths such as "line_items[].sku" keep their structure.
+    normalizeRecord(record, fields) {
+        if (!fields.length) return record;
+        if (fields.some(fieldPath.isNested)) return fieldPath.project(record, fields);
+
+        const normalized = {};
+        for (const field of fields) {
+            normalized[field] = record[field] === undefined ? null : record[field];
+        }
+        return normalized;
+    }
+}
+
+module.exports = new ShopifyService();
@@ -0,0 +1,171 @@
+const db = require('../config/database');
+const shopifyConfig = require('../config/shopify');
+const shopifyService = require('./shopifyService');
+const fieldPath = require('../utils/fieldPath');
+const notificationService = require('./notificationService');
+const { ShopifyVersionError } = require('../errors/ShopifyError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShopifyVersionService {
+    constructor() {
+        this.WARNING_DAYS = shopifyConfig.VERSION_SUNSET_WARNING_DAYS;
+        this.WARNING_INTERVAL = shopifyConfig.VERSION_WARNING_INTERVAL;
+        this.STATUSES = {
+            SUPPORTED: 'supported',
+            DEPRECATED: 'deprecated', // Still served, but retiring within the warning window
+            UNSUPPORTED: 'unsupported'
+        };
+    }
+
+    async getVersions() {
+        const result = await db.query(`
+            SELECT version, release_date, sunset_date
+            FROM shopify_api_versions
+            WHERE is_active = true
+            ORDER BY version DESC
+        `);
+
+        return result.rows.map(row => ({ ...row, status: this.getStatus(row) }));
+    }
+
+    async getVersion(version) {
+        const result = await db.query(
+            'SELECT version, release_date, sunset_date FROM shopify_api_versions WHERE version = $1 AND is_active = true',
+            [version]
+        );
+
+        if (result.rows.length === 0) return null;
+        return { ...result.rows[0], status: this.getStatus(result.rows[0]) };
+    }
+
+    getStatus(version, now = new Date()) {
+        const sunset = new Date(version.sunset_date).getTime();
+
+        if (sunset <= now.getTime()) return this.STATUSES.UNSUPPORTED;
+        if (sunset - now.getTime() <= this.WARNING_DAYS * DAY_MS) return this.STATUSES.DEPRECATED;
+        return this.STATUSES.SUPPORTED;
+    }
+
+    // Newest version that has been released and is not yet retiring
+    getLatestSupported(versions) {
+        const now = Date.now();
+        return versions.find(version =>
+            version.status === this.STATUSES.SUPPORTED && new Date(version.release_date).getTime() <= now
+        ) || null;
+    }
+
+    // Warn the owner when the source's version is close to or past its sunset.
+    // Repeated checks within the warning interval do not notify again.
+    async checkSourceVersion(source) {
+        const apiVersion = shopifyService.getApiVersion(source.credentials);
+        const version = await this.getVersion(apiVersion);
+
+        if (!version || version.status === this.STATUSES.SUPPORTED) return version;
+
+        const recent = await db.query(`
+            SELECT id
+            FROM notifications
+            WHERE user_id = $1
+            AND type = $2
+            AND data->>'sourceId' = $3
+            AND data->>'apiVersion' = $4
+            AND created_at > CURRENT_TIMESTAMP - $5::interval
+            LIMIT 1`,
+            [
+                source.user_id,
+                notificationService.NOTIFICATION_TYPES.API_VERSION_SUNSET,
+                String(source.id),
+                apiVersion,
+                this.WARNING_INTERVAL
+            ]
+        );
+
+        if (recent.rows.length > 0) return version;
+
+        const latest = this.getLatestSupported(await this.getVersions());
+        const sunsetDate = new Date(version.sunset_date).toISOString().slice(0, 10);
+        const message = version.status === this.STATUSES.UNSUPPORTED
+            ? `Source for ${source.credentials.shop_name} uses Shopify API version ${apiVersion}, which was retired on ${sunsetDate}`
+            : `Source for ${source.credentials.shop_name} uses Shopify API version ${apiVersion}, which will be retired on ${sunsetDate}`;
+
+        await notificationService.createNotification(
+            source.user_id,
+            notificationService.NOTIFICATION_TYPES.API_VERSION_SUNSET,
+            message,
+            {
+                sourceId: String(source.id),
+                shopName: source.credentials.shop_name,
+                apiVersion,
+                sunsetDate,
+                latestVersion: latest?.version || null
+            },
+            version.status === this.STATUSES.UNSUPPORTED
+                ? notificationService.PRIORITIES.URGENT
+                : notificationService.PRIORITIES.HIGH
+        );
+
+        return version;
+    }
+
+    // Sample each selected API under the new version and report selected
+    // fields it no longer returns. An API without records cannot be checked.
+    async checkSelectedFields(source, apiVersion) {
+        const selectedApis = await db.query(`
+            SELECT sa.id, sa.name, sa.endpoint, sa.child_path, sa.parent_key, ssa.selected_fields
+            FROM source_selected_apis ssa
+            JOIN shopify_apis sa ON ssa.api_id = sa.id
+            WHERE ssa.source_id = $1
+        `, [source.id]);
+
+        const credentials = { ...source.credentials, api_version: apiVersion };
+        const results = [];
+
+        for (const api of selectedApis.rows) {
+            const fields = await shopifyService.resolveFieldNames(api.id, api.selected_fields);
+            const result = { api: api.name, verified: false, missingFields: [], error: null };
+
+            try {
+                // A page of parents may hold no children at all, so child datasets sample more of them
+                const [sample] = api.child_path
+                    ? await shopifyService.fetchChildSample(credentials, api, [], shopifyConfig.DISCOVERY_SAMPLE_SIZE)
+                    : await shopifyService.fetchSample(credentials, api.endpoint);
+                if (sample) {
+                    result.verified = true;
+                    result.missingFields = fields.filter(field => !fieldPath.exists(sample, field));
+                }
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        return results;
+    }
+
+    async upgradeSourceVersion(source, apiVersion, options = {}) {
+        const checks = await this.checkSelectedFields(source, apiVersion);
+        const conflicts = checks.filter(check => check.missingFields.length || check.error);
+
+        if (conflicts.length && !options.force) {
+            throw new ShopifyVersionError(
+                `Selected fields could not be confirmed for API version ${apiVersion}`,
+                { apiVersion, conflicts }
+            );
+        }
+
+        const result = await db.query(`
+            UPDATE sources
+            SET credentials = jsonb_set(credentials, '{api_version}', to_jsonb($1::text)),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, credentials->>'api_version' as api_version`,
+            [apiVersion, source.id]
+        );
+
+        return { source: result.rows[0], checks };
+    }
+}
+
+module.exports = new ShopifyVersionService();
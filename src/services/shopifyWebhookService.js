@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const shopifyService = require('./shopifyService');
+const jobProcessor = require('./jobProcessor');
+const sourceGroupService = require('./sourceGroupService');
+const errorLogger = require('./errorLogger');
+const { ShopifyWebhookError } = require('../errors/ShopifyError');
+
+class ShopifyWebhookService {
+    constructor() {
+        // Schedules that received events while already running; they run once more afterwards
+        this.pendingSchedules = new Set();
+    }
+
+    async findSource(sourceId) {
+        const result = await db.query(
+            'SELECT * FROM sources WHERE id = $1 AND is_active = true',
+            [sourceId]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    // Webhooks are signed with the app's API secret key
+    getWebhookSecret(credentials) {
+        return credentials.app_secret || process.env.SHOPIFY_API_SECRET;
+    }
+
+    // "my-store.myshopify.com", as Shopify sends it in X-Shopify-Shop-Domain
+    getShopDomain(credentials) {
+        const shopUrl = credentials.shop_url || `${credentials.shop_name}.myshopify.com`;
+        try {
+            return new URL(/^https?:\/\//i.test(shopUrl) ? shopUrl : `https://${shopUrl}`).host.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    verifyHmac(rawBody, hmacHeader, secret) {
+        if (!rawBody || !hmacHeader || !secret) return false;
+
+        const digest = crypto
+            .createHmac('sha256', secret)
+            .update(rawBody)
+            .digest();
+        const received = Buffer.from(hmacHeader, 'base64');
+
+        return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+    }
+
+    async receive(source, headers, rawBody, payload) {
+        const topic = headers['x-shopify-topic'];
+
+        if (!this.verifyHmac(rawBody, headers['x-shopify-hmac-sha256'], this.getWebhookSecret(source.credentials))) {
+            throw new ShopifyWebhookError('Webhook HMAC verification failed', { sourceId: source.id, topic });
+        }
+
+        // Sources without an app secret of their own share the app's, so a
+        // delivery signed for another shop would verify too
+        const shopDomain = String(headers['x-shopify-shop-domain'] || '').toLowerCase();
+        if (!shopDomain || shopDomain !== this.getShopDomain(source.credentials)) {
+            throw new ShopifyWebhookError('Webhook was sent for another shop', { sourceId: source.id, topic, shopDomain });
+        }
+
+        // Shopify retries deliveries, so the webhook id makes storage idempotent
+        const result = await db.query(`
+            INSERT INTO shopify_webhook_events
+            (source_id, webhook_id, topic, shop_domain, payload)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (webhook_id) DO NOTHING
+            RETURNING *`,
+            [source.id, headers['x-shopify-webhook-id'], topic, shopDomain, payload]
+        );
+
+        return { event: result.rows[0] || null, duplicate: result.rows.length === 0 };
+    }
+
+    async getEventSchedules(sourceId, topic) {
+        const result = await db.query(`
+            SELECT *
+            FROM schedules
+            WHERE (
+                source_id = $1
+                OR source_group_id IN (SELECT group_id FROM source_group_members WHERE source_id = $1)
+            )
+            AND is_active = true
+            AND trigger_type IN ('EVENT', 'BOTH')
+            AND (event_topics IS NULL OR event_topics ? $2)`,
+            [sourceId, topic]
+        );
+
+        return result.rows;
+    }
+
+    async triggerSchedules(sourceId, topic) {
+        const schedules = await this.getEventSchedules(sourceId, topic);
+
+        for (const schedule of schedules) {
+            this.runSchedule(schedule).catch(error => errorLogger.logError(error, {
+                component: 'ShopifyWebhookService',
+                scheduleId: schedule.id,
+                topic
+            }));
+        }
+
+        return schedules.length;
+    }
+
+    async runSchedule(schedule) {
+        if (jobProcessor.activeJobs.has(schedule.id)) {
+            this.pendingSchedules.add(schedule.id);
+            return;
+        }
+
+        const startedAt = new Date();
+
+        try {
+            await jobProcessor.executeJob({
+                scheduleId: schedule.id,
+                sourceId: schedule.source_id,
+                sourceGroupId: schedule.source_group_id,
+                transformationId: schedule.transformation_id,
+                destinationId: schedule.destination_id
+            });
+
+            // A group run covers the events of every member store
+            const sourceIds = schedule.source_group_id
+                ? (await sourceGroupService.getMembers(schedule.source_group_id)).map(member => member.id)
+                : [schedule.source_id];
+
+            await db.query(`
+                UPDATE shopify_webhook_events
+                SET processed_at = CURRENT_TIMESTAMP
+                WHERE source_id = ANY($1) AND processed_at IS NULL AND received_at <= $2`,
+                [sourceIds, startedAt]
+            );
+        } finally {
+            if (this.pendingSchedules.delete(schedule.id)) {
+                await this.runSchedule(schedule);
+            }
+        }
+    }
+
+    // Subscribe the shop to the given topics, delivering to this source's endpoint
+    async registerWebhooks(source, topics, address) {
+        const url = shopifyService.buildUrl(source.credentials, '/admin/api/{api_version}/webhooks.json');
+        const registered = [];
+
+        for (const topic of topics) {
+            const response = await shopifyService.request(source.credentials, {
+                method: 'post',
+                url,
+                data: { webhook: { topic, address, format: 'json' } }
+            });
+            registered.push(response.data.webhook);
+        }
+
+        return registered;
+    }
+}
+
+module.exports = new ShopifyWebhookService();
@@ -0,0 +1,126 @@
+const db = require('../config/database');
+
+// Source groups run one API/field selection against several Shopify stores and
+// union the results, so a single schedule can export every store at once
+class SourceGroupService {
+    constructor() {
+        this.FAILURE_POLICIES = {
+            CONTINUE: 'CONTINUE', // Deliver the stores that succeeded; fail only when all of them fail
+            FAIL: 'FAIL' // Any failed store fails the whole run
+        };
+    }
+
+    async getGroups(userId, groupId = null) {
+        const values = [userId];
+        let conditions = 'WHERE g.user_id = $1 AND g.is_active = true';
+
+        if (groupId) {
+            values.push(groupId);
+            conditions += ' AND g.id = $2';
+        }
+
+        const result = await db.query(`
+            SELECT g.*,
+                   COALESCE(json_agg(
+                       json_build_object(
+                           'source_id', s.id,
+                           'shop_name', s.credentials->>'shop_name'
+                       )
+                       ORDER BY s.id
+                   ) FILTER (WHERE s.id IS NOT NULL), '[]') as members
+            FROM source_groups g
+            LEFT JOIN source_group_members sgm ON g.id = sgm.group_id
+            LEFT JOIN sources s ON sgm.source_id = s.id
+            ${conditions}
+            GROUP BY g.id
+            ORDER BY g.name
+        `, values);
+
+        return result.rows;
+    }
+
+    async getGroup(groupId, userId) {
+        return (await this.getGroups(userId, groupId))[0] || null;
+    }
+
+    // Active member sources, shaped like the source rows the job processor extracts
+    async getMembers(groupId) {
+        const result = await db.query(`
+            SELECT s.*, at.name as api_type_name
+            FROM source_group_members sgm
+            JOIN sources s ON sgm.source_id = s.id
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE sgm.group_id = $1 AND s.is_active = true
+            ORDER BY s.id
+        `, [groupId]);
+
+        return result.rows;
+    }
+
+    // Ids from sourceIds that are not active Shopify sources of the user
+    async findInvalidSources(sourceIds, userId) {
+        const result = await db.query(`
+            SELECT s.id
+            FROM sources s
+            JOIN api_types at ON s.api_type_id = at.id
+            WHERE s.id = ANY($1) AND s.user_id = $2 AND s.is_active = true AND at.name = 'Shopify'
+        `, [sourceIds, userId]);
+
+        const valid = new Set(result.rows.map(row => row.id));
+        return sourceIds.filter(id => !valid.has(id));
+    }
+
+    // Replace the members and the group's selection. Members' own selections are
+    // left alone; the group keeps a watermark per member and API, and those of
+    // members and APIs it still has are carried over. Runs inside the caller's transaction.
+    async applyGroup(groupId, sourceIds, selectedApis) {
+        const apiIds = selectedApis.map(selection => Number(selection.api_id));
+
+        await db.query('DELETE FROM source_group_members WHERE group_id = $1', [groupId]);
+        await db.query(
+            'DELETE FROM source_group_selections WHERE group_id = $1 AND (source_id <> ALL($2) OR api_id <> ALL($3))',
+            [groupId, sourceIds, apiIds]
+        );
+
+        for (const sourceId of sourceIds) {
+            await db.query(
+                'INSERT INTO source_group_members (group_id, source_id) VALUES ($1, $2)',
+                [groupId, sourceId]
+            );
+
+            for (const apiId of apiIds) {
+                await db.query(
+                    `INSERT INTO source_group_selections (group_id, source_id, api_id)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (group_id, source_id, api_id) DO NOTHING`,
+                    [groupId, sourceId, apiId]
+                );
+            }
+        }
+    }
+
+    // The group's selection for one member, shaped like the member's own selected
+    // APIs but carrying the watermarks the group keeps for it
+    async getMemberSelections(group, sourceId) {
+        const result = await db.query(`
+            SELECT sa.*,
+                   sgs.id as selection_id,
+                   sgs.group_id,
+                   sgs.watermark_updated_at,
+                   sgs.watermark_id
+            FROM source_group_selections sgs
+            JOIN shopify_apis sa ON sgs.api_id = sa.id
+            WHERE sgs.group_id = $1 AND sgs.source_id = $2
+        `, [group.id, sourceId]);
+
+        const fields = new Map(group.selected_apis.map(selection => [Number(selection.api_id), selection.fields]));
+        return result.rows.map(api => ({ ...api, selected_fields: fields.get(api.id) || [] }));
+    }
+
+    // Records keep their own fields; shop_name tells the stores apart after the union
+    tagRecords(records, shopName) {
+        return records.map(record => ({ shop_name: shopName, ...record }));
+    }
+}
+
+module.exports = new SourceGroupService();
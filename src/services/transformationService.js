@@ -0,0 +1,210 @@
+const db = require('../config/database');
+const fieldPath = require('../utils/fieldPath');
+const transformationRegistry = require('./transformations');
+const encryptionService = require('./encryptionService');
+const { TransformationError } = require('../errors/TransformationError');
+
+// Applies a saved transformation configuration, an ordered array of
+// { api, field, type, configuration } steps, to the extracted datasets
+class TransformationService {
+    constructor() {
+        this.MAX_REPORTED_ERRORS = 100; // Errors kept in the run report; all of them are counted
+    }
+
+    getTypes() {
+        return transformationRegistry.list();
+    }
+
+    // Problems with the steps themselves, as { index, field, type, message }.
+    // An empty array means the configuration can be saved.
+    validateConfiguration(steps) {
+        const errors = [];
+
+        steps.forEach((step, index) => {
+            const type = transformationRegistry.get(step.type);
+            const describe = message => ({ index, field: step.field, type: step.type, message });
+
+            if (!type) {
+                errors.push(describe(
+                    `Invalid transformation type: ${step.type}. Valid types are: ${this.getTypes().map(t => t.name).join(', ')}`
+                ));
+                return;
+            }
+
+            // Dataset steps work on whole records; the others need a field
+            if ((type.scope !== 'dataset' || type.fieldRequired) && (typeof step.field !== 'string' || !step.field)) {
+                errors.push(describe('Field name is required'));
+            } else if (typeof step.field === 'string' && fieldPath.reservedKey(step.field)) {
+                errors.push(describe(`Field name cannot use the reserved name "${fieldPath.reservedKey(step.field)}"`));
+            }
+
+            for (const error of type.validate(step.configuration || {}, step)) {
+                errors.push(typeof error === 'string' ? describe(error) : { ...describe(error.message), ...error });
+            }
+        });
+
+        return errors;
+    }
+
+    // Errors, shaped like validateConfiguration's, for steps on fields whose
+    // type in the Shopify field catalog is not the one the step needs. Fields
+    // the catalog doesn't know (other source types, custom paths) pass.
+    async validateFieldTypes(steps) {
+        const typed = steps
+            .map((step, index) => ({ step, index, type: transformationRegistry.get(step.type) }))
+            .filter(({ step, type }) => type?.fieldType && step.field);
+        if (!typed.length) return [];
+
+        const result = await db.query(`
+            SELECT sa.name as api, saf.field_name, saf.field_type
+            FROM shopify_api_fields saf
+            JOIN shopify_apis sa ON saf.api_id = sa.id
+            WHERE saf.is_active = true AND sa.name = ANY($1) AND saf.field_name = ANY($2)
+        `, [[...new Set(typed.map(({ step }) => step.api))], [...new Set(typed.map(({ step }) => step.field))]]);
+        const declared = new Map(result.rows.map(row => [`${row.api}|${row.field_name}`, row.field_type]));
+
+        return typed
+            .filter(({ step, type }) => {
+                const fieldType = declared.get(`${step.api}|${step.field}`);
+                return fieldType !== undefined && fieldType !== type.fieldType;
+            })
+            .map(({ step, index, type }) => ({
+                index,
+                field: step.field,
+                type: step.type,
+                message: `${step.api}.${step.field} is declared as ${declared.get(`${step.api}|${step.field}`)}, `
+                    + `but ${type.name} needs a ${type.fieldType} field`
+            }));
+    }
+
+    // Key scope of a saved transformation: HASH salts and TOKENIZE keys are
+    // derived from it, so they stay the same across runs of that pipeline only
+    keyScope(pipelineId) {
+        return `transformation:${pipelineId}`;
+    }
+
+    // Original values of tokens issued by a saved transformation's TOKENIZE
+    // steps, as [{ token, value }]; tokens it did not issue get an error instead
+    detokenize(tokens, pipelineId) {
+        return tokens.map((token) => {
+            try {
+                return { token, value: encryptionService.detokenize(token, this.keyScope(pipelineId)) };
+            } catch (error) {
+                return { token, value: null, error: error.message };
+            }
+        });
+    }
+
+    // Returns { data, report }. A value a step cannot convert keeps its old
+    // value and is reported instead of failing the run; so is a step whose
+    // dataset or configuration is unusable. Dataset steps also report how
+    // many records went in and came out, and privacy steps that ran are listed
+    // as the fields they protected, and field steps that compute or convert a
+    // value as the fields they read. options.pipelineId is the id of the saved
+    // transformation, which HASH and TOKENIZE need.
+    async applyTransformations(data, configuration, options = {}) {
+        const report = { errorCount: 0, errors: [], steps: [], protectedFields: [], derivedFields: [] };
+        const transformed = { ...data };
+        const runContext = {
+            pipelineId: options.pipelineId || null,
+            keyScope: options.pipelineId ? this.keyScope(options.pipelineId) : null
+        };
+
+        for (const [index, step] of (configuration || []).entries()) {
+            const fail = (message, details = {}) => {
+                report.errorCount++;
+                if (report.errors.length < this.MAX_REPORTED_ERRORS) {
+                    report.errors.push({ step: index, api: step.api, field: step.field, type: step.type, ...details, message });
+                }
+            };
+
+            const configErrors = this.validateConfiguration([step]);
+            if (configErrors.length) {
+                configErrors.forEach(error => fail(error.message));
+                continue;
+            }
+            if (!Array.isArray(transformed[step.api])) {
+                fail(`Dataset ${step.api} was not extracted`);
+                continue;
+            }
+
+            const type = transformationRegistry.get(step.type);
+            let ran = true;
+            if (type.scope === 'dataset') {
+                ran = await this.applyDatasetStep(transformed, step, type, { index, report, fail, runContext });
+            } else {
+                transformed[step.api] = this.applyFieldStep(transformed[step.api], step, type, fail, runContext);
+            }
+
+            if (ran && type.privacy) {
+                report.protectedFields.push({ step: index, api: step.api, field: step.field, type: type.name });
+            }
+            if (type.reads) {
+                report.derivedFields.push({
+                    step: index,
+                    api: step.api,
+                    field: step.field,
+                    type: type.name,
+                    from: type.reads(step.configuration || {}, step)
+                });
+            }
+        }
+
+        return { data: transformed, report };
+    }
+
+    // A privacy step clears a value it cannot protect rather than let it
+    // through, and leaves the value out of the report
+    applyFieldStep(records, step, type, fail, runContext) {
+        const configuration = step.configuration || {};
+
+        return records.map((record, recordIndex) => {
+            try {
+                if (type.computed) {
+                    return { ...record, [step.field]: type.apply(null, configuration, record, runContext) };
+                }
+                return fieldPath.update(record, step.field, value => type.apply(value, configuration, record, runContext));
+            } catch (error) {
+                if (!(error instanceof TransformationError)) throw error;
+                if (type.privacy) {
+                    fail(error.message, { record: recordIndex });
+                    return fieldPath.update(record, step.field, () => null);
+                }
+                fail(error.message, { record: recordIndex, value: fieldPath.get(record, step.field) });
+                // A computed field still gets its column
+                return type.computed && !(step.field in record) ? { ...record, [step.field]: null } : record;
+            }
+        });
+    }
+
+    // Dataset types get every record of the step's dataset and return the
+    // records that replace it. Through the context they can read other
+    // datasets, report per-record failures and add figures to the step's report.
+    // Returns whether the step ran.
+    async applyDatasetStep(data, step, type, { index, report, fail, runContext }) {
+        const entry = { step: index, api: step.api, type: type.name, recordsIn: data[step.api].length };
+        const context = {
+            ...runContext,
+            api: step.api,
+            field: step.field,
+            data,
+            fail,
+            note: details => Object.assign(entry, details)
+        };
+
+        // A step that cannot run at all leaves the dataset as it was
+        let ran = true;
+        try {
+            data[step.api] = await type.apply(data[step.api], step.configuration || {}, context);
+        } catch (error) {
+            if (!(error instanceof TransformationError)) throw error;
+            fail(error.message);
+            ran = false;
+        }
+        entry.recordsOut = data[step.api].length;
+        report.steps.push(entry);
+        return ran;
+    }
+}
+
+module.exports = new TransformationService();
@@ -0,0 +1,208 @@
+const fieldPath = require('../../utils/fieldPath');
+const expression = require('../../utils/expression');
+const dateTime = require('../../utils/dateTime');
+const { asNumber, toDate } = require('../../utils/expressionFunctions');
+const { TransformationError, TransformationValueError } = require('../../errors/TransformationError');
+
+const BUCKETS = ['day', 'week', 'month'];
+const DATASET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Float sums of prices drift (0.1 + 0.2); ten decimals is plenty for money
+const tidy = value => (value === null ? null : Number(value.toFixed(10)));
+
+const numeric = (value) => {
+    const number = asNumber(value);
+    if (number === null) {
+        throw new TransformationValueError(`Cannot use ${JSON.stringify(value)} as a number`);
+    }
+    return number;
+};
+
+const extreme = sign => ({
+    start: () => null,
+    add: (current, value) => (current === null || expression.compare(value, current) * sign > 0 ? value : current),
+    finish: current => current,
+    copiesValues: true // The output is one of the input values
+});
+
+// Accumulators per measure function: start a group, fold in each non-null
+// value, and produce the output value. Numeric measures get numbers.
+const MEASURES = {
+    count: {
+        start: () => 0,
+        add: current => current + 1,
+        finish: current => current,
+        fieldOptional: true // Without a field every record counts
+    },
+    count_distinct: {
+        start: () => new Set(),
+        add: (current, value) => current.add(typeof value === 'object' ? JSON.stringify(value) : String(value)),
+        finish: current => current.size
+    },
+    sum: {
+        start: () => null,
+        add: (current, value) => (current || 0) + value,
+        finish: tidy,
+        numeric: true
+    },
+    avg: {
+        start: () => ({ sum: 0, count: 0 }),
+        add: (current, value) => ({ sum: current.sum + value, count: current.count + 1 }),
+        finish: current => (current.count ? tidy(current.sum / current.count) : null),
+        numeric: true
+    },
+    min: extreme(-1),
+    max: extreme(1)
+};
+
+// Group-by entries are field names or { field, bucket, as }
+const normalizeKey = key => (typeof key === 'string' ? { field: key, as: key } : { ...key, as: key.as || key.field });
+
+const measureName = measure => measure.as || (measure.field ? `${measure.function}_${measure.field}` : measure.function);
+
+// Bucketed dates are labelled with the first day of the bucket (weeks start on
+// Monday), on the calendar of the time zone or else of the offset the value was
+// written with, so an order counts on its shop's local day as CONVERT_CURRENCY does
+const keyValue = (record, key, timezone) => {
+    const value = fieldPath.get(record, key.field);
+    if (!key.bucket || value === null || value === '') return value;
+
+    const parsed = typeof value === 'string' ? dateTime.parseIso(value, timezone || 'UTC') : null;
+    const ms = parsed === null ? toDate(value).getTime() : parsed;
+    if (timezone) return dateTime.formatPattern(dateTime.truncate(ms, key.bucket, timezone), 'YYYY-MM-DD', timezone);
+
+    const shift = dateTime.offsetOf(value) * 60000;
+    return dateTime.formatPattern(dateTime.truncate(ms + shift, key.bucket, 'UTC'), 'YYYY-MM-DD', 'UTC');
+};
+
+// e.g. { api: 'orders', type: 'AGGREGATE', configuration: { dataset: 'daily_sales',
+//   group_by: [{ field: 'created_at', bucket: 'day', as: 'day' }, 'currency'],
+//   measures: [{ function: 'sum', field: 'total_price', as: 'revenue' }, { function: 'count', as: 'orders' }] } }
+// The summary becomes a dataset of its own and the source dataset is left as
+// it was, unless the summary is given the source's name.
+module.exports = {
+    name: 'AGGREGATE',
+    description: 'Summarize records into a new dataset by group-by keys',
+    example: "SUM(total_price) AS revenue GROUP BY DAY(created_at) INTO 'daily_sales'",
+    options: {
+        dataset: 'Name of the dataset the summary is written to',
+        group_by: `Field names, or { field, bucket: ${BUCKETS.join('|')}, as } for dates`,
+        measures: `{ function: ${Object.keys(MEASURES).join('|')}, field, as }`,
+        timezone: 'IANA zone date buckets follow (default the offset each value carries)'
+    },
+    scope: 'dataset',
+
+    validate(configuration) {
+        const errors = [];
+        const groupBy = configuration.group_by === undefined ? [] : configuration.group_by;
+        const measures = configuration.measures;
+
+        if (typeof configuration.dataset !== 'string' || !DATASET_NAME_PATTERN.test(configuration.dataset)) {
+            errors.push('"dataset" must be a name made of letters, digits, "_" or "-"');
+        }
+
+        if (!Array.isArray(groupBy)) {
+            errors.push('"group_by" must be an array');
+        } else {
+            groupBy.forEach((key, index) => {
+                const field = typeof key === 'string' ? key : key?.field;
+                if (typeof field !== 'string' || !field) {
+                    errors.push(`group_by[${index}] must be a field name or { field, bucket, as }`);
+                } else if (typeof key === 'object' && key.bucket !== undefined && !BUCKETS.includes(key.bucket)) {
+                    errors.push(`group_by[${index}].bucket must be one of: ${BUCKETS.join(', ')}`);
+                }
+            });
+        }
+
+        if (configuration.timezone !== undefined && !dateTime.isTimeZone(configuration.timezone)) {
+            errors.push('"timezone" must be an IANA time zone such as Europe/Paris');
+        }
+
+        if (!Array.isArray(measures) || !measures.length) {
+            errors.push('"measures" must be a non-empty array');
+        } else {
+            measures.forEach((measure, index) => {
+                const definition = MEASURES[measure?.function];
+                if (!definition) {
+                    errors.push(`measures[${index}].function must be one of: ${Object.keys(MEASURES).join(', ')}`);
+                } else if (!definition.fieldOptional && (typeof measure.field !== 'string' || !measure.field)) {
+                    errors.push(`measures[${index}].field is required for ${measure.function}`);
+                }
+            });
+        }
+
+        if (!errors.length) {
+            const names = [...groupBy.map(key => normalizeKey(key).as), ...measures.map(measureName)];
+            const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+            if (duplicates.length) {
+                errors.push(`Output columns must be unique; use "as" to rename: ${[...new Set(duplicates)].join(', ')}`);
+            }
+        }
+
+        return errors;
+    },
+
+    apply(records, configuration, context) {
+        const keys = (configuration.group_by || []).map(normalizeKey);
+        const measures = configuration.measures.map(measure => ({
+            ...measure,
+            as: measureName(measure),
+            definition: MEASURES[measure.function]
+        }));
+        const groups = new Map();
+
+        // A record with a value that can't be used is left out of its group entirely
+        records.forEach((record, index) => {
+            let values;
+            let inputs;
+            try {
+                values = keys.map(key => keyValue(record, key, configuration.timezone));
+                inputs = measures.map((measure) => {
+                    if (!measure.field) return null;
+                    const value = fieldPath.get(record, measure.field);
+                    if (value === null || value === '') return undefined;
+                    return measure.definition.numeric ? numeric(value) : value;
+                });
+            } catch (error) {
+                if (!(error instanceof TransformationError)) throw error;
+                context.fail(error.message, { record: index });
+                return;
+            }
+
+            const groupKey = JSON.stringify(values);
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { values, accumulators: measures.map(measure => measure.definition.start()) });
+            }
+            const group = groups.get(groupKey);
+
+            measures.forEach((measure, position) => {
+                if (inputs[position] === undefined) return; // Empty values are skipped
+                group.accumulators[position] = measure.definition.add(group.accumulators[position], inputs[position]);
+            });
+        });
+
+        const summary = [...groups.values()].map(group => {
+            const row = {};
+            keys.forEach((key, position) => {
+                row[key.as] = group.values[position];
+            });
+            measures.forEach((measure, position) => {
+                row[measure.as] = measure.definition.finish(group.accumulators[position]);
+            });
+            return row;
+        });
+
+        // Output columns holding source values, for the privacy policy to follow
+        const columns = [
+            ...keys.map(key => ({ field: key.field, name: key.as })),
+            ...measures.filter(measure => measure.field && measure.definition.copiesValues)
+                .map(measure => ({ field: measure.field, name: measure.as }))
+        ];
+        context.note({ dataset: configuration.dataset, groups: groups.size, columns });
+
+        // Summarizing into the source's own name replaces the raw records
+        if (configuration.dataset === context.api) return summary;
+        context.data[configuration.dataset] = summary;
+        return records;
+    }
+};
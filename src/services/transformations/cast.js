@@ -0,0 +1,60 @@
+const { TransformationValueError } = require('../../errors/TransformationError');
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+const converters = {
+    integer: (value) => {
+        const number = Number(value);
+        if (typeof value === 'boolean' || !Number.isFinite(number)) {
+            throw new TransformationValueError('Value is not a number');
+        }
+        return Math.trunc(number);
+    },
+    number: (value) => {
+        const number = Number(value);
+        if (typeof value === 'boolean' || !Number.isFinite(number)) {
+            throw new TransformationValueError('Value is not a number');
+        }
+        return number;
+    },
+    boolean: (value) => {
+        if (typeof value === 'boolean') return value;
+
+        const text = String(value).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        throw new TransformationValueError('Value is not a boolean');
+    },
+    string: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+    date: (value) => {
+        const date = new Date(value);
+        if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+            throw new TransformationValueError('Value is not a date');
+        }
+        return date.toISOString();
+    }
+};
+
+// Empty values stay null whatever the target type
+module.exports = {
+    name: 'CAST',
+    description: 'Convert data type',
+    example: 'CAST(field AS INTEGER)',
+    options: {
+        to: `Target type: ${Object.keys(converters).join(', ')}`
+    },
+
+    // An object cast to text carries its nested fields in the field itself
+    reads: (configuration, step) => [step.field],
+
+    validate(configuration) {
+        const to = String(configuration.to || '').toLowerCase();
+        return converters[to] ? [] : [`"to" must be one of: ${Object.keys(converters).join(', ')}`];
+    },
+
+    apply(value, configuration) {
+        if (value === null || value === '') return null;
+        return converters[configuration.to.toLowerCase()](value);
+    }
+};
@@ -0,0 +1,37 @@
+const fieldPath = require('../../utils/fieldPath');
+
+// Writes the joined values to the step's field; empty values are skipped so
+// they don't leave doubled separators behind
+module.exports = {
+    name: 'CONCATENATE',
+    description: 'Join multiple fields',
+    example: 'CONCATENATE(field1, " ", field2)',
+    options: {
+        fields: 'Fields to join, in order',
+        separator: 'Text placed between the values (default none)'
+    },
+    computed: true,
+    reads: configuration => configuration.fields,
+
+    validate(configuration) {
+        const errors = [];
+
+        if (!Array.isArray(configuration.fields) || !configuration.fields.length
+            || configuration.fields.some(field => typeof field !== 'string' || !field)) {
+            errors.push('"fields" must be a non-empty array of field names');
+        }
+        if (configuration.separator !== undefined && typeof configuration.separator !== 'string') {
+            errors.push('"separator" must be a string');
+        }
+
+        return errors;
+    },
+
+    apply(value, configuration, record) {
+        return configuration.fields
+            .map(field => fieldPath.get(record, field))
+            .filter(part => part !== null && part !== '')
+            .map(part => (typeof part === 'object' ? JSON.stringify(part) : String(part)))
+            .join(configuration.separator || '');
+    }
+};
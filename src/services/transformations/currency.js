@@ -0,0 +1,188 @@
+const fieldPath = require('../../utils/fieldPath');
+const currencyRateService = require('../currencyRateService');
+const { asNumber, toDate } = require('../../utils/expressionFunctions');
+const { TransformationError, TransformationValueError } = require('../../errors/TransformationError');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DAY_MS = 86400000;
+
+// Rounding of a value already scaled to the wanted decimals. "up" and "down"
+// go away from and towards zero, ceiling and floor towards +/- infinity.
+const ROUNDING = {
+    half_up: value => Math.sign(value) * Math.round(Math.abs(value)),
+    half_even: (value) => {
+        const floor = Math.floor(value);
+        const fraction = value - floor;
+        if (fraction !== 0.5) return Math.round(value);
+        return floor % 2 === 0 ? floor : floor + 1;
+    },
+    up: value => Math.sign(value) * Math.ceil(Math.abs(value)),
+    down: value => Math.trunc(value),
+    ceiling: value => Math.ceil(value),
+    floor: value => Math.floor(value),
+    none: null
+};
+
+const round = (value, decimals, mode) => {
+    if (!ROUNDING[mode]) return value;
+    const factor = 10 ** decimals;
+    // 1.005 * 100 is 100.49999999999999; fifteen significant digits undo that
+    const scaled = Number((value * factor).toPrecision(15));
+    return Number((ROUNDING[mode](scaled) / factor).toFixed(decimals));
+};
+
+// The calendar day a record belongs to. Timestamps are read on the date they
+// carry, so a Shopify order is converted at the rate of its shop's local day.
+const dayOf = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+    return toDate(value).toISOString().slice(0, 10);
+};
+
+// The latest rate on or before the day; rates are sorted by date
+const rateOn = (rates, day) => {
+    let low = 0;
+    let high = rates.length - 1;
+    let found = null;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (rates[middle].date <= day) {
+            found = rates[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+};
+
+const defaultTarget = (field, currency) => `${field.replace(/\./g, '_')}_${currency.toLowerCase()}`;
+
+// e.g. { api: 'orders', field: 'total_price', type: 'CONVERT_CURRENCY',
+//   configuration: { rate_table_id: 2, to: 'EUR', rounding: 'half_even' } }
+// adds total_price_eur next to total_price, converted at the rate of the
+// order's currency on its created_at day, or the latest rate before it.
+module.exports = {
+    name: 'CONVERT_CURRENCY',
+    description: 'Convert a money field at the rate of each record\'s date',
+    example: "CONVERT_CURRENCY(total_price, currency -> 'EUR' AT created_at) AS total_price_eur",
+    options: {
+        rate_table_id: 'Id of the currency rate table',
+        to: 'Currency to convert into, e.g. EUR',
+        from: 'Currency of every record (default: read from currency_field)',
+        currency_field: 'Field holding each record\'s currency (default currency)',
+        date_field: 'Field whose date picks the rate (default created_at)',
+        target: 'Field the converted value is written to (default "<field>_<to>")',
+        rate_field: 'Field the applied rate is written to (default none)',
+        rounding: `${Object.keys(ROUNDING).join(', ')} (default half_up)`,
+        decimals: 'Decimals to round to (default 2)',
+        max_age_days: 'Fail records whose latest rate is older than this many days (default no limit)'
+    },
+    scope: 'dataset',
+    fieldRequired: true,
+
+    validate(configuration, step = {}) {
+        const errors = [];
+
+        if (!Number.isInteger(Number(configuration.rate_table_id)) || Number(configuration.rate_table_id) <= 0) {
+            errors.push('"rate_table_id" must be the id of a currency rate table');
+        }
+        if (!CURRENCY_PATTERN.test(configuration.to)) {
+            errors.push('"to" must be a 3-letter ISO currency code such as EUR');
+        }
+        if (configuration.from !== undefined && !CURRENCY_PATTERN.test(configuration.from)) {
+            errors.push('"from" must be a 3-letter ISO currency code');
+        }
+        for (const option of ['currency_field', 'date_field', 'target', 'rate_field']) {
+            if (configuration[option] !== undefined && (typeof configuration[option] !== 'string' || !configuration[option])) {
+                errors.push(`"${option}" must be a field name`);
+            }
+        }
+        if (configuration.rounding !== undefined && !Object.prototype.hasOwnProperty.call(ROUNDING, configuration.rounding)) {
+            errors.push(`"rounding" must be one of: ${Object.keys(ROUNDING).join(', ')}`);
+        }
+        if (configuration.decimals !== undefined
+            && (!Number.isInteger(configuration.decimals) || configuration.decimals < 0 || configuration.decimals > 10)) {
+            errors.push('"decimals" must be a whole number from 0 to 10');
+        }
+        if (configuration.max_age_days !== undefined
+            && (!Number.isInteger(configuration.max_age_days) || configuration.max_age_days < 0)) {
+            errors.push('"max_age_days" must be a whole number of days');
+        }
+
+        const paths = [step.field, configuration.currency_field, configuration.date_field].filter(Boolean);
+        if (paths.some(path => String(path).includes('[]'))) {
+            errors.push('Currency conversion cannot walk into arrays; convert a child dataset such as order_line_items instead');
+        }
+
+        return errors;
+    },
+
+    async apply(records, configuration, context) {
+        const into = configuration.to;
+        const rates = await currencyRateService.getRatesInto(configuration.rate_table_id, into);
+        if (!rates) {
+            throw new TransformationError(`Currency rate table ${configuration.rate_table_id} not found`, 'CURRENCY_ERROR');
+        }
+
+        const target = configuration.target || defaultTarget(context.field, into);
+        const currencyField = configuration.currency_field || 'currency';
+        const dateField = configuration.date_field || 'created_at';
+        const rounding = configuration.rounding || 'half_up';
+        const decimals = configuration.decimals === undefined ? 2 : configuration.decimals;
+        const maxAge = configuration.max_age_days;
+
+        const convert = (record) => {
+            const amount = fieldPath.get(record, context.field);
+            if (amount === null || amount === '') return { value: null, rate: null };
+
+            const number = asNumber(amount);
+            if (number === null) {
+                throw new TransformationValueError(`Cannot use ${JSON.stringify(amount)} as an amount`);
+            }
+
+            const from = String(configuration.from || fieldPath.get(record, currencyField) || '').trim().toUpperCase();
+            if (!CURRENCY_PATTERN.test(from)) {
+                throw new TransformationValueError(`No currency in ${currencyField}`);
+            }
+            if (from === into) return { value: round(number, decimals, rounding), rate: 1 };
+
+            const dateValue = fieldPath.get(record, dateField);
+            if (dateValue === null || dateValue === '') {
+                throw new TransformationValueError(`No date in ${dateField} to pick a rate`);
+            }
+            const day = dayOf(dateValue);
+            const found = rateOn(rates.get(from) || [], day);
+            if (!found) {
+                throw new TransformationValueError(`No ${from} to ${into} rate on or before ${day}`);
+            }
+            if (maxAge !== undefined && (Date.parse(day) - Date.parse(found.date)) / DAY_MS > maxAge) {
+                throw new TransformationValueError(
+                    `Latest ${from} to ${into} rate before ${day} is from ${found.date}, more than ${maxAge} day(s) old`
+                );
+            }
+
+            return { value: round(number * found.rate, decimals, rounding), rate: found.rate };
+        };
+
+        // A record that cannot be converted gets null and is reported
+        let converted = 0;
+        const output = records.map((record, index) => {
+            let result;
+            try {
+                result = convert(record);
+                if (result.value !== null) converted++;
+            } catch (error) {
+                if (!(error instanceof TransformationError)) throw error;
+                context.fail(error.message, { record: index, value: fieldPath.get(record, context.field) });
+                result = { value: null, rate: null };
+            }
+
+            const added = { [target]: result.value };
+            if (configuration.rate_field) added[configuration.rate_field] = result.rate;
+            return { ...record, ...added };
+        });
+
+        context.note({ currency: into, converted });
+        return output;
+    }
+};
@@ -0,0 +1,119 @@
+const dateTime = require('../../utils/dateTime');
+const { TransformationValueError } = require('../../errors/TransformationError');
+
+const INPUT_FORMATS = ['auto', 'iso', 'epoch_seconds', 'epoch_millis', 'excel'];
+const OUTPUT_FORMATS = ['iso', 'date', 'excel', 'epoch_seconds', 'epoch_millis'];
+const TRUNCATE_UNITS = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+const EPOCH_SECONDS_LIMIT = 1e11; // Larger numbers are taken as milliseconds (year 5138 in seconds)
+
+// Compiled custom input patterns, reused across records and runs
+const parsers = new Map();
+const MAX_PARSERS = 100;
+
+const parserFor = (pattern) => {
+    if (!parsers.has(pattern)) {
+        if (parsers.size >= MAX_PARSERS) parsers.clear();
+        parsers.set(pattern, dateTime.compilePattern(pattern));
+    }
+    return parsers.get(pattern);
+};
+
+const numeric = (value) => {
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : null;
+};
+
+// Instant of a value, or null when it cannot be read in the format.
+// Database sources hand over Date objects, which need no parsing.
+const parse = (value, format, zone) => {
+    if (value instanceof Date) return value.getTime();
+    const number = numeric(value);
+
+    switch (format) {
+        case 'epoch_seconds':
+            return number === null ? null : Math.round(number * 1000);
+        case 'epoch_millis':
+            return number === null ? null : Math.round(number);
+        case 'excel':
+            return number === null ? null : dateTime.fromExcelSerial(number, zone);
+        case 'iso':
+            return typeof value === 'string' ? dateTime.parseIso(value, zone) : null;
+        case 'auto':
+            if (number !== null) return Math.abs(number) < EPOCH_SECONDS_LIMIT ? Math.round(number * 1000) : Math.round(number);
+            return typeof value === 'string' ? dateTime.parseIso(value, zone) : null;
+        default:
+            return typeof value === 'string' ? parserFor(format)(value, zone) : null;
+    }
+};
+
+const format = (ms, outputFormat, zone) => {
+    switch (outputFormat) {
+        case 'iso': return dateTime.formatIso(ms, zone);
+        case 'date': return dateTime.formatPattern(ms, 'YYYY-MM-DD', zone);
+        case 'excel': return dateTime.toExcelSerial(ms, zone);
+        case 'epoch_seconds': return Math.floor(ms / 1000);
+        case 'epoch_millis': return ms;
+        default: return dateTime.formatPattern(ms, outputFormat, zone);
+    }
+};
+
+// e.g. { field: 'created_at', type: 'DATETIME', configuration: { timezone: 'Europe/Paris',
+//   truncate: 'day', output_format: 'date' } }
+// turns "2024-03-05T23:30:00-05:00" into "2024-03-06". Values without an
+// offset are read in input_timezone; truncation happens in the output zone.
+module.exports = {
+    name: 'DATETIME',
+    description: 'Parse, convert between time zones, truncate and format dates',
+    example: "FORMAT(DATE_TRUNC('day', created_at AT TIME ZONE 'Europe/Paris'), 'YYYY-MM-DD')",
+    options: {
+        input_format: `${INPUT_FORMATS.join(', ')} or a pattern such as "DD/MM/YYYY HH:mm" (default auto: ISO 8601 or epoch)`,
+        input_timezone: 'IANA zone of values without an offset (default UTC)',
+        timezone: 'IANA zone of the output, e.g. Europe/Paris (default UTC)',
+        truncate: `${TRUNCATE_UNITS.join(', ')}; weeks start on Monday`,
+        output_format: `${OUTPUT_FORMATS.join(', ')} or a pattern such as "DD.MM.YYYY HH:mm" (default iso)`
+    },
+    fieldType: 'datetime', // Declared type in shopify_api_fields the field must have
+
+    validate(configuration) {
+        const errors = [];
+        const inputFormat = configuration.input_format;
+        const outputFormat = configuration.output_format;
+
+        if (inputFormat !== undefined && !INPUT_FORMATS.includes(inputFormat)) {
+            if (typeof inputFormat !== 'string' || !dateTime.isCompletePattern(inputFormat)) {
+                errors.push(`"input_format" must be one of ${INPUT_FORMATS.join(', ')}, or a pattern with YYYY, MM and DD`);
+            }
+        }
+        if (outputFormat !== undefined && !OUTPUT_FORMATS.includes(outputFormat)) {
+            if (typeof outputFormat !== 'string' || !dateTime.patternTokens(outputFormat).length) {
+                errors.push(`"output_format" must be one of ${OUTPUT_FORMATS.join(', ')}, or a pattern such as YYYY-MM-DD HH:mm`);
+            }
+        }
+        for (const option of ['input_timezone', 'timezone']) {
+            if (configuration[option] !== undefined && !dateTime.isTimeZone(configuration[option])) {
+                errors.push(`"${option}" must be an IANA time zone such as Europe/Paris`);
+            }
+        }
+        if (configuration.truncate !== undefined && !TRUNCATE_UNITS.includes(configuration.truncate)) {
+            errors.push(`"truncate" must be one of: ${TRUNCATE_UNITS.join(', ')}`);
+        }
+
+        return errors;
+    },
+
+    // Empty values stay null
+    apply(value, configuration) {
+        if (value === null || value === '') return null;
+
+        const zone = configuration.timezone || 'UTC';
+        let ms = parse(value, configuration.input_format || 'auto', configuration.input_timezone || 'UTC');
+        if (ms === null || !Number.isFinite(ms)) {
+            throw new TransformationValueError(`Cannot read ${JSON.stringify(value)} as a date`);
+        }
+
+        if (configuration.truncate) {
+            ms = dateTime.truncate(ms, configuration.truncate, zone);
+        }
+        return format(ms, configuration.output_format || 'iso', zone);
+    }
+};
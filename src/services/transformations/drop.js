@@ -0,0 +1,22 @@
+const fieldPath = require('../../utils/fieldPath');
+
+// e.g. { api: 'orders', field: 'billing_address', type: 'DROP' }
+// removes billing_address and everything in it from every order;
+// "line_items[].properties" removes it from every line item.
+module.exports = {
+    name: 'DROP',
+    description: 'Remove a field from every record',
+    example: 'SELECT * EXCEPT (billing_address)',
+    options: {},
+    scope: 'dataset',
+    fieldRequired: true,
+    privacy: true,
+
+    validate() {
+        return [];
+    },
+
+    apply(records, configuration, context) {
+        return records.map(record => fieldPath.remove(record, context.field));
+    }
+};
@@ -0,0 +1,98 @@
+const fieldPath = require('../../utils/fieldPath');
+
+const EMPTY_MODES = ['keep', 'drop'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const defaultPrefix = field => `${field.replace(/\./g, '_')}_`;
+
+// e.g. { api: 'orders', field: 'line_items', type: 'EXPLODE', configuration: { index_field: 'line_number' } }
+// turns an order with two line items into two rows that repeat the order's
+// fields and add line_items_sku, line_items_quantity, ... and line_number.
+// Every row gets a column for every element key seen in the dataset, so CSV
+// files keep one header. Arrays of plain values (e.g. tags) give one value per
+// row in the field itself. An element key wins over a parent field of the same name.
+module.exports = {
+    name: 'EXPLODE',
+    description: 'Turn an array field into one row per element',
+    example: 'SELECT orders.*, item.* FROM orders CROSS JOIN UNNEST(line_items) AS item',
+    options: {
+        prefix: 'Prefix of the element fields (default "<field>_", e.g. line_items_sku)',
+        empty_arrays: `${EMPTY_MODES.join(', ')}: records with an empty or missing array keep one row of nulls, or are dropped (default keep)`,
+        index_field: 'Field the element\'s position (from 1) is written to (default none)'
+    },
+    scope: 'dataset',
+    fieldRequired: true,
+
+    validate(configuration, step = {}) {
+        const errors = [];
+
+        if (configuration.prefix !== undefined && typeof configuration.prefix !== 'string') {
+            errors.push('"prefix" must be a string');
+        }
+        if (configuration.empty_arrays !== undefined && !EMPTY_MODES.includes(configuration.empty_arrays)) {
+            errors.push(`"empty_arrays" must be one of: ${EMPTY_MODES.join(', ')}`);
+        }
+        if (configuration.index_field !== undefined && (typeof configuration.index_field !== 'string' || !configuration.index_field)) {
+            errors.push('"index_field" must be a field name');
+        }
+        if (String(step.field || '').includes('[]')) {
+            errors.push('Only one array can be exploded per step; explode the outer array first, then its elements\' array');
+        }
+
+        return errors;
+    },
+
+    apply(records, configuration, context) {
+        const field = context.field;
+        const prefix = configuration.prefix === undefined ? defaultPrefix(field) : configuration.prefix;
+        const keepEmpty = (configuration.empty_arrays || 'keep') === 'keep';
+        const indexField = configuration.index_field;
+
+        // Element fields of the whole dataset, so every row has the same columns
+        const elementKeys = new Set();
+        let hasPlainValues = false;
+        for (const record of records) {
+            const elements = fieldPath.get(record, field);
+            if (!Array.isArray(elements)) continue;
+            for (const element of elements) {
+                if (isObject(element)) {
+                    Object.keys(element).forEach(key => elementKeys.add(key));
+                } else if (element !== null) {
+                    hasPlainValues = true;
+                }
+            }
+        }
+
+        const row = (parent, element, position) => {
+            const columns = {};
+            for (const key of elementKeys) {
+                columns[`${prefix}${key}`] = isObject(element) && key in element ? element[key] : null;
+            }
+            if (indexField) columns[indexField] = position;
+
+            const base = hasPlainValues
+                ? fieldPath.update(parent, field, () => (isObject(element) ? null : element))
+                : parent;
+            return { ...base, ...columns };
+        };
+
+        let emptyArrays = 0;
+        const output = [];
+        for (const record of records) {
+            const elements = fieldPath.get(record, field);
+            const parent = hasPlainValues ? record : fieldPath.remove(record, field);
+
+            if (!Array.isArray(elements) || !elements.length) {
+                emptyArrays++;
+                if (keepEmpty) output.push(row(parent, null, null));
+                continue;
+            }
+            elements.forEach((element, index) => output.push(row(parent, element, index + 1)));
+        }
+
+        // The privacy policy follows PII element fields to their new names
+        context.note({ field, prefix, emptyArrays });
+        return output;
+    }
+};
@@ -0,0 +1,45 @@
+const expression = require('../../utils/expression');
+const { ExpressionSyntaxError } = require('../../errors/TransformationError');
+
+// Compiled expressions, reused across records and runs
+const compiled = new Map();
+const MAX_COMPILED = 500;
+
+const compile = (source) => {
+    if (!compiled.has(source)) {
+        if (compiled.size >= MAX_COMPILED) compiled.clear();
+        compiled.set(source, expression.compile(source));
+    }
+    return compiled.get(source);
+};
+
+// Writes the expression's result to the step's field, e.g.
+// { field: 'net_total', configuration: { expression: 'total_price - total_discounts' } }
+module.exports = {
+    name: 'EXPRESSION',
+    description: 'Compute a field from an expression over the record',
+    example: "if(financial_status = 'paid', total_price - total_discounts, 0)",
+    options: {
+        expression: 'Arithmetic, comparisons, and/or/not and functions such as upper(), coalesce(), if(), date_trunc(\'week\', created_at)'
+    },
+    computed: true,
+    reads: configuration => expression.fieldsOf(configuration.expression),
+
+    validate(configuration) {
+        if (typeof configuration.expression !== 'string' || !configuration.expression.trim()) {
+            return ['"expression" must be a non-empty string'];
+        }
+
+        try {
+            compile(configuration.expression);
+            return [];
+        } catch (error) {
+            if (!(error instanceof ExpressionSyntaxError)) throw error;
+            return [{ message: error.message, position: error.details.position }];
+        }
+    },
+
+    apply(value, configuration, record) {
+        return compile(configuration.expression).evaluate(record);
+    }
+};
@@ -0,0 +1,179 @@
+const RE2 = require('re2');
+const fieldPath = require('../../utils/fieldPath');
+const expression = require('../../utils/expression');
+const { TransformationError, ExpressionSyntaxError } = require('../../errors/TransformationError');
+
+const GROUP_OPERATORS = ['and', 'or'];
+const MODES = ['keep', 'drop'];
+const MAX_DEPTH = 10;
+const MAX_PATTERN_LENGTH = 500;
+
+const equals = (left, right) => {
+    if (left === null || right === null) return left === right;
+    return expression.compare(left, right) === 0;
+};
+
+const ordered = test => (value, expected) => value !== null && expected !== null && test(expression.compare(value, expected));
+
+const text = value => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Arrays (e.g. tags) contain an element; anything else contains a substring
+const contains = (value, expected) => {
+    if (value === null || expected === null) return false;
+    if (Array.isArray(value)) return value.some(item => equals(item, expected));
+    return text(value).includes(text(expected));
+};
+
+// Leaf operators: test(value, expected, compiledRegex) plus whether they take a value
+const OPERATORS = {
+    eq: { test: equals },
+    neq: { test: (value, expected) => !equals(value, expected) },
+    gt: { test: ordered(result => result > 0) },
+    gte: { test: ordered(result => result >= 0) },
+    lt: { test: ordered(result => result < 0) },
+    lte: { test: ordered(result => result <= 0) },
+    in: { test: (value, expected) => expected.some(item => equals(value, item)), list: true },
+    not_in: { test: (value, expected) => !expected.some(item => equals(value, item)), list: true },
+    contains: { test: contains },
+    not_contains: { test: (value, expected) => !contains(value, expected) },
+    starts_with: { test: (value, expected) => value !== null && text(value).startsWith(text(expected)) },
+    ends_with: { test: (value, expected) => value !== null && text(value).endsWith(text(expected)) },
+    regex: { test: (value, expected, pattern) => value !== null && pattern.test(text(value)) },
+    is_null: { test: value => value === null || value === '', unary: true },
+    is_not_null: { test: value => value !== null && value !== '', unary: true }
+};
+
+// Problems in a condition tree, each prefixed with where it sits
+const validateCondition = (condition, path, depth = 0) => {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${path} must be an object`];
+    }
+    if (depth > MAX_DEPTH) {
+        return [`${path} is nested more than ${MAX_DEPTH} levels deep`];
+    }
+
+    if (condition.conditions !== undefined) {
+        const errors = [];
+        if (!GROUP_OPERATORS.includes(condition.operator)) {
+            errors.push(`${path}.operator must be one of: ${GROUP_OPERATORS.join(', ')}`);
+        }
+        if (!Array.isArray(condition.conditions) || !condition.conditions.length) {
+            return [...errors, `${path}.conditions must be a non-empty array`];
+        }
+        condition.conditions.forEach((child, index) => {
+            errors.push(...validateCondition(child, `${path}.conditions[${index}]`, depth + 1));
+        });
+        return errors;
+    }
+
+    if (condition.expression !== undefined) {
+        try {
+            expression.compile(condition.expression);
+            return [];
+        } catch (error) {
+            if (!(error instanceof ExpressionSyntaxError)) throw error;
+            return [{ message: `${path}.expression: ${error.message}`, position: error.details.position }];
+        }
+    }
+
+    const operator = OPERATORS[condition.operator];
+    if (typeof condition.field !== 'string' || !condition.field) {
+        return [`${path}.field is required`];
+    }
+    if (!operator) {
+        return [`${path}.operator must be one of: ${Object.keys(OPERATORS).join(', ')}`];
+    }
+    if (operator.list && !Array.isArray(condition.value)) {
+        return [`${path}.value must be an array for ${condition.operator}`];
+    }
+    if (!operator.unary && !operator.list && condition.value === undefined) {
+        return [`${path}.value is required for ${condition.operator}`];
+    }
+    if (condition.operator === 'regex') {
+        if (typeof condition.value !== 'string' || condition.value.length > MAX_PATTERN_LENGTH) {
+            return [`${path}.value must be a pattern of at most ${MAX_PATTERN_LENGTH} characters`];
+        }
+        try {
+            new RE2(condition.value, condition.flags || '');
+        } catch (error) {
+            return [`${path}.value is not a valid pattern: ${error.message}`];
+        }
+    }
+    return [];
+};
+
+// Turn a validated condition into a record predicate
+const compileCondition = (condition) => {
+    if (condition.conditions !== undefined) {
+        const children = condition.conditions.map(compileCondition);
+        return condition.operator === 'and'
+            ? record => children.every(child => child(record))
+            : record => children.some(child => child(record));
+    }
+
+    if (condition.expression !== undefined) {
+        const compiled = expression.compile(condition.expression);
+        return record => expression.isTruthy(compiled.evaluate(record));
+    }
+
+    const operator = OPERATORS[condition.operator];
+    // RE2 matches in linear time, so no pattern can stall a run on backtracking.
+    // It has no backreferences or lookarounds; validation rejects those patterns.
+    const pattern = condition.operator === 'regex' ? new RE2(condition.value, condition.flags || '') : null;
+    const expected = condition.value === undefined ? null : condition.value;
+    const matches = value => operator.test(value === undefined ? null : value, expected, pattern);
+
+    // A path through an array ("line_items[].sku") matches when any element does
+    if (condition.field.includes('[]')) {
+        return record => {
+            const values = fieldPath.get(record, condition.field);
+            return Array.isArray(values) && values.flat(Infinity).some(matches);
+        };
+    }
+    return record => matches(fieldPath.get(record, condition.field));
+};
+
+// e.g. { api: 'orders', type: 'FILTER', configuration: { mode: 'keep',
+//   condition: { operator: 'and', conditions: [
+//     { field: 'financial_status', operator: 'eq', value: 'paid' },
+//     { field: 'source_name', operator: 'in', value: ['web', 'pos'] }
+//   ] } } }
+module.exports = {
+    name: 'FILTER',
+    description: 'Keep or drop records matching a condition',
+    example: "financial_status = 'paid' AND source_name IN ('web', 'pos')",
+    options: {
+        mode: `${MODES.join(' or ')} the matching records (default keep)`,
+        condition: `{ field, operator, value } with operator ${Object.keys(OPERATORS).join(', ')}; `
+            + '{ expression }; or { operator: and|or, conditions: [...] }'
+    },
+    scope: 'dataset',
+
+    validate(configuration) {
+        const errors = [];
+        if (configuration.mode !== undefined && !MODES.includes(configuration.mode)) {
+            errors.push(`"mode" must be one of: ${MODES.join(', ')}`);
+        }
+        return [...errors, ...validateCondition(configuration.condition, 'condition')];
+    },
+
+    // A record the condition cannot be evaluated on counts as not matching
+    apply(records, configuration, context) {
+        const predicate = compileCondition(configuration.condition);
+        const keepMatches = (configuration.mode || 'keep') === 'keep';
+
+        const kept = records.filter((record, index) => {
+            let matched = false;
+            try {
+                matched = predicate(record);
+            } catch (error) {
+                if (!(error instanceof TransformationError)) throw error;
+                context.fail(error.message, { record: index });
+            }
+            return matched === keepMatches;
+        });
+
+        context.note({ filteredOut: records.length - kept.length });
+        return kept;
+    }
+};
@@ -0,0 +1,36 @@
+const encryptionService = require('../encryptionService');
+const { TransformationError } = require('../../errors/TransformationError');
+
+// e.g. { api: 'orders', field: 'email', type: 'HASH' }
+// turns " Jane@Example.com" into a 64-character hex digest. The salt is derived
+// per transformation, so the same email hashes the same in every run of this
+// pipeline but cannot be matched against another pipeline's export.
+module.exports = {
+    name: 'HASH',
+    description: 'Replace a value with its salted SHA-256 hash',
+    example: 'SHA256(LOWER(TRIM(email)) || salt)',
+    options: {
+        normalize: 'Trim and lowercase text before hashing, so "Jane@Example.com " and "jane@example.com" match (default true)'
+    },
+    privacy: true,
+
+    validate(configuration) {
+        if (configuration.normalize !== undefined && typeof configuration.normalize !== 'boolean') {
+            return ['"normalize" must be true or false'];
+        }
+        return [];
+    },
+
+    // Empty values stay null
+    apply(value, configuration, record, context = {}) {
+        if (value === null || value === '') return null;
+        if (!context.keyScope) {
+            throw new TransformationError('HASH can only run as part of a saved transformation', 'PRIVACY_ERROR');
+        }
+
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (configuration.normalize !== false) text = text.trim().toLowerCase();
+
+        return encryptionService.hash(text, context.keyScope);
+    }
+};
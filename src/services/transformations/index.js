@@ -0,0 +1,57 @@
+const cast = require('./cast');
+const toString = require('./toString');
+const concatenate = require('./concatenate');
+const expression = require('./expression');
+const filter = require('./filter');
+const aggregate = require('./aggregate');
+const join = require('./join');
+const lookup = require('./lookup');
+const currency = require('./currency');
+const dateTime = require('./dateTime');
+const hash = require('./hash');
+const mask = require('./mask');
+const tokenize = require('./tokenize');
+const drop = require('./drop');
+const explode = require('./explode');
+
+// Every transformation type the engine knows. A type is an object with
+// name, description, example, options (documented configuration keys),
+// validate(configuration, step) -> messages (strings, or { message, ...details })
+// and apply(value, configuration, record, context), where the context carries
+// the run's pipelineId and keyScope (see TransformationService.applyTransformations).
+// Types flagged `computed` build the step's field from other fields instead
+// of converting its current value. Types with scope 'dataset' work on whole
+// datasets instead: apply(records, configuration, context) returns the records
+// that replace the step's dataset (see TransformationService.applyDatasetStep);
+// those flagged `fieldRequired` also need the step's field. A `fieldType`
+// names the shopify_api_fields type the step's field must be declared with.
+// Types flagged `privacy` protect personal data: the field of a step that ran
+// counts as protected for destinations that refuse unprotected PII.
+class TransformationRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    register(type) {
+        this.types.set(type.name, type);
+    }
+
+    get(name) {
+        return this.types.get(String(name || '').toUpperCase()) || null;
+    }
+
+    list() {
+        return [...this.types.values()]
+            .map(({ name, description, example, options }) => ({ name, description, example, options }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+const registry = new TransformationRegistry();
+
+[
+    cast, toString, concatenate, expression, filter, aggregate, join, lookup, currency, dateTime,
+    hash, mask, tokenize, drop, explode
+].forEach(type => registry.register(type));
+
+module.exports = registry;
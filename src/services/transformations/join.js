@@ -0,0 +1,164 @@
+const fieldPath = require('../../utils/fieldPath');
+const { TransformationError } = require('../../errors/TransformationError');
+
+const JOIN_TYPES = ['left', 'inner'];
+const MATCHES = ['all', 'first'];
+const MAX_OUTPUT_RECORDS = 2000000; // Guards against runaway many-to-many joins
+
+// Composite key of a record, or null when any part is missing.
+// Values compare as text so 7 matches "7".
+const keyOf = (record, paths) => {
+    const parts = paths.map(path => fieldPath.get(record, path));
+    if (parts.some(part => part === null || part === '' || typeof part === 'object')) return null;
+    return JSON.stringify(parts.map(String));
+};
+
+// e.g. { api: 'order_line_items', type: 'JOIN', configuration: { with: 'products',
+//   on: [{ left: 'product_id', right: 'id' }], fields: ['vendor', 'product_type'], prefix: 'product_' } }
+// Columns from the joined dataset are prefixed with "<with>_" unless a prefix
+// or rename is given, so they never overwrite the record's own fields.
+module.exports = {
+    name: 'JOIN',
+    description: 'Add columns from another dataset by matching keys',
+    example: 'orders LEFT JOIN customers ON orders.customer.id = customers.id',
+    options: {
+        with: 'Dataset to join with',
+        on: '[{ left, right }] key pairs',
+        join_type: `${JOIN_TYPES.join(' or ')} (default left)`,
+        fields: 'Fields taken from the joined dataset (default all)',
+        prefix: 'Prefix for the added columns (default "<with>_")',
+        rename: '{ field: column } names for added columns, instead of the prefix',
+        match: `${MATCHES.join(' or ')} matching records per record (default all)`,
+        drop_joined: 'Leave the joined dataset out of the export (default false)'
+    },
+    scope: 'dataset',
+
+    validate(configuration) {
+        const errors = [];
+
+        if (typeof configuration.with !== 'string' || !configuration.with) {
+            errors.push('"with" must name the dataset to join');
+        }
+        if (!Array.isArray(configuration.on) || !configuration.on.length
+            || configuration.on.some(pair => !pair || typeof pair.left !== 'string' || !pair.left
+                || typeof pair.right !== 'string' || !pair.right)) {
+            errors.push('"on" must be a non-empty array of { left, right } field pairs');
+        } else if (configuration.on.some(pair => pair.left.includes('[]') || pair.right.includes('[]'))) {
+            errors.push('Join keys cannot walk into arrays; explode or use a child dataset instead');
+        }
+        if (configuration.join_type !== undefined && !JOIN_TYPES.includes(configuration.join_type)) {
+            errors.push(`"join_type" must be one of: ${JOIN_TYPES.join(', ')}`);
+        }
+        if (configuration.match !== undefined && !MATCHES.includes(configuration.match)) {
+            errors.push(`"match" must be one of: ${MATCHES.join(', ')}`);
+        }
+        if (configuration.fields !== undefined && (!Array.isArray(configuration.fields)
+            || configuration.fields.some(field => typeof field !== 'string' || !field))) {
+            errors.push('"fields" must be an array of field names');
+        }
+        if (configuration.prefix !== undefined && typeof configuration.prefix !== 'string') {
+            errors.push('"prefix" must be a string');
+        }
+        if (configuration.rename !== undefined && (typeof configuration.rename !== 'object' || Array.isArray(configuration.rename)
+            || Object.values(configuration.rename || {}).some(name => typeof name !== 'string' || !name))) {
+            errors.push('"rename" must map field names to column names');
+        }
+
+        // Projected paths and column names must stay on the records' own keys
+        const paths = [
+            ...(Array.isArray(configuration.on) ? configuration.on.flatMap(pair => [pair?.left, pair?.right]) : []),
+            ...(Array.isArray(configuration.fields) ? configuration.fields : []),
+            ...(configuration.rename && typeof configuration.rename === 'object' ? Object.values(configuration.rename) : [])
+        ].filter(path => typeof path === 'string');
+        const reserved = paths.map(fieldPath.reservedKey).find(Boolean);
+        if (reserved) {
+            errors.push(`Fields and column names cannot use the reserved name "${reserved}"`);
+        }
+
+        return errors;
+    },
+
+    // Hash join. Only right-hand records whose key occurs on the left are
+    // indexed, and only with the requested fields, so a large joined dataset
+    // costs little more than the matches it contributes.
+    apply(records, configuration, context) {
+        const joined = context.data[configuration.with];
+        if (!Array.isArray(joined)) {
+            throw new TransformationError(`Dataset ${configuration.with} was not extracted`, 'JOIN_ERROR');
+        }
+
+        const leftKeys = configuration.on.map(pair => pair.left);
+        const rightKeys = configuration.on.map(pair => pair.right);
+        const inner = configuration.join_type === 'inner';
+        const firstOnly = configuration.match === 'first';
+
+        const wanted = new Set();
+        for (const record of records) {
+            const key = keyOf(record, leftKeys);
+            if (key !== null) wanted.add(key);
+        }
+
+        const index = new Map();
+        const seenFields = new Set();
+        for (const record of joined) {
+            const key = keyOf(record, rightKeys);
+            if (key === null || !wanted.has(key)) continue;
+            if (firstOnly && index.has(key)) continue;
+
+            const projected = configuration.fields ? fieldPath.project(record, configuration.fields) : record;
+            if (!configuration.fields) Object.keys(record).forEach(field => seenFields.add(field));
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(projected);
+        }
+
+        // Every output record gets the same columns, null when nothing matched
+        const fields = configuration.fields || [...seenFields];
+        const prefix = configuration.prefix === undefined ? `${configuration.with}_` : configuration.prefix;
+        const columns = fields.map(field => ({
+            field,
+            name: configuration.rename?.[field] || `${prefix}${field}`
+        }));
+        const empty = Object.fromEntries(columns.map(column => [column.name, null]));
+
+        const output = [];
+        let matched = 0;
+        for (const record of records) {
+            const key = keyOf(record, leftKeys);
+            const matches = key === null ? null : index.get(key);
+
+            if (!matches) {
+                if (!inner) output.push({ ...record, ...empty });
+                continue;
+            }
+
+            matched++;
+            for (const match of matches) {
+                const added = {};
+                for (const column of columns) {
+                    added[column.name] = fieldPath.get(match, column.field);
+                }
+                output.push({ ...record, ...added });
+            }
+
+            if (output.length > MAX_OUTPUT_RECORDS) {
+                throw new TransformationError(
+                    `Join produced more than ${MAX_OUTPUT_RECORDS} records; check that the keys are unique or set match to "first"`,
+                    'JOIN_ERROR'
+                );
+            }
+        }
+
+        if (configuration.drop_joined) {
+            delete context.data[configuration.with];
+        }
+
+        // Columns are noted so the privacy policy can follow PII fields of "with"
+        context.note({
+            with: configuration.with,
+            matched,
+            unmatched: records.length - matched,
+            columns: columns.map(({ field, name }) => ({ field, name }))
+        });
+        return output;
+    }
+};
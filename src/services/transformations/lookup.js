@@ -0,0 +1,94 @@
+const fieldPath = require('../../utils/fieldPath');
+const lookupTableService = require('../lookupTableService');
+const { TransformationError } = require('../../errors/TransformationError');
+
+const MAX_REPORTED_VALUES = 20;
+
+const lookupKey = (value, ignoreCase) => {
+    const key = (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+    return ignoreCase ? key.toLowerCase() : key;
+};
+
+// e.g. { api: 'orders', field: 'financial_status', type: 'LOOKUP',
+//   configuration: { table_id: 3, target: 'erp_status', default: 'UNKNOWN' } }
+// Without a target the field's own value is replaced. Values missing from the
+// table get the default; with no default they are kept (or null in the target).
+module.exports = {
+    name: 'LOOKUP',
+    description: 'Map a field through one of your lookup tables',
+    example: "LOOKUP(financial_status IN 'ERP status codes') AS erp_status",
+    options: {
+        table_id: 'Id of the lookup table',
+        target: 'Field the mapped value is written to (default: replace the field)',
+        default: 'Value for values not found in the table',
+        ignore_case: 'Match keys regardless of case (default false)'
+    },
+    scope: 'dataset',
+    fieldRequired: true,
+
+    validate(configuration, step = {}) {
+        const errors = [];
+
+        if (!Number.isInteger(Number(configuration.table_id)) || Number(configuration.table_id) <= 0) {
+            errors.push('"table_id" must be the id of a lookup table');
+        }
+        if (configuration.target !== undefined && (typeof configuration.target !== 'string' || !configuration.target)) {
+            errors.push('"target" must be a field name');
+        } else if (configuration.target && String(step.field || '').includes('[]')) {
+            errors.push('"target" cannot be used on a field inside an array; leave it out to replace the values in place');
+        }
+        if (configuration.default !== undefined && configuration.default !== null && typeof configuration.default === 'object') {
+            errors.push('"default" must be a single value');
+        }
+
+        return errors;
+    },
+
+    async apply(records, configuration, context) {
+        const mapping = await lookupTableService.getMapping(configuration.table_id);
+        if (!mapping) {
+            throw new TransformationError(`Lookup table ${configuration.table_id} not found`, 'LOOKUP_ERROR');
+        }
+
+        const ignoreCase = Boolean(configuration.ignore_case);
+        const table = ignoreCase
+            ? new Map([...mapping].map(([key, value]) => [key.toLowerCase(), value]))
+            : mapping;
+        const hasDefault = configuration.default !== undefined;
+        const unmatchedValues = new Map();
+        let matched = 0;
+        let unmatched = 0;
+
+        // Empty values are left alone and count as neither
+        const map = (value) => {
+            if (value === null || value === undefined || value === '') return configuration.target ? null : value;
+
+            const key = lookupKey(value, ignoreCase);
+            if (table.has(key)) {
+                matched++;
+                return table.get(key);
+            }
+
+            unmatched++;
+            unmatchedValues.set(key, (unmatchedValues.get(key) || 0) + 1);
+            if (hasDefault) return configuration.default;
+            return configuration.target ? null : value;
+        };
+
+        const output = records.map(record => (configuration.target
+            ? { ...record, [configuration.target]: map(fieldPath.get(record, context.field)) }
+            : fieldPath.update(record, context.field, map)));
+
+        context.note({
+            ...(configuration.target && { columns: [{ field: context.field, name: configuration.target }] }),
+            table: Number(configuration.table_id),
+            matched,
+            unmatched,
+            unmatchedValues: [...unmatchedValues]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MAX_REPORTED_VALUES)
+                .map(([value, count]) => ({ value, count }))
+        });
+        return output;
+    }
+};
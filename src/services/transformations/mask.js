@@ -0,0 +1,86 @@
+const { TransformationValueError } = require('../../errors/TransformationError');
+
+const STYLES = ['auto', 'email', 'phone', 'text'];
+const EMAIL_PATTERN = /^([^@\s]+)@([^@\s]+)$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,}$/;
+const HIDDEN_LENGTH = 3; // Masked text always shows three mask characters, hiding its length
+
+const maskText = (text, keepStart, keepEnd, maskChar) => {
+    const characters = [...text];
+    if (characters.length <= keepStart + keepEnd) return maskChar.repeat(HIDDEN_LENGTH);
+    return characters.slice(0, keepStart).join('')
+        + maskChar.repeat(HIDDEN_LENGTH)
+        + characters.slice(characters.length - keepEnd).join('');
+};
+
+// Every digit but the last keepEnd, keeping the number's punctuation
+const maskPhone = (text, keepEnd, maskChar) => {
+    let digitsLeft = text.replace(/\D/g, '').length;
+    return text.replace(/\d/g, digit => (digitsLeft-- > keepEnd ? maskChar : digit));
+};
+
+const styleOf = (text, style) => {
+    if (style !== 'auto') return style;
+    if (EMAIL_PATTERN.test(text)) return 'email';
+    return PHONE_PATTERN.test(text) ? 'phone' : 'text';
+};
+
+// e.g. { api: 'customers', field: 'email', type: 'MASK' }
+// turns "jane.doe@domain.com" into "j***@domain.com"; phones keep their last
+// four digits ("+1 *** *** 4567") and other text its first character ("L***").
+module.exports = {
+    name: 'MASK',
+    description: 'Hide all but a few characters of an email, phone number or text',
+    example: "MASK(email) -- 'j***@domain.com'",
+    options: {
+        style: `${STYLES.join(', ')} (default auto: detected from each value)`,
+        keep_start: 'Characters shown at the start of text and of an email\'s local part (default 1)',
+        keep_end: 'Characters (digits for phones) shown at the end (default 0, 4 for phones)',
+        mask_char: 'Character masking the hidden part (default *)'
+    },
+    privacy: true,
+
+    validate(configuration) {
+        const errors = [];
+
+        if (configuration.style !== undefined && !STYLES.includes(configuration.style)) {
+            errors.push(`"style" must be one of: ${STYLES.join(', ')}`);
+        }
+        for (const option of ['keep_start', 'keep_end']) {
+            if (configuration[option] !== undefined
+                && (!Number.isInteger(configuration[option]) || configuration[option] < 0 || configuration[option] > 10)) {
+                errors.push(`"${option}" must be a whole number from 0 to 10`);
+            }
+        }
+        if (configuration.mask_char !== undefined && (typeof configuration.mask_char !== 'string' || [...configuration.mask_char].length !== 1)) {
+            errors.push('"mask_char" must be a single character');
+        }
+
+        return errors;
+    },
+
+    // Empty values stay null
+    apply(value, configuration) {
+        if (value === null || value === '') return null;
+        if (typeof value === 'object') {
+            throw new TransformationValueError('Cannot mask an object or array; mask the fields inside it, or DROP it');
+        }
+
+        const text = String(value);
+        const keepStart = configuration.keep_start === undefined ? 1 : configuration.keep_start;
+        const maskChar = configuration.mask_char || '*';
+        const style = styleOf(text, configuration.style || 'auto');
+
+        switch (style) {
+            case 'email': {
+                const match = EMAIL_PATTERN.exec(text.trim());
+                if (!match) throw new TransformationValueError(`${JSON.stringify(value)} is not an email address`);
+                return `${maskText(match[1], keepStart, configuration.keep_end || 0, maskChar)}@${match[2]}`;
+            }
+            case 'phone':
+                return maskPhone(text, configuration.keep_end === undefined ? 4 : configuration.keep_end, maskChar);
+            default:
+                return maskText(text, keepStart, configuration.keep_end || 0, maskChar);
+        }
+    }
+};
@@ -0,0 +1,17 @@
+// Objects and arrays are serialized as JSON; null stays null
+module.exports = {
+    name: 'TOSTRING',
+    description: 'Convert to string',
+    example: 'TOSTRING(field)',
+    options: {},
+    reads: (configuration, step) => [step.field],
+
+    validate() {
+        return [];
+    },
+
+    apply(value) {
+        if (value === null) return null;
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+};
@@ -0,0 +1,28 @@
+const encryptionService = require('../encryptionService');
+const { TransformationError } = require('../../errors/TransformationError');
+
+// e.g. { api: 'customers', field: 'phone', type: 'TOKENIZE' }
+// turns "+1 555 010 4567" into "tok_..." that the owner of the transformation
+// can turn back through POST /api/transformations/:id/detokenize. Equal values
+// give equal tokens within a transformation, so partners can still join on them.
+module.exports = {
+    name: 'TOKENIZE',
+    description: 'Replace a value with a token only you can reverse',
+    example: 'TOKENIZE(phone)',
+    options: {},
+    privacy: true,
+
+    validate() {
+        return [];
+    },
+
+    // Empty values stay null; the value's type comes back on detokenizing
+    apply(value, configuration, record, context = {}) {
+        if (value === null || value === '') return null;
+        if (!context.keyScope) {
+            throw new TransformationError('TOKENIZE can only run as part of a saved transformation', 'PRIVACY_ERROR');
+        }
+
+        return encryptionService.tokenize(value, context.keyScope);
+    }
+};
@@ -36,6 +36,7 @@ export interface BaseEntity {
 export interface User extends BaseEntity {
     email: string;
     name?: string;
+    is_admin?: boolean;
     notification_preferences: NotificationPreferences;
 }
 
@@ -48,39 +49,236 @@ export interface NotificationPreferences {
 export interface Source extends BaseEntity {
     user_id: number;
     api_type_id: number;
-    credentials: ShopifyCredentials;
+    credentials: ShopifyCredentials | RestSourceCredentials | DatabaseSourceCredentials | FileSourceCredentials;
+    config?: RestSourceConfig | DatabaseSourceConfig | FileSourceConfig;
+}
+
+// Only SFTP locations need credentials
+export interface FileSourceCredentials {
+    host?: string;
+    port?: number;
+    username?: string;
+    password?: string | EncryptedValue;
+    private_key?: string | EncryptedValue;
+    passphrase?: string | EncryptedValue;
+}
+
+export interface FileSourceConfig {
+    location: 'upload' | 'sftp' | 'local';
+    directory?: string; // Relative to FILE_SOURCE_ROOT for local sources
+    pattern?: string; // Glob on the file name, e.g. "orders_*.csv"
+    format?: 'csv' | 'json' | 'xml'; // Taken from the file extension when omitted
+    delimiter?: string;
+    record_path?: string; // Path to the record array in JSON and XML files
+    dataset?: string;
+}
+
+export interface SourceFile {
+    id: number;
+    source_id: number;
+    location: FileSourceConfig['location'];
+    file_name: string;
+    file_path: string;
+    file_size: number;
+    modified_at: Date;
+    checksum: string | null;
+    record_count: number | null;
+    status: 'PENDING' | 'PROCESSED' | 'FAILED';
+    error: string | null;
+    processed_at: Date | null;
+    created_at: Date;
+}
+
+export interface DatabaseSourceCredentials {
+    host: string;
+    port?: number;
+    database: string;
+    user: string;
+    password?: string | EncryptedValue;
+    ssl?: boolean;
+}
+
+export interface DatabaseSourceConfig {
+    dialect: 'postgres' | 'mysql';
+    datasets: DatabaseDataset[];
+}
+
+// Either table (with optional columns) or query (with optional params)
+export interface DatabaseDataset {
+    name: string;
+    table?: string;
+    columns?: string[];
+    query?: string;
+    params?: any[];
+    cursor_column?: string; // Rows from the last delivered value on are extracted, skipping rows already delivered at it
+}
+
+export interface RestSourceCredentials {
+    auth_type: 'none' | 'header' | 'basic' | 'oauth2_client_credentials';
+    header_name?: string;
+    header_prefix?: string;
+    token?: string | EncryptedValue;
+    username?: string;
+    password?: string | EncryptedValue;
+    token_url?: string;
+    client_id?: string;
+    client_secret?: string | EncryptedValue;
+    scope?: string;
+}
+
+export interface RestSourceConfig {
+    base_url: string;
+    headers?: Record<string, string>;
+    pagination?: RestPagination;
+    record_path?: string;
+    field_mapping?: Record<string, string>;
+    resources: RestResource[];
+}
+
+export interface RestPagination {
+    type: 'none' | 'page' | 'offset' | 'cursor' | 'link';
+    page_size?: number;
+    max_pages?: number;
+    page_param?: string;
+    start_page?: number;
+    offset_param?: string;
+    size_param?: string;
+    cursor_param?: string;
+    cursor_path?: string;
+}
+
+export interface RestResource {
+    name: string;
+    path: string;
+    method?: string;
+    params?: Record<string, any>;
+    pagination?: Partial<RestPagination>;
+    record_path?: string;
+    field_mapping?: Record<string, string>; // output field -> source path
 }
 
 export interface ShopifyCredentials {
     shop_name: string;
     shop_url: string;
-    access_token: string;
+    access_token: string | EncryptedValue; // Encrypted when connected through OAuth
     api_version: string;
+    scopes?: string;
+    connected_via?: 'oauth';
+}
+
+export interface EncryptedValue {
+    encrypted: string;
+    iv: string;
+    salt: string;
+    tag: string;
 }
 
 // Transformation Types
 export interface Transformation extends BaseEntity {
     source_id: number;
     name: string;
-    transformation_type_id: number;
     configuration: TransformationConfig[];
 }
 
 export interface TransformationConfig {
     api: string;
-    field: string;
+    field?: string; // Not used by dataset steps such as FILTER
     type: string;
     configuration: Record<string, any>;
 }
 
+export interface TransformationReport {
+    errorCount: number;
+    errors: TransformationStepError[]; // The first 100
+    steps: TransformationStepReport[]; // One per dataset step
+    protectedFields: TransformationProtectedField[]; // One per privacy step that ran
+    derivedFields: TransformationDerivedField[]; // One per field step that computed or converted a value
+}
+
+export interface TransformationDerivedField {
+    step: number;
+    api: string;
+    field: string; // Field written
+    type: string;
+    from: string[]; // Fields its value was computed from
+}
+
+export interface TransformationProtectedField {
+    step: number;
+    api: string;
+    field: string;
+    type: 'HASH' | 'MASK' | 'TOKENIZE' | 'DROP';
+}
+
+// Entries of POST /api/transformations/:id/detokenize
+export interface DetokenizedValue {
+    token: string;
+    value: any; // null when the token could not be reversed
+    error?: string;
+}
+
+export interface TransformationStepReport {
+    step: number;
+    api: string;
+    type: string;
+    recordsIn: number;
+    recordsOut: number;
+    filteredOut?: number; // FILTER
+    dataset?: string; // AGGREGATE: dataset the summary was written to
+    groups?: number; // AGGREGATE
+    with?: string; // JOIN: dataset joined with
+    matched?: number; // JOIN: records; LOOKUP: values
+    unmatched?: number; // JOIN: records; LOOKUP: values
+    table?: number; // LOOKUP: lookup table id
+    unmatchedValues?: { value: string; count: number }[]; // LOOKUP: most frequent values not found
+    currency?: string; // CONVERT_CURRENCY: currency converted into
+    converted?: number; // CONVERT_CURRENCY
+    field?: string; // EXPLODE: array field exploded
+    prefix?: string; // EXPLODE: prefix its element fields were given
+    emptyArrays?: number; // EXPLODE: records whose array was empty or missing
+    columns?: { field: string; name: string }[]; // JOIN: columns added from "with"; AGGREGATE: output columns holding source values; LOOKUP: target
+    [key: string]: any;
+}
+
+export interface TransformationStepError {
+    step: number;
+    api: string;
+    field?: string;
+    type: string;
+    record?: number;
+    value?: any;
+    message: string;
+}
+
+// Returned in `details` when a configuration is rejected at save time
+export interface TransformationValidationError {
+    index: number;
+    field?: string;
+    type: string;
+    message: string;
+    position?: number; // 1-based offset of an expression syntax error
+}
+
+// Entries of GET /api/transformations/types
+export interface TransformationTypeInfo {
+    name: string;
+    description: string;
+    example: string;
+    options: Record<string, string>;
+}
+
 // Destination Types
 export interface Destination extends BaseEntity {
     user_id: number;
     destination_type_id: number;
     file_format_id: number;
     credentials: DestinationCredentials;
+    privacy_policy: DestinationPrivacyPolicy;
 }
 
+// PROTECT refuses deliveries with PII fields no HASH, MASK, TOKENIZE or DROP step covered
+export type DestinationPrivacyPolicy = 'ALLOW' | 'PROTECT';
+
 export interface DestinationCredentials {
     // SFTP
     host?: string;
@@ -98,19 +296,60 @@ export interface DestinationCredentials {
 }
 
 // Schedule Types
+export interface SourceGroup extends BaseEntity {
+    user_id: number;
+    name: string;
+    selected_apis: { api_id: number; fields: (number | string)[] }[]; // Field ids or names
+    failure_policy: 'CONTINUE' | 'FAIL';
+    members?: { source_id: number; shop_name: string }[];
+}
+
+export interface LookupTable extends BaseEntity {
+    user_id: number;
+    name: string;
+    description?: string | null;
+    entry_count?: number;
+    entries?: LookupTableEntry[];
+}
+
+export interface LookupTableEntry {
+    key: string;
+    value: string | null;
+}
+
+export interface CurrencyRateTable extends BaseEntity {
+    user_id: number;
+    name: string;
+    description?: string | null;
+    pairs?: { from: string; to: string; first_date: string; last_date: string; rates: number }[];
+}
+
+export interface CurrencyRate {
+    id?: number;
+    date: string; // YYYY-MM-DD
+    from: string;
+    to: string;
+    rate: number; // 1 from = rate to
+}
+
 export interface Schedule extends BaseEntity {
     user_id: number;
-    source_id: number;
+    source_id: number | null;
+    source_group_id?: number | null; // Set instead of source_id for group runs
     transformation_id?: number;
     destination_id: number;
     frequency_id: number;
     day_of_week?: number;
     day_of_month?: number;
-    time_of_day: string;
+    time_of_day?: string;
+    trigger_type: ScheduleTriggerType;
+    event_topics?: string[] | null;
     last_run?: string;
     next_run?: string;
 }
 
+export type ScheduleTriggerType = 'TIME' | 'EVENT' | 'BOTH';
+
 // Job Types
 export interface JobExecution extends BaseEntity {
     schedule_id: number;
@@ -118,7 +357,21 @@ export interface JobExecution extends BaseEntity {
     started_at: string;
     completed_at?: string;
     error?: string;
-    details?: Record<string, any>;
+    details?: JobExecutionDetails;
+    throttle_wait_ms: number;
+    throttled_requests: number;
+}
+
+export interface JobExecutionDetails {
+    failedSources?: SourceGroupFailure[];
+    transformations?: TransformationReport;
+    [key: string]: any;
+}
+
+export interface SourceGroupFailure {
+    sourceId: number;
+    shopName: string;
+    error: string;
 }
 
 export type JobStatus = 
@@ -138,10 +391,12 @@ export interface ApiType extends BaseEntity {
     description?: string;
 }
 
-export interface TransformationType extends BaseEntity {
+// As listed by GET /api/transformations/types from the registry
+export interface TransformationType {
     name: string;
-    description?: string;
-    example?: string;
+    description: string;
+    example: string;
+    options?: Record<string, string>;
 }
 
 export interface DestinationType extends BaseEntity {
@@ -167,4 +422,48 @@ export interface FileFormat extends BaseEntity {
 export interface ScheduleFrequency extends BaseEntity {
     name: string;
     description?: string;
-}
\ No newline at end of file
+}
+export interface ShopifyApi extends BaseEntity {
+    name: string;
+    endpoint: string;
+    description?: string;
+    supports_incremental: boolean;
+    graphql_resource?: string;
+    extraction_mode: 'REST' | 'BULK';
+    parent_api_id?: number | null; // Child datasets are read from their parent's records
+    child_path?: string | null;
+    parent_key?: string | null;
+}
+
+export interface ShopifyApiField extends BaseEntity {
+    api_id: number;
+    field_name: string;
+    field_type: ShopifyFieldType;
+    is_required: boolean;
+    is_pii: boolean; // Personal data, see DestinationPrivacyPolicy
+}
+
+export interface ShopifyApiVersion {
+    version: string;
+    release_date: string;
+    sunset_date: string;
+    status: ShopifyApiVersionStatus;
+}
+
+export type ShopifyApiVersionStatus = 'supported' | 'deprecated' | 'unsupported';
+
+export interface ShopifyFieldProposal extends Omit<BaseEntity, 'is_active'> {
+    api_id: number;
+    source_id: number;
+    field_name: string;
+    field_type: ShopifyFieldType;
+    current_type?: ShopifyFieldType;
+    sample_value?: any;
+    occurrences: number;
+    sample_size: number;
+    status: 'PENDING' | 'ACCEPTED' | 'REJECTED';
+    reviewed_by?: number;
+    reviewed_at?: string;
+}
+
+export type ShopifyFieldType = 'number' | 'decimal' | 'string' | 'boolean' | 'datetime' | 'object' | 'array';
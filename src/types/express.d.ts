@@ -6,4 +6,10 @@ declare global {
             user?: User;
         }
     }
+}
+
+declare module 'http' {
+    interface IncomingMessage {
+        rawBody?: Buffer;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Date-time helpers for IANA time zones
+ * Instants are epoch milliseconds; "wall time" is what a clock in a zone
+ * shows, as { year, month (1-12), day, hour, minute, second, millisecond }.
+ * Offsets come from Intl, so daylight saving follows the runtime's tz data.
+ *
+ * Format patterns use YYYY, YY, MM, M, DD, D, HH, H, mm, ss, SSS and Z
+ * (offset such as +02:00, or Z for UTC); text in [brackets] is literal.
+ */
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30); // Day 0 of Excel's 1900 date system
+const DAY_MS = 86400000;
+
+const TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|SSS|MM|M|DD|D|HH|H|mm|ss|Z/g;
+
+// Regex source and wall-time setter per parse token
+const PARSE_TOKENS = {
+    YYYY: { pattern: '(\\d{4})', set: (wall, text) => { wall.year = Number(text); } },
+    YY: { pattern: '(\\d{2})', set: (wall, text) => { wall.year = 2000 + Number(text); } },
+    MM: { pattern: '(\\d{2})', set: (wall, text) => { wall.month = Number(text); } },
+    M: { pattern: '(\\d{1,2})', set: (wall, text) => { wall.month = Number(text); } },
+    DD: { pattern: '(\\d{2})', set: (wall, text) => { wall.day = Number(text); } },
+    D: { pattern: '(\\d{1,2})', set: (wall, text) => { wall.day = Number(text); } },
+    HH: { pattern: '(\\d{2})', set: (wall, text) => { wall.hour = Number(text); } },
+    H: { pattern: '(\\d{1,2})', set: (wall, text) => { wall.hour = Number(text); } },
+    mm: { pattern: '(\\d{2})', set: (wall, text) => { wall.minute = Number(text); } },
+    ss: { pattern: '(\\d{2})', set: (wall, text) => { wall.second = Number(text); } },
+    SSS: { pattern: '(\\d{1,3})', set: (wall, text) => { wall.millisecond = Number(text.padEnd(3, '0')); } },
+    Z: { pattern: '(Z|[+-]\\d{2}:?\\d{2})', set: (wall, text) => { wall.offset = parseOffset(text); } }
+};
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const formatters = new Map();
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "+05:30" -> 330 minutes
+const parseOffset = (text) => {
+    if (/^z$/i.test(text)) return 0;
+    const digits = text.replace(':', '');
+    const minutes = Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5));
+    return digits[0] === '-' ? -minutes : minutes;
+};
+
+const formatOffset = (minutes) => {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+const formatterFor = (zone) => {
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(zone);
+};
+
+const isTimeZone = (zone) => {
+    if (typeof zone !== 'string' || !zone) return false;
+    try {
+        formatterFor(zone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const wallToUtc = wall => Date.UTC(
+    wall.year, wall.month - 1, wall.day, wall.hour || 0, wall.minute || 0, wall.second || 0, wall.millisecond || 0
+);
+
+// Wall time of an instant in a zone, with the zone's offset in minutes
+const toWallTime = (ms, zone) => {
+    const millisecond = ((ms % 1000) + 1000) % 1000;
+    const parts = Object.fromEntries(
+        formatterFor(zone).formatToParts(new Date(ms - millisecond)).map(part => [part.type, part.value])
+    );
+    const wall = {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        millisecond
+    };
+    wall.offset = Math.round((wallToUtc(wall) - ms) / 60000);
+    return wall;
+};
+
+// Instant of a wall time in a zone. A time skipped by a daylight saving jump
+// moves forward by the jump; one that occurs twice resolves to the earlier instant.
+const fromWallTime = (wall, zone) => {
+    const local = wallToUtc(wall);
+    const before = toWallTime(local - DAY_MS, zone).offset;
+    const after = toWallTime(local + DAY_MS, zone).offset;
+
+    const matches = [...new Set([before, after])]
+        .map(offset => local - offset * 60000)
+        .filter(ms => wallToUtc(toWallTime(ms, zone)) === local);
+    return matches.length ? Math.min(...matches) : local - before * 60000;
+};
+
+// Whether the wall time names a real calendar date and clock time
+const isValidWall = (wall) => {
+    const date = new Date(wallToUtc(wall));
+    return wall.month >= 1 && wall.month <= 12
+        && date.getUTCFullYear() === wall.year
+        && date.getUTCMonth() === wall.month - 1
+        && date.getUTCDate() === wall.day
+        && (wall.hour || 0) < 24 && (wall.minute || 0) < 60 && (wall.second || 0) < 60;
+};
+
+// An explicit offset wins; otherwise the wall time is read in the zone
+const resolve = (wall, zone) => {
+    if (!isValidWall(wall)) return null;
+    return wall.offset === undefined ? fromWallTime(wall, zone) : wallToUtc(wall) - wall.offset * 60000;
+};
+
+// ISO 8601 date or date-time; without an offset it is read in the zone
+const parseIso = (text, zone) => {
+    const match = ISO_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', offset] = match;
+    return resolve({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second),
+        millisecond: Number(fraction.slice(0, 3).padEnd(3, '0')),
+        offset: offset === undefined ? undefined : parseOffset(offset)
+    }, zone);
+};
+
+// Offset in minutes an ISO 8601 text was written with; 0 without one
+const offsetOf = (text) => {
+    const match = ISO_PATTERN.exec(String(text).trim());
+    return match && match[8] ? parseOffset(match[8]) : 0;
+};
+
+// Compile a pattern into a parser of text -> instant (or null)
+const compilePattern = (pattern) => {
+    const setters = [];
+    let source = '';
+    let last = 0;
+
+    for (const match of pattern.matchAll(TOKEN_PATTERN)) {
+        source += escape(pattern.slice(last, match.index));
+        if (match[1] !== undefined) {
+            source += escape(match[1]);
+        } else {
+            source += PARSE_TOKENS[match[0]].pattern;
+            setters.push(PARSE_TOKENS[match[0]].set);
+        }
+        last = match.index + match[0].length;
+    }
+    source += escape(pattern.slice(last));
+
+    const regex = new RegExp(`^${source}$`);
+    return (text, zone) => {
+        const match = regex.exec(String(text).trim());
+        if (!match) return null;
+
+        const wall = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+        setters.forEach((set, index) => set(wall, match[index + 1]));
+        return resolve(wall, zone);
+    };
+};
+
+// Tokens of a pattern, leaving out [literal] text
+const patternTokens = pattern => [...pattern.matchAll(TOKEN_PATTERN)]
+    .filter(match => match[1] === undefined)
+    .map(match => match[0]);
+
+// Whether a pattern has at least a year, month and day
+const isCompletePattern = (pattern) => {
+    const tokens = patternTokens(pattern);
+    return tokens.some(token => token.startsWith('Y')) && tokens.some(token => token.startsWith('M')) && tokens.some(token => token.startsWith('D'));
+};
+
+const formatPattern = (ms, pattern, zone) => {
+    const wall = toWallTime(ms, zone);
+    const values = {
+        YYYY: pad(wall.year, 4),
+        YY: pad(wall.year % 100),
+        MM: pad(wall.month),
+        M: String(wall.month),
+        DD: pad(wall.day),
+        D: String(wall.day),
+        HH: pad(wall.hour),
+        H: String(wall.hour),
+        mm: pad(wall.minute),
+        ss: pad(wall.second),
+        SSS: pad(wall.millisecond, 3),
+        Z: wall.offset === 0 && zone === 'UTC' ? 'Z' : formatOffset(wall.offset)
+    };
+    return pattern.replace(TOKEN_PATTERN, (token, literal) => (literal !== undefined ? literal : values[token]));
+};
+
+// ISO 8601 in the zone's offset (Z for UTC); milliseconds only when present
+const formatIso = (ms, zone) => formatPattern(ms, ms % 1000 ? 'YYYY-MM-DD[T]HH:mm:ss.SSSZ' : 'YYYY-MM-DD[T]HH:mm:ssZ', zone);
+
+// Days since 1899-12-30 of the zone's wall time, as spreadsheets store dates
+const toExcelSerial = (ms, zone) => {
+    const wall = toWallTime(ms, zone);
+    return Number(((wallToUtc(wall) - EXCEL_EPOCH) / DAY_MS).toFixed(8));
+};
+
+const fromExcelSerial = (serial, zone) => {
+    const wall = toWallTime(EXCEL_EPOCH + Math.round(serial * DAY_MS), 'UTC');
+    delete wall.offset;
+    return fromWallTime(wall, zone);
+};
+
+// Start of the day, week (Monday), month, etc. containing the instant, in the zone
+const truncate = (ms, unit, zone) => {
+    const wall = toWallTime(ms, zone);
+    const start = { year: wall.year, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+
+    switch (unit) {
+        case 'hour':
+            Object.assign(start, { month: wall.month, day: wall.day, hour: wall.hour });
+            break;
+        case 'day':
+            Object.assign(start, { month: wall.month, day: wall.day });
+            break;
+        case 'week': {
+            const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day));
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            Object.assign(start, { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+            break;
+        }
+        case 'month':
+            start.month = wall.month;
+            break;
+        case 'quarter':
+            start.month = wall.month - ((wall.month - 1) % 3);
+            break;
+        default: // year
+            break;
+    }
+
+    return fromWallTime(start, zone);
+};
+
+module.exports = {
+    isTimeZone,
+    toWallTime,
+    fromWallTime,
+    parseIso,
+    offsetOf,
+    compilePattern,
+    patternTokens,
+    isCompletePattern,
+    formatPattern,
+    formatIso,
+    toExcelSerial,
+    fromExcelSerial,
+    truncate
+};
@@ -0,0 +1,362 @@
+/**
+ * Expression language for computed fields
+ * A small, sandboxed language evaluated against one record, e.g.
+ * "total_price - total_discounts", "upper(vendor)" or
+ * "if(financial_status = 'paid', 1, 0)". Expressions are parsed into a tree
+ * and interpreted; nothing is ever handed to eval or Function.
+ *
+ *   literals     12, 4.5, 'text', "text", true, false, null
+ *   fields       vendor, customer.email, `field with spaces`
+ *   operators    + - * / %   = != <> < <= > >=   and or not (&& || !)
+ *   functions    see expressionFunctions.js; if(), and, or are lazy
+ */
+const fieldPath = require('./fieldPath');
+const { getFunction, toNumber, asNumber } = require('./expressionFunctions');
+const { ExpressionSyntaxError, TransformationValueError } = require('../errors/TransformationError');
+
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null'];
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '=', '<', '>', '!'];
+const COMPARISONS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+// Positions in messages are 1-based character offsets into the expression
+const syntaxError = (message, position) => new ExpressionSyntaxError(
+    `${message} at position ${position + 1}`,
+    { position: position + 1 }
+);
+
+const tokenize = (source) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+        const start = index;
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+            const match = source.slice(index).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            tokens.push({ type: 'number', value: Number(match[0]), position: start });
+            index += match[0].length;
+            continue;
+        }
+
+        if (char === '\'' || char === '"') {
+            let value = '';
+            index++;
+            for (;;) {
+                if (index >= source.length) {
+                    throw syntaxError('Unterminated string', start);
+                }
+                if (source[index] === '\\' && index + 1 < source.length) {
+                    value += source[index + 1];
+                    index += 2;
+                } else if (source[index] === char && source[index + 1] === char) {
+                    value += char; // SQL-style doubled quote
+                    index += 2;
+                } else if (source[index] === char) {
+                    index++;
+                    break;
+                } else {
+                    value += source[index++];
+                }
+            }
+            tokens.push({ type: 'string', value, position: start });
+            continue;
+        }
+
+        if (char === '`') {
+            const end = source.indexOf('`', index + 1);
+            if (end === -1) {
+                throw syntaxError('Unterminated field name', start);
+            }
+            tokens.push({ type: 'field', value: source.slice(index + 1, end), position: start });
+            index = end + 1;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            // Dotted paths such as customer.email are one field reference
+            const match = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+            const word = match[0];
+            const keyword = word.toLowerCase();
+
+            tokens.push(KEYWORDS.includes(keyword)
+                ? { type: 'keyword', value: keyword, position: start }
+                : { type: 'identifier', value: word, position: start });
+            index += word.length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(candidate => source.startsWith(candidate, index));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: start });
+            index += operator.length;
+            continue;
+        }
+
+        if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, value: char, position: start });
+            index++;
+            continue;
+        }
+
+        throw syntaxError(`Unexpected character '${char}'`, start);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+};
+
+// Recursive descent parser, lowest precedence first:
+// or -> and -> not -> comparison -> additive -> multiplicative -> unary -> primary
+const parse = (source) => {
+    const tokens = tokenize(source);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const advance = () => tokens[current++];
+    const describe = (token) => (token.type === 'end' ? 'end of expression' : `'${token.value}'`);
+    const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+    const isKeyword = (...values) => peek().type === 'keyword' && values.includes(peek().value);
+
+    const expect = (type) => {
+        if (peek().type !== type) {
+            throw syntaxError(`Expected '${type}' but found ${describe(peek())}`, peek().position);
+        }
+        return advance();
+    };
+
+    const binary = (next, matches, operatorName) => () => {
+        let node = next();
+        while (matches()) {
+            const token = advance();
+            node = { type: 'binary', operator: operatorName(token), left: node, right: next(), position: token.position };
+        }
+        return node;
+    };
+
+    const primary = () => {
+        const token = peek();
+
+        if (token.type === 'number' || token.type === 'string') {
+            advance();
+            return { type: 'literal', value: token.value, position: token.position };
+        }
+        if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+            advance();
+            return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true', position: token.position };
+        }
+        if (token.type === 'field') {
+            advance();
+            return { type: 'field', path: token.value, position: token.position };
+        }
+        if (token.type === 'identifier') {
+            advance();
+            if (peek().type !== '(') {
+                return { type: 'field', path: token.value, position: token.position };
+            }
+            return call(token);
+        }
+        if (token.type === '(') {
+            advance();
+            const node = or();
+            expect(')');
+            return node;
+        }
+
+        throw syntaxError(`Unexpected ${describe(token)}`, token.position);
+    };
+
+    const call = (token) => {
+        const name = token.value.toLowerCase();
+        const definition = getFunction(name);
+        if (!definition) {
+            throw syntaxError(`Unknown function '${token.value}'`, token.position);
+        }
+
+        expect('(');
+        const args = [];
+        if (peek().type !== ')') {
+            args.push(or());
+            while (peek().type === ',') {
+                advance();
+                args.push(or());
+            }
+        }
+        expect(')');
+
+        const max = definition.max === undefined ? definition.min : definition.max;
+        if (args.length < definition.min || args.length > max) {
+            const expected = max === Infinity ? `at least ${definition.min}` : definition.min === max ? `${max}` : `${definition.min} to ${max}`;
+            throw syntaxError(`Function '${name}' takes ${expected} argument(s), got ${args.length}`, token.position);
+        }
+
+        return { type: 'call', name, args, position: token.position };
+    };
+
+    const unary = () => {
+        if (isOperator('-')) {
+            const token = advance();
+            return { type: 'unary', operator: '-', operand: unary(), position: token.position };
+        }
+        return primary();
+    };
+
+    const multiplicative = binary(unary, () => isOperator('*', '/', '%'), token => token.value);
+    const additive = binary(multiplicative, () => isOperator('+', '-'), token => token.value);
+
+    const comparison = () => {
+        const node = additive();
+        if (peek().type === 'operator' && COMPARISONS.includes(peek().value)) {
+            const token = advance();
+            return { type: 'binary', operator: token.value, left: node, right: additive(), position: token.position };
+        }
+        return node;
+    };
+
+    const not = () => {
+        if (isKeyword('not') || isOperator('!')) {
+            const token = advance();
+            return { type: 'unary', operator: 'not', operand: not(), position: token.position };
+        }
+        return comparison();
+    };
+
+    const and = binary(not, () => isKeyword('and') || isOperator('&&'), () => 'and');
+    const or = binary(and, () => isKeyword('or') || isOperator('||'), () => 'or');
+
+    if (peek().type === 'end') {
+        throw syntaxError('Expression is empty', 0);
+    }
+
+    const tree = or();
+    if (peek().type !== 'end') {
+        throw syntaxError(`Unexpected ${describe(peek())}`, peek().position);
+    }
+    return tree;
+};
+
+const isTruthy = (value) => value !== null && value !== false && value !== 0 && value !== '';
+
+// Shopify sends money as strings ("12.50"), so numeric text compares as a number
+const compare = (left, right) => {
+    const leftNumber = asNumber(left);
+    const rightNumber = asNumber(right);
+    if (leftNumber !== null && rightNumber !== null) {
+        return leftNumber === rightNumber ? 0 : leftNumber < rightNumber ? -1 : 1;
+    }
+
+    const leftText = String(left);
+    const rightText = String(right);
+    return leftText === rightText ? 0 : leftText < rightText ? -1 : 1;
+};
+
+const evaluateBinary = (node, left, right) => {
+    switch (node.operator) {
+        case '=':
+        case '==':
+            if (left === null || right === null) return left === right;
+            return compare(left, right) === 0;
+        case '!=':
+        case '<>':
+            if (left === null || right === null) return left !== right;
+            return compare(left, right) !== 0;
+        case '<': return left === null || right === null ? null : compare(left, right) < 0;
+        case '<=': return left === null || right === null ? null : compare(left, right) <= 0;
+        case '>': return left === null || right === null ? null : compare(left, right) > 0;
+        case '>=': return left === null || right === null ? null : compare(left, right) >= 0;
+        default:
+            break;
+    }
+
+    // Arithmetic on null is null, as in SQL
+    if (left === null || right === null) return null;
+    const a = toNumber(left);
+    const b = toNumber(right);
+
+    switch (node.operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+        case '%':
+            if (b === 0) {
+                throw new TransformationValueError('Division by zero', { position: node.position + 1 });
+            }
+            return node.operator === '/' ? a / b : a % b;
+        default:
+            throw new TransformationValueError(`Unknown operator ${node.operator}`);
+    }
+};
+
+const evaluate = (node, record) => {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'field': {
+            // Inherited methods such as toString are not fields
+            const value = fieldPath.get(record, node.path);
+            return value === undefined || typeof value === 'function' ? null : value;
+        }
+        case 'unary': {
+            const value = evaluate(node.operand, record);
+            if (node.operator === 'not') return !isTruthy(value);
+            return value === null ? null : -toNumber(value);
+        }
+        case 'binary':
+            if (node.operator === 'and') {
+                return isTruthy(evaluate(node.left, record)) && isTruthy(evaluate(node.right, record));
+            }
+            if (node.operator === 'or') {
+                return isTruthy(evaluate(node.left, record)) || isTruthy(evaluate(node.right, record));
+            }
+            return evaluateBinary(node, evaluate(node.left, record), evaluate(node.right, record));
+        case 'call':
+            if (node.name === 'if') {
+                const [condition, then, otherwise] = node.args;
+                if (isTruthy(evaluate(condition, record))) return evaluate(then, record);
+                return otherwise ? evaluate(otherwise, record) : null;
+            }
+            return getFunction(node.name).fn(...node.args.map(arg => evaluate(arg, record)));
+        default:
+            throw new TransformationValueError(`Unknown expression node ${node.type}`);
+    }
+};
+
+// Parse once, evaluate per record. Throws ExpressionSyntaxError for bad input.
+const compile = (source) => {
+    const tree = parse(String(source));
+    return {
+        source,
+        evaluate: (record) => evaluate(tree, record)
+    };
+};
+
+// Field paths an expression reads, e.g. ['total_price', 'customer.email']
+const fieldsOf = (source) => {
+    const paths = new Set();
+    const walk = (node) => {
+        if (node.type === 'field') paths.add(node.path);
+        if (node.operand) walk(node.operand);
+        if (node.left) walk(node.left);
+        if (node.right) walk(node.right);
+        (node.args || []).forEach(walk);
+    };
+
+    walk(parse(String(source)));
+    return [...paths];
+};
+
+module.exports = {
+    tokenize,
+    parse,
+    compile,
+    fieldsOf,
+    evaluate,
+    compare,
+    isTruthy
+};
@@ -0,0 +1,166 @@
+/**
+ * Functions available to the expression language
+ * Each entry declares its argument count (min, optional max) and an fn that
+ * receives already evaluated arguments. Dates are read from ISO strings or
+ * epoch milliseconds and returned as ISO strings in UTC.
+ */
+const { TransformationValueError } = require('../errors/TransformationError');
+
+const DATE_UNITS = ['second', 'minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    if (Number.isNaN(number)) {
+        throw new TransformationValueError(`Cannot use ${JSON.stringify(value)} as a number`);
+    }
+    return number;
+};
+
+// The number a value stands for, or null when it isn't numeric
+const asNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+};
+
+const toText = (value) => {
+    if (value === null) return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const toDate = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+        throw new TransformationValueError(`Cannot use ${JSON.stringify(value)} as a date`);
+    }
+    return date;
+};
+
+const toUnit = (value) => {
+    const unit = String(value).toLowerCase().replace(/s$/, '');
+    if (!DATE_UNITS.includes(unit)) {
+        throw new TransformationValueError(`Unknown date unit '${value}', expected one of: ${DATE_UNITS.join(', ')}`);
+    }
+    return unit;
+};
+
+// Start of the unit containing the date; weeks start on Monday
+const truncateDate = (date, unit) => {
+    const parts = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+
+    switch (unit) {
+        case 'year': return new Date(Date.UTC(parts[0], 0, 1));
+        case 'quarter': return new Date(Date.UTC(parts[0], parts[1] - (parts[1] % 3), 1));
+        case 'month': return new Date(Date.UTC(parts[0], parts[1], 1));
+        case 'week': return new Date(Date.UTC(parts[0], parts[1], parts[2] - ((date.getUTCDay() + 6) % 7)));
+        case 'day': return new Date(Date.UTC(parts[0], parts[1], parts[2]));
+        case 'hour': return new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3]));
+        case 'minute': return new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4]));
+        default: return new Date(Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5]));
+    }
+};
+
+const addToDate = (date, amount, unit) => {
+    if (UNIT_MS[unit]) return new Date(date.getTime() + amount * UNIT_MS[unit]);
+
+    const months = unit === 'year' ? amount * 12 : unit === 'quarter' ? amount * 3 : amount;
+    const result = new Date(date.getTime());
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+};
+
+// Whole units between two dates, negative when end is before start
+const diffDates = (unit, start, end) => {
+    if (UNIT_MS[unit]) return Math.trunc((end.getTime() - start.getTime()) / UNIT_MS[unit]);
+
+    let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+    if (months > 0 && addToDate(start, months, 'month') > end) months--;
+    if (months < 0 && addToDate(start, months, 'month') < end) months++;
+
+    if (unit === 'year') return Math.trunc(months / 12);
+    if (unit === 'quarter') return Math.trunc(months / 3);
+    return months;
+};
+
+// Most functions pass null through instead of failing
+const nullSafe = (fn) => (...args) => (args.some(arg => arg === null) ? null : fn(...args));
+
+const FUNCTIONS = {
+    // Conditionals and null handling (if is evaluated lazily by the interpreter)
+    if: { min: 2, max: 3 },
+    coalesce: { min: 1, max: Infinity, fn: (...args) => args.find(arg => arg !== null && arg !== '') ?? null },
+    ifnull: { min: 2, fn: (value, fallback) => (value === null ? fallback : value) },
+    nullif: { min: 2, fn: (value, other) => (value !== null && other !== null && toText(value) === toText(other) ? null : value) },
+    is_null: { min: 1, fn: value => value === null },
+    is_empty: { min: 1, fn: value => value === null || value === '' || (Array.isArray(value) && value.length === 0) },
+
+    // Strings
+    upper: { min: 1, fn: nullSafe(value => toText(value).toUpperCase()) },
+    lower: { min: 1, fn: nullSafe(value => toText(value).toLowerCase()) },
+    trim: { min: 1, fn: nullSafe(value => toText(value).trim()) },
+    length: { min: 1, fn: nullSafe(value => (Array.isArray(value) ? value.length : toText(value).length)) },
+    concat: { min: 1, max: Infinity, fn: (...args) => args.filter(arg => arg !== null).map(toText).join('') },
+    substring: {
+        min: 2,
+        max: 3,
+        // 1-based start, as in SQL
+        fn: nullSafe((value, start, count) => {
+            const from = Math.max(0, toNumber(start) - 1);
+            return count === undefined ? toText(value).slice(from) : toText(value).slice(from, from + toNumber(count));
+        })
+    },
+    left: { min: 2, fn: nullSafe((value, count) => toText(value).slice(0, Math.max(0, toNumber(count)))) },
+    right: { min: 2, fn: nullSafe((value, count) => (toNumber(count) > 0 ? toText(value).slice(-toNumber(count)) : '')) },
+    replace: { min: 3, fn: nullSafe((value, search, replacement) => toText(value).split(toText(search)).join(toText(replacement))) },
+    split_part: {
+        min: 3,
+        fn: nullSafe((value, delimiter, index) => toText(value).split(toText(delimiter))[toNumber(index) - 1] ?? null)
+    },
+    contains: { min: 2, fn: nullSafe((value, search) => toText(value).includes(toText(search))) },
+    starts_with: { min: 2, fn: nullSafe((value, prefix) => toText(value).startsWith(toText(prefix))) },
+    ends_with: { min: 2, fn: nullSafe((value, suffix) => toText(value).endsWith(toText(suffix))) },
+    string: { min: 1, fn: toText },
+
+    // Numbers
+    number: { min: 1, fn: nullSafe(toNumber) },
+    abs: { min: 1, fn: nullSafe(value => Math.abs(toNumber(value))) },
+    round: {
+        min: 1,
+        max: 2,
+        fn: nullSafe((value, digits = 0) => {
+            const factor = 10 ** toNumber(digits);
+            return Math.round(toNumber(value) * factor) / factor;
+        })
+    },
+    floor: { min: 1, fn: nullSafe(value => Math.floor(toNumber(value))) },
+    ceil: { min: 1, fn: nullSafe(value => Math.ceil(toNumber(value))) },
+    least: { min: 1, max: Infinity, fn: (...args) => (args.some(arg => arg !== null) ? Math.min(...args.filter(arg => arg !== null).map(toNumber)) : null) },
+    greatest: { min: 1, max: Infinity, fn: (...args) => (args.some(arg => arg !== null) ? Math.max(...args.filter(arg => arg !== null).map(toNumber)) : null) },
+
+    // Dates
+    now: { min: 0, fn: () => new Date().toISOString() },
+    date: { min: 1, fn: nullSafe(value => toDate(value).toISOString().slice(0, 10)) },
+    date_trunc: { min: 2, fn: nullSafe((unit, value) => truncateDate(toDate(value), toUnit(unit)).toISOString()) },
+    date_add: { min: 3, fn: nullSafe((value, amount, unit) => addToDate(toDate(value), toNumber(amount), toUnit(unit)).toISOString()) },
+    date_diff: { min: 3, fn: nullSafe((unit, start, end) => diffDates(toUnit(unit), toDate(start), toDate(end))) },
+    year: { min: 1, fn: nullSafe(value => toDate(value).getUTCFullYear()) },
+    month: { min: 1, fn: nullSafe(value => toDate(value).getUTCMonth() + 1) },
+    day: { min: 1, fn: nullSafe(value => toDate(value).getUTCDate()) },
+    hour: { min: 1, fn: nullSafe(value => toDate(value).getUTCHours()) },
+    day_of_week: { min: 1, fn: nullSafe(value => ((toDate(value).getUTCDay() + 6) % 7) + 1) } // 1 = Monday
+};
+
+const getFunction = (name) => (Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null);
+
+module.exports = {
+    FUNCTIONS,
+    getFunction,
+    toNumber,
+    asNumber,
+    toText,
+    toDate,
+    truncateDate
+};
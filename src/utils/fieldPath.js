@@ -0,0 +1,182 @@
+/**
+ * Field path helpers
+ * Paths address nested values in extracted records: "customer.email" walks
+ * into an object and "line_items[].sku" walks into every element of an array.
+ */
+const { TransformationConfigError } = require('../errors/TransformationError');
+
+// Keys that would reach Object.prototype instead of the record's own data
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+// First reserved key a path walks through, or null
+const reservedKey = (path) => String(path).split('.')
+    .map(part => (part.endsWith('[]') ? part.slice(0, -2) : part))
+    .find(key => RESERVED_KEYS.includes(key)) || null;
+
+// "line_items[].sku" -> [{ key: 'line_items', each: true }, { key: 'sku', each: false }]
+const segmentsOf = (path) => String(path).split('.').map(part => ({
+    key: part.endsWith('[]') ? part.slice(0, -2) : part,
+    each: part.endsWith('[]')
+}));
+
+// Segments of a path that may be written to, which must not reach the prototype
+const parse = (path) => {
+    const reserved = reservedKey(path);
+    if (reserved) {
+        throw new TransformationConfigError(`Field path "${path}" cannot use the reserved name "${reserved}"`, { path });
+    }
+    return segmentsOf(path);
+};
+
+const isNested = (path) => /[.[]/.test(path);
+
+// Top-level key of a path, as understood by Shopify's `fields` parameter
+const root = (path) => segmentsOf(path)[0].key;
+
+// Resolve a path; walking through an array yields an array of values.
+// Only own keys are read, so reserved names resolve to null.
+const get = (record, path) => {
+    const walk = (value, segments) => {
+        if (!segments.length) return value === undefined ? null : value;
+        if (value === null || value === undefined || typeof value !== 'object') return null;
+
+        const [segment, ...rest] = segments;
+        const next = hasOwn(value, segment.key) ? value[segment.key] : undefined;
+
+        if (segment.each) {
+            return Array.isArray(next) ? next.map(item => walk(item, rest)) : null;
+        }
+        return walk(next, rest);
+    };
+
+    return walk(record, segmentsOf(path));
+};
+
+// Whether a record carries the path. Empty arrays cannot disprove a path
+// below them, so they count as present.
+const exists = (record, path) => {
+    const walk = (value, segments) => {
+        if (!segments.length) return true;
+        if (value === null || value === undefined || typeof value !== 'object') return false;
+
+        const [segment, ...rest] = segments;
+        if (!hasOwn(value, segment.key)) return false;
+
+        const next = value[segment.key];
+        if (!rest.length) return true;
+        if (segment.each) {
+            return !Array.isArray(next) || next.length === 0 || next.some(item => walk(item, rest));
+        }
+        return next === null || walk(next, rest);
+    };
+
+    return walk(record, segmentsOf(path));
+};
+
+// Copy only the given paths into a new record, keeping their nesting.
+// Missing leaves become null; only the source's own keys are copied.
+const project = (record, paths) => {
+    const assign = (target, source, segments) => {
+        const [segment, ...rest] = segments;
+        const value = source !== null && typeof source === 'object' && hasOwn(source, segment.key)
+            ? source[segment.key]
+            : undefined;
+
+        if (!rest.length) {
+            target[segment.key] = value === undefined ? null : value;
+            return;
+        }
+
+        if (segment.each) {
+            if (!Array.isArray(value)) {
+                if (target[segment.key] === undefined) target[segment.key] = null;
+                return;
+            }
+            const existing = hasOwn(target, segment.key) && Array.isArray(target[segment.key]) ? target[segment.key] : [];
+            target[segment.key] = value.map((item, index) => {
+                const child = existing[index] || {};
+                assign(child, item, rest);
+                return child;
+            });
+            return;
+        }
+
+        if (value === null || value === undefined) {
+            if (target[segment.key] === undefined) target[segment.key] = null;
+            return;
+        }
+
+        const child = hasOwn(target, segment.key) && target[segment.key] && typeof target[segment.key] === 'object'
+            ? target[segment.key]
+            : {};
+        assign(child, value, rest);
+        target[segment.key] = child;
+    };
+
+    const projected = {};
+    for (const path of paths) {
+        assign(projected, record, parse(path));
+    }
+    return projected;
+};
+
+// Replace the value at a path with fn(value), copying the objects along the
+// way instead of changing the record. Array segments update every element;
+// a path through a missing object is left alone.
+const update = (record, path, fn) => {
+    const walk = (value, segments) => {
+        const [segment, ...rest] = segments;
+        const next = value[segment.key];
+        const change = (item) => {
+            if (!rest.length) return fn(item === undefined ? null : item);
+            return item !== null && typeof item === 'object' && !Array.isArray(item) ? walk(item, rest) : item;
+        };
+
+        if (segment.each) {
+            return Array.isArray(next) ? { ...value, [segment.key]: next.map(change) } : value;
+        }
+        if (rest.length && (next === null || typeof next !== 'object' || Array.isArray(next))) {
+            return value;
+        }
+        return { ...value, [segment.key]: change(next) };
+    };
+
+    return walk(record, parse(path));
+};
+
+// Copy of the record without the key at the end of the path. Array segments
+// remove it from every element; a path through a missing object is left alone.
+const remove = (record, path) => {
+    const walk = (value, segments) => {
+        const [segment, ...rest] = segments;
+        if (!(segment.key in value)) return value;
+
+        if (!rest.length) {
+            const { [segment.key]: removed, ...kept } = value;
+            return kept;
+        }
+
+        const next = value[segment.key];
+        const change = item => (item !== null && typeof item === 'object' && !Array.isArray(item) ? walk(item, rest) : item);
+        if (segment.each) {
+            return Array.isArray(next) ? { ...value, [segment.key]: next.map(change) } : value;
+        }
+        return { ...value, [segment.key]: change(next) };
+    };
+
+    return walk(record, parse(path));
+};
+
+module.exports = {
+    reservedKey,
+    parse,
+    isNested,
+    root,
+    get,
+    exists,
+    project,
+    update,
+    remove
+};
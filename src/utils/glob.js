@@ -0,0 +1,28 @@
+/**
+ * Glob helpers
+ * File sources pick files by name with shell-style patterns: "*" matches any
+ * run of characters, "?" a single character and "{csv,txt}" any alternative.
+ */
+
+const toRegExp = (pattern) => {
+    let source = '';
+    let inGroup = false;
+
+    for (const char of String(pattern)) {
+        if (char === '*') source += '.*';
+        else if (char === '?') source += '.';
+        else if (char === '{' && !inGroup) { source += '(?:'; inGroup = true; }
+        else if (char === '}' && inGroup) { source += ')'; inGroup = false; }
+        else if (char === ',' && inGroup) source += '|';
+        else source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+
+    return new RegExp(`^${source}$`);
+};
+
+const match = (name, pattern) => toRegExp(pattern).test(name);
+
+module.exports = {
+    toRegExp,
+    match
+};
@@ -0,0 +1,89 @@
+const { createApp } = require('../../scripts/mockShopify/app');
+const shopifyConfig = require('../../src/config/shopify');
+const shopifyService = require('../../src/services/shopifyService');
+const { ShopifyAuthError } = require('../../src/errors/ShopifyError');
+
+const ORDERS = '/admin/api/{api_version}/orders.json';
+const CUSTOMERS = '/admin/api/{api_version}/customers.json';
+const credentials = { shop_name: 'test-store', access_token: 'shpat_mock_access_token' };
+
+// fetchData against the mock Admin API, served on a free port for the suite
+describe('shopifyService.fetchData', () => {
+    let server;
+    const baseUrl = shopifyConfig.BASE_URL;
+
+    beforeAll(async () => {
+        const app = createApp({ seed: 7, counts: { products: 5, customers: 30, orders: 260 } });
+        server = await new Promise((resolve) => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        shopifyConfig.BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        shopifyConfig.BASE_URL = baseUrl;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('follows cursor pagination through every page', async () => {
+        const orders = await shopifyService.fetchData(credentials, ORDERS, ['id']);
+
+        // 260 orders in pages of 250, whatever their status
+        expect(orders).toHaveLength(260);
+        expect(new Set(orders.map(order => order.id)).size).toBe(260);
+    });
+
+    test('returns only the selected fields', async () => {
+        const customers = await shopifyService.fetchData(credentials, CUSTOMERS, ['id', 'email']);
+
+        expect(customers).toHaveLength(30);
+        for (const customer of customers) {
+            expect(Object.keys(customer).sort()).toEqual(['email', 'id']);
+        }
+    });
+
+    test('returns whole records when no fields are selected', async () => {
+        const [customer] = await shopifyService.fetchData(credentials, CUSTOMERS);
+
+        expect(customer).toEqual(expect.objectContaining({ id: expect.any(Number), email: expect.any(String) }));
+        expect(Object.keys(customer).length).toBeGreaterThan(2);
+    });
+
+    test('passes query parameters on the first page', async () => {
+        const [first] = await shopifyService.fetchData(credentials, CUSTOMERS, ['id']);
+        const later = await shopifyService.fetchData(credentials, CUSTOMERS, ['id'], { params: { since_id: first.id } });
+
+        expect(later).toHaveLength(29);
+        expect(later.every(customer => customer.id > first.id)).toBe(true);
+    });
+
+    test('serves every shop its own seeded data', async () => {
+        const [a, b] = await Promise.all([
+            shopifyService.fetchData(credentials, CUSTOMERS, ['email']),
+            shopifyService.fetchData({ ...credentials, shop_name: 'other-store' }, CUSTOMERS, ['email'])
+        ]);
+
+        expect(b).toHaveLength(a.length);
+        expect(b.map(customer => customer.email)).not.toEqual(a.map(customer => customer.email));
+    });
+
+    test('rejects an invalid access token without retrying', async () => {
+        const started = Date.now();
+
+        await expect(shopifyService.fetchData({ ...credentials, access_token: 'shpat_wrong' }, ORDERS, ['id']))
+            .rejects.toBeInstanceOf(ShopifyAuthError);
+        expect(Date.now() - started).toBeLessThan(shopifyConfig.RETRY_DELAY);
+    });
+
+    test('extracts child records keyed to their parent', async () => {
+        const orders = await shopifyService.fetchData(credentials, ORDERS, ['id', 'line_items']);
+        const lineItems = shopifyService.extractChildRecords(
+            orders,
+            { child_path: 'line_items', parent_key: 'order_id' },
+            ['id', 'quantity']
+        );
+
+        expect(lineItems.length).toBe(orders.reduce((count, order) => count + order.line_items.length, 0));
+        expect(lineItems[0]).toEqual({ order_id: orders[0].id, id: orders[0].line_items[0].id, quantity: expect.any(Number) });
+    });
+});
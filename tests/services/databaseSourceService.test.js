@@ -0,0 +1,113 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const databaseSourceService = require('../../src/services/databaseSourceService');
+const { DatabaseSourceConfigError, DatabaseSourceQueryError } = require('../../src/errors/DatabaseSourceError');
+
+// A connection answering every query with the given rows, or failing for datasets in `failing`
+const connectionOf = (rows, failing = []) => ({
+    queries: [],
+    closed: false,
+    async query(sql, params) {
+        this.queries.push({ sql, params });
+        if (failing.some(table => sql.includes(table))) throw new Error('relation does not exist');
+        return rows;
+    },
+    async close() {
+        this.closed = true;
+    }
+});
+
+describe('databaseSourceService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('quotes table datasets for each dialect and always reads the cursor column', () => {
+        const dataset = { name: 'orders', table: 'sales.orders', columns: ['id', 'total'], cursor_column: 'updated_at' };
+
+        expect(databaseSourceService.buildQuery('postgres', dataset, { cursor: { value: 10 }, limit: 5 })).toEqual({
+            sql: 'SELECT "id", "total", "updated_at" FROM "sales"."orders" WHERE "updated_at" >= $1 ORDER BY "updated_at" LIMIT 5',
+            params: [10]
+        });
+        expect(databaseSourceService.buildQuery('mysql', { name: 'orders', table: 'orders', params: [], cursor_column: 'id' }, {
+            cursor: { date: '2024-03-01T00:00:00.000Z' }
+        })).toEqual({
+            sql: 'SELECT * FROM `orders` WHERE `id` >= ? ORDER BY `id`',
+            params: [new Date('2024-03-01T00:00:00.000Z')]
+        });
+    });
+
+    test('wraps query datasets and accepts only a single SELECT', () => {
+        expect(databaseSourceService.buildQuery('postgres', { name: 'big', query: 'SELECT * FROM orders WHERE total > $1;', params: [100] }, { limit: 2 }))
+            .toEqual({ sql: 'SELECT * FROM (SELECT * FROM orders WHERE total > $1) AS flowtechs_source LIMIT 2', params: [100] });
+
+        expect(() => databaseSourceService.buildQuery('postgres', { name: 'drop', query: 'DELETE FROM orders' })).toThrow(DatabaseSourceConfigError);
+        expect(() => databaseSourceService.buildQuery('postgres', { name: 'two', query: 'SELECT 1; DROP TABLE orders' })).toThrow(DatabaseSourceConfigError);
+        expect(() => databaseSourceService.buildQuery('postgres', { name: 'bad', table: 'orders"; --' })).toThrow('Invalid table or column name');
+    });
+
+    test('skips rows already delivered at the cursor and queues the next cursor for the job', async () => {
+        const delivered = { id: 1, updated_at: new Date('2024-03-01T10:00:00Z') };
+        const changed = { id: 2, updated_at: new Date('2024-03-01T10:00:00Z') };
+        const newer = { id: 3, updated_at: new Date('2024-03-02T08:00:00Z') };
+        const cursor = { date: '2024-03-01T10:00:00.000Z', seen: [databaseSourceService.rowHash(delivered)] };
+        db.query.mockResolvedValue({ rows: [{ dataset: 'orders', cursor_value: cursor }] });
+        const connection = connectionOf([delivered, changed, newer]);
+        jest.spyOn(databaseSourceService, 'connect').mockResolvedValue(connection);
+
+        const jobContext = { pendingCursors: [] };
+        const data = await databaseSourceService.extractData({
+            id: 3,
+            credentials: {},
+            config: { dialect: 'postgres', datasets: [{ name: 'orders', table: 'orders', cursor_column: 'updated_at' }] }
+        }, jobContext);
+
+        expect(data).toEqual({ orders: [changed, newer] });
+        expect(connection.queries[0].params).toEqual([new Date('2024-03-01T10:00:00Z')]);
+        expect(jobContext.pendingCursors).toEqual([{
+            sourceId: 3,
+            dataset: 'orders',
+            value: { date: '2024-03-02T08:00:00.000Z', seen: [databaseSourceService.rowHash(newer)] }
+        }]);
+        expect(connection.closed).toBe(true);
+    });
+
+    test('closes the connection when a dataset query fails', async () => {
+        const connection = connectionOf([], ['"orders"']);
+        jest.spyOn(databaseSourceService, 'connect').mockResolvedValue(connection);
+
+        await expect(databaseSourceService.extractData({
+            id: 3,
+            credentials: {},
+            config: { dialect: 'postgres', datasets: [{ name: 'orders', table: 'orders' }] }
+        })).rejects.toThrow(DatabaseSourceQueryError);
+        expect(connection.closed).toBe(true);
+    });
+
+    test('reports each dataset when testing the connection', async () => {
+        jest.spyOn(databaseSourceService, 'connect').mockResolvedValue(connectionOf([{ id: 1 }], ['"missing"']));
+
+        expect(await databaseSourceService.testConnection({
+            credentials: {},
+            config: { dialect: 'sqlite', datasets: [{ name: 'orders', table: 'orders' }, { name: 'missing', table: 'missing' }] }
+        })).toEqual({ connected: false, datasets: [], error: expect.stringContaining('supported dialect') });
+
+        expect(await databaseSourceService.testConnection({
+            credentials: {},
+            config: { dialect: 'postgres', datasets: [{ name: 'orders', table: 'orders' }, { name: 'missing', table: 'missing' }] }
+        })).toEqual({
+            connected: true,
+            datasets: [
+                { dataset: 'orders', reachable: true, error: null },
+                { dataset: 'missing', reachable: false, error: 'Query for dataset missing failed: relation does not exist' }
+            ],
+            error: null
+        });
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'files-'));
+process.env.FILE_UPLOAD_DIR = uploadDir;
+process.env.FILE_SOURCE_ROOT = localRoot;
+
+const db = require('../../src/config/database');
+const errorLogger = require('../../src/services/errorLogger');
+const fileSourceService = require('../../src/services/fileSourceService');
+const { FileSourceConfigError, FileSourceParseError } = require('../../src/errors/FileSourceError');
+
+const write = (directory, name, content, modifiedAt) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, content);
+    if (modifiedAt) fs.utimesSync(filePath, modifiedAt, modifiedAt);
+    return filePath;
+};
+
+describe('fileSourceService', () => {
+    afterAll(() => {
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+        fs.rmSync(localRoot, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [] });
+        jest.spyOn(errorLogger, 'logError').mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reads CSV, JSON and XML into records', async () => {
+        expect(await fileSourceService.parseFile(Buffer.from('\uFEFFsku;qty\nA-1;2\n\nB-2;5\n'), 'csv', { delimiter: ';' }))
+            .toEqual([{ sku: 'A-1', qty: '2' }, { sku: 'B-2', qty: '5' }]);
+        expect(await fileSourceService.parseFile(Buffer.from('{"data":{"items":[{"sku":"A-1"}]}}'), 'json', { record_path: 'data.items' }))
+            .toEqual([{ sku: 'A-1' }]);
+        expect(await fileSourceService.parseFile(Buffer.from('<items><item id="1"><sku>A-1</sku></item></items>'), 'xml', { record_path: 'item' }))
+            .toEqual([{ id: '1', sku: 'A-1' }]);
+        await expect(fileSourceService.parseFile(Buffer.from('{"sku":'), 'json')).rejects.toThrow(FileSourceParseError);
+    });
+
+    test('keeps local sources inside the file root', () => {
+        expect(() => fileSourceService.resolveLocalDirectory('../etc')).toThrow(FileSourceConfigError);
+        expect(fileSourceService.resolveLocalDirectory('exports')).toBe(path.join(localRoot, 'exports'));
+    });
+
+    test('reads the matching files of a local directory it has not processed', async () => {
+        const directory = path.join(localRoot, 'exports');
+        fs.mkdirSync(directory);
+        write(directory, 'b.csv', 'sku\nB-1\n', new Date('2024-03-02T00:00:00Z'));
+        write(directory, 'a.csv', 'sku\nA-1\n', new Date('2024-03-01T00:00:00Z'));
+        write(directory, 'notes.txt', 'ignored');
+        db.query.mockResolvedValueOnce({ rows: [{ file_path: path.join(directory, 'a.csv'), modified_at: new Date('2024-03-01T00:00:00Z') }] });
+
+        const jobContext = { pendingFiles: [] };
+        const data = await fileSourceService.extractData({ id: 4, config: { location: 'local', directory: 'exports', pattern: '*.csv', dataset: 'stock' } }, jobContext);
+
+        expect(data).toEqual({ stock: [{ sku: 'B-1' }] });
+        expect(jobContext.pendingFiles).toEqual([expect.objectContaining({ sourceId: 4, location: 'local', name: 'b.csv', recordCount: 1 })]);
+    });
+
+    test('marks an upload that cannot be parsed failed and deletes it, and carries on with the others', async () => {
+        const good = write(uploadDir, 'good.json', '[{"sku":"A-1"},{"sku":"A-2"}]');
+        const broken = write(uploadDir, 'broken.json', '[{"sku":');
+        const pending = [
+            { file_name: 'broken.json', file_path: broken, file_size: '9', modified_at: new Date('2024-03-01T00:00:00Z') },
+            { file_name: 'good.json', file_path: good, file_size: '30', modified_at: new Date('2024-03-02T00:00:00Z') }
+        ];
+        db.query.mockImplementation(async sql => ({ rows: sql.includes("status = 'PENDING'") ? pending : [] }));
+
+        const jobContext = { pendingFiles: [] };
+        const data = await fileSourceService.extractData({ id: 6, config: { location: 'upload' } }, jobContext);
+
+        expect(data).toEqual({ records: [{ sku: 'A-1' }, { sku: 'A-2' }] });
+        expect(jobContext.pendingFiles.map(file => file.name)).toEqual(['good.json']);
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining("'FAILED'"), expect.arrayContaining([6, 'upload', 'broken.json', broken]));
+        expect(fs.existsSync(broken)).toBe(false);
+        expect(fs.existsSync(good)).toBe(true);
+    });
+
+    test('never deletes files outside the upload directory', async () => {
+        const outside = write(localRoot, 'kept.csv', 'sku\n');
+
+        await fileSourceService.removeUpload({ location: 'upload', path: outside });
+        await fileSourceService.markFailed(4, 'local', { name: 'kept.csv', path: outside, size: 4, modifiedAt: new Date() }, new Error('Bad file'));
+
+        expect(fs.existsSync(outside)).toBe(true);
+    });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const shopifyService = require('../../src/services/shopifyService');
+const shopifyVersionService = require('../../src/services/shopifyVersionService');
+const jobProcessor = require('../../src/services/jobProcessor');
+
+const source = { id: 3, credentials: { shop_name: 'store-a', shop_url: 'https://store-a.myshopify.com' } };
+const orders = { id: 2, name: 'orders', endpoint: '/orders.json', supports_incremental: false, parent_api_id: null };
+const lineItems = { id: 9, name: 'order_line_items', endpoint: '/orders.json', parent_api_id: 2, child_path: 'line_items', parent_key: 'order_id' };
+
+const ORDER_RECORDS = [
+    { id: 1, email: 'a@example.com', line_items: [{ id: 11, sku: 'A-1', quantity: 2 }, { id: 12, sku: 'B-2', quantity: 1 }] },
+    { id: 2, email: 'b@example.com', line_items: [] },
+    { id: 3, email: 'c@example.com' }
+];
+
+describe('child datasets', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [] });
+        jest.spyOn(shopifyVersionService, 'checkSourceVersion').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('turns each element of a parent collection into a record keyed to its parent', () => {
+        expect(shopifyService.extractChildRecords(ORDER_RECORDS, lineItems, ['sku', 'order_id'])).toEqual([
+            { order_id: 1, sku: 'A-1' },
+            { order_id: 1, sku: 'B-2' }
+        ]);
+        expect(shopifyService.extractChildRecords(ORDER_RECORDS.slice(0, 1), { ...lineItems, parent_key: 'id' }, [])).toEqual([
+            { id: 1, sku: 'A-1', quantity: 2 },
+            { id: 1, sku: 'B-2', quantity: 1 }
+        ]);
+    });
+
+    test('fetches the parent once for itself and its children, each with their own fields', async () => {
+        const selected = [
+            { ...orders, selection_id: 20, selected_fields: ['id', 'email'] },
+            { ...lineItems, selection_id: 21, selected_fields: ['sku'] }
+        ];
+        const fetchData = jest.spyOn(shopifyService, 'fetchData').mockResolvedValue(ORDER_RECORDS);
+
+        const jobContext = { childDatasets: [] };
+        const data = await jobProcessor.extractShopifyData(source, jobContext, selected);
+
+        expect(fetchData).toHaveBeenCalledTimes(1);
+        expect(fetchData.mock.calls[0][2]).toEqual(['id', 'email', 'line_items']);
+        expect(data).toEqual({
+            orders: [{ id: 1, email: 'a@example.com' }, { id: 2, email: 'b@example.com' }, { id: 3, email: 'c@example.com' }],
+            order_line_items: [{ order_id: 1, sku: 'A-1' }, { order_id: 1, sku: 'B-2' }]
+        });
+        expect(jobContext.childDatasets).toEqual(['order_line_items']);
+    });
+
+    test('fetches an unselected parent only for its children, on the child selection\'s watermark', async () => {
+        db.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM source_selected_apis')) {
+                return { rows: [{ ...lineItems, selection_id: 21, selected_fields: ['sku'], watermark_updated_at: '2024-03-01T00:00:00Z', watermark_id: '5' }] };
+            }
+            if (sql.includes('FROM shopify_apis WHERE id = ANY')) return { rows: [{ ...orders, supports_incremental: true }] };
+            return { rows: [] };
+        });
+        const fetchData = jest.spyOn(shopifyService, 'fetchData').mockResolvedValue(
+            ORDER_RECORDS.map(order => ({ ...order, updated_at: '2024-03-02T00:00:00Z' }))
+        );
+
+        const jobContext = { childDatasets: [], pendingWatermarks: [] };
+        const data = await jobProcessor.extractShopifyData(source, jobContext);
+
+        expect(Object.keys(data)).toEqual(['order_line_items']);
+        expect(data.order_line_items).toEqual([{ order_id: 1, sku: 'A-1' }, { order_id: 1, sku: 'B-2' }]);
+        expect(fetchData.mock.calls[0][3].params).toEqual({ updated_at_min: '2024-03-01T00:00:00.000Z' });
+        expect(jobContext.pendingWatermarks).toEqual([{ selectionId: 21, groupId: undefined, updatedAt: '2024-03-02T00:00:00Z', id: 3 }]);
+    });
+});
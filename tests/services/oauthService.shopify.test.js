@@ -0,0 +1,87 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../src/config/database');
+const errorLogger = require('../../src/services/errorLogger');
+const oauthService = require('../../src/services/oauthService');
+const { OAuthSignatureError, OAuthStateError } = require('../../src/errors/OAuthError');
+
+const SECRET = 'shopify_app_secret';
+const DAY_MS = 86400000;
+
+// Signed the way Shopify signs its callback query
+const signed = (params) => {
+    const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return { ...params, hmac: crypto.createHmac('sha256', SECRET).update(message).digest('hex') };
+};
+
+const day = offset => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+const versions = [
+    { version: 'next', release_date: day(30), sunset_date: day(395) },
+    { version: 'current', release_date: day(-60), sunset_date: day(305) },
+    { version: 'retiring', release_date: day(-300), sunset_date: day(60) },
+    { version: 'retired', release_date: day(-400), sunset_date: day(-35) }
+];
+
+describe('Shopify OAuth callback', () => {
+    const env = { ...process.env };
+    let inserted;
+
+    beforeAll(() => {
+        Object.assign(process.env, { SHOPIFY_API_KEY: 'app_key', SHOPIFY_API_SECRET: SECRET, APP_URL: 'https://app.example.com' });
+    });
+
+    afterAll(() => {
+        process.env = env;
+    });
+
+    beforeEach(() => {
+        inserted = null;
+        db.query.mockReset();
+        db.query.mockImplementation(async (sql, values) => {
+            if (sql.includes('DELETE FROM oauth_states')) return { rows: [{ user_id: 1, source_id: null, shop: 'store-a.myshopify.com', provider: 'Shopify' }] };
+            if (sql.includes('FROM shopify_api_versions')) return { rows: versions };
+            if (sql.includes('INSERT INTO sources')) {
+                inserted = values[1];
+                return { rows: [{ id: 12 }] };
+            }
+            return { rows: [] };
+        });
+        jest.spyOn(errorLogger, 'logError').mockResolvedValue(undefined);
+        jest.spyOn(oauthService, 'exchangeShopifyCode').mockResolvedValue({ access_token: 'shpat_new', scope: 'read_orders' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('verifies the HMAC Shopify signs the query with', () => {
+        const query = signed({ code: 'abc', shop: 'store-a.myshopify.com', state: 'xyz', timestamp: '1700000000' });
+
+        expect(oauthService.verifyShopifyHmac(query, SECRET)).toBe(true);
+        expect(oauthService.verifyShopifyHmac({ ...query, shop: 'store-b.myshopify.com' }, SECRET)).toBe(false);
+        expect(oauthService.verifyShopifyHmac({ ...query, hmac: 'zz' }, SECRET)).toBe(false);
+        expect(oauthService.verifyShopifyHmac({ ...query, hmac: undefined }, SECRET)).toBe(false);
+    });
+
+    test('refuses a callback that is not signed by the app', async () => {
+        const query = { ...signed({ code: 'abc', shop: 'store-a.myshopify.com', state: 'xyz' }), code: 'other' };
+
+        await expect(oauthService.handleShopifyCallback(query)).rejects.toThrow(OAuthSignatureError);
+        expect(oauthService.exchangeShopifyCode).not.toHaveBeenCalled();
+    });
+
+    test('refuses a callback for another shop than the one authorized', async () => {
+        const query = signed({ code: 'abc', shop: 'store-b.myshopify.com', state: 'xyz' });
+
+        await expect(oauthService.handleShopifyCallback(query)).rejects.toThrow(OAuthStateError);
+    });
+
+    test('saves a new source on the newest supported API version', async () => {
+        const result = await oauthService.handleShopifyCallback(signed({ code: 'abc', shop: 'store-a.myshopify.com', state: 'xyz' }));
+
+        expect(result).toEqual({ success: true, source_id: 12, shop: 'store-a.myshopify.com', scopes: 'read_orders' });
+        expect(inserted).toMatchObject({ shop_name: 'store-a', shop_url: 'https://store-a.myshopify.com', api_version: 'current', connected_via: 'oauth' });
+        expect(inserted.access_token).not.toBe('shpat_new');
+    });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const privacyService = require('../../src/services/privacyService');
+const transformationService = require('../../src/services/transformationService');
+const { PrivacyPolicyError } = require('../../src/errors/PrivacyError');
+
+// is_pii fields of the catalog, per api, in the query's order
+const PII_FIELDS = { customers: ['default_address.zip', 'email'], orders: ['email'] };
+
+const extract = () => ({
+    orders: [{ id: 1, customer_id: 7, total_price: '5.00' }, { id: 2, customer_id: 7, total_price: '3.00' }],
+    customers: [{ id: 7, email: 'jane@example.com', default_address: { zip: '10001' } }]
+});
+
+const unprotectedAfter = async (steps) => {
+    const { data, report } = await transformationService.applyTransformations(extract(), steps, { pipelineId: 1 });
+    return privacyService.findUnprotectedFields(data, report);
+};
+
+const JOIN = { api: 'orders', type: 'JOIN', configuration: { with: 'customers', on: [{ left: 'customer_id', right: 'id' }], drop_joined: true } };
+const BY_EMAIL = { api: 'customers', type: 'AGGREGATE', configuration: { dataset: 'by_email', group_by: ['email'], measures: [{ function: 'count' }] } };
+const PROTECT_CUSTOMERS = [
+    { api: 'customers', field: 'email', type: 'HASH' },
+    { api: 'customers', field: 'default_address', type: 'DROP' }
+];
+
+describe('privacyService.findUnprotectedFields', () => {
+    beforeEach(() => {
+        db.query.mockImplementation(async (sql, [apis]) => ({
+            rows: apis.flatMap(api => (PII_FIELDS[api] || []).map(field => ({ api, field_name: field })))
+        }));
+    });
+
+    test('reports PII fields no privacy step covered', async () => {
+        expect(await unprotectedAfter([])).toEqual(['customers.default_address.zip', 'customers.email']);
+        expect(await unprotectedAfter(PROTECT_CUSTOMERS)).toEqual([]);
+    });
+
+    test('follows columns a JOIN copied, even once the joined dataset is dropped', async () => {
+        expect(await unprotectedAfter([JOIN])).toEqual([
+            'orders.customers_default_address.zip (customers.default_address.zip)',
+            'orders.customers_email (customers.email)'
+        ]);
+    });
+
+    test('counts privacy steps on either side of a JOIN', async () => {
+        expect(await unprotectedAfter([...PROTECT_CUSTOMERS, JOIN])).toEqual([]);
+        expect(await unprotectedAfter([
+            JOIN,
+            { api: 'orders', field: 'customers_email', type: 'MASK' },
+            { api: 'orders', field: 'customers_default_address', type: 'DROP' }
+        ])).toEqual([]);
+    });
+
+    test('follows values an AGGREGATE wrote into another dataset', async () => {
+        expect(await unprotectedAfter([BY_EMAIL, ...PROTECT_CUSTOMERS])).toEqual(['by_email.email (customers.email)']);
+        expect(await unprotectedAfter([PROTECT_CUSTOMERS[0], BY_EMAIL, PROTECT_CUSTOMERS[1]])).toEqual([]);
+    });
+
+    test('follows min and max measures but not counts', async () => {
+        const aggregate = {
+            ...BY_EMAIL,
+            configuration: {
+                dataset: 'summary',
+                measures: [{ function: 'max', field: 'email' }, { function: 'count_distinct', field: 'email' }]
+            }
+        };
+        expect(await unprotectedAfter([aggregate, ...PROTECT_CUSTOMERS])).toEqual(['summary.max_email (customers.email)']);
+    });
+
+    test('enforcePolicy refuses the delivery under PROTECT only', async () => {
+        const { data, report } = await transformationService.applyTransformations(extract(), [JOIN], { pipelineId: 1 });
+
+        await expect(privacyService.enforcePolicy({ id: 3, privacy_policy: 'ALLOW' }, data, report)).resolves.toBeUndefined();
+        await expect(privacyService.enforcePolicy({ id: 3, privacy_policy: 'PROTECT' }, data, report))
+            .rejects.toBeInstanceOf(PrivacyPolicyError);
+    });
+});
+
+describe('privacyService PII derived by field steps', () => {
+    beforeEach(() => {
+        db.query.mockImplementation(async (sql, [apis]) => ({
+            rows: apis.flatMap(api => (PII_FIELDS[api] || []).map(field => ({ api, field_name: field })))
+        }));
+    });
+
+    test.each([
+        ['EXPRESSION', { api: 'customers', field: 'contact', type: 'EXPRESSION', configuration: { expression: "lower(email) || ''" } }],
+        ['CONCATENATE', { api: 'customers', field: 'contact', type: 'CONCATENATE', configuration: { fields: ['id', 'email'], separator: ':' } }]
+    ])('a field %s computed from PII is PII, even once the source is protected', async (name, step) => {
+        expect(await unprotectedAfter([step, ...PROTECT_CUSTOMERS])).toEqual(['customers.contact (customers.email)']);
+        expect(await unprotectedAfter([...PROTECT_CUSTOMERS, step])).toEqual([]);
+    });
+
+    test('an object converted to text keeps the PII it held', async () => {
+        const steps = [{ api: 'customers', field: 'default_address', type: 'TOSTRING' }, PROTECT_CUSTOMERS[0]];
+
+        expect(await unprotectedAfter(steps)).toEqual(['customers.default_address (customers.default_address.zip)']);
+        expect(await unprotectedAfter([...steps, { api: 'customers', field: 'default_address', type: 'MASK' }])).toEqual([]);
+    });
+
+    test('a computed value replacing a PII field clears it', async () => {
+        const steps = [
+            { api: 'customers', field: 'email', type: 'EXPRESSION', configuration: { expression: "'hidden'" } },
+            PROTECT_CUSTOMERS[1]
+        ];
+
+        expect(await unprotectedAfter(steps)).toEqual([]);
+    });
+
+    test('a LOOKUP target copies the PII it read', () => {
+        const locations = privacyService.trackPiiFields(new Map([['customers', ['email']]]), {
+            protectedFields: [{ step: 1, api: 'customers', field: 'email', type: 'HASH' }],
+            derivedFields: [],
+            steps: [{ step: 0, api: 'customers', type: 'LOOKUP', columns: [{ field: 'email', name: 'segment' }] }]
+        });
+
+        expect(locations.map(({ path, protected: isProtected }) => [path, isProtected])).toEqual([['email', true], ['segment', false]]);
+    });
+});
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const restApiService = require('../../src/services/restApiService');
+const { RestSourceAuthError, RestSourceConfigError } = require('../../src/errors/RestSourceError');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error: 'nope' } }
+});
+
+const source = (resource, extra = {}) => ({
+    credentials: { auth_type: 'none' },
+    config: { base_url: 'https://api.example.com/v1/', resources: [{ name: 'items', path: '/items', ...resource }], ...extra }
+});
+
+describe('restApiService', () => {
+    let requests;
+
+    beforeEach(() => {
+        requests = [];
+        restApiService.tokenCache.clear();
+        jest.spyOn(restApiService, 'delay').mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Serve each request from the next answer in line
+    const serve = (...answers) => jest.spyOn(axios, 'request').mockImplementation(async (config) => {
+        requests.push(config);
+        const answer = answers.shift();
+        if (answer instanceof Error) throw answer;
+        return answer;
+    });
+
+    test('follows page pagination until a short page, mapping fields out of nested records', async () => {
+        serve(
+            { data: { data: { items: [{ id: 1, attributes: { title: 'A' } }, { id: 2, attributes: { title: 'B' } }] } } },
+            { data: { data: { items: [{ id: 3, attributes: { title: 'C' } }] } } }
+        );
+
+        const data = await restApiService.extractData(source({
+            record_path: 'data.items',
+            field_mapping: { id: 'id', title: 'attributes.title' }
+        }, { pagination: { type: 'page', page_size: 2 } }));
+
+        expect(data).toEqual({ items: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }, { id: 3, title: 'C' }] });
+        expect(requests.map(request => [request.url, request.params])).toEqual([
+            ['https://api.example.com/v1/items', { page: 1, per_page: 2 }],
+            ['https://api.example.com/v1/items', { page: 2, per_page: 2 }]
+        ]);
+    });
+
+    test('follows cursors and next links', async () => {
+        serve(
+            { data: { items: [{ id: 1 }], meta: { next: 'abc' } } },
+            { data: { items: [{ id: 2 }], meta: { next: null } } }
+        );
+        const cursor = await restApiService.extractData(source({ record_path: 'items' }, {
+            pagination: { type: 'cursor', cursor_path: 'meta.next', cursor_param: 'after' }
+        }));
+
+        expect(cursor.items).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(requests[1].params).toEqual({ limit: 100, after: 'abc' });
+
+        requests = [];
+        serve(
+            { data: [{ id: 1 }], headers: { link: '</v1/items?page=2>; rel="next"' } },
+            { data: [{ id: 2 }], headers: {} }
+        );
+        const link = await restApiService.extractData(source({}, { pagination: { type: 'link' } }));
+
+        expect(link.items).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(requests[1]).toMatchObject({ url: 'https://api.example.com/v1/items?page=2', params: {} });
+    });
+
+    test('sends header and basic credentials', async () => {
+        serve({ data: [] }, { data: [] });
+
+        await restApiService.extractData({ ...source({}), credentials: { auth_type: 'header', header_name: 'X-Api-Key', header_prefix: '', token: 'k1' } });
+        await restApiService.extractData({ ...source({}), credentials: { auth_type: 'basic', username: 'u', password: 'p' } });
+
+        expect(requests[0].headers).toEqual({ Accept: 'application/json', 'X-Api-Key': 'k1' });
+        expect(requests[1].auth).toEqual({ username: 'u', password: 'p' });
+    });
+
+    test('retries rate limited and failing requests, and gives up on rejected credentials', async () => {
+        serve(httpError(429, { 'retry-after': '3' }), httpError(502), { data: [{ id: 1 }] });
+
+        expect(await restApiService.extractData(source({}))).toEqual({ items: [{ id: 1 }] });
+        expect(restApiService.delay.mock.calls).toEqual([[3000], [restApiService.RETRY_DELAY * 2]]);
+
+        serve(httpError(403));
+        await expect(restApiService.extractData(source({}))).rejects.toThrow(RestSourceAuthError);
+    });
+
+    test('caches client credentials tokens and fetches a new one when the API rejects it', async () => {
+        const post = jest.spyOn(axios, 'post')
+            .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+            .mockResolvedValueOnce({ data: { access_token: 'token-2', expires_in: 3600 } });
+        serve({ data: [] }, httpError(401), { data: [] });
+        const oauthSource = {
+            ...source({}),
+            credentials: { auth_type: 'oauth2_client_credentials', token_url: 'https://auth.example.com/token', client_id: 'c', client_secret: 's' }
+        };
+
+        await restApiService.extractData(oauthSource);
+        await restApiService.extractData(oauthSource);
+
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(requests.map(request => request.headers.Authorization)).toEqual(['Bearer token-1', 'Bearer token-1', 'Bearer token-2']);
+    });
+
+    test('rejects configs without resources and record paths that do not lead to a list', async () => {
+        await expect(restApiService.extractData({ credentials: {}, config: { base_url: 'https://api.example.com' } })).rejects.toThrow(RestSourceConfigError);
+
+        serve({ data: { items: { id: 1 } } });
+        await expect(restApiService.extractData(source({ record_path: 'items' }))).rejects.toThrow('Record path does not point to an array');
+    });
+
+    test('reports each resource when testing the connection, and previews one page', async () => {
+        serve({ data: [{ id: 1 }] }, httpError(404), { data: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+        const twoResources = source({});
+        twoResources.config.resources.push({ name: 'missing', path: '/missing' });
+
+        expect(await restApiService.testConnection(twoResources)).toEqual({
+            authenticated: true,
+            resources: [
+                { resource: 'items', reachable: true, error: null },
+                { resource: 'missing', reachable: false, error: 'REST request failed with status 404' }
+            ],
+            error: null
+        });
+        expect(await restApiService.preview(twoResources, 'items', 2)).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(await restApiService.preview(twoResources, 'orders', 2)).toBeNull();
+    });
+});
@@ -0,0 +1,56 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const axios = require('axios');
+const { Readable } = require('stream');
+const shopifyService = require('../../src/services/shopifyService');
+const shopifyBulkService = require('../../src/services/shopifyBulkService');
+const jobProcessor = require('../../src/services/jobProcessor');
+
+const credentials = { shop_url: 'https://store-a.myshopify.com', access_token: 'shpat_a' };
+const orders = { graphql_resource: 'orders' };
+
+// Answers the bulk operation with the given JSONL nodes; the spy records its query
+const completeWith = nodes => {
+    const buildQuery = jest.spyOn(shopifyBulkService, 'buildQuery');
+    jest.spyOn(shopifyBulkService, 'runQuery').mockResolvedValue({ id: 'gid://shopify/BulkOperation/1' });
+    jest.spyOn(shopifyBulkService, 'waitForCompletion').mockResolvedValue({ status: 'COMPLETED', url: 'https://storage.example.com/result.jsonl' });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: Readable.from(nodes.map(node => `${JSON.stringify(node)}\n`)) });
+    return buildQuery;
+};
+
+describe('shopifyBulkService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('always selects id and updated_at', () => {
+        expect(shopifyBulkService.buildQuery('orders', ['email', 'total_price']))
+            .toBe('{ orders { edges { node { id updatedAt email totalPriceSet { shopMoney { amount } } } } } }');
+        expect(shopifyBulkService.buildQuery('orders', [])).toBe('{ orders { edges { node { id updatedAt } } } }');
+    });
+
+    test('moves the watermark of an incremental run even when updated_at was not selected', async () => {
+        const buildQuery = completeWith([
+            { id: 'gid://shopify/Order/1', updatedAt: '2024-03-01T10:00:00Z', email: 'a@example.com' },
+            { id: 'gid://shopify/Order/2', updatedAt: '2024-03-02T10:00:00Z', email: 'b@example.com' },
+            { id: 'gid://shopify/LineItem/9', __parentId: 'gid://shopify/Order/2' }
+        ]);
+
+        const { records, watermark } = await shopifyService.fetchIncremental(credentials, '/orders.json', ['email'],
+            { updatedAt: '2024-02-01T00:00:00Z' },
+            { fetcher: (credentials, endpoint, fields, options) => shopifyBulkService.fetchData(credentials, orders, fields, options) });
+
+        expect(buildQuery.mock.results[0].value).toContain(`(query: "updated_at:>='2024-02-01T00:00:00.000Z'")`);
+        expect(records).toEqual([{ email: 'a@example.com' }, { email: 'b@example.com' }]);
+        expect(watermark).toEqual({ updatedAt: '2024-03-02T10:00:00Z', id: 2 });
+    });
+
+    test('falls back to REST when no fields are selected', () => {
+        const source = { extraction_mode: 'BULK' };
+
+        expect(jobProcessor.getExtractionMode(source, orders, ['email'])).toBe('BULK');
+        expect(jobProcessor.getExtractionMode(source, orders, [])).toBe('REST');
+        expect(jobProcessor.getExtractionMode(source, orders, ['customer.email'])).toBe('REST');
+        expect(jobProcessor.getExtractionMode(source, orders, ['email'], true)).toBe('REST');
+    });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const errorLogger = require('../../src/services/errorLogger');
+const shopifyService = require('../../src/services/shopifyService');
+const shopifyFieldDiscoveryService = require('../../src/services/shopifyFieldDiscoveryService');
+
+const source = { id: 3, credentials: { shop_name: 'store-a', shop_url: 'https://store-a.myshopify.com' } };
+
+const ORDERS = [
+    { id: 1, total_price: '19.99', created_at: '2024-03-01T10:00:00-05:00', test: false, customer: { email: 'a@example.com' }, line_items: [{ sku: 'A-1', quantity: 2 }] },
+    { id: 2, total_price: '5.00', created_at: '2024-03-02T10:00:00-05:00', test: false, customer: null, line_items: [{ sku: 'B-2', quantity: 1.5 }], note: 'Leave at door' }
+];
+
+describe('shopifyFieldDiscoveryService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('infers a typed path for every field, nested objects and array elements included', () => {
+        const fields = shopifyFieldDiscoveryService.inferFields(ORDERS);
+
+        expect(Object.fromEntries(fields.map(field => [field.fieldName, [field.fieldType, field.occurrences]]))).toEqual({
+            id: ['number', 2],
+            total_price: ['decimal', 2],
+            created_at: ['datetime', 2],
+            test: ['boolean', 2],
+            customer: ['object', 1],
+            'customer.email': ['string', 1],
+            line_items: ['array', 2],
+            'line_items[].sku': ['string', 2],
+            'line_items[].quantity': ['decimal', 2],
+            note: ['string', 1]
+        });
+        expect(fields.find(field => field.fieldName === 'customer.email').sampleValue).toBe('a@example.com');
+    });
+
+    test('proposes new fields and type changes, but not what is catalogued or was rejected', async () => {
+        db.query.mockImplementation(async (sql, values) => {
+            if (sql.includes('FROM shopify_api_fields')) {
+                return { rows: [{ field_name: 'id', field_type: 'number' }, { field_name: 'total_price', field_type: 'string' }] };
+            }
+            if (sql.includes('FROM shopify_field_proposals')) return { rows: [{ field_name: 'note', field_type: 'string' }] };
+            if (sql.includes('INSERT INTO shopify_field_proposals')) return { rows: [{ field_name: values[2], field_type: values[3] }] };
+            return { rows: [] };
+        });
+
+        const proposals = await shopifyFieldDiscoveryService.proposeChanges(
+            { id: 2 }, source, shopifyFieldDiscoveryService.inferFields(ORDERS), ORDERS.length
+        );
+
+        expect(proposals.map(proposal => proposal.field_name)).toEqual([
+            'total_price', 'created_at', 'test', 'customer', 'customer.email', 'line_items', 'line_items[].sku', 'line_items[].quantity'
+        ]);
+        expect(db.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO shopify_field_proposals'),
+            [2, 3, 'total_price', 'decimal', 'string', '"19.99"', 2, 2]
+        );
+    });
+
+    test('reports each API, carrying on past the ones that fail', async () => {
+        jest.spyOn(errorLogger, 'logError').mockResolvedValue(undefined);
+        db.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM shopify_apis')) {
+                return { rows: [{ id: 1, name: 'customers', endpoint: '/customers.json' }, { id: 2, name: 'orders', endpoint: '/orders.json' }] };
+            }
+            if (sql.includes('INSERT INTO shopify_field_proposals')) return { rows: [{}] };
+            return { rows: [] };
+        });
+        jest.spyOn(shopifyService, 'fetchSample').mockImplementation(async (credentials, endpoint) => {
+            if (endpoint === '/customers.json') throw new Error('Access denied for customers');
+            return ORDERS;
+        });
+
+        expect(await shopifyFieldDiscoveryService.discover(source, { sampleSize: 2 })).toEqual([
+            { api: 'customers', sampled: 0, discovered: 0, proposed: 0, error: 'Access denied for customers' },
+            { api: 'orders', sampled: 2, discovered: 10, proposed: 10 }
+        ]);
+        expect(shopifyService.fetchSample).toHaveBeenCalledWith(source.credentials, '/orders.json', [], 2);
+    });
+
+    test('writes accepted proposals to the catalog in one transaction', async () => {
+        db.query.mockImplementation(async (sql) => {
+            if (sql.includes('UPDATE shopify_field_proposals')) {
+                return { rows: [{ id: 8, api_id: 2, field_name: 'note', field_type: 'string' }] };
+            }
+            return { rows: [] };
+        });
+
+        expect(await shopifyFieldDiscoveryService.acceptProposals([8, 9], 1)).toEqual([{ id: 8, api_id: 2, field_name: 'note', field_type: 'string' }]);
+
+        const statements = db.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+        expect(statements).toEqual(['BEGIN', 'UPDATE shopify_field_proposals', 'INSERT INTO', 'COMMIT']);
+        expect(db.query.mock.calls[2][1]).toEqual(expect.arrayContaining([2, 'note', 'string']));
+    });
+});
@@ -0,0 +1,74 @@
+const shopifyRateLimiter = require('../../src/services/shopifyRateLimiter');
+
+describe('shopifyRateLimiter', () => {
+    let now;
+    let waits;
+
+    // A clock that only moves while the limiter waits
+    beforeEach(() => {
+        now = 1700000000000;
+        waits = [];
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(shopifyRateLimiter, 'delay').mockImplementation(async (ms) => {
+            waits.push(ms);
+            now += ms;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('charges one request per REST call and waits for the bucket to leak when full', async () => {
+        const key = 'rest-a.myshopify.com';
+        for (let call = 0; call < 38; call++) {
+            expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 0, cost: 1 });
+        }
+
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 500, cost: 1 });
+        expect(waits).toEqual([500]);
+    });
+
+    test('follows the call limit Shopify reports, and holds every caller after a 429', async () => {
+        const key = 'rest-b.myshopify.com';
+        shopifyRateLimiter.update(key, { 'x-shopify-shop-api-call-limit': '79/80' });
+
+        expect((await shopifyRateLimiter.acquire(key)).waited).toBe(2000);
+
+        shopifyRateLimiter.penalize(key, '3');
+        expect((await shopifyRateLimiter.acquire(key)).waited).toBeGreaterThanOrEqual(3000);
+    });
+
+    test('charges GraphQL calls their query cost, as Shopify last asked for it', async () => {
+        const key = 'graphql-a.myshopify.com:graphql';
+
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 0, cost: 10 });
+        shopifyRateLimiter.update(key, {}, { extensions: { cost: { requestedQueryCost: 300 } } }, 10);
+
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 0, cost: 300 });
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 0, cost: 300 });
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 0, cost: 300 });
+        // 910 of the 950 usable points are taken, so 260 must leak at 50 a second
+        expect(await shopifyRateLimiter.acquire(key)).toEqual({ waited: 5200, cost: 300 });
+    });
+
+    test('settles the charge against the actual cost, or the bucket status when reported', async () => {
+        const key = 'graphql-b.myshopify.com:graphql';
+        const bucket = shopifyRateLimiter.getBucket(key);
+
+        await shopifyRateLimiter.acquire(key, 200);
+        shopifyRateLimiter.update(key, {}, { extensions: { cost: { requestedQueryCost: 200, actualQueryCost: 12 } } }, 200);
+        expect(bucket.used).toBe(12);
+
+        shopifyRateLimiter.update(key, {}, {
+            extensions: { cost: { actualQueryCost: 12, throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1500, restoreRate: 100 } } }
+        }, 200);
+        expect(bucket).toMatchObject({ size: 2000, used: 500, leakRate: 100 });
+    });
+
+    test('never waits forever on a cost larger than the bucket', async () => {
+        const key = 'graphql-c.myshopify.com:graphql';
+
+        expect(await shopifyRateLimiter.acquire(key, 5000)).toEqual({ waited: 0, cost: 950 });
+    });
+});
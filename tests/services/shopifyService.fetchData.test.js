@@ -0,0 +1,109 @@
+const express = require('express');
+const shopifyConfig = require('../../src/config/shopify');
+const shopifyService = require('../../src/services/shopifyService');
+const { ShopifyAuthError, ShopifyRequestError } = require('../../src/errors/ShopifyError');
+
+const ORDERS = `/admin/api/${shopifyConfig.DEFAULT_API_VERSION}/orders.json`;
+
+// A shop answering three pages of orders, recording the requests it gets
+const createShop = () => {
+    const shop = { requests: [], failures: [] };
+    const orders = Array.from({ length: 5 }, (_, index) => ({ id: index + 1, name: `#${1001 + index}`, email: `buyer${index}@example.com` }));
+
+    const app = express();
+    app.get(ORDERS, (req, res) => {
+        shop.requests.push({ query: req.query, token: req.get('X-Shopify-Access-Token') });
+        if (req.get('X-Shopify-Access-Token') !== 'shpat_test') {
+            return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+        }
+        if (shop.failures.length) {
+            return res.status(shop.failures.shift()).json({ errors: 'Internal error' });
+        }
+
+        const start = req.query.page_info ? Number(req.query.page_info) : 0;
+        const limit = Math.min(Number(req.query.limit), 2);
+        const fields = req.query.fields ? String(req.query.fields).split(',') : null;
+        const page = orders.slice(start, start + limit).map(order => (
+            fields ? Object.fromEntries(fields.filter(field => field in order).map(field => [field, order[field]])) : order
+        ));
+
+        if (start + limit < orders.length) {
+            res.set('Link', `<http://${req.get('host')}${ORDERS}?limit=${limit}&page_info=${start + limit}>; rel="next"`);
+        }
+        res.json({ orders: page });
+    });
+
+    return { shop, app };
+};
+
+describe('shopifyService.fetchData', () => {
+    let server;
+    let shop;
+    let credentials;
+    const retryDelay = shopifyService.RETRY_DELAY;
+
+    beforeAll(async () => {
+        const created = createShop();
+        shop = created.shop;
+        server = await new Promise((resolve) => {
+            const listening = created.app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        credentials = { shop_url: `http://127.0.0.1:${server.address().port}`, access_token: 'shpat_test' };
+        shopifyService.RETRY_DELAY = 1;
+    });
+
+    afterAll(async () => {
+        shopifyService.RETRY_DELAY = retryDelay;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        shop.requests = [];
+        shop.failures = [];
+    });
+
+    test('follows the Link header through every page', async () => {
+        const orders = await shopifyService.fetchData(credentials, ORDERS);
+
+        expect(orders.map(order => order.id)).toEqual([1, 2, 3, 4, 5]);
+        expect(shop.requests).toHaveLength(3);
+        expect(shop.requests.every(request => request.token === 'shpat_test')).toBe(true);
+    });
+
+    test('sends default parameters on the first page only', async () => {
+        await shopifyService.fetchData(credentials, ORDERS);
+
+        expect(shop.requests[0].query).toEqual({ status: 'any', limit: String(shopifyService.PAGE_LIMIT) });
+        // Shopify rejects anything besides limit and fields alongside page_info
+        expect(shop.requests[1].query).toEqual({ limit: String(shopifyService.PAGE_LIMIT), page_info: '2' });
+    });
+
+    test('requests the selected fields and fills the missing ones with null', async () => {
+        const orders = await shopifyService.fetchData(credentials, ORDERS, ['id', 'email', 'note']);
+
+        expect(shop.requests.every(request => request.query.fields === 'id,email,note')).toBe(true);
+        expect(orders[0]).toEqual({ id: 1, email: 'buyer0@example.com', note: null });
+    });
+
+    test('retries server errors', async () => {
+        shop.failures = [500, 503];
+
+        const orders = await shopifyService.fetchData(credentials, ORDERS, ['id']);
+
+        expect(orders).toHaveLength(5);
+        expect(shop.requests).toHaveLength(5);
+    });
+
+    test('gives up after the last attempt', async () => {
+        shop.failures = Array(shopifyService.MAX_RETRY_ATTEMPTS).fill(500);
+
+        await expect(shopifyService.fetchData(credentials, ORDERS)).rejects.toBeInstanceOf(ShopifyRequestError);
+        expect(shop.requests).toHaveLength(shopifyService.MAX_RETRY_ATTEMPTS);
+    });
+
+    test('does not retry a rejected access token', async () => {
+        await expect(shopifyService.fetchData({ ...credentials, access_token: 'wrong' }, ORDERS))
+            .rejects.toBeInstanceOf(ShopifyAuthError);
+        expect(shop.requests).toHaveLength(1);
+    });
+});
@@ -0,0 +1,61 @@
+const shopifyService = require('../../src/services/shopifyService');
+
+const credentials = { shop_url: 'https://store-a.myshopify.com', access_token: 'shpat_a' };
+
+// fetchData answering with the given records, recording what it was asked for
+const fetchDataOf = (records) => {
+    const calls = [];
+    jest.spyOn(shopifyService, 'fetchData').mockImplementation(async (credentials, endpoint, fields, options) => {
+        calls.push({ endpoint, fields, params: options.params });
+        return records;
+    });
+    return calls;
+};
+
+describe('shopifyService.fetchIncremental', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('asks for records updated since the watermark, with the fields it tracks', async () => {
+        const calls = fetchDataOf([]);
+
+        await shopifyService.fetchIncremental(credentials, '/orders.json', ['email'], { updatedAt: '2024-03-01T10:00:00+01:00', id: 7 });
+
+        expect(calls).toEqual([{ endpoint: '/orders.json', fields: ['email', 'id', 'updated_at'], params: { updated_at_min: '2024-03-01T09:00:00.000Z' } }]);
+    });
+
+    test('skips records delivered at the watermark and moves it to the newest record', async () => {
+        fetchDataOf([
+            { id: 5, email: 'a@example.com', updated_at: '2024-03-01T10:00:00Z' },
+            { id: 9, email: 'b@example.com', updated_at: '2024-03-01T10:00:00Z' },
+            { id: 3, email: 'c@example.com', updated_at: '2024-03-02T08:00:00Z' },
+            { id: 11, email: 'd@example.com', updated_at: '2024-03-01T12:00:00Z' }
+        ]);
+
+        const { records, watermark } = await shopifyService.fetchIncremental(
+            credentials, '/orders.json', ['email'], { updatedAt: '2024-03-01T10:00:00Z', id: 7 }
+        );
+
+        expect(records).toEqual([{ email: 'b@example.com' }, { email: 'c@example.com' }, { email: 'd@example.com' }]);
+        expect(watermark).toEqual({ updatedAt: '2024-03-02T08:00:00Z', id: 3 });
+    });
+
+    test('breaks ties on updated_at by id', () => {
+        const watermark = { updatedAt: '2024-03-01T10:00:00Z', id: 7 };
+
+        expect(shopifyService.advanceWatermark(watermark, { id: 8, updated_at: '2024-03-01T10:00:00Z' })).toEqual({ updatedAt: '2024-03-01T10:00:00Z', id: 8 });
+        expect(shopifyService.advanceWatermark(watermark, { id: 6, updated_at: '2024-03-01T10:00:00Z' })).toBe(watermark);
+        expect(shopifyService.advanceWatermark(watermark, { id: 1, updated_at: '2024-02-01T00:00:00Z' })).toBe(watermark);
+    });
+
+    test('starts from scratch and keeps every field without a watermark or a selection', async () => {
+        const record = { id: 1, email: 'a@example.com', updated_at: '2024-03-01T10:00:00Z' };
+        const calls = fetchDataOf([record]);
+
+        const result = await shopifyService.fetchIncremental(credentials, '/orders.json', [], {});
+
+        expect(calls[0]).toMatchObject({ fields: [], params: {} });
+        expect(result).toEqual({ records: [record], watermark: { updatedAt: '2024-03-01T10:00:00Z', id: 1 } });
+    });
+});
@@ -0,0 +1,81 @@
+const shopifyService = require('../../src/services/shopifyService');
+
+const credentials = { shop_url: 'https://store-a.myshopify.com', access_token: 'shpat_a', api_version: '2026-07' };
+
+const APIS = [
+    { name: 'orders', endpoint: '/admin/api/{api_version}/orders.json' },
+    { name: 'products', endpoint: '/admin/api/{api_version}/products.json' },
+    { name: 'customers', endpoint: '/admin/api/{api_version}/customers.json' }
+];
+
+// Answers like the Admin API for the shop, its scopes and each resource,
+// failing the resources listed in `failing`
+const respond = (scopes, failing = []) => async (credentials, config) => {
+    const resource = config.url.split('/').pop().replace(/\.json$/, '');
+    if (resource === 'shop') {
+        return { data: { shop: { name: 'Store A', myshopify_domain: 'store-a.myshopify.com', plan_name: 'basic' } } };
+    }
+    if (resource === 'access_scopes') {
+        return { data: { access_scopes: scopes.map(handle => ({ handle })) } };
+    }
+    if (failing.includes(resource)) throw new Error('Request failed with status code 403');
+    return { data: { [resource]: [{ id: 1 }] } };
+};
+
+describe('shopifyService.testConnection', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports the shop, its scopes and whether each API is reachable', async () => {
+        jest.spyOn(shopifyService, 'request').mockImplementation(respond(['write_orders', 'read_products'], ['customers']));
+
+        const result = await shopifyService.testConnection(credentials, APIS);
+
+        expect(result).toEqual({
+            authenticated: true,
+            shop: { name: 'Store A', domain: 'store-a.myshopify.com', plan: 'basic' },
+            scopes: ['write_orders', 'read_products'],
+            apis: [
+                { api: 'orders', reachable: true, requiredScope: 'read_orders', hasScope: true, error: null },
+                { api: 'products', reachable: true, requiredScope: 'read_products', hasScope: true, error: null },
+                { api: 'customers', reachable: false, requiredScope: 'read_customers', hasScope: false, error: 'Request failed with status code 403' }
+            ],
+            error: null
+        });
+    });
+
+    test('stops at a token the shop rejects', async () => {
+        const request = jest.spyOn(shopifyService, 'request').mockRejectedValue(new Error('Invalid API key or access token'));
+
+        const result = await shopifyService.testConnection(credentials, APIS);
+
+        expect(result).toMatchObject({ authenticated: false, shop: null, apis: [], error: 'Invalid API key or access token' });
+        expect(request).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('shopifyService.fetchSample', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('asks for one page of the requested size with the selected fields', async () => {
+        const request = jest.spyOn(shopifyService, 'request').mockResolvedValue({ data: { orders: [{ id: 1 }, { id: 2 }] } });
+
+        const records = await shopifyService.fetchSample(credentials, APIS[0].endpoint, ['id', 'customer.email'], 2);
+
+        expect(records).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(request).toHaveBeenCalledWith(credentials, {
+            method: 'get',
+            url: 'https://store-a.myshopify.com/admin/api/2026-07/orders.json',
+            params: { status: 'any', limit: 2, fields: 'id,customer' }
+        }, undefined);
+    });
+
+    test('returns nothing when the response has no records', async () => {
+        jest.spyOn(shopifyService, 'request').mockResolvedValue({ data: {} });
+
+        expect(await shopifyService.fetchSample(credentials, APIS[1].endpoint)).toEqual([]);
+    });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const shopifyService = require('../../src/services/shopifyService');
+const shopifyVersionService = require('../../src/services/shopifyVersionService');
+const notificationService = require('../../src/services/notificationService');
+const { ShopifyVersionError } = require('../../src/errors/ShopifyError');
+
+const DAY_MS = 86400000;
+const day = offset => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+
+const VERSIONS = {
+    next: { version: '2027-01', release_date: day(30), sunset_date: day(395) },
+    current: { version: '2026-07', release_date: day(-60), sunset_date: day(305) },
+    retiring: { version: '2026-01', release_date: day(-300), sunset_date: day(60) },
+    retired: { version: '2025-07', release_date: day(-400), sunset_date: day(-35) }
+};
+
+const source = apiVersion => ({
+    id: 5,
+    user_id: 1,
+    credentials: { shop_name: 'store-a', shop_url: 'https://store-a.myshopify.com', access_token: 'shpat_a', api_version: apiVersion }
+});
+
+describe('shopifyVersionService', () => {
+    let recentWarning;
+
+    beforeEach(() => {
+        recentWarning = false;
+        db.query.mockReset();
+        db.query.mockImplementation(async (sql, values) => {
+            if (sql.includes('WHERE version = $1')) {
+                return { rows: Object.values(VERSIONS).filter(version => version.version === values[0]) };
+            }
+            if (sql.includes('FROM shopify_api_versions')) return { rows: Object.values(VERSIONS) };
+            if (sql.includes('FROM notifications')) return { rows: recentWarning ? [{ id: 1 }] : [] };
+            return { rows: [] };
+        });
+        jest.spyOn(notificationService, 'createNotification').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rates versions by how close their sunset is', () => {
+        const now = new Date('2026-10-19T00:00:00Z');
+
+        expect(shopifyVersionService.getStatus({ sunset_date: '2027-07-01' }, now)).toBe('supported');
+        expect(shopifyVersionService.getStatus({ sunset_date: '2027-01-01' }, now)).toBe('deprecated');
+        expect(shopifyVersionService.getStatus({ sunset_date: '2026-10-01' }, now)).toBe('unsupported');
+    });
+
+    test('picks the newest released version that is not retiring', async () => {
+        expect(shopifyVersionService.getLatestSupported(await shopifyVersionService.getVersions())).toMatchObject({ version: '2026-07' });
+    });
+
+    test('leaves sources on a supported version alone', async () => {
+        await shopifyVersionService.checkSourceVersion(source('2026-07'));
+
+        expect(notificationService.createNotification).not.toHaveBeenCalled();
+    });
+
+    test('warns the owner of a retired version once per interval, naming the version to move to', async () => {
+        await shopifyVersionService.checkSourceVersion(source('2025-07'));
+
+        expect(notificationService.createNotification).toHaveBeenCalledWith(
+            1,
+            'api_version_sunset',
+            expect.stringContaining('which was retired on'),
+            expect.objectContaining({ sourceId: '5', apiVersion: '2025-07', latestVersion: '2026-07' }),
+            'urgent'
+        );
+
+        recentWarning = true;
+        await shopifyVersionService.checkSourceVersion(source('2026-01'));
+        expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses an upgrade that loses selected fields unless forced', async () => {
+        db.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM source_selected_apis')) {
+                return { rows: [{ id: 2, name: 'orders', endpoint: '/orders.json', selected_fields: ['id', 'email', 'gateway'] }] };
+            }
+            if (sql.includes('UPDATE sources')) return { rows: [{ id: 5, api_version: '2026-07' }] };
+            return { rows: [] };
+        });
+        jest.spyOn(shopifyService, 'fetchSample').mockResolvedValue([{ id: 1, email: 'a@example.com' }]);
+
+        await expect(shopifyVersionService.upgradeSourceVersion(source('2025-07'), '2026-07')).rejects.toThrow(ShopifyVersionError);
+
+        const { source: upgraded, checks } = await shopifyVersionService.upgradeSourceVersion(source('2025-07'), '2026-07', { force: true });
+        expect(upgraded).toEqual({ id: 5, api_version: '2026-07' });
+        expect(checks).toEqual([{ api: 'orders', verified: true, missingFields: ['gateway'], error: null }]);
+    });
+});
+
+describe('notificationService', () => {
+    test('refuses types it does not define', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(notificationService.createNotification(1, 'source_exploded', 'Boom')).rejects.toThrow('Unknown notification type: source_exploded');
+        expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO notifications'), expect.anything());
+    });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../src/config/database');
+const shopifyWebhookService = require('../../src/services/shopifyWebhookService');
+const { ShopifyWebhookError } = require('../../src/errors/ShopifyError');
+
+const SECRET = 'shared_app_secret';
+const sign = body => crypto.createHmac('sha256', SECRET).update(body).digest('base64');
+
+const source = { id: 3, credentials: { shop_url: 'https://store-b.myshopify.com', access_token: 'shpat_b' } };
+const rawBody = Buffer.from(JSON.stringify({ id: 450789469 }));
+const headers = (overrides = {}) => ({
+    'x-shopify-topic': 'orders/updated',
+    'x-shopify-hmac-sha256': sign(rawBody),
+    'x-shopify-shop-domain': 'store-b.myshopify.com',
+    'x-shopify-webhook-id': 'b54557e4',
+    ...overrides
+});
+
+describe('shopifyWebhookService', () => {
+    const apiSecret = process.env.SHOPIFY_API_SECRET;
+
+    beforeAll(() => {
+        process.env.SHOPIFY_API_SECRET = SECRET;
+    });
+
+    afterAll(() => {
+        process.env.SHOPIFY_API_SECRET = apiSecret;
+    });
+
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [{ id: 1 }] });
+    });
+
+    test('verifyHmac accepts the base64 SHA-256 HMAC of the raw body only', () => {
+        expect(shopifyWebhookService.verifyHmac(rawBody, sign(rawBody), SECRET)).toBe(true);
+        expect(shopifyWebhookService.verifyHmac(Buffer.from('{"id":1}'), sign(rawBody), SECRET)).toBe(false);
+        expect(shopifyWebhookService.verifyHmac(rawBody, sign(rawBody), 'other_secret')).toBe(false);
+        expect(shopifyWebhookService.verifyHmac(rawBody, 'short', SECRET)).toBe(false);
+        expect(shopifyWebhookService.verifyHmac(rawBody, undefined, SECRET)).toBe(false);
+    });
+
+    test('stores a signed delivery for the source\'s shop', async () => {
+        const result = await shopifyWebhookService.receive(source, headers(), rawBody, { id: 450789469 });
+
+        expect(result).toEqual({ event: { id: 1 }, duplicate: false });
+        expect(db.query.mock.calls[0][1]).toEqual([3, 'b54557e4', 'orders/updated', 'store-b.myshopify.com', { id: 450789469 }]);
+    });
+
+    test('reports a delivery it already stored as a duplicate', async () => {
+        db.query.mockResolvedValue({ rows: [] });
+
+        await expect(shopifyWebhookService.receive(source, headers(), rawBody, {})).resolves.toEqual({ event: null, duplicate: true });
+    });
+
+    test('rejects a bad signature', async () => {
+        await expect(shopifyWebhookService.receive(source, headers({ 'x-shopify-hmac-sha256': sign(Buffer.from('x')) }), rawBody, {}))
+            .rejects.toThrow('Webhook HMAC verification failed');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects a delivery signed for another shop sharing the app secret', async () => {
+        const delivery = headers({ 'x-shopify-shop-domain': 'store-a.myshopify.com' });
+
+        await expect(shopifyWebhookService.receive(source, delivery, rawBody, {})).rejects.toBeInstanceOf(ShopifyWebhookError);
+        await expect(shopifyWebhookService.receive(source, headers({ 'x-shopify-shop-domain': undefined }), rawBody, {}))
+            .rejects.toThrow('Webhook was sent for another shop');
+        expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('matches sources known by shop name only, ignoring case', async () => {
+        const named = { id: 4, credentials: { shop_name: 'store-b' } };
+
+        await expect(shopifyWebhookService.receive(named, headers({ 'x-shopify-shop-domain': 'Store-B.myshopify.com' }), rawBody, {}))
+            .resolves.toMatchObject({ duplicate: false });
+    });
+});
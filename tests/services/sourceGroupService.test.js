@@ -0,0 +1,65 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/database');
+const shopifyService = require('../../src/services/shopifyService');
+const shopifyVersionService = require('../../src/services/shopifyVersionService');
+const sourceGroupService = require('../../src/services/sourceGroupService');
+const jobProcessor = require('../../src/services/jobProcessor');
+
+const group = { id: 7, user_id: 1, name: 'All stores', failure_policy: 'CONTINUE', selected_apis: [{ api_id: 2, fields: ['id', 'email'] }] };
+const members = [
+    { id: 3, api_type_name: 'Shopify', credentials: { shop_name: 'store-a', shop_url: 'https://store-a.myshopify.com' } },
+    { id: 4, api_type_name: 'Shopify', credentials: { shop_name: 'store-b', shop_url: 'https://store-b.myshopify.com' } }
+];
+const orders = { id: 2, name: 'orders', endpoint: '/orders.json', supports_incremental: true, parent_api_id: null };
+
+describe('sourceGroupService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+        db.query.mockResolvedValue({ rows: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('applies a group without touching the members\' own selections', async () => {
+        await sourceGroupService.applyGroup(7, [3, 4], group.selected_apis);
+
+        const statements = db.query.mock.calls.map(([sql]) => sql);
+        expect(statements.some(sql => sql.includes('source_selected_apis'))).toBe(false);
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM source_group_selections'), [7, [3, 4], [2]]);
+        expect(db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO source_group_selections')).map(([, values]) => values))
+            .toEqual([[7, 3, 2], [7, 4, 2]]);
+    });
+
+    test('extracts every member with the group\'s fields and moves only the group\'s watermarks', async () => {
+        db.query.mockImplementation(async (sql, values) => {
+            if (sql.includes('FROM source_groups WHERE id')) return { rows: [group] };
+            if (sql.includes('FROM source_group_members')) return { rows: members };
+            if (sql.includes('FROM source_group_selections')) {
+                return { rows: [{ ...orders, selection_id: 10 + values[1], group_id: 7, watermark_updated_at: null, watermark_id: null }] };
+            }
+            return { rows: [] };
+        });
+        jest.spyOn(shopifyVersionService, 'checkSourceVersion').mockResolvedValue(null);
+        const fetchData = jest.spyOn(shopifyService, 'fetchData').mockImplementation(async credentials => [
+            { id: credentials.shop_name === 'store-a' ? 1 : 2, email: `${credentials.shop_name}@example.com`, updated_at: '2024-03-01T10:00:00Z' }
+        ]);
+
+        const jobContext = { pendingWatermarks: [], sourceFailures: [] };
+        const data = await jobProcessor.extractGroupData(7, jobContext);
+
+        expect(fetchData.mock.calls.map(([, , fields]) => fields)).toEqual([['id', 'email', 'updated_at'], ['id', 'email', 'updated_at']]);
+        expect(data.orders).toEqual([
+            { shop_name: 'store-a', id: 1, email: 'store-a@example.com' },
+            { shop_name: 'store-b', id: 2, email: 'store-b@example.com' }
+        ]);
+
+        db.query.mockClear();
+        await jobProcessor.commitWatermarks(jobContext);
+
+        expect(db.query.mock.calls.map(([sql, values]) => [sql.match(/UPDATE (\w+)/)[1], values[2]]))
+            .toEqual([['source_group_selections', 13], ['source_group_selections', 14]]);
+    });
+});
@@ -0,0 +1,67 @@
+const transformationService = require('../../src/services/transformationService');
+
+const extract = () => ({
+    orders: [
+        { id: 1, total_price: '25.90', confirmed: 'yes', first_name: 'Jane', last_name: 'Doe', shipping_address: { city: 'Lyon' } },
+        { id: 2, total_price: 'n/a', confirmed: 'maybe', first_name: '', last_name: 'Roe', shipping_address: null }
+    ]
+});
+
+const run = steps => transformationService.applyTransformations(extract(), steps);
+
+describe('transformationService', () => {
+    test('lists the registered types with their options', () => {
+        const types = transformationService.getTypes();
+
+        expect(types.map(type => type.name)).toEqual(expect.arrayContaining(['CAST', 'CONCATENATE', 'TOSTRING']));
+        expect(types.find(type => type.name === 'CAST')).toEqual({
+            name: 'CAST',
+            description: 'Convert data type',
+            example: 'CAST(field AS INTEGER)',
+            options: { to: expect.stringContaining('integer') }
+        });
+    });
+
+    test('casts values and reports the ones it cannot convert, keeping them as they were', async () => {
+        const { data, report } = await run([
+            { api: 'orders', field: 'total_price', type: 'CAST', configuration: { to: 'number' } },
+            { api: 'orders', field: 'confirmed', type: 'CAST', configuration: { to: 'BOOLEAN' } }
+        ]);
+
+        expect(data.orders.map(order => [order.total_price, order.confirmed])).toEqual([[25.9, true], ['n/a', 'maybe']]);
+        expect(report.errorCount).toBe(2);
+        expect(report.errors).toEqual([
+            expect.objectContaining({ step: 0, record: 1, value: 'n/a', message: 'Value is not a number' }),
+            expect.objectContaining({ step: 1, record: 1, value: 'maybe', message: 'Value is not a boolean' })
+        ]);
+    });
+
+    test('joins fields without doubled separators and converts objects to text', async () => {
+        const { data } = await run([
+            { api: 'orders', field: 'name', type: 'CONCATENATE', configuration: { fields: ['first_name', 'last_name'], separator: ' ' } },
+            { api: 'orders', field: 'shipping_address', type: 'TOSTRING' }
+        ]);
+
+        expect(data.orders.map(order => order.name)).toEqual(['Jane Doe', 'Roe']);
+        expect(data.orders.map(order => order.shipping_address)).toEqual(['{"city":"Lyon"}', null]);
+    });
+
+    test('describes the problems of every invalid step', () => {
+        expect(transformationService.validateConfiguration([
+            { api: 'orders', field: 'id', type: 'ROUND' },
+            { api: 'orders', type: 'CAST', configuration: { to: 'integer' } },
+            { api: 'orders', field: 'id', type: 'CAST', configuration: { to: 'decimal' } }
+        ]).map(error => [error.index, error.message])).toEqual([
+            [0, expect.stringMatching(/^Invalid transformation type: ROUND/)],
+            [1, 'Field name is required'],
+            [2, expect.stringMatching(/^"to" must be one of/)]
+        ]);
+    });
+
+    test('reports steps on datasets that were not extracted', async () => {
+        const { data, report } = await run([{ api: 'products', field: 'id', type: 'TOSTRING' }]);
+
+        expect(data).toEqual(extract());
+        expect(report.errors.map(error => error.message)).toEqual(['Dataset products was not extracted']);
+    });
+});
@@ -0,0 +1,104 @@
+const transformationService = require('../../../src/services/transformationService');
+
+const extract = () => ({
+    orders: [
+        { id: 1, created_at: '2024-03-04T09:00:00Z', currency: 'EUR', total_price: '10.10', email: 'b@example.com' },
+        { id: 2, created_at: '2024-03-04T18:00:00Z', currency: 'EUR', total_price: '0.20', email: 'a@example.com' },
+        { id: 3, created_at: '2024-03-06T10:00:00Z', currency: 'USD', total_price: '', email: 'a@example.com' },
+        { id: 4, created_at: '2024-03-11T10:00:00Z', currency: 'EUR', total_price: '5', email: null }
+    ]
+});
+
+const aggregate = configuration => ({
+    api: 'orders',
+    type: 'AGGREGATE',
+    configuration: { dataset: 'sales', measures: [{ function: 'count', as: 'orders' }], ...configuration }
+});
+
+const run = (steps, data = extract()) => transformationService.applyTransformations(data, steps);
+
+describe('AGGREGATE transformation', () => {
+    test('writes a summary dataset and leaves the source records alone', async () => {
+        const { data, report } = await run([aggregate({
+            group_by: ['currency'],
+            measures: [
+                { function: 'sum', field: 'total_price', as: 'revenue' },
+                { function: 'count', as: 'orders' },
+                { function: 'count_distinct', field: 'email', as: 'buyers' }
+            ]
+        })]);
+
+        expect(data.sales).toEqual([
+            { currency: 'EUR', revenue: 15.3, orders: 3, buyers: 2 },
+            { currency: 'USD', revenue: null, orders: 1, buyers: 1 }
+        ]);
+        expect(data.orders).toHaveLength(4);
+        expect(report.steps[0]).toMatchObject({ type: 'AGGREGATE', dataset: 'sales', groups: 2 });
+    });
+
+    test('buckets dates by day, Monday weeks and month', async () => {
+        const { data } = await run([
+            aggregate({ dataset: 'daily', group_by: [{ field: 'created_at', bucket: 'day', as: 'day' }] }),
+            aggregate({ dataset: 'weekly', group_by: [{ field: 'created_at', bucket: 'week', as: 'week' }] }),
+            aggregate({ dataset: 'monthly', group_by: [{ field: 'created_at', bucket: 'month', as: 'month' }] })
+        ]);
+
+        expect(data.daily).toEqual([{ day: '2024-03-04', orders: 2 }, { day: '2024-03-06', orders: 1 }, { day: '2024-03-11', orders: 1 }]);
+        expect(data.weekly).toEqual([{ week: '2024-03-04', orders: 3 }, { week: '2024-03-11', orders: 1 }]);
+        expect(data.monthly).toEqual([{ month: '2024-03-01', orders: 4 }]);
+    });
+
+    test('leaves out records with values it cannot use, and reports them', async () => {
+        const data = extract();
+        data.orders[1].total_price = 'free';
+
+        const { data: result, report } = await run([aggregate({ measures: [{ function: 'sum', field: 'total_price' }] })], data);
+
+        expect(result.sales).toEqual([{ sum_total_price: 15.1 }]);
+        expect(report.errors).toEqual([expect.objectContaining({ step: 0, record: 1, message: 'Cannot use "free" as a number' })]);
+    });
+
+    test('summarizing into the source\'s own name replaces its records', async () => {
+        const { data } = await run([aggregate({ dataset: 'orders', group_by: ['currency'] })]);
+
+        expect(data.orders).toEqual([{ currency: 'EUR', orders: 3 }, { currency: 'USD', orders: 1 }]);
+    });
+
+    test('rejects unknown buckets and clashing output columns', async () => {
+        const messages = async configuration => (await run([aggregate(configuration)])).report.errors.map(error => error.message);
+
+        expect(await messages({ group_by: [{ field: 'created_at', bucket: 'hour' }] })).toEqual(['group_by[0].bucket must be one of: day, week, month']);
+        expect(await messages({ group_by: ['orders'] })).toEqual(['Output columns must be unique; use "as" to rename: orders']);
+    });
+});
+
+describe('AGGREGATE date buckets across time zones', () => {
+    const orders = () => ({
+        orders: [
+            { id: 1, created_at: '2024-03-31T23:30:00-04:00' },
+            { id: 2, created_at: '2024-04-01T00:30:00-04:00' },
+            { id: 3, created_at: '2024-03-31T22:30:00Z' }
+        ]
+    });
+    const byDay = configuration => aggregate({ group_by: [{ field: 'created_at', bucket: 'day', as: 'day' }], ...configuration });
+    const byMonth = configuration => aggregate({ group_by: [{ field: 'created_at', bucket: 'month', as: 'month' }], ...configuration });
+
+    test('default to the offset each value was written with', async () => {
+        const { data } = await run([byDay(), byMonth({ dataset: 'monthly' })], orders());
+
+        expect(data.sales).toEqual([{ day: '2024-03-31', orders: 2 }, { day: '2024-04-01', orders: 1 }]);
+        expect(data.monthly).toEqual([{ month: '2024-03-01', orders: 2 }, { month: '2024-04-01', orders: 1 }]);
+    });
+
+    test('follow the calendar of a configured time zone', async () => {
+        const { data } = await run([byDay({ timezone: 'Europe/Paris' })], orders());
+
+        expect(data.sales).toEqual([{ day: '2024-04-01', orders: 3 }]);
+    });
+
+    test('reject a time zone that does not exist', async () => {
+        const { report } = await run([byDay({ timezone: 'Mars/Olympus' })], orders());
+
+        expect(report.errors.map(error => error.message)).toEqual(['"timezone" must be an IANA time zone such as Europe/Paris']);
+    });
+});
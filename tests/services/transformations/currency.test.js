@@ -0,0 +1,122 @@
+jest.mock('../../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/config/database');
+const transformationService = require('../../../src/services/transformationService');
+const currencyRateService = require('../../../src/services/currencyRateService');
+const { CurrencyRateImportError } = require('../../../src/errors/CurrencyRateError');
+
+// Rates into EUR, sorted by date as getRatesInto returns them
+const RATES_INTO_EUR = new Map([
+    ['USD', [{ date: '2024-03-01', rate: 0.9 }, { date: '2024-03-04', rate: 0.92 }]],
+    ['GBP', [{ date: '2024-01-02', rate: 1.15 }]]
+]);
+
+const extract = () => ({
+    orders: [
+        { id: 1, total_price: '10.00', currency: 'USD', created_at: '2024-03-03T23:30:00-05:00' },
+        { id: 2, total_price: '10.00', currency: 'usd', created_at: '2024-03-04T08:00:00+01:00' },
+        { id: 3, total_price: '7.25', currency: 'EUR', created_at: '2024-03-04T08:00:00Z' },
+        { id: 4, total_price: '', currency: 'USD', created_at: '2024-03-04T08:00:00Z' },
+        { id: 5, total_price: '20.00', currency: 'GBP', created_at: '2024-03-04T08:00:00Z' },
+        { id: 6, total_price: '5.00', currency: 'USD', created_at: '2024-02-28T08:00:00Z' }
+    ]
+});
+
+const convert = configuration => ({
+    api: 'orders',
+    field: 'total_price',
+    type: 'CONVERT_CURRENCY',
+    configuration: { rate_table_id: 2, to: 'EUR', ...configuration }
+});
+
+const run = steps => transformationService.applyTransformations(extract(), steps);
+
+describe('CONVERT_CURRENCY transformation', () => {
+    beforeEach(() => {
+        jest.spyOn(currencyRateService, 'getRatesInto').mockResolvedValue(RATES_INTO_EUR);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('converts at the latest rate on or before each record\'s own day', async () => {
+        const { data, report } = await run([convert({ rate_field: 'eur_rate' })]);
+
+        expect(data.orders.map(order => [order.total_price_eur, order.eur_rate])).toEqual([
+            [9, 0.9], [9.2, 0.92], [7.25, 1], [null, null], [23, 1.15], [null, null]
+        ]);
+        expect(report.steps[0]).toMatchObject({ type: 'CONVERT_CURRENCY', currency: 'EUR', converted: 4 });
+        expect(report.errors).toEqual([
+            expect.objectContaining({ step: 0, record: 5, value: '5.00', message: 'No USD to EUR rate on or before 2024-02-28' })
+        ]);
+    });
+
+    test('fails records whose rate is too old when max_age_days is set', async () => {
+        const { data, report } = await run([convert({ max_age_days: 7, target: 'eur' })]);
+
+        expect(data.orders[4].eur).toBeNull();
+        expect(report.errors.map(error => error.message)).toContain(
+            'Latest GBP to EUR rate before 2024-03-04 is from 2024-01-02, more than 7 day(s) old'
+        );
+    });
+
+    test('rounds with the configured mode and decimals', async () => {
+        currencyRateService.getRatesInto.mockResolvedValue(new Map([['USD', [{ date: '2024-01-01', rate: 0.125 }]]]));
+
+        const amounts = async configuration => (await run([convert(configuration)])).data.orders[0].total_price_eur;
+
+        expect(await amounts({})).toBe(1.25);
+        expect(await amounts({ decimals: 1 })).toBe(1.3);
+        expect(await amounts({ decimals: 1, rounding: 'half_even' })).toBe(1.2);
+        expect(await amounts({ decimals: 0, rounding: 'up' })).toBe(2);
+        expect(await amounts({ rounding: 'none', decimals: 0 })).toBe(1.25);
+    });
+
+    test('rejects bad configurations and reports a rate table that no longer exists', async () => {
+        expect(transformationService.validateConfiguration([
+            convert({ to: 'euro', rounding: 'bankers' }),
+            { ...convert({}), field: 'line_items[].price' }
+        ]).map(error => [error.index, error.message])).toEqual([
+            [0, '"to" must be a 3-letter ISO currency code such as EUR'],
+            [0, expect.stringMatching(/^"rounding" must be one of/)],
+            [1, expect.stringMatching(/^Currency conversion cannot walk into arrays/)]
+        ]);
+
+        currencyRateService.getRatesInto.mockResolvedValue(null);
+        const { report } = await run([convert({})]);
+
+        expect(report.errors.map(error => error.message)).toEqual(['Currency rate table 2 not found']);
+    });
+});
+
+describe('currencyRateService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+    });
+
+    test('reads rates into a currency, inverting rates stored the other way round', async () => {
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+            .mockResolvedValueOnce({
+                rows: [
+                    { from_currency: 'USD', to_currency: 'EUR', rate_date: '2024-03-04', rate: 0.92 },
+                    { from_currency: 'EUR', to_currency: 'USD', rate_date: '2024-03-04', rate: 1.2 },
+                    { from_currency: 'EUR', to_currency: 'USD', rate_date: '2024-03-01', rate: 1.25 }
+                ]
+            });
+
+        expect(await currencyRateService.getRatesInto(2, 'EUR')).toEqual(new Map([
+            ['USD', [{ date: '2024-03-01', rate: 0.8 }, { date: '2024-03-04', rate: 0.92 }]]
+        ]));
+    });
+
+    test('reads CSV rates in any column order and names the line of a bad one', () => {
+        expect(currencyRateService.parseCsv('Rate,Date,From,To\n0.92,2024-03-04,usd,eur\n')).toEqual([
+            { from: 'USD', to: 'EUR', date: '2024-03-04', rate: 0.92 }
+        ]);
+        expect(() => currencyRateService.parseCsv('date,from,to\n2024-03-04,USD,EUR\n')).toThrow('Missing column(s): rate');
+        expect(() => currencyRateService.parseCsv('date,from,to,rate\n2024-03-04,USD,EUR,1\n2024-02-30,USD,EUR,1\n'))
+            .toThrow(new CurrencyRateImportError('Line 3: date must be YYYY-MM-DD'));
+    });
+});
@@ -0,0 +1,67 @@
+const transformationService = require('../../../src/services/transformationService');
+
+const extract = () => ({
+    orders: [
+        { id: 1, name: '#1001', tags: ['gift', 'vip'], line_items: [{ sku: 'A-1', quantity: 2 }, { sku: 'B-2', gift_card: true }] },
+        { id: 2, name: '#1002', tags: [], line_items: [] },
+        { id: 3, name: '#1003', tags: null }
+    ]
+});
+
+const explode = (field, configuration) => ({ api: 'orders', field, type: 'EXPLODE', configuration });
+
+const run = steps => transformationService.applyTransformations(extract(), steps);
+
+describe('EXPLODE transformation', () => {
+    test('gives each element a row with the parent\'s fields and every element key of the dataset', async () => {
+        const { data, report } = await run([explode('line_items', { index_field: 'line_number' })]);
+
+        expect(data.orders).toEqual([
+            { id: 1, name: '#1001', tags: ['gift', 'vip'], line_items_sku: 'A-1', line_items_quantity: 2, line_items_gift_card: null, line_number: 1 },
+            { id: 1, name: '#1001', tags: ['gift', 'vip'], line_items_sku: 'B-2', line_items_quantity: null, line_items_gift_card: true, line_number: 2 },
+            { id: 2, name: '#1002', tags: [], line_items_sku: null, line_items_quantity: null, line_items_gift_card: null, line_number: null },
+            { id: 3, name: '#1003', tags: null, line_items_sku: null, line_items_quantity: null, line_items_gift_card: null, line_number: null }
+        ]);
+        expect(report.steps[0]).toMatchObject({ type: 'EXPLODE', field: 'line_items', prefix: 'line_items_', emptyArrays: 2 });
+    });
+
+    test('puts plain values in the field itself and drops empty arrays when asked', async () => {
+        const { data } = await run([explode('tags', { empty_arrays: 'drop' })]);
+
+        expect(data.orders.map(order => [order.id, order.tags])).toEqual([[1, 'gift'], [1, 'vip']]);
+        expect(data.orders[0].line_items).toHaveLength(2);
+    });
+
+    test('lets an element key win over a parent field of the same name', async () => {
+        const { data } = await transformationService.applyTransformations({
+            orders: [{ id: 1, name: '#1001', line_items: [{ id: 11, sku: 'A-1' }] }]
+        }, [explode('line_items', { prefix: '' })]);
+
+        expect(data.orders).toEqual([{ id: 11, name: '#1001', sku: 'A-1' }]);
+    });
+
+    test('explodes nested arrays one step at a time', async () => {
+        const { data } = await transformationService.applyTransformations({
+            orders: [{ id: 1, fulfillments: [{ id: 5, line_items: [{ sku: 'A-1' }, { sku: 'B-2' }] }] }]
+        }, [
+            explode('fulfillments', { prefix: 'fulfillment_' }),
+            explode('fulfillment_line_items', { prefix: 'item_' })
+        ]);
+
+        expect(data.orders).toEqual([
+            { id: 1, fulfillment_id: 5, item_sku: 'A-1' },
+            { id: 1, fulfillment_id: 5, item_sku: 'B-2' }
+        ]);
+    });
+
+    test('rejects bad configurations', () => {
+        expect(transformationService.validateConfiguration([
+            explode('line_items', { empty_arrays: 'skip', index_field: '' }),
+            explode('fulfillments[].line_items', {})
+        ]).map(error => [error.index, error.message])).toEqual([
+            [0, '"empty_arrays" must be one of: keep, drop'],
+            [0, '"index_field" must be a field name'],
+            [1, expect.stringMatching(/^Only one array can be exploded per step/)]
+        ]);
+    });
+});
@@ -0,0 +1,83 @@
+const transformationService = require('../../../src/services/transformationService');
+
+const extract = () => ({
+    orders: [
+        { id: 1, financial_status: 'paid', source_name: 'web', total_price: '25.00', tags: ['vip'], note: null, line_items: [{ sku: 'A-1' }] },
+        { id: 2, financial_status: 'pending', source_name: 'pos', total_price: '8.50', tags: [], note: '', line_items: [{ sku: 'B-2' }, { sku: 'A-3' }] },
+        { id: 3, financial_status: 'paid', source_name: 'api', total_price: '120', tags: ['wholesale'], note: 'gift', line_items: [] }
+    ]
+});
+
+const filter = (condition, mode) => ({ api: 'orders', type: 'FILTER', configuration: { condition, ...(mode && { mode }) } });
+
+const ids = async (condition, mode) => {
+    const { data } = await transformationService.applyTransformations(extract(), [filter(condition, mode)]);
+    return data.orders.map(order => order.id);
+};
+
+const errors = async condition => (await transformationService.applyTransformations(extract(), [filter(condition)]))
+    .report.errors.map(error => error.message);
+
+describe('FILTER transformation', () => {
+    test('keeps or drops records matching a condition, and counts the rest', async () => {
+        const { data, report } = await transformationService.applyTransformations(extract(), [
+            filter({ field: 'financial_status', operator: 'eq', value: 'paid' })
+        ]);
+
+        expect(data.orders.map(order => order.id)).toEqual([1, 3]);
+        expect(report.steps[0]).toMatchObject({ type: 'FILTER', filteredOut: 1 });
+        expect(await ids({ field: 'financial_status', operator: 'eq', value: 'paid' }, 'drop')).toEqual([2]);
+    });
+
+    test('compares numbers given as text by value', async () => {
+        expect(await ids({ field: 'total_price', operator: 'gt', value: 10 })).toEqual([1, 3]);
+        expect(await ids({ field: 'total_price', operator: 'lte', value: '8.5' })).toEqual([2]);
+    });
+
+    test('combines conditions with and/or', async () => {
+        expect(await ids({
+            operator: 'or',
+            conditions: [
+                { field: 'source_name', operator: 'in', value: ['pos'] },
+                { operator: 'and', conditions: [{ field: 'tags', operator: 'contains', value: 'vip' }, { field: 'note', operator: 'is_null' }] }
+            ]
+        })).toEqual([1, 2]);
+    });
+
+    test('matches a path through an array when any element does', async () => {
+        expect(await ids({ field: 'line_items[].sku', operator: 'starts_with', value: 'A-' })).toEqual([1, 2]);
+    });
+
+    test('takes expressions as conditions', async () => {
+        expect(await ids({ expression: "financial_status = 'paid' and total_price > 100" })).toEqual([3]);
+    });
+
+    test('matches regular expressions with flags', async () => {
+        expect(await ids({ field: 'source_name', operator: 'regex', value: '^(WEB|API)$', flags: 'i' })).toEqual([1, 3]);
+    });
+
+    test('matches patterns that backtrack catastrophically in linear time', async () => {
+        const data = { orders: [{ id: 1, note: `${'a'.repeat(50000)}!` }] };
+        const started = Date.now();
+
+        const { data: result } = await transformationService.applyTransformations(data, [
+            filter({ field: 'note', operator: 'regex', value: '^(a+)+$' }, 'drop'),
+            filter({ field: 'note', operator: 'regex', value: '.*.*.*a!' })
+        ]);
+
+        expect(result.orders.map(order => order.id)).toEqual([1]);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('rejects backreferences and lookarounds, which have no linear-time match', async () => {
+        expect(await errors({ field: 'note', operator: 'regex', value: '(a)\\1' })).toEqual([expect.stringMatching(/^condition\.value is not a valid pattern/)]);
+        expect(await errors({ field: 'note', operator: 'regex', value: 'gift(?= card)' })).toEqual([expect.stringMatching(/^condition\.value is not a valid pattern/)]);
+    });
+
+    test('reports where a condition tree is invalid', async () => {
+        expect(await errors({ operator: 'and', conditions: [{ field: 'id', operator: 'between', value: 1 }, { field: 'tags', operator: 'in', value: 'vip' }] })).toEqual([
+            expect.stringMatching(/^condition\.conditions\[0\]\.operator must be one of/),
+            'condition.conditions[1].value must be an array for in'
+        ]);
+    });
+});
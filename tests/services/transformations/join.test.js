@@ -0,0 +1,89 @@
+const transformationService = require('../../../src/services/transformationService');
+
+const extract = () => ({
+    orders: [
+        { id: 1, customer_id: 7, total_price: '5.00' },
+        { id: 2, customer_id: 8, total_price: '3.00' },
+        { id: 3, customer_id: null, total_price: '1.00' }
+    ],
+    customers: [
+        { id: 7, email: 'jane@example.com', tags: 'vip' },
+        { id: '8', email: 'joe@example.com', tags: '' }
+    ]
+});
+
+const join = configuration => ({
+    api: 'orders',
+    type: 'JOIN',
+    configuration: { with: 'customers', on: [{ left: 'customer_id', right: 'id' }], ...configuration }
+});
+
+const run = steps => transformationService.applyTransformations(extract(), steps);
+
+describe('JOIN transformation', () => {
+    test('adds prefixed columns from matching records, matching keys as text', async () => {
+        const { data, report } = await run([join({ fields: ['email'] })]);
+
+        expect(data.orders.map(order => order.customers_email)).toEqual(['jane@example.com', 'joe@example.com', null]);
+        expect(report.steps[0]).toMatchObject({ type: 'JOIN', with: 'customers', matched: 2, unmatched: 1 });
+    });
+
+    test('takes every field without a field list and honors rename', async () => {
+        const { data } = await run([join({ rename: { email: 'contact' } })]);
+
+        expect(data.orders[0]).toEqual({
+            id: 1, customer_id: 7, total_price: '5.00', customers_id: 7, contact: 'jane@example.com', customers_tags: 'vip'
+        });
+    });
+
+    test('inner joins drop records without a match', async () => {
+        const { data } = await run([join({ join_type: 'inner', fields: ['email'] })]);
+
+        expect(data.orders.map(order => order.id)).toEqual([1, 2]);
+    });
+
+    test('drop_joined leaves the joined dataset out', async () => {
+        const { data } = await run([join({ fields: ['email'], drop_joined: true })]);
+
+        expect(data.customers).toBeUndefined();
+    });
+
+    test('reports a dataset that was not extracted', async () => {
+        const { data, report } = await run([join({ with: 'products' })]);
+
+        expect(data.orders).toEqual(extract().orders);
+        expect(report.errors[0].message).toBe('Dataset products was not extracted');
+    });
+
+    describe('reserved names', () => {
+        afterEach(() => {
+            delete Object.prototype.isAdmin;
+        });
+
+        test('cannot write through __proto__ into Object.prototype', async () => {
+            const data = extract();
+            data.customers[0] = JSON.parse('{"id": 7, "__proto__": {"isAdmin": true}}');
+
+            const { report } = await transformationService.applyTransformations(data, [join({ fields: ['__proto__.isAdmin'] })]);
+
+            expect(({}).isAdmin).toBeUndefined();
+            expect(report.errors[0].message).toBe('Fields and column names cannot use the reserved name "__proto__"');
+        });
+
+        test.each([
+            [{ fields: ['constructor.prototype.isAdmin'] }],
+            [{ on: [{ left: 'customer_id', right: '__proto__.id' }] }],
+            [{ rename: { email: '__proto__' } }]
+        ])('rejects %j', (configuration) => {
+            const [error] = transformationService.validateConfiguration([join(configuration)]);
+            expect(error.message).toMatch(/reserved name/);
+        });
+
+        test('steps cannot target a reserved field', () => {
+            const [error] = transformationService.validateConfiguration([
+                { api: 'orders', field: 'customer.__proto__.isAdmin', type: 'TOSTRING' }
+            ]);
+            expect(error.message).toBe('Field name cannot use the reserved name "__proto__"');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../../src/config/database', () => ({ query: jest.fn() }));
+
+const db = require('../../../src/config/database');
+const transformationService = require('../../../src/services/transformationService');
+const lookupTableService = require('../../../src/services/lookupTableService');
+const { LookupTableError, LookupTableImportError } = require('../../../src/errors/LookupTableError');
+
+const STATUS_CODES = new Map([['paid', 'P'], ['pending', 'W'], ['refunded', 'R']]);
+
+const extract = () => ({
+    orders: [
+        { id: 1, financial_status: 'paid', line_items: [{ sku: 'a-1' }, { sku: 'B-2' }] },
+        { id: 2, financial_status: 'Pending ', line_items: [] },
+        { id: 3, financial_status: 'voided', line_items: [{ sku: 'C-3' }] },
+        { id: 4, financial_status: '', line_items: [] }
+    ]
+});
+
+const lookup = (field, configuration) => ({ api: 'orders', field, type: 'LOOKUP', configuration: { table_id: 3, ...configuration } });
+
+const run = steps => transformationService.applyTransformations(extract(), steps);
+
+describe('LOOKUP transformation', () => {
+    beforeEach(() => {
+        jest.spyOn(lookupTableService, 'getMapping').mockResolvedValue(STATUS_CODES);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('writes mapped values to the target and counts what the table did not know', async () => {
+        const { data, report } = await run([lookup('financial_status', { target: 'erp_status', default: 'UNKNOWN' })]);
+
+        expect(data.orders.map(order => [order.financial_status, order.erp_status])).toEqual([
+            ['paid', 'P'], ['Pending ', 'UNKNOWN'], ['voided', 'UNKNOWN'], ['', null]
+        ]);
+        expect(report.steps[0]).toMatchObject({
+            type: 'LOOKUP',
+            table: 3,
+            matched: 1,
+            unmatched: 2,
+            unmatchedValues: [{ value: 'Pending', count: 1 }, { value: 'voided', count: 1 }]
+        });
+    });
+
+    test('replaces values in place, ignoring case and keeping unknown values without a default', async () => {
+        const { data } = await run([lookup('financial_status', { ignore_case: true })]);
+
+        expect(data.orders.map(order => order.financial_status)).toEqual(['P', 'W', 'voided', '']);
+    });
+
+    test('maps values inside arrays in place', async () => {
+        lookupTableService.getMapping.mockResolvedValue(new Map([['A-1', 'Alpha'], ['B-2', 'Beta']]));
+
+        const { data } = await run([lookup('line_items[].sku', { ignore_case: true })]);
+
+        expect(data.orders[0].line_items).toEqual([{ sku: 'Alpha' }, { sku: 'Beta' }]);
+        expect(data.orders[2].line_items).toEqual([{ sku: 'C-3' }]);
+    });
+
+    test('rejects bad configurations and reports a table that no longer exists', async () => {
+        expect(transformationService.validateConfiguration([
+            lookup('financial_status', { table_id: 'statuses' }),
+            lookup('line_items[].sku', { target: 'sku_name' })
+        ]).map(error => [error.index, error.message])).toEqual([
+            [0, '"table_id" must be the id of a lookup table'],
+            [1, expect.stringMatching(/^"target" cannot be used on a field inside an array/)]
+        ]);
+
+        lookupTableService.getMapping.mockResolvedValue(null);
+        const { data, report } = await run([lookup('financial_status', {})]);
+
+        expect(data).toEqual(extract());
+        expect(report.errors.map(error => error.message)).toEqual(['Lookup table 3 not found']);
+    });
+});
+
+describe('lookupTableService', () => {
+    beforeEach(() => {
+        db.query.mockReset();
+    });
+
+    test('trims keys, keeps the last value of a repeated key and refuses empty keys', () => {
+        expect(lookupTableService.normalizeEntries([
+            { key: ' paid ', value: 'P' },
+            { key: 42, value: 7 },
+            { key: 'paid', value: null }
+        ])).toEqual([{ key: 'paid', value: null }, { key: '42', value: '7' }]);
+
+        expect(() => lookupTableService.normalizeEntries([{ key: '  ', value: 'x' }])).toThrow(LookupTableError);
+    });
+
+    test('reads entries from CSV by column name or position', () => {
+        const csv = '\uFEFFstatus,code,label\npaid,P,Paid\n,X,Nothing\npending,W,Waiting\n';
+
+        expect(lookupTableService.parseCsv(csv)).toEqual({
+            entries: [{ key: 'paid', value: 'P' }, { key: 'pending', value: 'W' }],
+            skipped: 1
+        });
+        expect(lookupTableService.parseCsv(csv, { keyColumn: 'code', valueColumn: 'label' }).entries[0]).toEqual({ key: 'P', value: 'Paid' });
+        expect(() => lookupTableService.parseCsv(csv, { keyColumn: 'missing' })).toThrow(LookupTableImportError);
+    });
+
+    test('flags LOOKUP steps naming a table the user does not own', async () => {
+        db.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+        const errors = await lookupTableService.validateReferences([
+            lookup('financial_status', {}),
+            { api: 'orders', field: 'id', type: 'TOSTRING' },
+            lookup('financial_status', { table_id: 8 })
+        ], 1);
+
+        expect(db.query).toHaveBeenCalledWith(expect.stringContaining('user_id = $2'), [[3, 8], 1]);
+        expect(errors).toEqual([{ index: 2, field: 'financial_status', type: 'LOOKUP', message: 'Lookup table 8 not found' }]);
+    });
+});
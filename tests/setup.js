@@ -0,0 +1,2 @@
+// Services read these when they are loaded; the values only matter for tests
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
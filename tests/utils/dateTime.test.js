@@ -0,0 +1,107 @@
+const dateTime = require('../../src/utils/dateTime');
+
+const NEW_YORK = 'America/New_York';
+const iso = ms => new Date(ms).toISOString();
+
+describe('dateTime', () => {
+    test('isTimeZone accepts IANA zones only', () => {
+        expect(dateTime.isTimeZone(NEW_YORK)).toBe(true);
+        expect(dateTime.isTimeZone('UTC')).toBe(true);
+        expect(dateTime.isTimeZone('Mars/Base')).toBe(false);
+        expect(dateTime.isTimeZone('')).toBe(false);
+        expect(dateTime.isTimeZone(null)).toBe(false);
+    });
+
+    describe('wall time', () => {
+        test('follows daylight saving offsets', () => {
+            expect(dateTime.toWallTime(Date.UTC(2024, 0, 15, 12), NEW_YORK)).toEqual({
+                year: 2024, month: 1, day: 15, hour: 7, minute: 0, second: 0, millisecond: 0, offset: -300
+            });
+            expect(dateTime.toWallTime(Date.UTC(2024, 6, 15, 12), NEW_YORK)).toMatchObject({ hour: 8, offset: -240 });
+        });
+
+        test('round-trips through fromWallTime', () => {
+            const ms = Date.UTC(2024, 4, 1, 18, 45, 30, 125);
+            expect(dateTime.fromWallTime(dateTime.toWallTime(ms, NEW_YORK), NEW_YORK)).toBe(ms);
+        });
+
+        test('moves a time skipped by the spring jump forward', () => {
+            const ms = dateTime.fromWallTime({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, NEW_YORK);
+            expect(iso(ms)).toBe('2024-03-10T07:30:00.000Z');
+        });
+
+        test('resolves a time repeated in autumn to the earlier instant', () => {
+            const ms = dateTime.fromWallTime({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, NEW_YORK);
+            expect(iso(ms)).toBe('2024-11-03T05:30:00.000Z');
+        });
+    });
+
+    describe('parsing', () => {
+        test('parseIso reads times without an offset in the zone', () => {
+            expect(iso(dateTime.parseIso('2024-05-01T10:00:00', NEW_YORK))).toBe('2024-05-01T14:00:00.000Z');
+            expect(iso(dateTime.parseIso('2024-05-01', 'UTC'))).toBe('2024-05-01T00:00:00.000Z');
+        });
+
+        test('parseIso lets an explicit offset win', () => {
+            expect(iso(dateTime.parseIso('2024-05-01T10:00:00+02:00', NEW_YORK))).toBe('2024-05-01T08:00:00.000Z');
+            expect(iso(dateTime.parseIso('2024-05-01T10:00:00.5Z', NEW_YORK))).toBe('2024-05-01T10:00:00.500Z');
+        });
+
+        test('parseIso rejects impossible dates and other text', () => {
+            expect(dateTime.parseIso('2024-02-30', 'UTC')).toBeNull();
+            expect(dateTime.parseIso('2024-01-01T24:00', 'UTC')).toBeNull();
+            expect(dateTime.parseIso('yesterday', 'UTC')).toBeNull();
+        });
+
+        test('compilePattern parses custom formats', () => {
+            const parse = dateTime.compilePattern('DD/MM/YYYY HH:mm');
+            expect(iso(parse('05/03/2024 14:30', 'Europe/Paris'))).toBe('2024-03-05T13:30:00.000Z');
+            expect(parse('2024-03-05', 'UTC')).toBeNull();
+        });
+
+        test('compilePattern treats [bracketed] text as literal', () => {
+            const parse = dateTime.compilePattern('YYYY-MM-DD[T]HH');
+            expect(iso(parse('2024-03-05T09', 'UTC'))).toBe('2024-03-05T09:00:00.000Z');
+        });
+
+        test('isCompletePattern needs a year, month and day', () => {
+            expect(dateTime.isCompletePattern('D/M/YY')).toBe(true);
+            expect(dateTime.isCompletePattern('YYYY-MM')).toBe(false);
+            expect(dateTime.isCompletePattern('YYYY [MM] DD')).toBe(false);
+            expect(dateTime.patternTokens('YYYY [MM] DD')).toEqual(['YYYY', 'DD']);
+        });
+    });
+
+    describe('formatting', () => {
+        const instant = Date.UTC(2024, 2, 5, 13, 30);
+
+        test('formatPattern writes the wall time and offset of the zone', () => {
+            expect(dateTime.formatPattern(instant, 'DD.MM.YYYY [at] HH:mm Z', 'Europe/Paris')).toBe('05.03.2024 at 14:30 +01:00');
+            expect(dateTime.formatPattern(instant, 'D/M/YY H', 'UTC')).toBe('5/3/24 13');
+        });
+
+        test('formatIso uses Z for UTC and adds milliseconds only when present', () => {
+            expect(dateTime.formatIso(instant, 'UTC')).toBe('2024-03-05T13:30:00Z');
+            expect(dateTime.formatIso(instant + 250, 'Asia/Kolkata')).toBe('2024-03-05T19:00:00.250+05:30');
+        });
+    });
+
+    test('Excel serials count days of the zone wall time', () => {
+        expect(dateTime.toExcelSerial(Date.UTC(2024, 0, 1, 12), 'UTC')).toBe(45292.5);
+        expect(dateTime.toExcelSerial(Date.UTC(2024, 0, 1, 3), NEW_YORK)).toBe(45291.91666667);
+        expect(iso(dateTime.fromExcelSerial(45292.5, 'UTC'))).toBe('2024-01-01T12:00:00.000Z');
+        expect(iso(dateTime.fromExcelSerial(45292, NEW_YORK))).toBe('2024-01-01T05:00:00.000Z');
+    });
+
+    test.each([
+        ['hour', '2024-08-15T03:00:00.000Z'],
+        ['day', '2024-08-14T04:00:00.000Z'],
+        ['week', '2024-08-12T04:00:00.000Z'],
+        ['month', '2024-08-01T04:00:00.000Z'],
+        ['quarter', '2024-07-01T04:00:00.000Z'],
+        ['year', '2024-01-01T05:00:00.000Z']
+    ])('truncate to the %s in the zone', (unit, expected) => {
+        // 2024-08-14 23:20 in New York
+        expect(iso(dateTime.truncate(Date.UTC(2024, 7, 15, 3, 20), unit, NEW_YORK))).toBe(expected);
+    });
+});
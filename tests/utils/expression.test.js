@@ -0,0 +1,109 @@
+const expression = require('../../src/utils/expression');
+const { ExpressionSyntaxError, TransformationValueError } = require('../../src/errors/TransformationError');
+
+const record = {
+    total_price: '12.50',
+    total_discounts: '2.5',
+    vendor: 'acme',
+    financial_status: 'paid',
+    customer: { email: 'jane@example.com' },
+    'field with spaces': 3,
+    note: null
+};
+
+const evaluate = source => expression.compile(source).evaluate(record);
+
+describe('expression', () => {
+    describe('evaluation', () => {
+        test('does arithmetic on numeric text', () => {
+            expect(evaluate('total_price - total_discounts')).toBe(10);
+            expect(evaluate('-total_price')).toBe(-12.5);
+            expect(evaluate('7 % 4')).toBe(3);
+        });
+
+        test('follows operator precedence and parentheses', () => {
+            expect(evaluate('1 + 2 * 3')).toBe(7);
+            expect(evaluate('(1 + 2) * 3')).toBe(9);
+            expect(evaluate('not true or false')).toBe(false);
+        });
+
+        test('reads nested and quoted field names', () => {
+            expect(evaluate('customer.email')).toBe('jane@example.com');
+            expect(evaluate('`field with spaces` * 2')).toBe(6);
+            expect(evaluate('missing')).toBeNull();
+        });
+
+        test('does not expose inherited properties as fields', () => {
+            expect(evaluate('toString')).toBeNull();
+            expect(evaluate('constructor')).toBeNull();
+        });
+
+        test('calls functions, with if() evaluated lazily', () => {
+            expect(evaluate('upper(vendor)')).toBe('ACME');
+            expect(evaluate("if(financial_status = 'paid', 1, 0)")).toBe(1);
+            expect(evaluate("if(financial_status = 'refunded', 1 / 0, 0)")).toBe(0);
+            expect(evaluate("coalesce(note, 'none')")).toBe('none');
+        });
+
+        test('treats null like SQL', () => {
+            expect(evaluate('note + 1')).toBeNull();
+            expect(evaluate('note = null')).toBe(true);
+            expect(evaluate('note > 1')).toBeNull();
+        });
+
+        test('compares numeric text as numbers and other text as text', () => {
+            expect(evaluate('"10" > 9')).toBe(true);
+            expect(evaluate("'abc' < 'abd'")).toBe(true);
+            expect(expression.compare('9', '10')).toBe(-1);
+            expect(expression.compare('b', 'a')).toBe(1);
+        });
+
+        test('unescapes doubled and backslashed quotes', () => {
+            expect(evaluate("'it''s'")).toBe("it's");
+            expect(evaluate('"say \\"hi\\""')).toBe('say "hi"');
+        });
+
+        test('fails on division by zero when evaluated', () => {
+            const compiled = expression.compile('total_price / 0');
+            expect(() => compiled.evaluate(record)).toThrow(TransformationValueError);
+            expect(() => compiled.evaluate(record)).toThrow('Division by zero');
+        });
+    });
+
+    describe('parsing', () => {
+        test('builds a tree with positions', () => {
+            expect(expression.parse('a + 1')).toEqual({
+                type: 'binary',
+                operator: '+',
+                left: { type: 'field', path: 'a', position: 0 },
+                right: { type: 'literal', value: 1, position: 4 },
+                position: 2
+            });
+        });
+
+        test.each([
+            ['1 +', 'Unexpected end of expression at position 4', 4],
+            ['(1', "Expected ')' but found end of expression at position 3", 3],
+            ["'abc", 'Unterminated string at position 1', 1],
+            ['1 $ 2', "Unexpected character '$' at position 3", 3],
+            ['unknown_fn(1)', "Unknown function 'unknown_fn' at position 1", 1],
+            ['upper()', "Function 'upper' takes 1 argument(s), got 0 at position 1", 1],
+            ['if(1)', "Function 'if' takes 2 to 3 argument(s), got 1 at position 1", 1]
+        ])('rejects %p', (source, message, position) => {
+            let error;
+            try {
+                expression.compile(source);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).toBeInstanceOf(ExpressionSyntaxError);
+            expect(error.message).toBe(message);
+            expect(error.details).toEqual({ position });
+        });
+    });
+
+    test('isTruthy treats null, false, 0 and empty text as false', () => {
+        expect([null, false, 0, ''].map(expression.isTruthy)).toEqual([false, false, false, false]);
+        expect([true, 1, 'no', '0'].map(expression.isTruthy)).toEqual([true, true, true, true]);
+    });
+});
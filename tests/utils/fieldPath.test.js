@@ -0,0 +1,63 @@
+const fieldPath = require('../../src/utils/fieldPath');
+
+const order = {
+    id: 1,
+    customer: { email: 'jane@example.com', default_address: null },
+    line_items: [{ sku: 'A-1', quantity: 2 }, { sku: 'B-2', quantity: 1 }],
+    tags: []
+};
+
+describe('fieldPath', () => {
+    test('parses object and array segments', () => {
+        expect(fieldPath.parse('line_items[].sku')).toEqual([
+            { key: 'line_items', each: true },
+            { key: 'sku', each: false }
+        ]);
+        expect(fieldPath.isNested('customer.email')).toBe(true);
+        expect(fieldPath.isNested('email')).toBe(false);
+        expect(fieldPath.root('line_items[].sku')).toBe('line_items');
+    });
+
+    test('get walks objects and every element of arrays', () => {
+        expect(fieldPath.get(order, 'customer.email')).toBe('jane@example.com');
+        expect(fieldPath.get(order, 'line_items[].sku')).toEqual(['A-1', 'B-2']);
+        expect(fieldPath.get(order, 'customer.default_address.zip')).toBeNull();
+        expect(fieldPath.get(order, 'missing')).toBeNull();
+    });
+
+    test('exists tells missing paths from empty values', () => {
+        expect(fieldPath.exists(order, 'customer.default_address')).toBe(true);
+        expect(fieldPath.exists(order, 'customer.default_address.zip')).toBe(true);
+        expect(fieldPath.exists(order, 'tags[].name')).toBe(true);
+        expect(fieldPath.exists(order, 'line_items[].price')).toBe(false);
+        expect(fieldPath.exists(order, 'customer.phone')).toBe(false);
+    });
+
+    test('project keeps only the given paths and their nesting', () => {
+        expect(fieldPath.project(order, ['id', 'customer.email', 'line_items[].sku', 'note'])).toEqual({
+            id: 1,
+            customer: { email: 'jane@example.com' },
+            line_items: [{ sku: 'A-1' }, { sku: 'B-2' }],
+            note: null
+        });
+    });
+});
+
+describe('fieldPath reserved names', () => {
+    test('paths cannot walk through __proto__, constructor or prototype', () => {
+        expect(fieldPath.reservedKey('customer.email')).toBeNull();
+        expect(fieldPath.reservedKey('__proto__.isAdmin')).toBe('__proto__');
+        expect(fieldPath.reservedKey('items[].constructor')).toBe('constructor');
+        expect(() => fieldPath.parse('a.prototype.b')).toThrow('cannot use the reserved name "prototype"');
+        expect(() => fieldPath.update({}, '__proto__.isAdmin', () => true)).toThrow();
+        expect(({}).isAdmin).toBeUndefined();
+    });
+
+    test('project copies only own keys', () => {
+        const record = JSON.parse('{"id": 1, "__proto__": {"isAdmin": true}}');
+
+        expect(fieldPath.project(record, ['id', 'toString'])).toEqual({ id: 1, toString: null });
+        expect(() => fieldPath.project(record, ['__proto__.isAdmin'])).toThrow();
+        expect(({}).isAdmin).toBeUndefined();
+    });
+});